@@ -3,186 +3,37 @@
  * Handles UI interactions and connects the simulators
  */
 
-// Initialize simulators
-let arm64Simulator = new ARM64Simulator();
-let x86Simulator = new X86Simulator();
-let currentSimulator = arm64Simulator;
-let currentArch = 'arm64';
-
-// Example programs for ARM64
-const arm64Examples = {
-    basic: `// Einfaches Beispiel: Addition
-MOV X0, #42
-MOV X1, #8
-ADD X2, X0, X1
-// X2 sollte jetzt 50 enthalten`,
-
-    helloworld: `// Hello World ASCII Codes
-// H=72, e=101, l=108, o=111
-MOV X0, #72    // 'H'
-MOV X1, #101   // 'e'
-MOV X2, #108   // 'l'
-MOV X3, #108   // 'l'
-MOV X4, #111   // 'o'
-MOV X5, #32    // ' '
-MOV X6, #87    // 'W'
-MOV X7, #111   // 'o'
-MOV X8, #114   // 'r'
-MOV X9, #108   // 'l'
-MOV X10, #100  // 'd'`,
-
-    forloop: `// For-Schleife: Zähle von 0 bis 10
-MOV X0, #0     // Zähler = 0
-MOV X1, #10    // Max = 10
-
-// Schleife simuliert (manuelle Iterationen)
-ADD X0, X0, #1 // Iteration 1
-ADD X0, X0, #1 // Iteration 2
-ADD X0, X0, #1 // Iteration 3
-ADD X0, X0, #1 // Iteration 4
-ADD X0, X0, #1 // Iteration 5
-ADD X0, X0, #1 // Iteration 6
-ADD X0, X0, #1 // Iteration 7
-ADD X0, X0, #1 // Iteration 8
-ADD X0, X0, #1 // Iteration 9
-ADD X0, X0, #1 // Iteration 10
-// X0 sollte jetzt 10 sein`,
-
-    fibonacci: `// Fibonacci Sequenz (erste 10 Zahlen)
-MOV X0, #0        // Fib(0) = 0
-MOV X1, #1        // Fib(1) = 1
-MOV X2, #0        // Ergebnis
-
-// Berechne F(2) bis F(9)
-ADD X2, X0, X1    // F(2) = F(0) + F(1)
-MOV X0, X1        // Verschiebe Werte
-MOV X1, X2
-
-ADD X2, X0, X1    // F(3)
-MOV X0, X1
-MOV X1, X2
-
-ADD X2, X0, X1    // F(4)
-MOV X0, X1
-MOV X1, X2
-
-ADD X2, X0, X1    // F(5)
-MOV X0, X1
-MOV X1, X2`,
-
-    bitwise: `// Bitweise Operationen
-MOV X0, #0xFF
-MOV X1, #0x0F
-AND X2, X0, X1    // X2 = 0x0F
-ORR X3, X0, X1    // X3 = 0xFF
-EOR X4, X0, X1    // X4 = 0xF0
-LSL X5, X1, #4    // X5 = 0xF0`,
-
-    comparison: `// Vergleichsoperationen
-MOV X0, #100
-MOV X1, #50
-CMP X0, X1        // 100 vs 50
-SUB X2, X0, X1    // X2 = 50
-
-MOV X3, #25
-MOV X4, #25
-CMP X3, X4        // 25 vs 25 (gleich)`,
-
-    multiply: `// Multiplikation und komplexe Berechnungen
-MOV X0, #7
-MOV X1, #6
-MUL X2, X0, X1    // X2 = 42
-
-MOV X3, #3
-MUL X4, X2, X3    // X4 = 126
-
-MOV X5, #2
-LSL X6, X5, #4    // X6 = 32`
-};
-
-// Example programs for x86-64
-const x86Examples = {
-    basic: `; Einfaches Beispiel: Addition
-MOV RAX, 42
-MOV RBX, 8
-ADD RAX, RBX
-; RAX sollte jetzt 50 enthalten`,
-
-    helloworld: `; Hello World ASCII Codes
-; H=72, e=101, l=108, o=111
-MOV RAX, 72    ; 'H'
-MOV RBX, 101   ; 'e'
-MOV RCX, 108   ; 'l'
-MOV RDX, 108   ; 'l'
-MOV RSI, 111   ; 'o'
-MOV RDI, 32    ; ' '
-MOV R8, 87     ; 'W'
-MOV R9, 111    ; 'o'
-MOV R10, 114   ; 'r'
-MOV R11, 108   ; 'l'
-MOV R12, 100   ; 'd'`,
-
-    forloop: `; For-Schleife: Zähle von 0 bis 10
-MOV RAX, 0     ; Zähler = 0
-MOV RBX, 10    ; Max = 10
-
-; Schleife simuliert (manuelle Iterationen)
-INC RAX        ; Iteration 1
-INC RAX        ; Iteration 2
-INC RAX        ; Iteration 3
-INC RAX        ; Iteration 4
-INC RAX        ; Iteration 5
-INC RAX        ; Iteration 6
-INC RAX        ; Iteration 7
-INC RAX        ; Iteration 8
-INC RAX        ; Iteration 9
-INC RAX        ; Iteration 10
-; RAX sollte jetzt 10 sein`,
-
-    fibonacci: `; Fibonacci Sequenz
-MOV RAX, 0        ; Fib(0) = 0
-MOV RBX, 1        ; Fib(1) = 1
-MOV RCX, 0        ; Ergebnis
-
-; Berechne F(2) bis F(5)
-ADD RCX, RAX
-ADD RCX, RBX     ; F(2)
-MOV RAX, RBX
-MOV RBX, RCX
-
-MOV RCX, 0
-ADD RCX, RAX
-ADD RCX, RBX     ; F(3)
-MOV RAX, RBX
-MOV RBX, RCX`,
-
-    bitwise: `; Bitweise Operationen
-MOV RAX, 0xFF
-MOV RBX, 0x0F
-AND RAX, RBX     ; RAX = 0x0F
-MOV RAX, 0xFF
-OR RAX, RBX      ; RAX = 0xFF
-MOV RAX, 0xFF
-XOR RAX, RBX     ; RAX = 0xF0`,
-
-    comparison: `; Vergleichsoperationen
-MOV RAX, 100
-MOV RBX, 50
-CMP RAX, RBX     ; 100 vs 50
-SUB RAX, RBX     ; RAX = 50
-
-MOV RCX, 25
-MOV RDX, 25
-CMP RCX, RDX     ; 25 vs 25 (gleich)`,
-
-    multiply: `; Multiplikation
-MOV RAX, 7
-MOV RBX, 6
-IMUL RAX, RBX    ; RAX = 42
-
-MOV RCX, 3
-IMUL RAX, RCX    ; RAX = 126`
-};
+// Initialize one simulator per registered architecture; the page records the
+// history of its steps for step back, the timeline and the trace export
+const simulators = new Map([...Simulator.architectures].map(([id, SimulatorClass]) => [id, Object.assign(new SimulatorClass(), { recordHistory: true })]));
+let currentArch = Simulator.architectures.keys().next().value;
+let currentSimulator = simulators.get(currentArch);
+
+// Debugger state
+let debugging = false;
+const breakpoints = new Set();
+
+// How execution continues after input was provided ('run' or 'step')
+let resumeMode = 'run';
+
+// Background execution: the simulator Web Worker (null until first used or when
+// workers are unavailable) and the handle of the run in progress
+let simulatorWorker = null;
+let workerUnavailable = false;
+let activeRun = null;
+
+// Memory inspector state: start of the hex dump (null = follow the stack
+// pointer) and the byte whose typed values are shown
+const MEMORY_ROWS = 8;
+const BYTES_PER_ROW = 16;
+let memoryAnchor = null;
+let selectedAddress = null;
+
+// Problems of the editor code found by Simulator.validate(); the code is
+// checked again after a short pause in typing
+const VALIDATION_DELAY = 300;
+let problems = [];
+let validationTimer = null;
 
 // DOM Elements
 const codeEditor = document.getElementById('codeEditor');
@@ -191,17 +42,149 @@ const clearBtn = document.getElementById('clearBtn');
 const exampleBtn = document.getElementById('exampleBtn');
 const clearOutputBtn = document.getElementById('clearOutputBtn');
 const output = document.getElementById('output');
+const programOutput = document.getElementById('programOutput');
+const exitCodeDisplay = document.getElementById('exitCode');
+const stdinInput = document.getElementById('stdinInput');
+const interactiveInput = document.getElementById('interactiveInput');
+const inputPrompt = document.getElementById('inputPrompt');
+const inputLine = document.getElementById('inputLine');
+const sendInputBtn = document.getElementById('sendInputBtn');
+const eofBtn = document.getElementById('eofBtn');
 const registersDisplay = document.getElementById('registersDisplay');
 const flagsDisplay = document.getElementById('flagsDisplay');
 const archSelect = document.getElementById('archSelect');
 const subtitleText = document.getElementById('subtitleText');
+const stepBackBtn = document.getElementById('stepBackBtn');
+const stepBtn = document.getElementById('stepBtn');
+const stepOverBtn = document.getElementById('stepOverBtn');
+const continueBtn = document.getElementById('continueBtn');
+const stopBtn = document.getElementById('stopBtn');
+const maxStepsInput = document.getElementById('maxStepsInput');
+const timeLimitInput = document.getElementById('timeLimitInput');
+const debugStatus = document.getElementById('debugStatus');
+const editorGutter = document.getElementById('editorGutter');
+const lineHighlight = document.getElementById('lineHighlight');
+const problemMarkers = document.getElementById('problemMarkers');
+const problemsSummary = document.getElementById('problemsSummary');
+const problemsList = document.getElementById('problemsList');
+const timelineSlider = document.getElementById('timelineSlider');
+const timelineInfo = document.getElementById('timelineInfo');
+const traceFormat = document.getElementById('traceFormat');
+const traceBtn = document.getElementById('traceBtn');
+const memoryAddress = document.getElementById('memoryAddress');
+const memoryGoBtn = document.getElementById('memoryGoBtn');
+const memoryStackBtn = document.getElementById('memoryStackBtn');
+const memoryMessage = document.getElementById('memoryMessage');
+const memoryDump = document.getElementById('memoryDump');
+const memorySelection = document.getElementById('memorySelection');
+const memoryValues = document.getElementById('memoryValues');
+const stackView = document.getElementById('stackView');
+const listingBtn = document.getElementById('listingBtn');
+const binaryBtn = document.getElementById('binaryBtn');
+const listingMessage = document.getElementById('listingMessage');
+const listingTable = document.getElementById('listingTable');
+const disassembleBtn = document.getElementById('disassembleBtn');
+const disassemblyEditorBtn = document.getElementById('disassemblyEditorBtn');
+const hexInput = document.getElementById('hexInput');
+const disassemblyAddress = document.getElementById('disassemblyAddress');
+const disassemblyMessage = document.getElementById('disassemblyMessage');
+const disassemblyTable = document.getElementById('disassemblyTable');
+const instructionTitle = document.getElementById('instructionTitle');
+const instructionGrid = document.getElementById('instructionGrid');
+
+// Architecture selector with the registered architectures
+for (const [id, SimulatorClass] of Simulator.architectures) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = SimulatorClass.ARCHITECTURE.name;
+    archSelect.appendChild(option);
+}
+
+// Editor with highlighting, completion and instruction help for the selected
+// architecture
+const editor = new CodeEditor(codeEditor, {
+    highlight: document.getElementById('editorHighlight'),
+    completion: document.getElementById('completionList'),
+    tooltip: document.getElementById('editorTooltip')
+});
+editor.setSimulator(currentSimulator);
 
 // Event Listeners
 runBtn.addEventListener('click', runCode);
 clearBtn.addEventListener('click', clearEditor);
 exampleBtn.addEventListener('click', loadExample);
 clearOutputBtn.addEventListener('click', clearOutput);
+traceBtn.addEventListener('click', exportTrace);
+sendInputBtn.addEventListener('click', sendInput);
+eofBtn.addEventListener('click', sendEndOfInput);
+inputLine.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        sendInput();
+    }
+});
+memoryGoBtn.addEventListener('click', jumpToMemoryAddress);
+memoryStackBtn.addEventListener('click', followStackPointer);
+memoryAddress.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        jumpToMemoryAddress();
+    }
+});
+memoryDump.addEventListener('click', selectMemoryByte);
+memoryDump.addEventListener('dblclick', startByteEdit);
+memoryValues.addEventListener('change', editMemoryValue);
+stackView.addEventListener('click', (e) => {
+    const slot = e.target.closest('.stack-slot');
+    if (slot) {
+        showMemoryAt(BigInt(slot.dataset.address));
+    }
+});
+listingBtn.addEventListener('click', assembleProgram);
+binaryBtn.addEventListener('click', downloadBinary);
+listingTable.addEventListener('click', (e) => {
+    const row = e.target.closest('tr');
+    if (row) {
+        selectEditorLine(parseInt(row.dataset.line));
+    }
+});
+problemsList.addEventListener('click', (e) => {
+    const item = e.target.closest('li');
+    if (item) {
+        selectEditorLine(parseInt(item.dataset.line), parseInt(item.dataset.column), parseInt(item.dataset.endColumn));
+    }
+});
+disassembleBtn.addEventListener('click', disassembleHex);
+disassemblyEditorBtn.addEventListener('click', sendDisassemblyToEditor);
 archSelect.addEventListener('change', switchArchitecture);
+stepBackBtn.addEventListener('click', debugStepBack);
+stepBtn.addEventListener('click', debugStep);
+stepOverBtn.addEventListener('click', debugStepOver);
+continueBtn.addEventListener('click', debugContinue);
+stopBtn.addEventListener('click', stopDebugging);
+editorGutter.addEventListener('click', toggleBreakpoint);
+timelineSlider.addEventListener('input', () => {
+    if (activeRun) {
+        return;
+    }
+    showStatus(currentSimulator.goTo(parseInt(timelineSlider.value)));
+});
+
+// Keep gutter, line highlight and problem underlines in sync with the editor
+codeEditor.addEventListener('scroll', () => {
+    editorGutter.scrollTop = codeEditor.scrollTop;
+    updateLineHighlight();
+    alignProblemMarkers();
+});
+
+// Editing the code ends a debugging session or run and invalidates its history;
+// the problems are updated once typing pauses
+codeEditor.addEventListener('input', () => {
+    stopDebugging();
+    resetTimeline();
+    updateEditorGutter();
+    updateProblemMarkers();
+    scheduleValidation();
+});
 
 // Keyboard shortcut: Ctrl/Cmd + Enter to run
 codeEditor.addEventListener('keydown', (e) => {
@@ -211,11 +194,29 @@ codeEditor.addEventListener('keydown', (e) => {
     }
 });
 
+// Debugger shortcuts: F5 continue, Shift+F5 stop, F10 step over, F11 step,
+// Shift+F11 step back
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'F5') {
+        e.preventDefault();
+        e.shiftKey ? stopDebugging() : debugContinue();
+    } else if (e.key === 'F10') {
+        e.preventDefault();
+        debugStepOver();
+    } else if (e.key === 'F11') {
+        e.preventDefault();
+        e.shiftKey ? debugStepBack() : debugStep();
+    }
+});
+
 // Load initial example
 window.addEventListener('load', () => {
-    codeEditor.value = arm64Examples.basic;
+    editor.setValue(Object.values(architecture().examples)[0]);
+    validateCode();
+    updateInstructionOverview();
     updateRegistersDisplay();
     updateFlagsDisplay();
+    updateMemoryDisplay();
 });
 
 /**
@@ -223,74 +224,826 @@ window.addEventListener('load', () => {
  */
 function switchArchitecture() {
     currentArch = archSelect.value;
+    currentSimulator = simulators.get(currentArch);
+    editor.setSimulator(currentSimulator);
     
-    if (currentArch === 'arm64') {
-        currentSimulator = arm64Simulator;
-        subtitleText.textContent = 'ARM64 (Apple Silicon) Assembler im Browser';
-        codeEditor.placeholder = `// Schreiben Sie hier Ihren ARM64 Assembly Code...
-// Beispiel:
-MOV X0, #42
-MOV X1, #8
-ADD X2, X0, X1`;
-    } else {
-        currentSimulator = x86Simulator;
-        subtitleText.textContent = 'x86-64 (Intel/AMD) Assembler im Browser';
-        codeEditor.placeholder = `; Schreiben Sie hier Ihren x86-64 Assembly Code...
-; Beispiel:
-MOV RAX, 42
-MOV RBX, 8
-ADD RAX, RBX`;
-    }
+    const { subtitle, placeholder, examples } = architecture();
+    subtitleText.textContent = subtitle;
+    codeEditor.placeholder = placeholder;
+    updateInstructionOverview();
     
     // Clear editor and load appropriate example
-    codeEditor.value = currentArch === 'arm64' ? arm64Examples.basic : x86Examples.basic;
+    stopDebugging();
+    editor.setValue(Object.values(examples)[0]);
+    breakpoints.clear();
+    validateCode();
     
     // Reset simulator and displays
     currentSimulator.reset();
+    clearListing();
+    clearDisassembly();
+    resetTimeline();
+    followStackPointer();
     updateRegistersDisplay();
     updateFlagsDisplay();
     clearOutput();
 }
 
 /**
- * Run the code in the editor
+ * Show the instruction overview of the selected architecture: its groups of
+ * mnemonics with the description of the instruction help (syntax as tooltip)
+ */
+function updateInstructionOverview() {
+    const { name, instructionGroups, instructionHelp } = architecture();
+    instructionTitle.textContent = `Unterstützte Instruktionen: ${name}`;
+    instructionGrid.innerHTML = Object.entries(instructionGroups).map(([group, mnemonics]) =>
+        `<div class="instruction-category"><h4>${escapeHtml(group)}</h4><ul>` +
+        mnemonics.map(mnemonic => {
+            const [syntax, description] = instructionHelp[mnemonic];
+            return `<li title="${escapeHtml(syntax).replace(/"/g, '&quot;')}"><code>${escapeHtml(mnemonic)}</code> - ${escapeHtml(description)}</li>`;
+        }).join('') +
+        '</ul></div>'
+    ).join('');
+}
+
+/**
+ * Descriptor of the selected architecture (see Simulator.register)
+ */
+function architecture() {
+    return currentSimulator.constructor.ARCHITECTURE;
+}
+
+/**
+ * Run the code in the editor (stops at breakpoints); while a run is in
+ * progress the button stops it instead
  */
 function runCode() {
-    const code = codeEditor.value.trim();
+    if (activeRun) {
+        activeRun.stop();
+        return;
+    }
     
-    if (!code) {
+    if (!codeEditor.value.trim()) {
         output.innerHTML = '<span class="error-message">⚠️ Bitte geben Sie Code ein!</span>';
         return;
     }
     
-    // Disable run button during execution
-    runBtn.disabled = true;
-    runBtn.textContent = '⏳ Ausführen...';
-    
     // Clear previous output
     output.innerHTML = '';
     
-    // Execute after a short delay for UI feedback
-    setTimeout(() => {
-        const result = currentSimulator.execute(code);
-        
-        if (result.success) {
-            output.innerHTML = `<div class="success-message">✅ Ausführung erfolgreich</div>\n${escapeHtml(result.output)}`;
-        } else {
-            output.innerHTML = `<div class="error-message">❌ Fehler bei der Ausführung:\n${escapeHtml(result.error)}</div>\n${escapeHtml(result.output)}`;
+    resumeMode = 'run';
+    const status = loadProgram();
+    if (status.done) {
+        showStatus(status);
+        return;
+    }
+    runInBackground();
+}
+
+/**
+ * Load the editor code and stdin into the simulator with the configured
+ * instruction limit
+ * @returns {object} execution status after loading
+ */
+function loadProgram() {
+    currentSimulator.maxSteps = Math.floor(readLimit(maxStepsInput));
+    return currentSimulator.load(codeEditor.value, stdinInput.value, interactiveInput.checked);
+}
+
+/**
+ * Read a positive limit from a number input (falls back to its default value)
+ */
+function readLimit(input) {
+    const value = Number(input.value);
+    return Number.isFinite(value) && value > 0 ? value : Number(input.defaultValue);
+}
+
+/**
+ * Run the loaded program in the Web Worker (or, without worker support, in
+ * slices on the page) until it ends, reaches a breakpoint, waits for input,
+ * is stopped or exceeds the time limit
+ * @param {?{index: number, stack: bigint}} returnTo - also stop when this call returns (step over)
+ */
+function runInBackground(returnTo = null) {
+    const timeLimit = readLimit(timeLimitInput) * 1000;
+    const worker = getSimulatorWorker();
+    
+    if (!worker) {
+        const run = runSimulation(currentSimulator, { breakpoints: new Set(breakpoints), timeLimit, returnTo }, (message) => {
+            if (activeRun === run) {
+                handleRunMessage(message);
+            }
+        });
+        activeRun = run;
+        setRunning(true);
+        return;
+    }
+    
+    activeRun = { stop: () => worker.postMessage({ type: 'stop' }) };
+    setRunning(true);
+    worker.onmessage = (e) => handleRunMessage(e.data);
+    worker.onerror = (e) => {
+        // The worker script could not be loaded: run on the page instead
+        e.preventDefault();
+        worker.terminate();
+        simulatorWorker = null;
+        workerUnavailable = true;
+        runInBackground(returnTo);
+    };
+    worker.postMessage({
+        type: 'run',
+        arch: currentArch,
+        // Runs record no history (see runSimulation()), so it is not cloned to the worker
+        state: { ...currentSimulator, history: [], position: 0 },
+        breakpoints: [...breakpoints],
+        timeLimit,
+        returnTo
+    });
+}
+
+/**
+ * Simulator Web Worker, created on first use (null when workers are unavailable,
+ * e.g. for pages opened via file://)
+ */
+function getSimulatorWorker() {
+    if (!simulatorWorker && !workerUnavailable) {
+        try {
+            simulatorWorker = new Worker('simulator_worker.js');
+        } catch (error) {
+            workerUnavailable = true;
         }
-        
-        // Update displays
-        updateRegistersDisplay();
-        updateFlagsDisplay();
-        
-        // Re-enable run button
-        runBtn.disabled = false;
-        runBtn.textContent = '▶ Ausführen';
-        
-        // Scroll output to bottom
+    }
+    return simulatorWorker;
+}
+
+/**
+ * Handle a progress snapshot or the result of a background run
+ */
+function handleRunMessage(message) {
+    if (message.type === 'progress') {
+        showProgress(message.snapshot);
+        return;
+    }
+    if (message.state) {
+        Object.assign(currentSimulator, message.state);
+    }
+    activeRun = null;
+    setRunning(false);
+    showStatus(message.status);
+}
+
+/**
+ * Show the registers, flags and output of a running program
+ */
+function showProgress(snapshot) {
+    // The snapshot overrides the registers of the simulator shown, not its state
+    const view = Object.assign(Object.create(currentSimulator), snapshot);
+    debugStatus.textContent = `Läuft… ${snapshot.steps} Instruktionen (Zeile ${snapshot.line})`;
+    programOutput.textContent = snapshot.stdout;
+    programOutput.scrollTop = programOutput.scrollHeight;
+    updateRegistersDisplay(view);
+    updateFlagsDisplay(view);
+}
+
+/**
+ * Switch the run button to Stop and lock the debugger while a run is in progress
+ */
+function setRunning(running) {
+    runBtn.textContent = running ? '⏹ Stop' : '▶ Ausführen';
+    runBtn.classList.toggle('running', running);
+    [stepBackBtn, stepBtn, stepOverBtn, continueBtn, timelineSlider].forEach(control => {
+        control.disabled = running;
+    });
+    stopBtn.disabled = !running && !debugging;
+    if (running) {
+        debugStatus.textContent = 'Läuft…';
+        editorGutter.querySelectorAll('.gutter-line.current').forEach(el => el.classList.remove('current'));
+        updateLineHighlight();
+    }
+}
+
+/**
+ * Abort a background run without taking over its state
+ * @returns {boolean} whether a run was in progress
+ */
+function cancelRun() {
+    if (!activeRun) {
+        return false;
+    }
+    if (simulatorWorker) {
+        simulatorWorker.terminate();
+        simulatorWorker = null;
+    } else {
+        activeRun.stop();
+    }
+    activeRun = null;
+    setRunning(false);
+    updateTimeline(currentSimulator.getStatus());
+    return true;
+}
+
+/**
+ * Start a debugging session paused before the first instruction
+ * @returns {boolean} whether the session could be started
+ */
+function startDebugging() {
+    if (!codeEditor.value.trim()) {
+        output.innerHTML = '<span class="error-message">⚠️ Bitte geben Sie Code ein!</span>';
+        return false;
+    }
+    showStatus(loadProgram());
+    return debugging;
+}
+
+/**
+ * Execute a single instruction
+ */
+function debugStep() {
+    if (activeRun) {
+        return;
+    }
+    if (!debugging) {
+        startDebugging();
+        return;
+    }
+    resumeMode = 'step';
+    showStatus(currentSimulator.step());
+}
+
+/**
+ * Undo the last executed instruction
+ */
+function debugStepBack() {
+    if (stepBackBtn.disabled) {
+        return;
+    }
+    showStatus(currentSimulator.stepBack());
+}
+
+/**
+ * Execute a single instruction, running subroutine calls to their return
+ */
+function debugStepOver() {
+    if (activeRun) {
+        return;
+    }
+    if (!debugging) {
+        startDebugging();
+        return;
+    }
+    resumeMode = 'step';
+    
+    // A call runs in the background like continue, so the Stop button and the
+    // time limit apply to it
+    const target = currentSimulator.stepOverTarget();
+    if (!target) {
+        showStatus(currentSimulator.step());
+        return;
+    }
+    currentSimulator.modifiedRegisters.clear();
+    runInBackground(target);
+}
+
+/**
+ * Continue to the next breakpoint or the end of the program
+ */
+function debugContinue() {
+    if (activeRun || (!debugging && !startDebugging())) {
+        return;
+    }
+    resumeMode = 'run';
+    currentSimulator.modifiedRegisters.clear();
+    runInBackground();
+}
+
+/**
+ * Send the typed line to a read() that waits for input and continue
+ */
+function sendInput() {
+    if (!debugging || !currentSimulator.waitingForInput) {
+        return;
+    }
+    currentSimulator.provideInput(inputLine.value + '\n');
+    inputLine.value = '';
+    resumeAfterInput();
+}
+
+/**
+ * End the input (read() returns 0) and continue
+ */
+function sendEndOfInput() {
+    if (!debugging || !currentSimulator.waitingForInput) {
+        return;
+    }
+    currentSimulator.closeInput();
+    resumeAfterInput();
+}
+
+/**
+ * Continue the way execution was started (run to the next stop or single step)
+ */
+function resumeAfterInput() {
+    if (resumeMode === 'run') {
+        runInBackground();
+    } else {
+        showStatus(currentSimulator.executeStep());
+    }
+}
+
+/**
+ * End the debugging session
+ */
+function stopDebugging() {
+    if (!cancelRun() && !debugging) {
+        return;
+    }
+    debugging = false;
+    updateDebugControls(null);
+    inputPrompt.hidden = true;
+    output.innerHTML += `<div class="error-message">⏹ Debugging beendet</div>`;
+    output.scrollTop = output.scrollHeight;
+}
+
+/**
+ * Show the execution status: output, registers, flags and current line
+ */
+function showStatus(status) {
+    const log = escapeHtml(currentSimulator.output.join('\n'));
+    
+    if (status.waitingForInput) {
+        output.innerHTML = `<div class="success-message">⌨ Warte auf Eingabe (read in Zeile ${status.line})</div>\n${log}`;
+    } else if (status.stopped) {
+        output.innerHTML = `<div class="error-message">⏹ Ausführung gestoppt vor Zeile ${status.line}</div>\n${log}`;
+    } else if (!status.done) {
+        output.innerHTML = `<div class="success-message">⏸ Angehalten vor Zeile ${status.line}</div>\n${log}`;
+    } else if (status.success) {
+        output.innerHTML = `<div class="success-message">✅ Ausführung erfolgreich</div>\n${log}`;
+    } else {
+        output.innerHTML = `<div class="error-message">❌ Fehler bei der Ausführung:\n${escapeHtml(status.error)}</div>\n${log}`;
+    }
+    
+    debugging = !status.done;
+    updateDebugControls(status.line);
+    updateTimeline(status);
+    
+    inputPrompt.hidden = !status.waitingForInput;
+    if (status.waitingForInput) {
+        inputLine.focus();
+    }
+    
+    // Update displays
+    updateProgramOutput(status);
+    updateRegistersDisplay();
+    updateFlagsDisplay();
+    updateMemoryDisplay();
+    
+    // Scroll output to bottom
+    output.scrollTop = output.scrollHeight;
+}
+
+/**
+ * Update debugger buttons, status text and the current line marker
+ */
+function updateDebugControls(line) {
+    stopBtn.disabled = !debugging;
+    debugStatus.textContent = debugging
+        ? `Angehalten vor Zeile ${line}`
+        : 'Haltepunkt: Klick auf Zeilennummer';
+    
+    editorGutter.querySelectorAll('.gutter-line.current').forEach(el => el.classList.remove('current'));
+    if (debugging) {
+        const gutterLine = editorGutter.querySelector(`[data-line="${line}"]`);
+        if (gutterLine) {
+            gutterLine.classList.add('current');
+        }
+        scrollToLine(line);
+    }
+    updateLineHighlight();
+}
+
+/**
+ * Update the step back button and the timeline slider from the execution history
+ */
+function updateTimeline(status) {
+    stepBackBtn.disabled = status.position === 0;
+    timelineSlider.disabled = status.historyLength === 0;
+    timelineSlider.max = status.historyLength;
+    timelineSlider.value = status.position;
+    timelineInfo.textContent = `Schritt ${status.position} / ${status.historyLength}`;
+}
+
+/**
+ * Disable reverse execution (the history no longer matches the code)
+ */
+function resetTimeline() {
+    updateTimeline({ position: 0, historyLength: 0 });
+}
+
+/**
+ * Render line numbers, breakpoint and problem markers in the editor gutter
+ */
+function updateEditorGutter() {
+    const lineCount = codeEditor.value.split('\n').length;
+    const currentLine = debugging ? currentSimulator.getCurrentLine() : null;
+    const lineProblems = new Map();
+    for (const problem of problems) {
+        lineProblems.set(problem.line, [...(lineProblems.get(problem.line) || []), problem]);
+    }
+    
+    // Drop breakpoints that are past the end of the code
+    for (const line of breakpoints) {
+        if (line > lineCount) {
+            breakpoints.delete(line);
+        }
+    }
+    
+    let html = '';
+    for (let line = 1; line <= lineCount; line++) {
+        const classes = ['gutter-line'];
+        if (breakpoints.has(line)) classes.push('breakpoint');
+        if (line === currentLine) classes.push('current');
+        const found = lineProblems.get(line);
+        let title = '';
+        if (found) {
+            classes.push(found.some(problem => problem.severity === 'error') ? 'problem-error' : 'problem-warning');
+            title = ` title="${escapeHtml(found.map(problem => problem.message).join('\n')).replace(/"/g, '&quot;')}"`;
+        }
+        html += `<div class="${classes.join(' ')}" data-line="${line}"${title}>${line}</div>`;
+    }
+    editorGutter.innerHTML = html;
+    editorGutter.scrollTop = codeEditor.scrollTop;
+}
+
+/**
+ * Check the editor code once typing pauses
+ */
+function scheduleValidation() {
+    clearTimeout(validationTimer);
+    validationTimer = setTimeout(validateCode, VALIDATION_DELAY);
+}
+
+/**
+ * Validate the editor code and show its problems as underlines, gutter
+ * markers and in the problems list
+ */
+function validateCode() {
+    clearTimeout(validationTimer);
+    // A separate simulator instance keeps a running debug session intact
+    problems = new currentSimulator.constructor().validate(codeEditor.value);
+    updateEditorGutter();
+    updateProblemMarkers();
+    updateProblemsList();
+}
+
+/**
+ * Underline the problems in a copy of the code behind the editor text (errors
+ * take precedence over warnings; a warning for several lines, e.g. unreachable
+ * code, underlines the statements of all of them)
+ */
+function updateProblemMarkers() {
+    const lines = codeEditor.value.split('\n');
+    const marks = lines.map(text => new Array(text.length).fill(null));
+    for (const problem of problems) {
+        for (let line = problem.line; line <= Math.min(problem.endLine, lines.length); line++) {
+            const text = lines[line - 1];
+            const statement = currentSimulator.stripComment(text).trimEnd();
+            const start = line === problem.line ? problem.column - 1 : statement.search(/\S/);
+            const end = line === problem.line ? problem.endColumn - 1 : statement.length;
+            for (let i = Math.max(start, 0); i < Math.min(end, text.length); i++) {
+                if (marks[line - 1][i] !== 'error') {
+                    marks[line - 1][i] = problem.severity;
+                }
+            }
+        }
+    }
+    
+    problemMarkers.innerHTML = lines.map((text, line) => {
+        let html = '';
+        let start = 0;
+        while (start < text.length) {
+            const mark = marks[line][start];
+            let end = start + 1;
+            while (end < text.length && marks[line][end] === mark) {
+                end++;
+            }
+            const part = escapeHtml(text.slice(start, end));
+            html += mark ? `<span class="problem-${mark}">${part}</span>` : part;
+            start = end;
+        }
+        return html;
+    }).join('\n') + '\n';
+    alignProblemMarkers();
+}
+
+/**
+ * Move the underlines along with the scrolled editor text
+ */
+function alignProblemMarkers() {
+    problemMarkers.style.transform = `translate(${-codeEditor.scrollLeft}px, ${-codeEditor.scrollTop}px)`;
+}
+
+/**
+ * List the problems below the editor (a click selects the affected code)
+ */
+function updateProblemsList() {
+    const errors = problems.filter(problem => problem.severity === 'error').length;
+    const warnings = problems.length - errors;
+    problemsSummary.textContent = problems.length === 0
+        ? '✓ Keine Probleme'
+        : `${errors} Fehler, ${warnings} ${warnings === 1 ? 'Warnung' : 'Warnungen'}`;
+    problemsSummary.classList.toggle('failure', errors > 0);
+    problemsList.innerHTML = problems.map(problem =>
+        `<li class="problem-${problem.severity}" data-line="${problem.line}" data-column="${problem.column}" data-end-column="${problem.endColumn}">` +
+        `${problem.severity === 'error' ? '❌' : '⚠️'} <span class="problem-location">${escapeHtml(problem.location)}, Spalte ${problem.column}:</span> ` +
+        `${escapeHtml(problem.message)}</li>`
+    ).join('');
+}
+
+/**
+ * Toggle a breakpoint by clicking a line number
+ */
+function toggleBreakpoint(e) {
+    const gutterLine = e.target.closest('.gutter-line');
+    if (!gutterLine) {
+        return;
+    }
+    const line = parseInt(gutterLine.dataset.line);
+    if (breakpoints.has(line)) {
+        breakpoints.delete(line);
+        gutterLine.classList.remove('breakpoint');
+    } else {
+        breakpoints.add(line);
+        gutterLine.classList.add('breakpoint');
+    }
+}
+
+/**
+ * Height of one editor line in pixels
+ */
+function editorLineHeight() {
+    return parseFloat(getComputedStyle(codeEditor).lineHeight);
+}
+
+/**
+ * Position the highlight bar behind the current line
+ */
+function updateLineHighlight() {
+    const line = debugging && !activeRun ? currentSimulator.getCurrentLine() : null;
+    if (!line) {
+        lineHighlight.style.display = 'none';
+        return;
+    }
+    const paddingTop = parseFloat(getComputedStyle(codeEditor).paddingTop);
+    const lineHeight = editorLineHeight();
+    lineHighlight.style.display = 'block';
+    lineHighlight.style.top = `${paddingTop + (line - 1) * lineHeight - codeEditor.scrollTop}px`;
+    lineHighlight.style.height = `${lineHeight}px`;
+}
+
+/**
+ * Scroll the editor so that a line is visible
+ */
+function scrollToLine(line) {
+    const lineHeight = editorLineHeight();
+    const top = (line - 1) * lineHeight;
+    if (top < codeEditor.scrollTop || top + 2 * lineHeight > codeEditor.scrollTop + codeEditor.clientHeight) {
+        codeEditor.scrollTop = Math.max(0, top - codeEditor.clientHeight / 2);
+    }
+}
+
+/**
+ * Download the execution trace of the debugger steps as JSON or CSV
+ */
+function exportTrace() {
+    const trace = currentSimulator.getTrace();
+    if (trace.length === 0) {
+        output.innerHTML += '<div class="error-message">⚠️ Kein Trace vorhanden - bitte zuerst Schritte im Debugger ausführen</div>';
         output.scrollTop = output.scrollHeight;
-    }, 50);
+        return;
+    }
+    
+    const format = traceFormat.value;
+    const content = format === 'csv'
+        ? traceToCsv(trace)
+        : JSON.stringify({ architecture: currentArch, steps: trace }, null, 2);
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    downloadFile(`trace-${currentArch}.${format}`, content, type);
+}
+
+/**
+ * Convert a trace to CSV (one row per executed instruction)
+ */
+function traceToCsv(trace) {
+    const quote = (value) => {
+        const text = String(value ?? '');
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const diffs = (entries) => Object.entries(entries)
+        .map(([name, diff]) => `${name}=${diff.before}->${diff.after}`)
+        .join(' ');
+    
+    const rows = [['step', 'line', 'address', 'source', 'mnemonic', 'operands', 'registers', 'flags', 'memory', 'error']];
+    for (const record of trace) {
+        rows.push([
+            record.step,
+            record.line,
+            record.address,
+            record.source,
+            record.mnemonic,
+            record.operands.join(' | '),
+            diffs(record.registers),
+            diffs(record.flags),
+            record.memory.map(write => `${write.address}[${write.size}]=${write.before}->${write.after}`).join(' '),
+            record.error
+        ]);
+    }
+    return rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Let the browser download a text file
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Assemble the editor content into machine code and show the listing
+ * (address, machine code and source line per instruction; lines from macros
+ * show the expanded instruction)
+ * @returns {Object} assembly result
+ */
+function assembleProgram() {
+    // A separate simulator instance keeps a running debug session intact
+    const assembler = new currentSimulator.constructor();
+    const result = assembler.assemble(codeEditor.value);
+    const lines = codeEditor.value.split('\n');
+    listingTable.innerHTML = result.listing.map(row => {
+        const code = row.hex || row.bytes.slice(0, 8).map(byte => byte.toString(16).padStart(2, '0')).join(' ') +
+            (row.bytes.length > 8 ? ' …' : '');
+        const error = row.error ? `<div class="listing-error-text">❌ ${escapeHtml(row.error)}</div>` : '';
+        return `<tr class="${row.error ? 'listing-error' : ''}" data-line="${row.line}">` +
+            `<td class="listing-address">${formatAddress(row.address)}</td>` +
+            `<td class="listing-code">${row.error ? '' : code}</td>` +
+            `<td>${escapeHtml(row.origin && row.text ? row.text : lines[row.line - 1].trim())}${error}</td></tr>`;
+    }).join('');
+    
+    listingMessage.textContent = result.success
+        ? `${result.bytes.length} Bytes im Abschnitt .text`
+        : `⚠️ ${result.error}`;
+    listingMessage.classList.toggle('failure', !result.success);
+    return result;
+}
+
+/**
+ * Download the machine code of the text section as a raw binary file
+ */
+function downloadBinary() {
+    const result = assembleProgram();
+    if (result.success) {
+        downloadFile(`programm-${currentArch}.bin`, result.bytes, 'application/octet-stream');
+    }
+}
+
+/**
+ * Remove the listing (e.g. after switching the architecture)
+ */
+function clearListing() {
+    listingTable.innerHTML = '';
+    listingMessage.textContent = '';
+    listingMessage.classList.remove('failure');
+}
+
+/**
+ * Parse pasted hex bytes: plain hex ("48 c7 c0", "48c7c0", "0x48, 0xc7"), xxd output
+ * and lines with an address prefix (objdump, "Code:" lines of crash dumps).
+ * For ARM64, 8-digit groups are 32-bit instruction words as shown by objdump.
+ * @param {string} text - pasted text
+ * @returns {number[]} bytes
+ */
+function parseHexInput(text) {
+    const bytes = [];
+    for (let line of text.split('\n')) {
+        // After an address prefix, xxd and objdump append ASCII text or the disassembly
+        const prefix = line.match(/^[^:]*:\s/);
+        if (prefix) {
+            line = line.slice(prefix[0].length).trim().split(/\t|\s{2,}/)[0];
+        }
+        
+        // Crash dumps mark the faulting instruction with <48> or (d4200000)
+        for (let token of line.replace(/[<>(),]/g, ' ').split(/\s+/).filter(t => t)) {
+            token = token.replace(/^0x/i, '');
+            if (!/^([0-9a-f]{2})+$/i.test(token)) {
+                throw new Error(`Ungültige Hex-Bytes: ${token}`);
+            }
+            const pairs = token.match(/../g).map(pair => parseInt(pair, 16));
+            const width = architecture().instructionWidth;
+            bytes.push(...(width && token.length === width * 2 ? pairs.reverse() : pairs));
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Disassemble the hex bytes for the selected architecture and show address,
+ * machine code and assembly per instruction
+ * @returns {Array|null} disassembled rows, null if the input is invalid
+ */
+function disassembleHex() {
+    disassemblyTable.innerHTML = '';
+    disassemblyMessage.classList.add('failure');
+    
+    const start = disassemblyAddress.value.trim();
+    if (start && !/^(0x[0-9a-f]+|\d+)$/i.test(start)) {
+        disassemblyMessage.textContent = `⚠️ Ungültige Startadresse: ${start}`;
+        return null;
+    }
+    let bytes;
+    try {
+        bytes = parseHexInput(hexInput.value);
+    } catch (error) {
+        disassemblyMessage.textContent = `⚠️ ${error.message}`;
+        return null;
+    }
+    if (bytes.length === 0) {
+        disassemblyMessage.textContent = '⚠️ Keine Hex-Bytes eingegeben';
+        return null;
+    }
+    
+    const address = start ? BigInt(start) : currentSimulator.textBase;
+    const rows = new currentSimulator.constructor().disassemble(bytes, address);
+    disassemblyTable.innerHTML = rows.map(row => {
+        const label = row.label ? `<span class="listing-label">${row.label}:</span> ` : '';
+        return `<tr class="${row.data ? 'disassembly-data' : ''}">` +
+            `<td class="listing-address">${formatAddress(row.address)}</td>` +
+            `<td class="listing-code">${row.hex}</td>` +
+            `<td>${label}${escapeHtml(row.text)}</td></tr>`;
+    }).join('');
+    
+    const unknown = rows.filter(row => row.data).length;
+    const instructions = rows.filter(row => !row.data && row.bytes.length > 0).length;
+    disassemblyMessage.textContent = `${bytes.length} Bytes, ${instructions} Instruktionen` +
+        (unknown > 0 ? `, ${unknown} als ${architecture().dataDirective} (nicht unterstützt oder abweichend kodiert)` : '');
+    disassemblyMessage.classList.remove('failure');
+    return rows;
+}
+
+/**
+ * Put the disassembled code into the editor so it can be run
+ */
+function sendDisassemblyToEditor() {
+    const rows = disassembleHex();
+    if (!rows) {
+        return;
+    }
+    const comment = architecture().comments[0];
+    const lines = [`${comment} Disassembliert ab ${formatAddress(rows[0].address)}`];
+    for (const row of rows) {
+        if (row.label) {
+            lines.push(`${row.label}:`);
+        }
+        if (row.text) {
+            lines.push(`    ${row.text}`);
+        }
+    }
+    
+    stopDebugging();
+    editor.setValue(lines.join('\n'));
+    breakpoints.clear();
+    validateCode();
+    currentSimulator.reset();
+    resetTimeline();
+    updateRegistersDisplay();
+    updateFlagsDisplay();
+    updateMemoryDisplay();
+}
+
+/**
+ * Remove the disassembly (e.g. after switching the architecture)
+ */
+function clearDisassembly() {
+    disassemblyTable.innerHTML = '';
+    disassemblyMessage.textContent = '';
+    disassemblyMessage.classList.remove('failure');
+}
+
+/**
+ * Select a source line (or the given columns of it, 1-based with an exclusive
+ * end) in the editor and scroll it into view
+ */
+function selectEditorLine(line, column = 1, endColumn = null) {
+    const lines = codeEditor.value.split('\n');
+    const start = lines.slice(0, line - 1).reduce((sum, text) => sum + text.length + 1, 0);
+    codeEditor.focus();
+    codeEditor.setSelectionRange(start + column - 1, start + (endColumn ? endColumn - 1 : lines[line - 1].length));
+    scrollToLine(line);
 }
 
 /**
@@ -300,7 +1053,11 @@ function clearEditor() {
     if (codeEditor.value.trim() && !confirm('Möchten Sie den Code wirklich löschen?')) {
         return;
     }
-    codeEditor.value = '';
+    stopDebugging();
+    editor.setValue('');
+    breakpoints.clear();
+    resetTimeline();
+    validateCode();
     codeEditor.focus();
 }
 
@@ -309,13 +1066,27 @@ function clearEditor() {
  */
 function clearOutput() {
     output.innerHTML = '';
+    programOutput.textContent = '';
+    exitCodeDisplay.textContent = '';
+}
+
+/**
+ * Show what the program wrote to stdout/stderr and its exit code
+ */
+function updateProgramOutput(status) {
+    programOutput.textContent = currentSimulator.stdout;
+    programOutput.scrollTop = programOutput.scrollHeight;
+    
+    const exited = status.exitCode !== null && status.exitCode !== undefined;
+    exitCodeDisplay.textContent = exited ? `Exit-Code: ${status.exitCode}` : '';
+    exitCodeDisplay.classList.toggle('failure', exited && status.exitCode !== 0);
 }
 
 /**
  * Load an example program
  */
 function loadExample() {
-    const examples = currentArch === 'arm64' ? arm64Examples : x86Examples;
+    const examples = architecture().examples;
     const exampleNames = Object.keys(examples);
     let message = 'Wählen Sie ein Beispiel:\n\n';
     exampleNames.forEach((name, index) => {
@@ -328,13 +1099,19 @@ function loadExample() {
         const index = parseInt(choice) - 1;
         if (index >= 0 && index < exampleNames.length) {
             const exampleName = exampleNames[index];
-            codeEditor.value = examples[exampleName];
+            stopDebugging();
+            editor.setValue(examples[exampleName]);
+            breakpoints.clear();
+            validateCode();
             output.innerHTML = `<div class="success-message">📋 Beispiel "${exampleName}" geladen</div>`;
             
             // Reset simulator and displays
             currentSimulator.reset();
+            resetTimeline();
+            updateProgramOutput(currentSimulator.getStatus());
             updateRegistersDisplay();
             updateFlagsDisplay();
+            updateMemoryDisplay();
         } else {
             alert('Ungültige Auswahl!');
         }
@@ -344,21 +1121,11 @@ function loadExample() {
 /**
  * Update registers display
  */
-function updateRegistersDisplay() {
-    const state = currentSimulator.getRegisterState();
+function updateRegistersDisplay(simulator = currentSimulator) {
+    const state = simulator.getRegisterState();
     registersDisplay.innerHTML = '';
     
-    let displayRegs;
-    if (currentArch === 'arm64') {
-        displayRegs = ['X0', 'X1', 'X2', 'X3', 'X4', 'X5', 'X6', 'X7', 
-                      'X8', 'X9', 'X10', 'X11', 'X12', 'X13', 'X14', 'X15',
-                      'SP', 'LR'];
-    } else {
-        displayRegs = ['RAX', 'RBX', 'RCX', 'RDX', 'RSI', 'RDI', 'RBP', 'RSP',
-                      'R8', 'R9', 'R10', 'R11', 'R12', 'R13', 'R14', 'R15'];
-    }
-    
-    displayRegs.forEach(reg => {
+    architecture().registers.forEach(reg => {
         if (state[reg]) {
             const div = document.createElement('div');
             div.className = 'register-item';
@@ -380,37 +1147,306 @@ function updateRegistersDisplay() {
 /**
  * Update flags display
  */
-function updateFlagsDisplay() {
-    const flags = currentSimulator.getFlagsState();
+function updateFlagsDisplay(simulator = currentSimulator) {
+    const flags = simulator.getFlagsState();
     flagsDisplay.innerHTML = '';
     
-    let flagDescriptions;
-    if (currentArch === 'arm64') {
-        flagDescriptions = {
-            N: 'Negative',
-            Z: 'Zero',
-            C: 'Carry',
-            V: 'Overflow'
-        };
-    } else {
-        flagDescriptions = {
-            CF: 'Carry',
-            PF: 'Parity',
-            ZF: 'Zero',
-            SF: 'Sign',
-            OF: 'Overflow'
-        };
-    }
-    
-    Object.entries(flags).forEach(([flag, value]) => {
+    Object.entries(architecture().flags).forEach(([flag, description]) => {
+        const value = flags[flag];
         const div = document.createElement('div');
         div.className = 'flag-item';
         if (value) {
             div.classList.add('active');
         }
-        div.textContent = `${flag} (${flagDescriptions[flag]}): ${value ? '1' : '0'}`;
+        div.textContent = `${flag} (${description}): ${value ? '1' : '0'}`;
         flagsDisplay.appendChild(div);
     });
+
+    // Architectures without condition flags (RISC-V compares in the branch)
+    if (Object.keys(architecture().flags).length === 0) {
+        const div = document.createElement('div');
+        div.className = 'flag-item';
+        div.textContent = 'Keine Statusflags';
+        flagsDisplay.appendChild(div);
+    }
+}
+
+/**
+ * Stack and frame pointer registers of the current architecture
+ */
+function stackRegisters() {
+    const { stackPointer, framePointer } = architecture();
+    return { sp: stackPointer, fp: framePointer };
+}
+
+/**
+ * Format a memory address as hex
+ */
+function formatAddress(address) {
+    return '0x' + address.toString(16).toUpperCase().padStart(8, '0');
+}
+
+/**
+ * Update the memory inspector: hex/ASCII dump, typed values and stack view
+ */
+function updateMemoryDisplay() {
+    const start = memoryAnchor !== null
+        ? memoryAnchor
+        : currentSimulator.getRegister(stackRegisters().sp) & ~0xFn;
+    const end = start + BigInt(MEMORY_ROWS * BYTES_PER_ROW);
+    if (selectedAddress === null || selectedAddress < start || selectedAddress >= end) {
+        selectedAddress = start;
+    }
+    
+    const written = currentSimulator.getLastWrites();
+    let html = '';
+    for (let row = start; row < end; row += BigInt(BYTES_PER_ROW)) {
+        let bytes = '';
+        let ascii = '';
+        for (let i = 0n; i < BigInt(BYTES_PER_ROW); i++) {
+            const address = row + i;
+            const value = Number(currentSimulator.readMemory(address, 1));
+            const classes = ['memory-byte'];
+            if (!currentSimulator.memory.has(address)) classes.push('unset');
+            if (written.has(address)) classes.push('written');
+            if (address === selectedAddress) classes.push('selected');
+            bytes += `<span class="${classes.join(' ')}" data-address="${address}">${value.toString(16).toUpperCase().padStart(2, '0')}</span>`;
+            ascii += value >= 0x20 && value < 0x7F ? String.fromCharCode(value) : '.';
+        }
+        html += `<div class="memory-row"><span class="memory-addr">${formatAddress(row)}</span><span>${bytes}</span><span class="memory-ascii">${escapeHtml(ascii)}</span></div>`;
+    }
+    memoryDump.innerHTML = html;
+    
+    updateMemoryValues();
+    updateStackView(written);
+}
+
+/**
+ * Show the selected address as 8/16/32/64-bit unsigned, signed and float values
+ */
+function updateMemoryValues() {
+    memorySelection.textContent = formatAddress(selectedAddress);
+    
+    let html = '<tr><th></th><th>unsigned</th><th>signed</th><th>float</th></tr>';
+    for (const size of [1, 2, 4, 8]) {
+        const bits = size * 8;
+        const value = currentSimulator.readMemory(selectedAddress, size);
+        const float = size >= 4
+            ? `<input data-size="${size}" data-kind="float" value="${bitsToFloat(value, size)}">`
+            : '–';
+        html += `<tr>
+            <th>${bits} Bit</th>
+            <td><input data-size="${size}" data-kind="unsigned" value="${value}"></td>
+            <td><input data-size="${size}" data-kind="signed" value="${BigInt.asIntN(bits, value)}"></td>
+            <td>${float}</td>
+        </tr>`;
+    }
+    memoryValues.innerHTML = html;
+}
+
+/**
+ * Show the 64-bit stack slots starting at the stack pointer
+ */
+function updateStackView(written) {
+    const { sp, fp } = stackRegisters();
+    const stackPointer = currentSimulator.getRegister(sp);
+    const framePointer = currentSimulator.getRegister(fp);
+    
+    let html = '';
+    for (let offset = 0n; offset < 64n; offset += 8n) {
+        const address = stackPointer + offset;
+        const value = currentSimulator.readMemory(address, 8);
+        const markers = [];
+        if (offset === 0n) markers.push(sp);
+        if (address === framePointer) markers.push(fp);
+        
+        let slotWritten = false;
+        for (let i = 0n; i < 8n; i++) {
+            slotWritten = slotWritten || written.has(address + i);
+        }
+        
+        html += `<div class="stack-slot${slotWritten ? ' written' : ''}" data-address="${address}">
+            <span class="stack-offset">${sp}+${offset}</span>
+            <span>${'0x' + value.toString(16).toUpperCase().padStart(16, '0')}</span>
+            <span class="stack-marker">${markers.length ? '← ' + markers.join(', ') : ''}</span>
+        </div>`;
+    }
+    stackView.innerHTML = html;
+}
+
+/**
+ * Reinterpret the bits of a 32/64-bit value as an IEEE 754 float
+ */
+function bitsToFloat(value, size) {
+    const view = new DataView(new ArrayBuffer(8));
+    if (size === 4) {
+        view.setUint32(0, Number(value));
+        return view.getFloat32(0);
+    }
+    view.setBigUint64(0, value);
+    return view.getFloat64(0);
+}
+
+/**
+ * Bits of a number as a 32/64-bit IEEE 754 float
+ */
+function floatToBits(number, size) {
+    const view = new DataView(new ArrayBuffer(8));
+    if (size === 4) {
+        view.setFloat32(0, number);
+        return BigInt(view.getUint32(0));
+    }
+    view.setFloat64(0, number);
+    return view.getBigUint64(0);
+}
+
+/**
+ * Show the memory at an address (the dump starts at its 16-byte row)
+ */
+function showMemoryAt(address) {
+    memoryAnchor = address & ~0xFn;
+    selectedAddress = address;
+    memoryMessage.textContent = '';
+    updateMemoryDisplay();
+}
+
+/**
+ * Jump to the address (or label / register value) entered in the address box
+ */
+function jumpToMemoryAddress() {
+    const text = memoryAddress.value.trim();
+    let address;
+    try {
+        if (/^(0x[0-9a-f]+|\d+)$/i.test(text)) {
+            address = BigInt(text);
+        } else if (currentSimulator.labels.has(text) || currentSimulator.dataLabels.has(text)) {
+            address = currentSimulator.labelAddress(text);
+        } else {
+            address = currentSimulator.getRegister(text.toUpperCase());
+        }
+    } catch (error) {
+        memoryMessage.textContent = `Ungültige Adresse: ${text}`;
+        return;
+    }
+    showMemoryAt(address);
+}
+
+/**
+ * Let the hex dump follow the stack pointer again
+ */
+function followStackPointer() {
+    memoryAnchor = null;
+    selectedAddress = null;
+    memoryAddress.value = '';
+    memoryMessage.textContent = '';
+    updateMemoryDisplay();
+}
+
+/**
+ * Select a byte in the hex dump
+ */
+function selectMemoryByte(e) {
+    const cell = e.target.closest('.memory-byte');
+    if (!cell || cell.isContentEditable) {
+        return;
+    }
+    selectedAddress = BigInt(cell.dataset.address);
+    memoryDump.querySelectorAll('.memory-byte.selected').forEach(el => el.classList.remove('selected'));
+    cell.classList.add('selected');
+    updateMemoryValues();
+}
+
+/**
+ * Edit a byte of the hex dump in place (Enter saves, Escape cancels)
+ */
+function startByteEdit(e) {
+    const cell = e.target.closest('.memory-byte');
+    if (!cell) {
+        return;
+    }
+    if (activeRun) {
+        memoryMessage.textContent = 'Während das Programm läuft, lässt sich der Speicher nicht ändern (⏹ Stop hält es an)';
+        return;
+    }
+    cell.contentEditable = 'true';
+    cell.focus();
+    document.getSelection().selectAllChildren(cell);
+    
+    cell.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            cell.blur();
+        } else if (event.key === 'Escape') {
+            cell.contentEditable = 'false';
+            updateMemoryDisplay();
+        }
+    });
+    cell.addEventListener('blur', () => {
+        if (cell.contentEditable !== 'true') {
+            return;
+        }
+        cell.contentEditable = 'false';
+        const text = cell.textContent.trim();
+        if (/^[0-9a-f]{1,2}$/i.test(text)) {
+            writeMemoryValue(BigInt(cell.dataset.address), BigInt('0x' + text), 1);
+        } else {
+            memoryMessage.textContent = `Ungültiges Byte: ${text} (erwartet: 00-FF)`;
+            updateMemoryDisplay();
+        }
+    });
+}
+
+/**
+ * Write an edited typed value (unsigned, signed or float) at the selected address
+ */
+function editMemoryValue(e) {
+    // The running program owns the memory; its state replaces the simulator's afterwards
+    if (activeRun) {
+        memoryMessage.textContent = 'Während das Programm läuft, lässt sich der Speicher nicht ändern (⏹ Stop hält es an)';
+        updateMemoryValues();
+        return;
+    }
+    const input = e.target;
+    const size = parseInt(input.dataset.size);
+    const bits = BigInt(size * 8);
+    const text = input.value.trim();
+    
+    try {
+        // An empty field is no value (BigInt('') and Number('') would be 0)
+        if (!text) {
+            throw new Error();
+        }
+        let value;
+        if (input.dataset.kind === 'float') {
+            const number = Number(text);
+            if (Number.isNaN(number) && text !== 'NaN') {
+                throw new Error();
+            }
+            value = floatToBits(number, size);
+        } else {
+            value = BigInt(text);
+            const min = input.dataset.kind === 'signed' ? -(1n << (bits - 1n)) : 0n;
+            const max = input.dataset.kind === 'signed' ? (1n << (bits - 1n)) - 1n : (1n << bits) - 1n;
+            if (value < min || value > max) {
+                throw new Error();
+            }
+            value = BigInt.asUintN(size * 8, value);
+        }
+        writeMemoryValue(selectedAddress, value, size);
+    } catch (error) {
+        memoryMessage.textContent = `Ungültiger ${bits}-Bit-Wert: ${text}`;
+        updateMemoryValues();
+    }
+}
+
+/**
+ * Change memory between steps and refresh the displays
+ */
+function writeMemoryValue(address, value, size) {
+    currentSimulator.editMemory(address, value, size);
+    memoryMessage.textContent = '';
+    updateTimeline(currentSimulator.getStatus());
+    updateMemoryDisplay();
 }
 
 /**
@@ -421,8 +1457,3 @@ function escapeHtml(text) {
     div.textContent = text;
     return div.innerHTML;
 }
-
-// Export for potential testing
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { arm64Simulator, x86Simulator, runCode, updateRegistersDisplay, updateFlagsDisplay };
-}
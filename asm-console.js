@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/**
+ * Command-line runner
+ * Runs assembly programs without a browser, e.g. to grade submissions in bulk:
+ *
+ *     node asm-console.js run prog.s --arch arm64 [--json] [--max-steps N]
+ *
+ * Prints the program output (written with the write system call) and the final
+ * registers and flags; with --json one JSON object per program and line.
+ * Exit status: 0 when all programs ran without error, 1 when a program failed
+ * (assembly error, invalid memory access, instruction limit, unreadable file),
+ * 2 for invalid arguments.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The engine scripts define their classes as globals; they are loaded in the
+// order of index.html and simulator_worker.js
+const ENGINE_SCRIPTS = ['expression.js', 'preprocessor.js', 'simulator.js', 'assembler.js', 'x86_assembler.js', 'riscv_assembler.js'];
+for (const file of ENGINE_SCRIPTS) {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), { filename: file });
+}
+
+// Architecture without --arch: the first registered one
+const DEFAULT_ARCH = Simulator.architectures.keys().next().value;
+
+const USAGE = `Aufruf: asm-console run <programm.s>... [Optionen]
+
+Optionen:
+  --arch <id>        Architektur: ${[...Simulator.architectures.keys()].join(', ')} (Standard: ${DEFAULT_ARCH})
+  --json             Ergebnis als JSON, eine Zeile pro Programm
+  --max-steps <n>    Abbruch nach n ausgeführten Instruktionen (Standard: ${new Simulator().maxSteps})
+  --input <datei>    Eingabe für den read-Systemaufruf (- liest die Standardeingabe)
+  -h, --help         Diese Hilfe anzeigen`;
+
+/**
+ * Parse the command line (without node and the script name)
+ * @param {string[]} args - arguments
+ * @returns {{help: boolean, files: string[], arch: string, json: boolean, maxSteps: ?number, input: ?string}} options
+ * @throws {Error} for unknown commands or options and invalid values
+ */
+function parseArguments(args) {
+    const options = { help: false, files: [], arch: DEFAULT_ARCH, json: false, maxSteps: null, input: null };
+    if (args.includes('-h') || args.includes('--help')) {
+        options.help = true;
+        return options;
+    }
+    if (args[0] !== 'run') {
+        throw new Error(args.length > 0 ? `Unbekannter Befehl: ${args[0]}` : 'Kein Befehl angegeben');
+    }
+    
+    // Options take their value as the next argument or after '=' (--arch=x86)
+    const queue = args.slice(1).flatMap(arg => /^--[\w-]+=/.test(arg) ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg]);
+    while (queue.length > 0) {
+        const arg = queue.shift();
+        const value = () => {
+            if (queue.length === 0) {
+                throw new Error(`${arg} erwartet einen Wert`);
+            }
+            return queue.shift();
+        };
+        switch (arg) {
+            case '--arch':
+                options.arch = value();
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--max-steps':
+                options.maxSteps = Number(value());
+                if (!Number.isInteger(options.maxSteps) || options.maxSteps <= 0) {
+                    throw new Error('--max-steps erwartet eine positive ganze Zahl');
+                }
+                break;
+            case '--input':
+                options.input = value();
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unbekannte Option: ${arg}`);
+                }
+                options.files.push(arg);
+        }
+    }
+    
+    if (!Simulator.architectures.has(options.arch)) {
+        throw new Error(`Unbekannte Architektur: ${options.arch} (verfügbar: ${[...Simulator.architectures.keys()].join(', ')})`);
+    }
+    if (options.files.length === 0) {
+        throw new Error('Keine Programmdatei angegeben');
+    }
+    return options;
+}
+
+/**
+ * Run a program to its end
+ * @param {string} code - assembly source
+ * @param {{arch?: string, maxSteps?: ?number, input?: string}} options - architecture id, instruction limit, input of the read system call
+ * @returns {object} success, error and its location, exit code, executed steps,
+ *     program output, final registers ({value, hex}) and flags
+ */
+function runProgram(code, { arch = DEFAULT_ARCH, maxSteps = null, input = '' } = {}) {
+    const SimulatorClass = Simulator.architectures.get(arch);
+    // Without recordHistory (the default) a run takes no memory per step, so
+    // even a large --max-steps ends with the limit error
+    const simulator = new SimulatorClass();
+    if (maxSteps !== null) {
+        simulator.maxSteps = maxSteps;
+    }
+    const result = simulator.execute(code, input);
+    
+    const registers = {};
+    for (const [reg, { value, hex }] of Object.entries(simulator.getRegisterState())) {
+        registers[reg] = { value, hex };
+    }
+    const flags = {};
+    for (const flag of Object.keys(SimulatorClass.ARCHITECTURE.flags)) {
+        flags[flag] = Boolean(simulator.flags[flag]);
+    }
+    return {
+        arch,
+        success: result.success,
+        error: result.success ? null : result.error,
+        location: result.success ? null : simulator.sourceLocation(),
+        exitCode: result.exitCode,
+        steps: simulator.steps,
+        stdout: result.stdout,
+        registers,
+        flags
+    };
+}
+
+/**
+ * Program output, registers, flags and the outcome of a run as text
+ */
+function formatResult(result) {
+    let text = result.stdout;
+    if (text && !text.endsWith('\n')) {
+        text += '\n';
+    }
+    
+    const names = Object.keys(result.registers);
+    const width = Math.max(...names.map(name => name.length));
+    text += '=== Register ===\n';
+    for (const name of names) {
+        const { value, hex } = result.registers[name];
+        text += `${name.padEnd(width)} = ${hex} (${value})\n`;
+    }
+    if (Object.keys(result.flags).length > 0) {
+        text += '=== Flags ===\n';
+        text += Object.entries(result.flags).map(([flag, value]) => `${flag}=${value ? 1 : 0}`).join(' ') + '\n';
+    }
+    
+    text += `Ausgeführte Instruktionen: ${result.steps}\n`;
+    if (!result.success) {
+        text += '=== Programm mit Fehler abgebrochen ===\n';
+    } else if (result.exitCode !== null) {
+        text += `=== Programm beendet mit Exit-Code ${result.exitCode} ===\n`;
+    } else {
+        text += '=== Programm erfolgreich beendet ===\n';
+    }
+    return text;
+}
+
+/**
+ * Run the command line; returns the exit status
+ */
+function main(args) {
+    let options;
+    try {
+        options = parseArguments(args);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    
+    let input = '';
+    if (options.input !== null) {
+        try {
+            input = fs.readFileSync(options.input === '-' ? 0 : options.input, 'utf8');
+        } catch (error) {
+            process.stderr.write(`Eingabe nicht lesbar: ${options.input} (${error.message})\n`);
+            return 2;
+        }
+    }
+    
+    let failed = false;
+    for (const file of options.files) {
+        let code;
+        let result;
+        try {
+            code = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            // Unreadable files fail like programs, so every file has a result
+            result = {
+                arch: options.arch, success: false, error: `Datei nicht lesbar (${error.message})`, location: null,
+                exitCode: null, steps: 0, stdout: '', registers: {}, flags: {}
+            };
+        }
+        if (code !== undefined) {
+            result = runProgram(code, { arch: options.arch, maxSteps: options.maxSteps, input });
+        }
+        failed = failed || !result.success;
+        
+        if (!result.success) {
+            const location = result.location ? ` in ${result.location}` : '';
+            process.stderr.write(`${file}: ❌ FEHLER${location}: ${result.error}\n`);
+        }
+        if (options.json) {
+            process.stdout.write(JSON.stringify({ file, ...result }) + '\n');
+        } else if (Object.keys(result.registers).length > 0) {
+            const header = options.files.length > 1 ? `=== ${file} ===\n` : '';
+            process.stdout.write(header + formatResult(result));
+        }
+    }
+    return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+} else {
+    module.exports = { runProgram, parseArguments, formatResult };
+}
@@ -3,28 +3,33 @@
  * Simulates basic ARM64/Apple Silicon assembly instructions
  */
 
-class ARM64Simulator {
+class ARM64Simulator extends Simulator {
     constructor() {
+        super();
+        
+        // Base address of the code segment (Apple Silicon __TEXT default)
+        this.textBase = 0x100000000n;
+        
         this.reset();
     }
 
     reset() {
+        super.reset();
+        
         // Initialize 31 general purpose registers (X0-X30)
         this.registers = {};
         for (let i = 0; i < 31; i++) {
             this.registers[`X${i}`] = 0n;
         }
         
-        // Program Counter
+        // Program Counter (index into this.program)
         this.pc = 0;
+        this.nextPc = 0;
         
         // Stack Pointer
         this.sp = 0x7FFFFFF0n;
         this.registers['SP'] = this.sp;
         
-        // Link Register
-        this.registers['LR'] = 0n;
-        
         // Zero Register (always 0)
         this.registers['XZR'] = 0n;
         
@@ -36,152 +41,299 @@ class ARM64Simulator {
             V: false  // Overflow
         };
         
-        // Memory (simple implementation)
-        this.memory = new Map();
-        
-        // Output buffer
-        this.output = [];
-        
-        // Modified registers tracking
-        this.modifiedRegisters = new Set();
+        // Program indices whose instruction the encoder accepted (see checkEncodable())
+        this.encodable = new Set();
     }
 
-    // Parse immediate value (e.g., #42, #0x2A)
+    // Parse immediate value (e.g., #42, #0x2A, #'A', #(1 << 12) | 3, :lo12:label)
     parseImmediate(value) {
         if (typeof value === 'string') {
-            value = value.trim().replace('#', '');
-            if (value.startsWith('0x') || value.startsWith('0X')) {
-                return BigInt(parseInt(value, 16));
+            // Low 12 bits of a label address (:lo12:label or label@PAGEOFF)
+            const reloc = value.trim().match(/^#?(?::lo12:(.+)|(.+)@PAGEOFF)$/i);
+            if (reloc) {
+                return super.parseImmediate(reloc[1] || reloc[2]) & 0xFFFn;
             }
-            return BigInt(parseInt(value, 10));
+            value = value.trim().replace(/^#/, '');
         }
-        return BigInt(value);
+        return super.parseImmediate(value);
+    }
+
+    // Whether an operand is an immediate (#value or the low 12 bits of a label)
+    isImmediate(operand) {
+        return /^#|^:lo12:|@PAGEOFF$/i.test(operand.trim());
+    }
+
+    // Resolve register aliases (LR = X30, FP = X29)
+    normalizeRegister(reg) {
+        reg = reg.trim().toUpperCase();
+        if (reg === 'LR') return 'X30';
+        if (reg === 'FP') return 'X29';
+        return reg;
+    }
+
+    // 64-bit register behind a 32-bit W register (W5 → X5, WSP → SP), null for X registers
+    wideRegister(reg) {
+        const match = reg.match(/^W(\d+|SP)$/);
+        if (!match) return null;
+        const wide = match[1] === 'SP' ? 'SP' : `X${match[1]}`;
+        return this.registers.hasOwnProperty(wide) ? wide : null;
+    }
+
+    // Width of a register in bits (32 for W registers, 64 otherwise)
+    registerWidth(reg) {
+        return this.normalizeRegister(reg).startsWith('W') ? 32 : 64;
     }
 
     // Get register value
     getRegister(reg) {
-        reg = reg.trim().toUpperCase();
+        reg = this.normalizeRegister(reg);
         if (reg === 'XZR' || reg === 'WZR') {
             return 0n;
         }
         if (this.registers.hasOwnProperty(reg)) {
             return this.registers[reg];
         }
+        const wide = this.wideRegister(reg);
+        if (wide) {
+            return this.registers[wide] & 0xFFFFFFFFn;
+        }
         throw new Error(`Unbekanntes Register: ${reg}`);
     }
 
-    // Set register value
+    // Set register value (truncated to 64 bits; writes to W registers zero the upper 32 bits)
     setRegister(reg, value) {
-        reg = reg.trim().toUpperCase();
+        reg = this.normalizeRegister(reg);
         if (reg === 'XZR' || reg === 'WZR') {
             return; // Zero register is always 0
         }
         if (this.registers.hasOwnProperty(reg)) {
-            this.registers[reg] = BigInt(value);
+            this.logRegister(reg);
+            this.registers[reg] = BigInt(value) & ARM64Simulator.MASK64;
             this.modifiedRegisters.add(reg);
-        } else {
-            throw new Error(`Unbekanntes Register: ${reg}`);
+            return;
         }
+        const wide = this.wideRegister(reg);
+        if (wide) {
+            this.logRegister(wide);
+            this.registers[wide] = BigInt(value) & 0xFFFFFFFFn;
+            this.modifiedRegisters.add(wide);
+            return;
+        }
+        throw new Error(`Unbekanntes Register: ${reg}`);
     }
 
-    // Update flags based on result
-    updateFlags(result, operand1 = null, operand2 = null) {
-        result = BigInt(result);
-        this.flags.Z = result === 0n;
-        this.flags.N = result < 0n;
+    // Add with carry as defined by the architecture: returns the result truncated
+    // to the register width and the resulting NZCV flags
+    addWithCarry(x, y, carryIn, width = 64) {
+        const bits = BigInt(width);
+        const mask = (1n << bits) - 1n;
+        x &= mask;
+        y &= mask;
         
-        // Simplified carry and overflow detection
-        if (operand1 !== null && operand2 !== null) {
-            operand1 = BigInt(operand1);
-            operand2 = BigInt(operand2);
-            
-            // Carry flag for addition
-            const mask64 = (1n << 64n) - 1n;
-            this.flags.C = (operand1 + operand2) > mask64;
-            
-            // Overflow flag (simplified)
-            const sign1 = operand1 < 0n;
-            const sign2 = operand2 < 0n;
-            const signR = result < 0n;
-            this.flags.V = (sign1 === sign2) && (sign1 !== signR);
-        }
+        const unsignedSum = x + y + carryIn;
+        const signedSum = this.signExtend(x, width) + this.signExtend(y, width) + carryIn;
+        const result = unsignedSum & mask;
+        
+        return {
+            result,
+            flags: {
+                N: (result >> (bits - 1n)) === 1n,
+                Z: result === 0n,
+                C: result !== unsignedSum,
+                V: this.signExtend(result, width) !== signedSum
+            }
+        };
     }
 
-    // Execute single instruction
-    executeInstruction(instruction) {
-        instruction = instruction.trim();
-        
-        // Skip empty lines and comments
-        if (!instruction || instruction.startsWith('//') || instruction.startsWith(';')) {
-            return;
+    // Set N and Z from the result of a logical operation (C and V are cleared)
+    updateLogicFlags(result, width = 64) {
+        const bits = BigInt(width);
+        this.flags = {
+            N: ((result >> (bits - 1n)) & 1n) === 1n,
+            Z: (result & ((1n << bits) - 1n)) === 0n,
+            C: false,
+            V: false
+        };
+    }
+
+    // Shift amount from an immediate (0 to width-1) or a register (taken modulo width)
+    shiftAmount(src, width = 64) {
+        if (src.startsWith('#')) {
+            const shift = this.parseImmediate(src);
+            if (shift < 0n || shift >= BigInt(width)) {
+                throw new Error(`Shift-Wert außerhalb des Bereichs (0-${width - 1}): ${shift}`);
+            }
+            return Number(shift);
         }
+        return Number(this.getRegister(src) % BigInt(width));
+    }
 
-        // Remove inline comments
-        instruction = instruction.split('//')[0].split(';')[0].trim();
+    // Bit mask for a register width (32 or 64)
+    widthMask(width) {
+        return (1n << BigInt(width)) - 1n;
+    }
 
-        // Parse instruction
-        const parts = instruction.split(/[\s,]+/).filter(p => p);
-        if (parts.length === 0) return;
+    // Common width of the register operands of a data-processing instruction
+    // (immediates are ignored; mixing W and X registers is an error)
+    operandWidth(...operands) {
+        const regs = operands.filter(op => !this.isImmediate(op));
+        const width = this.registerWidth(regs[0]);
+        if (regs.some(reg => this.registerWidth(reg) !== width)) {
+            throw new Error(`Register unterschiedlicher Breite: ${regs.join(', ')}`);
+        }
+        return width;
+    }
 
-        const op = parts[0].toUpperCase();
+    // Execute an instruction given as mnemonic and operands
+    executeOperation(op, parts) {
+        this.checkEncodable(parts);
         
-        try {
-            switch (op) {
-                case 'MOV':
-                case 'MOVZ':
-                    this.executeMOV(parts);
-                    break;
-                    
-                case 'ADD':
-                    this.executeADD(parts);
-                    break;
-                    
-                case 'SUB':
-                    this.executeSUB(parts);
-                    break;
-                    
-                case 'MUL':
-                    this.executeMUL(parts);
-                    break;
-                    
-                case 'AND':
-                    this.executeAND(parts);
-                    break;
-                    
-                case 'ORR':
-                    this.executeORR(parts);
-                    break;
-                    
-                case 'EOR':
-                    this.executeEOR(parts);
-                    break;
-                    
-                case 'LSL':
-                    this.executeLSL(parts);
-                    break;
-                    
-                case 'LSR':
-                    this.executeLSR(parts);
-                    break;
-                    
-                case 'CMP':
-                    this.executeCMP(parts);
-                    break;
-                    
-                case 'NOP':
-                    // No operation
-                    break;
-                    
-                case 'RET':
-                    this.output.push('Programm beendet (RET)');
-                    return 'halt';
-                    
-                default:
-                    throw new Error(`Unbekannte Instruktion: ${op}`);
-            }
-        } catch (error) {
-            throw new Error(`Fehler bei '${instruction}': ${error.message}`);
+        // Conditional branches: B.EQ, B.NE, ... (and the short forms BEQ, BNE, ...)
+        const condMatch = op.match(/^B\.?(EQ|NE|CS|HS|CC|LO|MI|PL|VS|VC|HI|LS|GE|LT|GT|LE|AL|NV)$/);
+        if (condMatch) {
+            this.executeBranch(parts, condMatch[1]);
+            return;
+        }
+        
+        switch (op) {
+            case 'MOV':
+            case 'MOVZ':
+                this.executeMOV(parts);
+                break;
+                
+            case 'ADD':
+            case 'ADDS':
+                this.executeADD(parts, op === 'ADDS');
+                break;
+                
+            case 'SUB':
+            case 'SUBS':
+                this.executeSUB(parts, op === 'SUBS');
+                break;
+                
+            case 'ADC':
+            case 'ADCS':
+                this.executeADC(parts, op === 'ADCS');
+                break;
+                
+            case 'SBC':
+            case 'SBCS':
+                this.executeSBC(parts, op === 'SBCS');
+                break;
+                
+            case 'NEG':
+            case 'NEGS':
+                this.executeNEG(parts, op === 'NEGS');
+                break;
+                
+            case 'MUL':
+                this.executeMUL(parts);
+                break;
+                
+            case 'AND':
+            case 'ANDS':
+                this.executeAND(parts, op === 'ANDS');
+                break;
+                
+            case 'ORR':
+                this.executeORR(parts);
+                break;
+                
+            case 'EOR':
+                this.executeEOR(parts);
+                break;
+                
+            case 'LSL':
+                this.executeLSL(parts);
+                break;
+                
+            case 'LSR':
+                this.executeLSR(parts);
+                break;
+                
+            case 'CMP':
+            case 'CMN':
+                this.executeCMP(parts, op === 'CMN');
+                break;
+                
+            case 'TST':
+                this.executeTST(parts);
+                break;
+                
+            case 'B':
+                this.executeBranch(parts, null);
+                break;
+                
+            case 'BL':
+                this.executeBL(parts);
+                break;
+                
+            case 'CBZ':
+            case 'CBNZ':
+                this.executeCBZ(parts, op === 'CBNZ');
+                break;
+                
+            case 'TBZ':
+            case 'TBNZ':
+                this.executeTBZ(parts, op === 'TBNZ');
+                break;
+                
+            case 'LDR':
+            case 'LDRB':
+            case 'LDRH':
+            case 'LDRSB':
+            case 'LDRSH':
+            case 'LDRSW':
+            case 'LDUR':
+            case 'LDURB':
+            case 'LDURH':
+            case 'LDURSB':
+            case 'LDURSH':
+            case 'LDURSW':
+            case 'STR':
+            case 'STRB':
+            case 'STRH':
+            case 'STUR':
+            case 'STURB':
+            case 'STURH':
+                this.executeLoadStore(parts, op);
+                break;
+                
+            case 'LDP':
+            case 'STP':
+                this.executeLoadStorePair(parts, op);
+                break;
+                
+            case 'ADR':
+            case 'ADRP':
+                this.executeADR(parts, op === 'ADRP');
+                break;
+                
+            case 'SVC':
+                return this.executeSVC(parts);
+                
+            case 'NOP':
+                // No operation
+                break;
+                
+            case 'RET':
+                return this.executeRET(parts);
+                
+            default:
+                throw new Error(`Unbekannte Instruktion: ${op}`);
+        }
+    }
+
+    // Only instructions the encoder accepts are executed: extra operands
+    // (ADD X0, X1, X2, LSL #2) and immediates without an encoding
+    // (ADD X0, X1, #5000) are errors at run time as well. Each instruction of
+    // the program is checked once.
+    checkEncodable(parts) {
+        if (this.encodable.has(this.pc)) {
+            return;
         }
+        this.encodeInstruction(`${parts[0]} ${parts.slice(1).join(', ')}`);
+        this.encodable.add(this.pc);
     }
 
     executeMOV(parts) {
@@ -191,9 +343,10 @@ class ARM64Simulator {
         const dest = parts[1];
         const src = parts[2];
         
+        const width = this.operandWidth(dest, src);
         let value;
         if (src.startsWith('#')) {
-            value = this.parseImmediate(src);
+            value = this.parseImmediate(src) & this.widthMask(width);
         } else {
             value = this.getRegister(src);
         }
@@ -202,37 +355,102 @@ class ARM64Simulator {
         this.output.push(`MOV ${dest} ← ${value} (0x${value.toString(16)})`);
     }
 
-    executeADD(parts) {
+    executeADD(parts, setFlags) {
+        const op = setFlags ? 'ADDS' : 'ADD';
         if (parts.length < 4) {
-            throw new Error('ADD benötigt Ziel, Operand1 und Operand2');
+            throw new Error(`${op} benötigt Ziel, Operand1 und Operand2`);
         }
         const dest = parts[1];
         const src1 = parts[2];
         const src2 = parts[3];
         
+        const width = this.operandWidth(dest, src1, src2);
         const val1 = this.getRegister(src1);
-        const val2 = src2.startsWith('#') ? this.parseImmediate(src2) : this.getRegister(src2);
+        const val2 = this.isImmediate(src2) ? this.parseImmediate(src2) : this.getRegister(src2);
         
-        const result = val1 + val2;
+        const { result, flags } = this.addWithCarry(val1, val2, 0n, width);
         this.setRegister(dest, result);
-        this.output.push(`ADD ${dest} ← ${val1} + ${val2} = ${result} (0x${result.toString(16)})`);
+        if (setFlags) this.flags = flags;
+        this.output.push(`${op} ${dest} ← ${val1} + ${val2} = ${result} (0x${result.toString(16)})`);
     }
 
-    executeSUB(parts) {
+    executeSUB(parts, setFlags) {
+        const op = setFlags ? 'SUBS' : 'SUB';
         if (parts.length < 4) {
-            throw new Error('SUB benötigt Ziel, Operand1 und Operand2');
+            throw new Error(`${op} benötigt Ziel, Operand1 und Operand2`);
         }
         const dest = parts[1];
         const src1 = parts[2];
         const src2 = parts[3];
         
+        const width = this.operandWidth(dest, src1, src2);
         const val1 = this.getRegister(src1);
         const val2 = src2.startsWith('#') ? this.parseImmediate(src2) : this.getRegister(src2);
         
-        const result = val1 - val2;
+        // x - y = x + NOT(y) + 1
+        const { result, flags } = this.addWithCarry(val1, ~val2, 1n, width);
+        this.setRegister(dest, result);
+        if (setFlags) this.flags = flags;
+        this.output.push(`${op} ${dest} ← ${val1} - ${val2} = ${result} (0x${result.toString(16)})`);
+    }
+
+    executeADC(parts, setFlags) {
+        const op = setFlags ? 'ADCS' : 'ADC';
+        if (parts.length < 4) {
+            throw new Error(`${op} benötigt Ziel, Operand1 und Operand2`);
+        }
+        const dest = parts[1];
+        const src1 = parts[2];
+        const src2 = parts[3];
+        
+        const width = this.operandWidth(dest, src1, src2);
+        const val1 = this.getRegister(src1);
+        const val2 = this.getRegister(src2);
+        const carry = this.flags.C ? 1n : 0n;
+        
+        const { result, flags } = this.addWithCarry(val1, val2, carry, width);
         this.setRegister(dest, result);
-        this.updateFlags(result, val1, -val2);
-        this.output.push(`SUB ${dest} ← ${val1} - ${val2} = ${result} (0x${result.toString(16)})`);
+        if (setFlags) this.flags = flags;
+        this.output.push(`${op} ${dest} ← ${val1} + ${val2} + C(${carry}) = ${result} (0x${result.toString(16)})`);
+    }
+
+    executeSBC(parts, setFlags) {
+        const op = setFlags ? 'SBCS' : 'SBC';
+        if (parts.length < 4) {
+            throw new Error(`${op} benötigt Ziel, Operand1 und Operand2`);
+        }
+        const dest = parts[1];
+        const src1 = parts[2];
+        const src2 = parts[3];
+        
+        const width = this.operandWidth(dest, src1, src2);
+        const val1 = this.getRegister(src1);
+        const val2 = this.getRegister(src2);
+        const carry = this.flags.C ? 1n : 0n;
+        
+        // x - y - NOT(C) = x + NOT(y) + C
+        const { result, flags } = this.addWithCarry(val1, ~val2, carry, width);
+        this.setRegister(dest, result);
+        if (setFlags) this.flags = flags;
+        this.output.push(`${op} ${dest} ← ${val1} - ${val2} - ${1n - carry} = ${result} (0x${result.toString(16)})`);
+    }
+
+    executeNEG(parts, setFlags) {
+        const op = setFlags ? 'NEGS' : 'NEG';
+        if (parts.length < 3) {
+            throw new Error(`${op} benötigt Ziel und Quelle`);
+        }
+        const dest = parts[1];
+        const src = parts[2];
+        
+        const width = this.operandWidth(dest, src);
+        const val = this.getRegister(src);
+        
+        // NEG is SUB dest, XZR, src
+        const { result, flags } = this.addWithCarry(0n, ~val, 1n, width);
+        this.setRegister(dest, result);
+        if (setFlags) this.flags = flags;
+        this.output.push(`${op} ${dest} ← -${val} = ${result} (0x${result.toString(16)})`);
     }
 
     executeMUL(parts) {
@@ -243,29 +461,32 @@ class ARM64Simulator {
         const src1 = parts[2];
         const src2 = parts[3];
         
+        const width = this.operandWidth(dest, src1, src2);
         const val1 = this.getRegister(src1);
         const val2 = src2.startsWith('#') ? this.parseImmediate(src2) : this.getRegister(src2);
         
-        const result = val1 * val2;
+        const result = (val1 * val2) & this.widthMask(width);
         this.setRegister(dest, result);
         this.output.push(`MUL ${dest} ← ${val1} × ${val2} = ${result} (0x${result.toString(16)})`);
     }
 
-    executeAND(parts) {
+    executeAND(parts, setFlags) {
+        const op = setFlags ? 'ANDS' : 'AND';
         if (parts.length < 4) {
-            throw new Error('AND benötigt Ziel, Operand1 und Operand2');
+            throw new Error(`${op} benötigt Ziel, Operand1 und Operand2`);
         }
         const dest = parts[1];
         const src1 = parts[2];
         const src2 = parts[3];
         
+        const width = this.operandWidth(dest, src1, src2);
         const val1 = this.getRegister(src1);
         const val2 = src2.startsWith('#') ? this.parseImmediate(src2) : this.getRegister(src2);
         
-        const result = val1 & val2;
+        const result = val1 & val2 & this.widthMask(width);
         this.setRegister(dest, result);
-        this.updateFlags(result);
-        this.output.push(`AND ${dest} ← ${val1} & ${val2} = ${result} (0x${result.toString(16)})`);
+        if (setFlags) this.updateLogicFlags(result, width);
+        this.output.push(`${op} ${dest} ← ${val1} & ${val2} = ${result} (0x${result.toString(16)})`);
     }
 
     executeORR(parts) {
@@ -276,12 +497,12 @@ class ARM64Simulator {
         const src1 = parts[2];
         const src2 = parts[3];
         
+        const width = this.operandWidth(dest, src1, src2);
         const val1 = this.getRegister(src1);
         const val2 = src2.startsWith('#') ? this.parseImmediate(src2) : this.getRegister(src2);
         
-        const result = val1 | val2;
+        const result = (val1 | val2) & this.widthMask(width);
         this.setRegister(dest, result);
-        this.updateFlags(result);
         this.output.push(`ORR ${dest} ← ${val1} | ${val2} = ${result} (0x${result.toString(16)})`);
     }
 
@@ -293,12 +514,12 @@ class ARM64Simulator {
         const src1 = parts[2];
         const src2 = parts[3];
         
+        const width = this.operandWidth(dest, src1, src2);
         const val1 = this.getRegister(src1);
         const val2 = src2.startsWith('#') ? this.parseImmediate(src2) : this.getRegister(src2);
         
-        const result = val1 ^ val2;
+        const result = (val1 ^ val2) & this.widthMask(width);
         this.setRegister(dest, result);
-        this.updateFlags(result);
         this.output.push(`EOR ${dest} ← ${val1} ⊕ ${val2} = ${result} (0x${result.toString(16)})`);
     }
 
@@ -310,10 +531,11 @@ class ARM64Simulator {
         const src1 = parts[2];
         const src2 = parts[3];
         
+        const width = this.operandWidth(dest, src1, src2);
         const val1 = this.getRegister(src1);
-        const shift = src2.startsWith('#') ? Number(this.parseImmediate(src2)) : Number(this.getRegister(src2));
+        const shift = this.shiftAmount(src2, width);
         
-        const result = val1 << BigInt(shift);
+        const result = (val1 << BigInt(shift)) & this.widthMask(width);
         this.setRegister(dest, result);
         this.output.push(`LSL ${dest} ← ${val1} << ${shift} = ${result} (0x${result.toString(16)})`);
     }
@@ -326,76 +548,1548 @@ class ARM64Simulator {
         const src1 = parts[2];
         const src2 = parts[3];
         
+        const width = this.operandWidth(dest, src1, src2);
         const val1 = this.getRegister(src1);
-        const shift = src2.startsWith('#') ? Number(this.parseImmediate(src2)) : Number(this.getRegister(src2));
+        const shift = this.shiftAmount(src2, width);
         
         const result = val1 >> BigInt(shift);
         this.setRegister(dest, result);
         this.output.push(`LSR ${dest} ← ${val1} >> ${shift} = ${result} (0x${result.toString(16)})`);
     }
 
-    executeCMP(parts) {
+    executeCMP(parts, negate) {
+        const op = negate ? 'CMN' : 'CMP';
         if (parts.length < 3) {
-            throw new Error('CMP benötigt zwei Operanden');
+            throw new Error(`${op} benötigt zwei Operanden`);
         }
         const src1 = parts[1];
         const src2 = parts[2];
         
+        const width = this.operandWidth(src1, src2);
         const val1 = this.getRegister(src1);
         const val2 = src2.startsWith('#') ? this.parseImmediate(src2) : this.getRegister(src2);
         
-        const result = val1 - val2;
-        this.updateFlags(result, val1, -val2);
+        // CMP is SUBS XZR, CMN is ADDS XZR
+        const { flags } = negate ? this.addWithCarry(val1, val2, 0n, width) : this.addWithCarry(val1, ~val2, 1n, width);
+        this.flags = flags;
         
+        const { N, Z, C, V } = flags;
         let comparison = '';
-        if (result === 0n) comparison = 'gleich (==)';
-        else if (result > 0n) comparison = 'größer (>)';
-        else comparison = 'kleiner (<)';
+        if (!negate) {
+            // Signed comparison for the trace; the flags cover the unsigned view
+            const signed1 = this.signExtend(val1 & this.widthMask(width), width);
+            const signed2 = this.signExtend(val2 & this.widthMask(width), width);
+            if (signed1 === signed2) comparison = 'gleich (==), ';
+            else if (signed1 > signed2) comparison = 'größer (>), ';
+            else comparison = 'kleiner (<), ';
+        }
+        this.output.push(`${op} ${src1}(${val1}) vs ${src2}(${val2}): ${comparison}N=${+N} Z=${+Z} C=${+C} V=${+V}`);
+    }
+
+    executeTST(parts) {
+        if (parts.length < 3) {
+            throw new Error('TST benötigt zwei Operanden');
+        }
+        const src1 = parts[1];
+        const src2 = parts[2];
+        
+        const width = this.operandWidth(src1, src2);
+        const val1 = this.getRegister(src1);
+        const val2 = src2.startsWith('#') ? this.parseImmediate(src2) : this.getRegister(src2);
         
-        this.output.push(`CMP ${src1}(${val1}) vs ${src2}(${val2}): ${comparison}`);
+        // TST is ANDS XZR
+        const result = val1 & val2 & this.widthMask(width);
+        this.updateLogicFlags(result, width);
+        this.output.push(`TST ${src1}(${val1}) & ${src2}(${val2}) = ${result} (0x${result.toString(16)})`);
     }
 
-    // Execute program
-    execute(code) {
-        this.reset();
+    // Sign-extend a value of the given bit width
+    signExtend(value, bits) {
+        const sign = 1n << BigInt(bits - 1);
+        return (value & sign) ? value - (sign << 1n) : value;
+    }
+
+    // Decode a memory operand into its addressing form.
+    // Supports [Xn], [Xn, #imm], [Xn, #imm]! (pre-index), [Xn], #imm (post-index)
+    // and [Xn, Xm{, LSL #s}] / [Xn, Wm, UXTW|SXTW {#s}] / [Xn, Xm, SXTX {#s}] (register offset).
+    // Returns { base, form, offset, index } with form 'offset', 'pre', 'post' or 'register'.
+    decodeAddress(operand, postIndex, size, mode) {
+        const match = operand ? operand.trim().match(/^\[([^\]]*)\](!?)$/) : null;
+        if (!match) {
+            throw new Error(`Ungültige Speicheradresse: ${operand}`);
+        }
+        const items = match[1].split(',').map(p => p.trim()).filter(p => p);
+        const preIndex = match[2] === '!';
+        const base = items[0];
+        
+        if (!base || /^(XZR|WZR)$/i.test(base) || this.registerWidth(base) !== 64) {
+            throw new Error(`Basisregister muss ein X-Register oder SP sein: ${base}`);
+        }
+        if (postIndex !== undefined && (preIndex || items.length > 1)) {
+            throw new Error(`Post-Index erlaubt nur [Xn], #imm: ${operand}`);
+        }
+        
+        if (postIndex !== undefined || (items.length > 1 && this.isImmediate(items[1]))) {
+            const offset = this.parseImmediate(postIndex !== undefined ? postIndex : items[1]);
+            if (items.length > 2) {
+                throw new Error(`Zu viele Operanden in Adresse: ${operand}`);
+            }
+            const form = postIndex !== undefined ? 'post' : preIndex ? 'pre' : 'offset';
+            this.checkOffset(offset, size, mode, form !== 'offset');
+            return { base, form, offset };
+        }
+        if (items.length > 1) {
+            if (preIndex || mode !== 'scaled') {
+                throw new Error(`Registeroffset ist hier nicht erlaubt: ${operand}`);
+            }
+            if (items.length > 3) {
+                throw new Error(`Zu viele Operanden in Adresse: ${operand}`);
+            }
+            return { base, form: 'register', offset: 0n, index: this.decodeIndex(items[1], items[2], size) };
+        }
+        return { base, form: preIndex ? 'pre' : 'offset', offset: 0n };
+    }
+
+    // Compute the effective address of a memory operand (see decodeAddress).
+    // Returns { address, base, writeback } where writeback is the new base value or null.
+    parseAddress(operand, postIndex, size, mode) {
+        const { base, form, offset, index } = this.decodeAddress(operand, postIndex, size, mode);
+        const baseValue = this.getRegister(base);
+        
+        // SP must be 16-byte aligned when used as base register
+        if (this.normalizeRegister(base) === 'SP' && baseValue % 16n !== 0n) {
+            throw new Error(`SP ist nicht 16-Byte ausgerichtet: 0x${baseValue.toString(16)}`);
+        }
+        
+        const displacement = index ? this.indexValue(index) : offset;
+        const updated = (baseValue + displacement) & ARM64Simulator.MASK64;
+        if (form === 'post') {
+            return { address: baseValue, base, writeback: updated };
+        }
+        return { address: updated, base, writeback: form === 'pre' ? updated : null };
+    }
+
+    // Check an immediate offset against the encodable range of the addressing form
+    checkOffset(offset, size, mode, indexed) {
+        const sizeN = BigInt(size);
+        if (mode === 'pair') {
+            // LDP/STP: signed 7-bit offset scaled by the access size
+            if (offset % sizeN !== 0n || offset < -64n * sizeN || offset > 63n * sizeN) {
+                throw new Error(`Offset ${offset} ungültig (Vielfaches von ${size} im Bereich ${-64 * size}..${63 * size})`);
+            }
+        } else if (mode === 'unscaled' || indexed) {
+            // LDUR/STUR and pre/post-index: signed 9-bit offset
+            if (offset < -256n || offset > 255n) {
+                throw new Error(`Offset ${offset} ungültig (Bereich -256..255)`);
+            }
+        } else if (!(offset >= -256n && offset <= 255n) &&
+                   !(offset >= 0n && offset % sizeN === 0n && offset <= 4095n * sizeN)) {
+            // LDR/STR: unsigned 12-bit scaled offset, or unscaled 9-bit offset (LDUR)
+            throw new Error(`Offset ${offset} ungültig (-256..255 oder Vielfaches von ${size} bis ${4095 * size})`);
+        }
+    }
+
+    // Index register with optional extend/shift (e.g. X2, LSL #3 / W2, SXTW #2).
+    // Returns { reg, kind, amount, explicit } (explicit: the amount was written out)
+    decodeIndex(reg, extend, size) {
+        const width = this.registerWidth(reg);
+        let kind = width === 32 ? null : 'LSL';
+        let amount = 0n;
+        let explicit = false;
+        
+        if (extend) {
+            const match = extend.match(/^(LSL|UXTW|SXTW|SXTX)\s*(?:#(\S+))?$/i);
+            if (!match) {
+                throw new Error(`Ungültige Erweiterung: ${extend}`);
+            }
+            kind = match[1].toUpperCase();
+            if (kind === 'LSL' && match[2] === undefined) {
+                throw new Error('LSL benötigt einen Shift-Wert');
+            }
+            explicit = match[2] !== undefined;
+            amount = explicit ? this.parseImmediate(match[2]) : 0n;
+        }
+        
+        if (width === 32 && kind !== 'UXTW' && kind !== 'SXTW') {
+            throw new Error(`W-Indexregister benötigt UXTW oder SXTW: ${reg}`);
+        }
+        if (width === 64 && (kind === 'UXTW' || kind === 'SXTW')) {
+            throw new Error(`${kind} benötigt ein W-Indexregister: ${reg}`);
+        }
+        
+        const scale = BigInt(Math.log2(size));
+        if (amount !== 0n && amount !== scale) {
+            throw new Error(`Shift-Wert muss 0 oder ${scale} sein: #${amount}`);
+        }
+        return { reg, kind, amount, explicit };
+    }
+
+    // Value of a decoded index register after extension and shift
+    indexValue(index) {
+        let value = this.getRegister(index.reg);
+        if (index.kind === 'SXTW') value = this.signExtend(value, 32);
+        if (index.kind === 'SXTX') value = this.signExtend(value, 64);
+        return value << index.amount;
+    }
+
+    // Variant, register width and access size of a load/store instruction
+    loadStoreAccess(parts, op) {
+        if (parts.length < 3) {
+            throw new Error(`${op} benötigt Register und Adresse`);
+        }
+        const info = ARM64Simulator.LOAD_STORE[op];
+        const reg = parts[1];
+        const width = this.registerWidth(reg);
+        const size = info.size || width / 8;
+        
+        if (info.regWidth && info.regWidth !== width) {
+            throw new Error(`${op} benötigt ein ${info.regWidth === 32 ? 'W' : 'X'}-Register: ${reg}`);
+        }
+        if (info.unscaled && (parts.length > 3 || parts[2].endsWith('!'))) {
+            throw new Error(`${op} unterstützt keinen Writeback (Pre-/Post-Index)`);
+        }
+        return { info, reg, width, size };
+    }
+
+    executeLoadStore(parts, op) {
+        const { info, reg, width, size } = this.loadStoreAccess(parts, op);
+        const { address, base, writeback } = this.parseAddress(parts[2], parts[3], size, info.unscaled ? 'unscaled' : 'scaled');
+        if (info.load && writeback !== null && this.normalizeRegister(base) === this.normalizeRegister(reg).replace(/^W/, 'X')) {
+            throw new Error(`Writeback auf das Zielregister ist nicht erlaubt: ${reg}`);
+        }
+        
+        if (info.load) {
+            let value = this.readMemory(address, size);
+            if (info.signed) {
+                value = this.signExtend(value, size * 8) & ((1n << BigInt(width)) - 1n);
+            }
+            this.setRegister(reg, value);
+            this.output.push(`${op} ${reg} ← [0x${address.toString(16)}] = ${value} (0x${value.toString(16)})`);
+        } else {
+            const value = this.getRegister(reg) & ((1n << BigInt(size * 8)) - 1n);
+            this.writeMemory(address, value, size);
+            this.output.push(`${op} ${reg} → [0x${address.toString(16)}] = ${value} (0x${value.toString(16)})`);
+        }
+        
+        if (writeback !== null) {
+            this.setRegister(base, writeback);
+        }
+    }
+
+    executeLoadStorePair(parts, op) {
+        if (parts.length < 4) {
+            throw new Error(`${op} benötigt zwei Register und eine Adresse`);
+        }
+        const reg1 = parts[1];
+        const reg2 = parts[2];
+        const width = this.registerWidth(reg1);
+        const size = width / 8;
+        
+        if (this.registerWidth(reg2) !== width) {
+            throw new Error(`${op} benötigt zwei Register gleicher Breite: ${reg1}, ${reg2}`);
+        }
+        
+        const { address, base, writeback } = this.parseAddress(parts[3], parts[4], size, 'pair');
+        const address2 = address + BigInt(size);
+        
+        if (op === 'LDP') {
+            if (this.normalizeRegister(reg1) === this.normalizeRegister(reg2)) {
+                throw new Error(`LDP mit identischen Zielregistern ist nicht erlaubt: ${reg1}`);
+            }
+            const wideBase = this.normalizeRegister(base);
+            if (writeback !== null && [reg1, reg2].some(r => this.normalizeRegister(r).replace(/^W/, 'X') === wideBase)) {
+                throw new Error(`Writeback auf ein Zielregister ist nicht erlaubt: ${base}`);
+            }
+            const value1 = this.readMemory(address, size);
+            const value2 = this.readMemory(address2, size);
+            this.setRegister(reg1, value1);
+            this.setRegister(reg2, value2);
+            this.output.push(`LDP ${reg1}, ${reg2} ← [0x${address.toString(16)}] = ${value1}, ${value2}`);
+        } else {
+            const mask = (1n << BigInt(width)) - 1n;
+            const value1 = this.getRegister(reg1) & mask;
+            const value2 = this.getRegister(reg2) & mask;
+            this.writeMemory(address, value1, size);
+            this.writeMemory(address2, value2, size);
+            this.output.push(`STP ${reg1}, ${reg2} → [0x${address.toString(16)}] = ${value1}, ${value2}`);
+        }
+        
+        if (writeback !== null) {
+            this.setRegister(base, writeback);
+        }
+    }
+
+    // Check a condition code against the current flags
+    conditionHolds(cond) {
+        const { N, Z, C, V } = this.flags;
+        switch (cond) {
+            case 'EQ': return Z;
+            case 'NE': return !Z;
+            case 'CS':
+            case 'HS': return C;
+            case 'CC':
+            case 'LO': return !C;
+            case 'MI': return N;
+            case 'PL': return !N;
+            case 'VS': return V;
+            case 'VC': return !V;
+            case 'HI': return C && !Z;
+            case 'LS': return !C || Z;
+            case 'GE': return N === V;
+            case 'LT': return N !== V;
+            case 'GT': return !Z && N === V;
+            case 'LE': return Z || N !== V;
+            case 'AL':
+            case 'NV': return true;
+            default:
+                throw new Error(`Unbekannte Bedingung: ${cond}`);
+        }
+    }
+
+    executeBranch(parts, cond) {
+        const name = cond ? `B.${cond}` : 'B';
+        if (parts.length < 2) {
+            throw new Error(`${name} benötigt ein Sprungziel`);
+        }
+        const label = parts[1];
+        const target = this.resolveLabel(label);
+        
+        if (!cond || this.conditionHolds(cond)) {
+            this.nextPc = target;
+            this.output.push(`${name} → ${label}${cond ? ' (Sprung genommen)' : ''}`);
+        } else {
+            this.output.push(`${name} → ${label} (nicht genommen)`);
+        }
+    }
+
+    executeBL(parts) {
+        if (parts.length < 2) {
+            throw new Error('BL benötigt ein Sprungziel');
+        }
+        const label = parts[1];
+        const target = this.resolveLabel(label);
+        const returnAddress = this.nextAddress(this.pc);
+        
+        this.setRegister('LR', returnAddress);
+        this.nextPc = target;
+        this.output.push(`BL → ${label} (LR ← 0x${returnAddress.toString(16)})`);
+    }
+
+    // ADR Xd, label (PC-relative, ±1 MB) / ADRP Xd, label@PAGE (4 KB page, ±4 GB)
+    executeADR(parts, page) {
+        const op = page ? 'ADRP' : 'ADR';
+        if (parts.length !== 3) {
+            throw new Error(`${op} benötigt Zielregister und Label`);
+        }
+        const dest = parts[1];
+        if (this.registerWidth(dest) !== 64 || this.normalizeRegister(dest) === 'SP') {
+            throw new Error(`${op} benötigt ein X-Register als Ziel: ${dest}`);
+        }
+        
+        const label = page ? parts[2].replace(/@PAGE$/i, '') : parts[2];
+        const pcAddress = this.addressOf(this.pc);
+        let value = this.addressOperand(label);
+        let offset = value - pcAddress;
+        if (page) {
+            value &= ~0xFFFn;
+            offset = value - (pcAddress & ~0xFFFn);
+        }
+        
+        const range = page ? 1n << 32n : 1n << 20n;
+        if (offset < -range || offset >= range) {
+            throw new Error(`${op}: Label '${label}' ist außerhalb der Reichweite (±${page ? '4 GB' : '1 MB'})`);
+        }
+        
+        this.setRegister(dest, value);
+        this.output.push(`${op} ${dest} ← ${parts[2]} = 0x${value.toString(16)}`);
+    }
+
+    // SVC #0x80: Darwin system call with the number in X16 and the arguments in
+    // X0-X2; the result is returned in X0, the carry flag signals an error
+    executeSVC(parts) {
+        if (parts.length !== 2 || ![0x80n, 0n].includes(this.parseImmediate(parts[1]))) {
+            throw new Error('SVC erwartet #0x80 (Systemaufruf, Nummer in X16)');
+        }
+        const number = this.getRegister('X16');
+        const name = ARM64Simulator.SYSCALLS[number];
+        if (!name) {
+            throw new Error(`Unbekannter Systemaufruf: X16 = ${number}`);
+        }
+        const [arg0, arg1, arg2] = ['X0', 'X1', 'X2'].map(reg => this.getRegister(reg));
+        if (name === 'read' && this.needsInput(arg0)) {
+            return 'input';
+        }
+        
+        if (name === 'exit') {
+            this.exitCode = Number(arg0 & 0xFFn);
+            this.output.push(`SVC #0x80: exit(${this.exitCode})`);
+            return 'halt';
+        }
+        
+        const { value, error } = name === 'write'
+            ? this.sysWrite(arg0, arg1, arg2)
+            : this.sysRead(arg0, arg1, arg2);
+        this.setRegister('X0', error === undefined ? value : BigInt(error));
+        this.flags = { ...this.flags, C: error !== undefined };
         
-        const lines = code.split('\n');
+        const result = error === undefined ? `${value}` : `Fehler ${error}`;
+        this.output.push(`SVC #0x80: ${name}(${arg0}, 0x${arg1.toString(16)}, ${arg2}) = ${result}`);
+    }
+
+    executeCBZ(parts, nonZero) {
+        const name = nonZero ? 'CBNZ' : 'CBZ';
+        if (parts.length < 3) {
+            throw new Error(`${name} benötigt Register und Sprungziel`);
+        }
+        const reg = parts[1];
+        const label = parts[2];
+        const target = this.resolveLabel(label);
+        const value = this.getRegister(reg);
         
-        this.output.push('=== Programm Start ===\n');
+        if ((value !== 0n) === nonZero) {
+            this.nextPc = target;
+            this.output.push(`${name} ${reg}(${value}) → ${label} (Sprung genommen)`);
+        } else {
+            this.output.push(`${name} ${reg}(${value}) → ${label} (nicht genommen)`);
+        }
+    }
+
+    executeTBZ(parts, nonZero) {
+        const name = nonZero ? 'TBNZ' : 'TBZ';
+        if (parts.length < 4) {
+            throw new Error(`${name} benötigt Register, Bitnummer und Sprungziel`);
+        }
+        const reg = parts[1];
+        const bit = this.parseImmediate(parts[2]);
+        const label = parts[3];
+        const width = this.registerWidth(reg);
+        if (bit < 0n || bit >= BigInt(width)) {
+            throw new Error(`Bitnummer außerhalb des Bereichs (0-${width - 1}): ${bit}`);
+        }
+        const target = this.resolveLabel(label);
+        const bitSet = ((this.getRegister(reg) >> bit) & 1n) === 1n;
         
-        try {
-            for (let i = 0; i < lines.length; i++) {
-                this.pc = i;
-                const result = this.executeInstruction(lines[i]);
-                if (result === 'halt') {
-                    break;
+        if (bitSet === nonZero) {
+            this.nextPc = target;
+            this.output.push(`${name} ${reg}[${bit}]=${bitSet ? 1 : 0} → ${label} (Sprung genommen)`);
+        } else {
+            this.output.push(`${name} ${reg}[${bit}]=${bitSet ? 1 : 0} → ${label} (nicht genommen)`);
+        }
+    }
+
+    executeRET(parts) {
+        const reg = parts.length > 1 ? parts[1] : 'LR';
+        if (this.registerWidth(reg) !== 64) {
+            throw new Error(`RET benötigt ein X-Register: ${reg}`);
+        }
+        const address = this.getRegister(reg);
+        
+        // Returning to address 0 (no caller) ends the program
+        if (address === 0n) {
+            this.output.push('Programm beendet (RET)');
+            return 'halt';
+        }
+        
+        this.nextPc = this.indexOfAddress(address);
+        this.output.push(`RET → 0x${address.toString(16)}`);
+    }
+
+    // Encode a single instruction as a 32-bit word (same syntax as executeInstruction)
+    encodeInstruction(instruction) {
+        const parts = this.splitOperands(instruction.trim());
+        const op = parts[0].toUpperCase();
+        
+        const condMatch = op.match(/^B\.?(EQ|NE|CS|HS|CC|LO|MI|PL|VS|VC|HI|LS|GE|LT|GT|LE|AL|NV)$/);
+        if (condMatch) {
+            return this.encodeBranch(parts, condMatch[1]);
+        }
+        
+        switch (op) {
+            case 'MOV':
+            case 'MOVZ':
+                return this.encodeMOV(parts, op);
+            case 'ADD':
+            case 'ADDS':
+            case 'SUB':
+            case 'SUBS':
+                this.checkOperands(parts, 3);
+                return this.encodeAddSub(parts, op);
+            case 'ADC':
+            case 'ADCS':
+            case 'SBC':
+            case 'SBCS':
+                return this.encodeAddSubCarry(parts, op);
+            case 'NEG':
+            case 'NEGS':
+                // NEG is SUB Xd, XZR, Xm
+                this.checkOperands(parts, 2);
+                return this.encodeAddSub([op, parts[1], this.zeroRegister(parts[1]), parts[2]], op === 'NEG' ? 'SUB' : 'SUBS');
+            case 'MUL':
+                return this.encodeMUL(parts);
+            case 'AND':
+            case 'ANDS':
+            case 'ORR':
+            case 'EOR':
+                this.checkOperands(parts, 3);
+                return this.encodeLogical(parts, op);
+            case 'LSL':
+            case 'LSR':
+                return this.encodeShift(parts, op);
+            case 'CMP':
+            case 'CMN':
+                // CMP is SUBS XZR, CMN is ADDS XZR
+                this.checkOperands(parts, 2);
+                return this.encodeAddSub([op, this.zeroRegister(parts[1]), parts[1], parts[2]], op === 'CMP' ? 'SUBS' : 'ADDS');
+            case 'TST':
+                // TST is ANDS XZR
+                this.checkOperands(parts, 2);
+                return this.encodeLogical([op, this.zeroRegister(parts[1]), parts[1], parts[2]], 'ANDS');
+            case 'B':
+                return this.encodeBranch(parts, null);
+            case 'BL':
+                this.checkOperands(parts, 1);
+                return (0x94000000 | this.branchOffset(parts[1], 26)) >>> 0;
+            case 'CBZ':
+            case 'CBNZ':
+                return this.encodeCBZ(parts, op === 'CBNZ');
+            case 'TBZ':
+            case 'TBNZ':
+                return this.encodeTBZ(parts, op === 'TBNZ');
+            case 'LDR':
+            case 'LDRB':
+            case 'LDRH':
+            case 'LDRSB':
+            case 'LDRSH':
+            case 'LDRSW':
+            case 'LDUR':
+            case 'LDURB':
+            case 'LDURH':
+            case 'LDURSB':
+            case 'LDURSH':
+            case 'LDURSW':
+            case 'STR':
+            case 'STRB':
+            case 'STRH':
+            case 'STUR':
+            case 'STURB':
+            case 'STURH':
+                return this.encodeLoadStore(parts, op);
+            case 'LDP':
+            case 'STP':
+                return this.encodeLoadStorePair(parts, op);
+            case 'ADR':
+            case 'ADRP':
+                return this.encodeADR(parts, op === 'ADRP');
+            case 'SVC': {
+                this.checkOperands(parts, 1);
+                const imm = this.parseImmediate(parts[1]);
+                if (imm < 0n || imm > 0xFFFFn) {
+                    throw new Error(`SVC-Nummer außerhalb des Bereichs (0-65535): ${imm}`);
                 }
+                return (0xD4000001 | Number(imm) << 5) >>> 0;
             }
-            this.output.push('\n=== Programm erfolgreich beendet ===');
-            return { success: true, output: this.output.join('\n') };
-        } catch (error) {
-            this.output.push(`\n❌ FEHLER in Zeile ${this.pc + 1}: ${error.message}`);
-            return { success: false, output: this.output.join('\n'), error: error.message };
+            case 'NOP':
+                this.checkOperands(parts, 0);
+                return 0xD503201F;
+            case 'RET':
+                if (parts.length > 2) {
+                    throw new Error('RET erwartet höchstens ein Register');
+                }
+                return (0xD65F0000 | this.registerNumber(parts[1] || 'LR') << 5) >>> 0;
+            default:
+                throw new Error(`Unbekannte Instruktion: ${op}`);
         }
     }
 
-    // Get register state
-    getRegisterState() {
-        const state = {};
-        for (const [reg, value] of Object.entries(this.registers)) {
-            if (reg !== 'XZR') {
-                state[reg] = {
-                    value: value.toString(),
-                    hex: '0x' + value.toString(16).padStart(16, '0').toUpperCase(),
-                    modified: this.modifiedRegisters.has(reg)
-                };
+    // Check the number of operands of an instruction to encode
+    checkOperands(parts, count) {
+        const extra = parts[count + 1];
+        if (extra && /^(LSL|LSR|ASR|ROR|[SU]XT[BHWX])\b/i.test(extra)) {
+            throw new Error(`${parts[0].toUpperCase()}: verschobene oder erweiterte Operanden (${extra}) werden nicht unterstützt`);
+        }
+        if (parts.length - 1 !== count) {
+            throw new Error(`${parts[0].toUpperCase()} erwartet ${count} Operanden`);
+        }
+    }
+
+    // Register number in an instruction encoding. Number 31 is either SP or the
+    // zero register, depending on the operand position.
+    registerNumber(reg, stackPointer = false) {
+        const name = this.normalizeRegister(reg);
+        if (name === 'SP' || name === 'WSP') {
+            if (!stackPointer) {
+                throw new Error(`${reg} ist an dieser Stelle nicht erlaubt`);
             }
+            return 31;
         }
-        return state;
+        if (name === 'XZR' || name === 'WZR') {
+            if (stackPointer) {
+                throw new Error(`${reg} ist an dieser Stelle nicht erlaubt (Register 31 ist hier SP)`);
+            }
+            return 31;
+        }
+        const match = name.match(/^[XW](\d+)$/);
+        if (!match || Number(match[1]) > 30) {
+            throw new Error(`Unbekanntes Register: ${reg}`);
+        }
+        return Number(match[1]);
+    }
+
+    // Whether a register operand is SP or WSP
+    isStackPointer(reg) {
+        return /^W?SP$/.test(this.normalizeRegister(reg));
+    }
+
+    // Zero register of the same width as a register operand
+    zeroRegister(reg) {
+        return reg && this.registerWidth(reg) === 32 ? 'WZR' : 'XZR';
+    }
+
+    // Size bit (sf) of a data-processing encoding
+    sizeFlag(width) {
+        return width === 64 ? 0x80000000 : 0;
+    }
+
+    // Signed word offset from the current instruction to a label in a branch field of the given width
+    branchOffset(label, bits) {
+        const distance = this.branchAddress(label) - this.addressOf(this.pc);
+        if (distance % 4n !== 0n) {
+            throw new Error(`Sprungziel '${label}' ist nicht auf 4 Bytes ausgerichtet`);
+        }
+        const offset = Number(distance / 4n);
+        const range = 2 ** (bits - 1);
+        if (offset < -range || offset >= range) {
+            throw new Error(`Sprungziel '${label}' ist außerhalb der Reichweite (±${range * 4} Bytes)`);
+        }
+        return offset & (2 * range - 1);
+    }
+
+    // 16-bit chunk and position (hw) that form a value on their own (MOVZ), null if there is none
+    wideImmediate(value, width) {
+        for (let hw = 0; hw < width / 16; hw++) {
+            const shift = BigInt(hw * 16);
+            if ((value & ~(0xFFFFn << shift)) === 0n) {
+                return { hw, imm16: Number(value >> shift) };
+            }
+        }
+        return null;
+    }
+
+    // Logical immediate (N:immr:imms): a rotated run of ones, repeated in elements
+    // of 2 to 64 bits. Returns null if the value cannot be encoded this way.
+    bitmaskImmediate(value, width) {
+        const mask = this.widthMask(width);
+        value &= mask;
+        if (value === 0n || value === mask) {
+            return null;
+        }
+        
+        // Smallest element the value is a repetition of
+        let size = width;
+        while (size > 2) {
+            const half = BigInt(size / 2);
+            const halfMask = (1n << half) - 1n;
+            if ((value & halfMask) !== ((value >> half) & halfMask)) break;
+            size /= 2;
+        }
+        
+        const elementMask = (1n << BigInt(size)) - 1n;
+        const element = value & elementMask;
+        const ones = element.toString(2).split('1').length - 1;
+        const run = (1n << BigInt(ones)) - 1n;
+        for (let rotation = 0; rotation < size; rotation++) {
+            const rotated = ((run >> BigInt(rotation)) | (run << BigInt(size - rotation))) & elementMask;
+            if (rotated === element) {
+                const imms = (~(size * 2 - 1) & 0x3F) | (ones - 1);
+                return (size === 64 ? 1 : 0) << 12 | rotation << 6 | imms;
+            }
+        }
+        return null;
+    }
+
+    // MOV Xd, #imm picks MOVZ, MOVN or ORR with a bitmask like the assembler;
+    // MOV between registers is ORR Xd, XZR, Xm (ADD Xd, Xn, #0 with SP)
+    encodeMOV(parts, op) {
+        this.checkOperands(parts, 2);
+        const [, dest, src] = parts;
+        const width = this.operandWidth(dest, src);
+        const sf = this.sizeFlag(width);
+        
+        if (!src.startsWith('#')) {
+            if (op === 'MOVZ') {
+                throw new Error('MOVZ benötigt einen Immediate-Wert');
+            }
+            if (this.isStackPointer(dest) || this.isStackPointer(src)) {
+                return (sf | 0x11000000 | this.registerNumber(src, true) << 5 | this.registerNumber(dest, true)) >>> 0;
+            }
+            return (sf | 0x2A0003E0 | this.registerNumber(src) << 16 | this.registerNumber(dest)) >>> 0;
+        }
+        
+        const value = this.parseImmediate(src) & this.widthMask(width);
+        const movz = this.wideImmediate(value, width);
+        const movn = this.wideImmediate(~value & this.widthMask(width), width);
+        if (op === 'MOVZ' && !movz) {
+            throw new Error(`MOVZ: ${src} ist kein (verschobener) 16-Bit-Wert`);
+        }
+        if (!this.isStackPointer(dest)) {
+            if (movz) {
+                return (sf | 0x52800000 | movz.hw << 21 | movz.imm16 << 5 | this.registerNumber(dest)) >>> 0;
+            }
+            if (movn) {
+                return (sf | 0x12800000 | movn.hw << 21 | movn.imm16 << 5 | this.registerNumber(dest)) >>> 0;
+            }
+        }
+        const bitmask = this.bitmaskImmediate(value, width);
+        if (bitmask === null) {
+            throw new Error(`MOV: ${src} ist nicht in einer Instruktion kodierbar (MOVZ, MOVN oder Bitmaske)`);
+        }
+        return (sf | 0x32000000 | bitmask << 10 | 31 << 5 | this.registerNumber(dest, true)) >>> 0;
+    }
+
+    // ADD/ADDS/SUB/SUBS with a 12-bit immediate (optionally LSL #12), a shifted
+    // register or, when SP is involved, an extended register (UXTX/UXTW)
+    encodeAddSub(parts, op) {
+        const [, dest, src1, src2] = parts;
+        const width = this.operandWidth(dest, src1, src2);
+        const setFlags = op.endsWith('S');
+        let subtract = op.startsWith('SUB');
+        const rd = (stackPointer) => this.registerNumber(dest, stackPointer && !setFlags);
+        
+        if (this.isImmediate(src2)) {
+            let value = this.parseImmediate(src2);
+            // A negative immediate turns ADD into SUB and vice versa (as in the assembler)
+            if (value < 0n) {
+                value = -value;
+                subtract = !subtract;
+            }
+            let shift = 0;
+            if (value > 0xFFFn && (value & 0xFFFn) === 0n) {
+                value >>= 12n;
+                shift = 1;
+            }
+            if (value > 0xFFFn) {
+                throw new Error(`Immediate ${src2} ist nicht kodierbar (0-4095, optional mit LSL #12)`);
+            }
+            return (this.sizeFlag(width) | (subtract ? 0x40000000 : 0) | (setFlags ? 0x20000000 : 0) | 0x11000000 |
+                shift << 22 | Number(value) << 10 | this.registerNumber(src1, true) << 5 | rd(true)) >>> 0;
+        }
+        
+        const base = this.sizeFlag(width) | (subtract ? 0x40000000 : 0) | (setFlags ? 0x20000000 : 0) | this.registerNumber(src2) << 16;
+        if (this.isStackPointer(dest) || this.isStackPointer(src1)) {
+            const option = width === 64 ? 3 : 2;
+            return (base | 0x0B200000 | option << 13 | this.registerNumber(src1, true) << 5 | rd(true)) >>> 0;
+        }
+        return (base | 0x0B000000 | this.registerNumber(src1) << 5 | rd(false)) >>> 0;
+    }
+
+    encodeAddSubCarry(parts, op) {
+        this.checkOperands(parts, 3);
+        const [, dest, src1, src2] = parts;
+        const width = this.operandWidth(dest, src1, src2);
+        const opcode = { ADC: 0x1A000000, ADCS: 0x3A000000, SBC: 0x5A000000, SBCS: 0x7A000000 }[op];
+        return (this.sizeFlag(width) | opcode | this.registerNumber(src2) << 16 |
+            this.registerNumber(src1) << 5 | this.registerNumber(dest)) >>> 0;
     }
 
-    // Get flags state
-    getFlagsState() {
-        return { ...this.flags };
+    // MUL is MADD Xd, Xn, Xm, XZR
+    encodeMUL(parts) {
+        this.checkOperands(parts, 3);
+        const [, dest, src1, src2] = parts;
+        const width = this.operandWidth(dest, src1, src2);
+        if (src2.startsWith('#')) {
+            throw new Error('MUL mit Immediate-Wert ist nicht kodierbar (nur Register)');
+        }
+        return (this.sizeFlag(width) | 0x1B007C00 | this.registerNumber(src2) << 16 |
+            this.registerNumber(src1) << 5 | this.registerNumber(dest)) >>> 0;
+    }
+
+    // AND/ANDS/ORR/EOR with a shifted register or a bitmask immediate
+    encodeLogical(parts, op) {
+        const [, dest, src1, src2] = parts;
+        const width = this.operandWidth(dest, src1, src2);
+        const opc = { AND: 0, ORR: 1, EOR: 2, ANDS: 3 }[op] << 29;
+        
+        if (src2.startsWith('#')) {
+            const bitmask = this.bitmaskImmediate(this.parseImmediate(src2), width);
+            if (bitmask === null) {
+                throw new Error(`Immediate ${src2} ist nicht als Bitmaske kodierbar`);
+            }
+            return (this.sizeFlag(width) | opc | 0x12000000 | bitmask << 10 |
+                this.registerNumber(src1) << 5 | this.registerNumber(dest, op !== 'ANDS')) >>> 0;
+        }
+        return (this.sizeFlag(width) | opc | 0x0A000000 | this.registerNumber(src2) << 16 |
+            this.registerNumber(src1) << 5 | this.registerNumber(dest)) >>> 0;
+    }
+
+    // LSL/LSR by an immediate are aliases of UBFM, by a register of LSLV/LSRV
+    encodeShift(parts, op) {
+        this.checkOperands(parts, 3);
+        const [, dest, src1, src2] = parts;
+        const width = this.operandWidth(dest, src1, src2);
+        const rn = this.registerNumber(src1) << 5;
+        const rd = this.registerNumber(dest);
+        
+        if (src2.startsWith('#')) {
+            const shift = this.shiftAmount(src2, width);
+            const immr = op === 'LSL' ? (width - shift) % width : shift;
+            const imms = op === 'LSL' ? width - 1 - shift : width - 1;
+            return ((width === 64 ? 0xD3400000 : 0x53000000) | immr << 16 | imms << 10 | rn | rd) >>> 0;
+        }
+        const opcode = op === 'LSL' ? 0x1AC02000 : 0x1AC02400;
+        return (this.sizeFlag(width) | opcode | this.registerNumber(src2) << 16 | rn | rd) >>> 0;
+    }
+
+    encodeBranch(parts, cond) {
+        this.checkOperands(parts, 1);
+        if (cond) {
+            return (0x54000000 | this.branchOffset(parts[1], 19) << 5 | ARM64Simulator.CONDITIONS[cond]) >>> 0;
+        }
+        return (0x14000000 | this.branchOffset(parts[1], 26)) >>> 0;
+    }
+
+    encodeCBZ(parts, nonZero) {
+        this.checkOperands(parts, 2);
+        const [, reg, label] = parts;
+        return (this.sizeFlag(this.registerWidth(reg)) | (nonZero ? 0x35000000 : 0x34000000) |
+            this.branchOffset(label, 19) << 5 | this.registerNumber(reg)) >>> 0;
+    }
+
+    // TBZ/TBNZ: the bit number is split into b5 (bit 31) and b40 (bits 19-23)
+    encodeTBZ(parts, nonZero) {
+        this.checkOperands(parts, 3);
+        const [, reg, bitOperand, label] = parts;
+        const bit = this.parseImmediate(bitOperand);
+        const width = this.registerWidth(reg);
+        if (bit < 0n || bit >= BigInt(width)) {
+            throw new Error(`Bitnummer außerhalb des Bereichs (0-${width - 1}): ${bit}`);
+        }
+        return (Number(bit >> 5n) << 31 | (nonZero ? 0x37000000 : 0x36000000) | Number(bit & 31n) << 19 |
+            this.branchOffset(label, 14) << 5 | this.registerNumber(reg)) >>> 0;
+    }
+
+    // Loads and stores with an unsigned scaled 12-bit offset, a signed 9-bit offset
+    // (LDUR/STUR, pre- and post-index) or a register offset. LDR/STR use the
+    // unscaled form for offsets that cannot be scaled, like the assembler.
+    encodeLoadStore(parts, op) {
+        const { info, reg, width, size } = this.loadStoreAccess(parts, op);
+        if (parts.length > 4) {
+            throw new Error(`${op} erwartet Register und Adresse`);
+        }
+        const { base, form, offset, index } = this.decodeAddress(parts[2], parts[3], size, info.unscaled ? 'unscaled' : 'scaled');
+        
+        // opc: store 00, load 01, sign-extending load to X 10 / to W 11
+        const opc = !info.load ? 0 : !info.signed ? 1 : width === 64 ? 2 : 3;
+        let word = Math.log2(size) << 30 | 0x38000000 | opc << 22 | this.registerNumber(base, true) << 5 | this.registerNumber(reg);
+        
+        if (form === 'register') {
+            const option = ARM64Simulator.INDEX_EXTEND[index.kind];
+            // S selects the shift; byte accesses set it whenever an amount is written out
+            const shifted = size === 1 ? index.explicit : index.amount !== 0n;
+            word |= 0x00200800 | this.registerNumber(index.reg) << 16 | option << 13 | (shifted ? 1 : 0) << 12;
+        } else if (form === 'offset' && !info.unscaled && offset >= 0n && offset % BigInt(size) === 0n) {
+            word |= 0x01000000 | Number(offset / BigInt(size)) << 10;
+        } else {
+            word |= (Number(offset) & 0x1FF) << 12 | { offset: 0, post: 0x400, pre: 0xC00 }[form];
+        }
+        return word >>> 0;
+    }
+
+    encodeLoadStorePair(parts, op) {
+        if (parts.length < 4 || parts.length > 5) {
+            throw new Error(`${op} benötigt zwei Register und eine Adresse`);
+        }
+        const [, reg1, reg2] = parts;
+        const width = this.registerWidth(reg1);
+        const size = width / 8;
+        if (this.registerWidth(reg2) !== width) {
+            throw new Error(`${op} benötigt zwei Register gleicher Breite: ${reg1}, ${reg2}`);
+        }
+        
+        const { base, form, offset } = this.decodeAddress(parts[3], parts[4], size, 'pair');
+        const forms = { offset: 0x01000000, post: 0x00800000, pre: 0x01800000 };
+        return (this.sizeFlag(width) | 0x28000000 | (op === 'LDP' ? 0x00400000 : 0) | forms[form] |
+            (Number(offset / BigInt(size)) & 0x7F) << 15 | this.registerNumber(reg2) << 10 |
+            this.registerNumber(base, true) << 5 | this.registerNumber(reg1)) >>> 0;
+    }
+
+    // ADR: byte offset to the label, ADRP: page offset (both 21 bits, split into immlo and immhi)
+    encodeADR(parts, page) {
+        const op = page ? 'ADRP' : 'ADR';
+        this.checkOperands(parts, 2);
+        const dest = parts[1];
+        if (this.registerWidth(dest) !== 64 || this.isStackPointer(dest)) {
+            throw new Error(`${op} benötigt ein X-Register als Ziel: ${dest}`);
+        }
+        
+        const label = page ? parts[2].replace(/@PAGE$/i, '') : parts[2];
+        const pcAddress = this.addressOf(this.pc);
+        const target = this.addressOperand(label);
+        const offset = page ? (target >> 12n) - (pcAddress >> 12n) : target - pcAddress;
+        if (offset < -(1n << 20n) || offset >= 1n << 20n) {
+            throw new Error(`${op}: Label '${label}' ist außerhalb der Reichweite (±${page ? '4 GB' : '1 MB'})`);
+        }
+        
+        const imm = Number(BigInt.asUintN(21, offset));
+        return ((page ? 0x90000000 : 0x10000000) | (imm & 3) << 29 | (imm >> 2) << 5 | this.registerNumber(dest)) >>> 0;
+    }
+
+    // Register operand for register number n (31 is SP or the zero register)
+    decodeRegister(n, sf, stackPointer = false) {
+        if (n === 31) {
+            return stackPointer ? (sf ? 'SP' : 'WSP') : (sf ? 'XZR' : 'WZR');
+        }
+        return `${sf ? 'X' : 'W'}${n}`;
+    }
+
+    // Immediate operand: hex for large values, decimal otherwise (also for
+    // negative values)
+    formatImmediate(value) {
+        value = BigInt(value);
+        return value >= 4096n ? `#0x${value.toString(16)}` : `#${value}`;
+    }
+
+    // Value of a logical immediate (N:immr:imms), null for reserved encodings
+    decodeBitmask(n, immr, imms, width) {
+        const combined = n << 6 | (~imms & 0x3F);
+        if (combined === 0) {
+            return null;
+        }
+        const size = 1 << (31 - Math.clz32(combined));
+        const levels = size - 1;
+        const ones = (imms & levels) + 1;
+        const rotation = immr & levels;
+        if (ones === size || size < 2) {
+            return null;
+        }
+        
+        const elementMask = (1n << BigInt(size)) - 1n;
+        const run = (1n << BigInt(ones)) - 1n;
+        const element = ((run >> BigInt(rotation)) | (run << BigInt(size - rotation))) & elementMask;
+        let value = 0n;
+        for (let i = 0; i < width; i += size) {
+            value |= element << BigInt(i);
+        }
+        return value;
+    }
+
+    // Decode a 32-bit instruction word into the syntax of executeInstruction,
+    // null if the simulator does not support the instruction
+    decodeWord(word, address, label) {
+        const sf = (word >>> 31) === 1;
+        const width = sf ? 64 : 32;
+        const rd = word & 31;
+        const rn = (word >>> 5) & 31;
+        const rm = (word >>> 16) & 31;
+        const branchTarget = (bits, shift) => {
+            const field = (word >>> shift) & ((1 << bits) - 1);
+            return address + BigInt(field >= 1 << (bits - 1) ? field - (1 << bits) : field) * 4n;
+        };
+        
+        if (word === 0xD503201F) {
+            return 'NOP';
+        }
+        if (((word & 0xFFFFFC1F) >>> 0) === 0xD65F0000) {
+            return rn === 30 ? 'RET' : `RET X${rn}`;
+        }
+        if (((word & 0xFFE0001F) >>> 0) === 0xD4000001) {
+            return `SVC #0x${((word >>> 5) & 0xFFFF).toString(16)}`;
+        }
+        if ((word & 0x7C000000) === 0x14000000) {
+            return `${word >>> 31 ? 'BL' : 'B'} ${label(branchTarget(26, 0))}`;
+        }
+        if ((word & 0xFF000010) === 0x54000000) {
+            return `B.${ARM64Simulator.CONDITION_NAMES[word & 15]} ${label(branchTarget(19, 5))}`;
+        }
+        if ((word & 0x7E000000) === 0x34000000) {
+            return `${word & 0x01000000 ? 'CBNZ' : 'CBZ'} ${this.decodeRegister(rd, sf)}, ${label(branchTarget(19, 5))}`;
+        }
+        if ((word & 0x7E000000) === 0x36000000) {
+            const bit = (word >>> 31) << 5 | (word >>> 19) & 31;
+            return `${word & 0x01000000 ? 'TBNZ' : 'TBZ'} ${this.decodeRegister(rd, bit >= 32)}, #${bit}, ${label(branchTarget(14, 5))}`;
+        }
+        if ((word & 0x1F000000) === 0x10000000) {
+            const imm = BigInt.asIntN(21, BigInt(((word >>> 5) & 0x7FFFF) << 2 | (word >>> 29) & 3));
+            return sf
+                ? `ADRP ${this.decodeRegister(rd, true)}, ${label((address & ~0xFFFn) + (imm << 12n))}`
+                : `ADR ${this.decodeRegister(rd, true)}, ${label(address + imm)}`;
+        }
+        
+        const op30 = (word >>> 29) & 3;
+        const subtract = (op30 & 2) !== 0;
+        const setFlags = (op30 & 1) !== 0;
+        const addSub = `${subtract ? 'SUB' : 'ADD'}${setFlags ? 'S' : ''}`;
+        
+        // ADD/SUB (immediate), with MOV to/from SP and CMP/CMN as aliases
+        if ((word & 0x1F800000) === 0x11000000) {
+            const value = BigInt((word >>> 10) & 0xFFF) << ((word & 0x00400000) ? 12n : 0n);
+            const dest = this.decodeRegister(rd, sf, !setFlags);
+            const src = this.decodeRegister(rn, sf, true);
+            if (setFlags && rd === 31) {
+                return `${subtract ? 'CMP' : 'CMN'} ${src}, ${this.formatImmediate(value)}`;
+            }
+            if (!setFlags && !subtract && value === 0n && (rd === 31 || rn === 31)) {
+                return `MOV ${dest}, ${src}`;
+            }
+            return `${addSub} ${dest}, ${src}, ${this.formatImmediate(value)}`;
+        }
+        // ADD/SUB (shifted register, without shift), with NEG/CMP/CMN as aliases
+        if ((word & 0x1F20FC00) === 0x0B000000 && (word & 0x00C00000) === 0) {
+            const src1 = this.decodeRegister(rn, sf);
+            const src2 = this.decodeRegister(rm, sf);
+            if (setFlags && rd === 31) {
+                return `${subtract ? 'CMP' : 'CMN'} ${src1}, ${src2}`;
+            }
+            if (subtract && rn === 31) {
+                return `NEG${setFlags ? 'S' : ''} ${this.decodeRegister(rd, sf)}, ${src2}`;
+            }
+            return `${addSub} ${this.decodeRegister(rd, sf)}, ${src1}, ${src2}`;
+        }
+        // ADD/SUB (extended register) as used with SP: UXTX (64 bit) or UXTW (32 bit) without shift
+        if ((word & 0x1FE01C00) === 0x0B200000 && ((word >>> 13) & 7) === (sf ? 3 : 2)) {
+            const src1 = this.decodeRegister(rn, sf, true);
+            const src2 = this.decodeRegister(rm, sf);
+            if (setFlags && rd === 31) {
+                return `${subtract ? 'CMP' : 'CMN'} ${src1}, ${src2}`;
+            }
+            return `${addSub} ${this.decodeRegister(rd, sf, !setFlags)}, ${src1}, ${src2}`;
+        }
+        if ((word & 0x1FE0FC00) === 0x1A000000) {
+            return `${subtract ? 'SBC' : 'ADC'}${setFlags ? 'S' : ''} ${this.decodeRegister(rd, sf)}, ${this.decodeRegister(rn, sf)}, ${this.decodeRegister(rm, sf)}`;
+        }
+        if ((word & 0x7FE0FC00) === 0x1B007C00) {
+            return `MUL ${this.decodeRegister(rd, sf)}, ${this.decodeRegister(rn, sf)}, ${this.decodeRegister(rm, sf)}`;
+        }
+        
+        // Logical (immediate), with MOV (bitmask) and TST as aliases
+        const logical = ['AND', 'ORR', 'EOR', 'ANDS'][op30];
+        if ((word & 0x1F800000) === 0x12000000) {
+            const n = (word >>> 22) & 1;
+            const value = !sf && n ? null : this.decodeBitmask(n, (word >>> 16) & 0x3F, (word >>> 10) & 0x3F, width);
+            if (value === null) {
+                return null;
+            }
+            const imm = `#0x${value.toString(16)}`;
+            if (op30 === 3 && rd === 31) {
+                return `TST ${this.decodeRegister(rn, sf)}, ${imm}`;
+            }
+            if (op30 === 1 && rn === 31) {
+                return `MOV ${this.decodeRegister(rd, sf, true)}, ${imm}`;
+            }
+            return `${logical} ${this.decodeRegister(rd, sf, op30 !== 3)}, ${this.decodeRegister(rn, sf)}, ${imm}`;
+        }
+        // Logical (shifted register, without shift or inversion), with MOV and TST as aliases
+        if ((word & 0x1F20FC00) === 0x0A000000 && (word & 0x00C00000) === 0) {
+            if (op30 === 3 && rd === 31) {
+                return `TST ${this.decodeRegister(rn, sf)}, ${this.decodeRegister(rm, sf)}`;
+            }
+            if (op30 === 1 && rn === 31) {
+                return `MOV ${this.decodeRegister(rd, sf)}, ${this.decodeRegister(rm, sf)}`;
+            }
+            return `${logical} ${this.decodeRegister(rd, sf)}, ${this.decodeRegister(rn, sf)}, ${this.decodeRegister(rm, sf)}`;
+        }
+        
+        // MOVZ/MOVN are shown as MOV with the resulting value
+        if ((word & 0x7F800000) === 0x52800000 || (word & 0x7F800000) === 0x12800000) {
+            const hw = (word >>> 21) & 3;
+            if (!sf && hw > 1) {
+                return null;
+            }
+            let value = BigInt((word >>> 5) & 0xFFFF) << BigInt(hw * 16);
+            if ((word & 0x40000000) === 0) {
+                value = BigInt.asIntN(width, ~value);
+            }
+            return `MOV ${this.decodeRegister(rd, sf)}, ${this.formatImmediate(value)}`;
+        }
+        
+        // LSL/LSR (immediate) are aliases of UBFM
+        if ((word & 0x7FC00000) === (sf ? 0x53400000 : 0x53000000)) {
+            const immr = (word >>> 16) & 0x3F;
+            const imms = (word >>> 10) & 0x3F;
+            const operands = `${this.decodeRegister(rd, sf)}, ${this.decodeRegister(rn, sf)}`;
+            if (imms === width - 1) {
+                return `LSR ${operands}, #${immr}`;
+            }
+            if (imms + 1 === immr) {
+                return `LSL ${operands}, #${width - 1 - imms}`;
+            }
+            return null;
+        }
+        if ((word & 0x7FE0F800) === 0x1AC02000) {
+            return `${word & 0x400 ? 'LSR' : 'LSL'} ${this.decodeRegister(rd, sf)}, ${this.decodeRegister(rn, sf)}, ${this.decodeRegister(rm, sf)}`;
+        }
+        
+        if ((word & 0x3E000000) === 0x28000000 && ((word >>> 23) & 3) !== 0) {
+            return this.decodeLoadStorePair(word);
+        }
+        // Unsigned offset, unscaled/pre-/post-index (not the unprivileged LDTR/STTR) or register offset
+        if ((word & 0x3F000000) === 0x39000000 || (word & 0x3F200C00) === 0x38200800 ||
+            ((word & 0x3F200000) === 0x38000000 && ((word >>> 10) & 3) !== 2)) {
+            return this.decodeLoadStore(word);
+        }
+        return null;
+    }
+
+    // LDR/STR variants with unsigned scaled, unscaled, pre/post-index or register offset
+    decodeLoadStore(word) {
+        const sizeLog = word >>> 30;
+        const size = 1 << sizeLog;
+        const opc = (word >>> 22) & 3;
+        const base = this.decodeRegister((word >>> 5) & 31, true, true);
+        const load = opc !== 0;
+        // opc 10 loads sign-extended to X, 11 to W (not for 64-bit accesses and LDRSW to W)
+        if ((sizeLog === 3 && opc > 1) || (sizeLog === 2 && opc === 3)) {
+            return null;
+        }
+        const signed = opc > 1;
+        const sf = sizeLog === 3 || opc === 2;
+        const suffix = signed ? ['SB', 'SH', 'SW'][sizeLog] : ['B', 'H', '', ''][sizeLog];
+        const reg = this.decodeRegister(word & 31, sf);
+        
+        if ((word & 0x3F000000) === 0x39000000) {
+            const offset = BigInt((word >>> 10) & 0xFFF) * BigInt(size);
+            return `${load ? 'LDR' : 'STR'}${suffix} ${reg}, [${base}${offset ? `, ${this.formatImmediate(offset)}` : ''}]`;
+        }
+        if ((word & 0x00200000) === 0) {
+            const offset = BigInt.asIntN(9, BigInt((word >>> 12) & 0x1FF));
+            const mode = (word >>> 10) & 3;
+            if (mode === 0) {
+                return `${load ? 'LDUR' : 'STUR'}${suffix} ${reg}, [${base}${offset ? `, ${this.formatImmediate(offset)}` : ''}]`;
+            }
+            const access = `${load ? 'LDR' : 'STR'}${suffix} ${reg}`;
+            return mode === 3
+                ? `${access}, [${base}, ${this.formatImmediate(offset)}]!`
+                : `${access}, [${base}], ${this.formatImmediate(offset)}`;
+        }
+        
+        const option = (word >>> 13) & 7;
+        const kind = Object.keys(ARM64Simulator.INDEX_EXTEND).find(name => ARM64Simulator.INDEX_EXTEND[name] === option);
+        if (!kind) {
+            return null;
+        }
+        const shifted = (word & 0x1000) !== 0;
+        const index = this.decodeRegister((word >>> 16) & 31, option & 1);
+        const amount = shifted ? ` #${sizeLog}` : '';
+        const extend = kind === 'LSL' ? (shifted ? `, LSL${amount}` : '') : `, ${kind}${amount}`;
+        return `${load ? 'LDR' : 'STR'}${suffix} ${reg}, [${base}, ${index}${extend}]`;
+    }
+
+    // LDP/STP with a signed scaled 7-bit offset
+    decodeLoadStorePair(word) {
+        const opc = word >>> 30;
+        if (opc !== 0 && opc !== 2) {
+            return null;
+        }
+        const sf = opc === 2;
+        const size = sf ? 8n : 4n;
+        const offset = BigInt.asIntN(7, BigInt((word >>> 15) & 0x7F)) * size;
+        const regs = `${this.decodeRegister(word & 31, sf)}, ${this.decodeRegister((word >>> 10) & 31, sf)}`;
+        const base = this.decodeRegister((word >>> 5) & 31, true, true);
+        const op = word & 0x00400000 ? 'LDP' : 'STP';
+        switch ((word >>> 23) & 3) {
+            case 1:
+                return `${op} ${regs}, [${base}], ${this.formatImmediate(offset)}`;
+            case 3:
+                return `${op} ${regs}, [${base}, ${this.formatImmediate(offset)}]!`;
+            default:
+                return `${op} ${regs}, [${base}${offset ? `, ${this.formatImmediate(offset)}` : ''}]`;
+        }
+    }
+
+    // Whether an instruction calls a subroutine
+    isCall(text) {
+        const op = text.trim().split(/\s+/)[0].toUpperCase();
+        return op === 'BL';
+    }
+
+    // Branch targets of an instruction and whether it can continue with the
+    // next one (see Simulator.validate)
+    controlFlow(text) {
+        const parts = this.splitOperands(text.trim());
+        const op = parts[0].toUpperCase();
+        const condMatch = op.match(/^B\.?(\w+)$/);
+        if (condMatch && ARM64Simulator.CONDITIONS.hasOwnProperty(condMatch[1])) {
+            return { targets: [parts[1]], next: condMatch[1] !== 'AL' };
+        }
+        
+        switch (op) {
+            case 'B':
+                return { targets: [parts[1]], next: false };
+            case 'BL':
+                return { targets: [parts[1]], next: true };
+            case 'CBZ':
+            case 'CBNZ':
+                return { targets: [parts[2]], next: true };
+            case 'TBZ':
+            case 'TBNZ':
+                return { targets: [parts[3]], next: true };
+            case 'RET':
+                return { targets: [], next: false };
+            default:
+                return super.controlFlow(text);
+        }
+    }
+
+    // Get register state (without XZR; LR is shown as an alias of X30)
+    getRegisterState() {
+        const state = super.getRegisterState();
+        delete state['XZR'];
+        state['LR'] = { ...state['X30'] };
+        return state;
     }
 }
+
+// Execution state fields restored by reverse execution
+ARM64Simulator.HISTORY_FIELDS = ['pc', 'currentLine', 'steps', 'halted', 'error', 'stdout', 'stdinPos', 'exitCode'];
+
+// Condition codes in the encoding of B.cond
+ARM64Simulator.CONDITIONS = {
+    EQ: 0, NE: 1, CS: 2, HS: 2, CC: 3, LO: 3, MI: 4, PL: 5,
+    VS: 6, VC: 7, HI: 8, LS: 9, GE: 10, LT: 11, GT: 12, LE: 13, AL: 14, NV: 15
+};
+
+// Condition names by their encoding (for the disassembler)
+ARM64Simulator.CONDITION_NAMES = ['EQ', 'NE', 'HS', 'LO', 'MI', 'PL', 'VS', 'VC', 'HI', 'LS', 'GE', 'LT', 'GT', 'LE', 'AL', 'NV'];
+
+// Extend option of a register offset in loads and stores
+ARM64Simulator.INDEX_EXTEND = {
+    UXTW: 2,
+    LSL: 3,
+    SXTW: 6,
+    SXTX: 7
+};
+
+// Data directives and their value sizes in bytes
+ARM64Simulator.DATA_DIRECTIVES = {
+    '.byte': 1,
+    '.hword': 2, '.short': 2, '.2byte': 2,
+    '.word': 4, '.long': 4, '.int': 4, '.4byte': 4,
+    '.quad': 8, '.xword': 8, '.dword': 8, '.8byte': 8
+};
+
+// Alignment of the data sections (16 KB pages on Apple Silicon)
+ARM64Simulator.SEGMENT_ALIGN = 0x4000n;
+
+// Darwin system call numbers (X16) supported by SVC #0x80
+ARM64Simulator.SYSCALLS = {
+    1: 'exit',
+    3: 'read',
+    4: 'write'
+};
+
+// Error numbers returned by system calls
+ARM64Simulator.ERRNO = {
+    EBADF: 9
+};
+
+// Mask for 64-bit register values
+ARM64Simulator.MASK64 = (1n << 64n) - 1n;
+
+// Load/store variants: access size in bytes (null = register width), sign extension,
+// required register width and whether only the unscaled 9-bit offset form exists
+ARM64Simulator.LOAD_STORE = {
+    LDR:    { load: true,  size: null },
+    LDRB:   { load: true,  size: 1, regWidth: 32 },
+    LDRH:   { load: true,  size: 2, regWidth: 32 },
+    LDRSB:  { load: true,  size: 1, signed: true },
+    LDRSH:  { load: true,  size: 2, signed: true },
+    LDRSW:  { load: true,  size: 4, signed: true, regWidth: 64 },
+    LDUR:   { load: true,  size: null, unscaled: true },
+    LDURB:  { load: true,  size: 1, regWidth: 32, unscaled: true },
+    LDURH:  { load: true,  size: 2, regWidth: 32, unscaled: true },
+    LDURSB: { load: true,  size: 1, signed: true, unscaled: true },
+    LDURSH: { load: true,  size: 2, signed: true, unscaled: true },
+    LDURSW: { load: true,  size: 4, signed: true, regWidth: 64, unscaled: true },
+    STR:    { load: false, size: null },
+    STRB:   { load: false, size: 1, regWidth: 32 },
+    STRH:   { load: false, size: 2, regWidth: 32 },
+    STUR:   { load: false, size: null, unscaled: true },
+    STURB:  { load: false, size: 1, regWidth: 32, unscaled: true },
+    STURH:  { load: false, size: 2, regWidth: 32, unscaled: true }
+};
+
+// Editor help for each mnemonic: [syntax, description, flags read or written]
+ARM64Simulator.INSTRUCTION_HELP = {
+    MOV:    ['MOV Xd, Xn|#imm', 'Kopiert ein Register oder einen Wert in das Zielregister', ''],
+    MOVZ:   ['MOVZ Xd, #imm', 'Lädt einen 16-Bit-Wert an einer 16-Bit-Position (z. B. #0x10000), alle anderen Bits werden 0', ''],
+    ADD:    ['ADD Xd, Xn, Xm|#imm', 'Addition: Xd = Xn + Operand', ''],
+    ADDS:   ['ADDS Xd, Xn, Xm|#imm', 'Addition, setzt die Flags', 'setzt N, Z, C, V'],
+    SUB:    ['SUB Xd, Xn, Xm|#imm', 'Subtraktion: Xd = Xn - Operand', ''],
+    SUBS:   ['SUBS Xd, Xn, Xm|#imm', 'Subtraktion, setzt die Flags', 'setzt N, Z, C, V'],
+    ADC:    ['ADC Xd, Xn, Xm', 'Addition mit Übertrag: Xd = Xn + Xm + C', 'liest C'],
+    ADCS:   ['ADCS Xd, Xn, Xm', 'Addition mit Übertrag, setzt die Flags', 'liest C, setzt N, Z, C, V'],
+    SBC:    ['SBC Xd, Xn, Xm', 'Subtraktion mit Übertrag: Xd = Xn - Xm - (1 - C)', 'liest C'],
+    SBCS:   ['SBCS Xd, Xn, Xm', 'Subtraktion mit Übertrag, setzt die Flags', 'liest C, setzt N, Z, C, V'],
+    NEG:    ['NEG Xd, Xm', 'Negation: Xd = -Xm', ''],
+    NEGS:   ['NEGS Xd, Xm', 'Negation, setzt die Flags', 'setzt N, Z, C, V'],
+    MUL:    ['MUL Xd, Xn, Xm', 'Multiplikation (untere 64 bzw. 32 Bit): Xd = Xn × Xm', ''],
+    AND:    ['AND Xd, Xn, Xm|#imm', 'Bitweises UND', ''],
+    ANDS:   ['ANDS Xd, Xn, Xm|#imm', 'Bitweises UND, setzt die Flags', 'setzt N, Z (C und V werden 0)'],
+    ORR:    ['ORR Xd, Xn, Xm|#imm', 'Bitweises ODER', ''],
+    EOR:    ['EOR Xd, Xn, Xm|#imm', 'Bitweises exklusives ODER', ''],
+    LSL:    ['LSL Xd, Xn, Xm|#n', 'Logische Verschiebung nach links', ''],
+    LSR:    ['LSR Xd, Xn, Xm|#n', 'Logische Verschiebung nach rechts (mit Nullen aufgefüllt)', ''],
+    CMP:    ['CMP Xn, Xm|#imm', 'Vergleich: berechnet Xn - Operand und verwirft das Ergebnis', 'setzt N, Z, C, V'],
+    CMN:    ['CMN Xn, Xm|#imm', 'Vergleich mit dem negierten Operanden: berechnet Xn + Operand', 'setzt N, Z, C, V'],
+    TST:    ['TST Xn, Xm|#imm', 'Bittest: berechnet Xn UND Operand und verwirft das Ergebnis', 'setzt N, Z (C und V werden 0)'],
+    B:      ['B label', 'Springt zum Label', ''],
+    BL:     ['BL label', 'Ruft ein Unterprogramm auf, die Rücksprungadresse steht in LR (X30)', ''],
+    CBZ:    ['CBZ Xt, label', 'Springt, wenn das Register 0 ist', ''],
+    CBNZ:   ['CBNZ Xt, label', 'Springt, wenn das Register nicht 0 ist', ''],
+    TBZ:    ['TBZ Xt, #bit, label', 'Springt, wenn das Bit 0 ist', ''],
+    TBNZ:   ['TBNZ Xt, #bit, label', 'Springt, wenn das Bit 1 ist', ''],
+    LDR:    ['LDR Xt, [Xn{, #offset}]', 'Lädt 8 Byte (X-Register) bzw. 4 Byte (W-Register) aus dem Speicher', ''],
+    LDRB:   ['LDRB Wt, [Xn{, #offset}]', 'Lädt 1 Byte, die oberen Bits werden 0', ''],
+    LDRH:   ['LDRH Wt, [Xn{, #offset}]', 'Lädt 2 Byte, die oberen Bits werden 0', ''],
+    LDRSB:  ['LDRSB Xt, [Xn{, #offset}]', 'Lädt 1 Byte mit Vorzeichenerweiterung', ''],
+    LDRSH:  ['LDRSH Xt, [Xn{, #offset}]', 'Lädt 2 Byte mit Vorzeichenerweiterung', ''],
+    LDRSW:  ['LDRSW Xt, [Xn{, #offset}]', 'Lädt 4 Byte mit Vorzeichenerweiterung in ein X-Register', ''],
+    LDUR:   ['LDUR Xt, [Xn{, #offset}]', 'Wie LDR mit unskaliertem Offset (-256..255)', ''],
+    LDURB:  ['LDURB Wt, [Xn{, #offset}]', 'Wie LDRB mit unskaliertem Offset (-256..255)', ''],
+    LDURH:  ['LDURH Wt, [Xn{, #offset}]', 'Wie LDRH mit unskaliertem Offset (-256..255)', ''],
+    LDURSB: ['LDURSB Xt, [Xn{, #offset}]', 'Wie LDRSB mit unskaliertem Offset (-256..255)', ''],
+    LDURSH: ['LDURSH Xt, [Xn{, #offset}]', 'Wie LDRSH mit unskaliertem Offset (-256..255)', ''],
+    LDURSW: ['LDURSW Xt, [Xn{, #offset}]', 'Wie LDRSW mit unskaliertem Offset (-256..255)', ''],
+    STR:    ['STR Xt, [Xn{, #offset}]', 'Speichert 8 Byte (X-Register) bzw. 4 Byte (W-Register)', ''],
+    STRB:   ['STRB Wt, [Xn{, #offset}]', 'Speichert das unterste Byte', ''],
+    STRH:   ['STRH Wt, [Xn{, #offset}]', 'Speichert die unteren 2 Byte', ''],
+    STUR:   ['STUR Xt, [Xn{, #offset}]', 'Wie STR mit unskaliertem Offset (-256..255)', ''],
+    STURB:  ['STURB Wt, [Xn{, #offset}]', 'Wie STRB mit unskaliertem Offset (-256..255)', ''],
+    STURH:  ['STURH Wt, [Xn{, #offset}]', 'Wie STRH mit unskaliertem Offset (-256..255)', ''],
+    LDP:    ['LDP Xt1, Xt2, [Xn{, #offset}]', 'Lädt zwei Register aus aufeinanderfolgenden Speicherstellen', ''],
+    STP:    ['STP Xt1, Xt2, [Xn{, #offset}]', 'Speichert zwei Register an aufeinanderfolgende Speicherstellen', ''],
+    ADR:    ['ADR Xd, label', 'Lädt die Adresse eines Labels (±1 MB)', ''],
+    ADRP:   ['ADRP Xd, label', 'Lädt die Adresse der 4-KB-Seite eines Labels (±4 GB)', ''],
+    SVC:    ['SVC #0x80', 'Systemaufruf: Nummer in X16, Argumente in X0-X2, Ergebnis in X0', 'setzt C bei einem Fehler'],
+    NOP:    ['NOP', 'Keine Operation', ''],
+    RET:    ['RET {Xn}', 'Rücksprung aus einem Unterprogramm zur Adresse in LR (X30)', '']
+};
+
+// Conditions of B.cond for the editor help: when the branch is taken and
+// which flags it reads
+ARM64Simulator.CONDITION_HELP = {
+    EQ: ['bei Gleichheit (Z = 1)', 'Z'],
+    NE: ['bei Ungleichheit (Z = 0)', 'Z'],
+    CS: ['bei gesetztem Carry, vorzeichenlos ≥ (C = 1)', 'C'],
+    HS: ['vorzeichenlos ≥ (C = 1)', 'C'],
+    CC: ['bei gelöschtem Carry, vorzeichenlos < (C = 0)', 'C'],
+    LO: ['vorzeichenlos < (C = 0)', 'C'],
+    MI: ['bei negativem Ergebnis (N = 1)', 'N'],
+    PL: ['bei positivem Ergebnis oder 0 (N = 0)', 'N'],
+    VS: ['bei Überlauf (V = 1)', 'V'],
+    VC: ['ohne Überlauf (V = 0)', 'V'],
+    HI: ['vorzeichenlos > (C = 1 und Z = 0)', 'C, Z'],
+    LS: ['vorzeichenlos ≤ (C = 0 oder Z = 1)', 'C, Z'],
+    GE: ['vorzeichenbehaftet ≥ (N = V)', 'N, V'],
+    LT: ['vorzeichenbehaftet < (N ≠ V)', 'N, V'],
+    GT: ['vorzeichenbehaftet > (Z = 0 und N = V)', 'Z, N, V'],
+    LE: ['vorzeichenbehaftet ≤ (Z = 1 oder N ≠ V)', 'Z, N, V'],
+    AL: ['immer', ''],
+    NV: ['immer', '']
+};
+for (const [cond, [when, flags]] of Object.entries(ARM64Simulator.CONDITION_HELP)) {
+    const help = [`B.${cond} label`, `Springt ${when}`, flags ? `liest ${flags}` : ''];
+    ARM64Simulator.INSTRUCTION_HELP[`B.${cond}`] = help;
+    ARM64Simulator.INSTRUCTION_HELP[`B${cond}`] = help;
+}
+
+// Architecture descriptor: selector name, register grid, flags, comment syntax,
+// instruction set and example programs
+ARM64Simulator.ARCHITECTURE = {
+    id: 'arm64',
+    name: 'ARM64 (Apple Silicon)',
+    subtitle: 'ARM64 (Apple Silicon) Assembler im Browser',
+    // Comment markers (the first one is used in generated code)
+    comments: ['//', ';'],
+    // Registers of the register grid and the stack view
+    registers: ['X0', 'X1', 'X2', 'X3', 'X4', 'X5', 'X6', 'X7',
+                'X8', 'X9', 'X10', 'X11', 'X12', 'X13', 'X14', 'X15',
+                'SP', 'LR'],
+    // Field of the program counter (index into the program)
+    programCounter: 'pc',
+    stackPointer: 'SP',
+    framePointer: 'X29',
+    flags: {
+        N: 'Negative',
+        Z: 'Zero',
+        C: 'Carry',
+        V: 'Overflow'
+    },
+    // Fixed instruction width in bytes (hex words of this width are read as
+    // little-endian instructions) and the directive for undecodable words
+    instructionWidth: 4,
+    dataDirective: '.word',
+    mnemonics: [
+        'MOV', 'MOVZ', 'ADD', 'ADDS', 'SUB', 'SUBS', 'ADC', 'ADCS', 'SBC', 'SBCS', 'NEG', 'NEGS',
+        'MUL', 'AND', 'ANDS', 'ORR', 'EOR', 'LSL', 'LSR', 'CMP', 'CMN', 'TST',
+        'B', 'BL', ...Object.keys(ARM64Simulator.CONDITIONS).map(cond => `B.${cond}`),
+        'CBZ', 'CBNZ', 'TBZ', 'TBNZ', ...Object.keys(ARM64Simulator.LOAD_STORE), 'LDP', 'STP',
+        'ADR', 'ADRP', 'SVC', 'NOP', 'RET'
+    ],
+    // Editor: all register names and the help shown when hovering a mnemonic
+    registerNames: [
+        ...Array.from({ length: 31 }, (_, i) => `X${i}`), ...Array.from({ length: 31 }, (_, i) => `W${i}`),
+        'SP', 'WSP', 'XZR', 'WZR', 'LR', 'FP'
+    ],
+    instructionHelp: ARM64Simulator.INSTRUCTION_HELP,
+    // Overview at the bottom of the page: groups of mnemonics, described by instructionHelp
+    instructionGroups: {
+        'Datenverarbeitung': ['MOV', 'MOVZ', 'ADD', 'SUB', 'ADC', 'NEG', 'MUL'],
+        'Logische Operationen': ['AND', 'ORR', 'EOR', 'LSL', 'LSR'],
+        'Vergleich & Verzweigung': ['CMP', 'TST', 'B', 'B.EQ', 'CBZ', 'TBZ', 'BL', 'RET'],
+        'Speicher & System': ['LDR', 'LDRB', 'STR', 'STRB', 'LDP', 'STP', 'ADR', 'ADRP', 'SVC', 'NOP']
+    },
+    placeholder: `// Schreiben Sie hier Ihren ARM64 Assembly Code...
+// Beispiel:
+MOV X0, #42
+MOV X1, #8
+ADD X2, X0, X1`,
+    examples: {
+        basic: `// Einfaches Beispiel: Addition
+MOV X0, #42
+MOV X1, #8
+ADD X2, X0, X1
+// X2 sollte jetzt 50 enthalten`,
+
+        helloworld: `// Hello World: Zeichenkette im Datenabschnitt
+.data
+msg:    .asciz "Hello World"
+
+.text
+ADRP X0, msg@PAGE        // Speicherseite der Zeichenkette
+ADD X0, X0, msg@PAGEOFF  // + Offset innerhalb der Seite
+MOV X1, #0               // Länge = 0
+
+next:
+LDRB W2, [X0, X1]        // Zeichen laden
+CBZ W2, done             // Nullbyte = Ende der Zeichenkette
+ADD X1, X1, #1
+B next
+
+done:
+// X1 = 11 (Länge von "Hello World")`,
+
+        forloop: `// For-Schleife: Zähle von 0 bis 10
+MOV X0, #0     // Zähler = 0
+MOV X1, #10    // Max = 10
+
+loop:
+ADD X0, X0, #1 // Zähler erhöhen
+CMP X0, X1
+B.LT loop      // Weiter, solange X0 < X1
+// X0 sollte jetzt 10 sein`,
+
+        fibonacci: `// Fibonacci Sequenz (erste 10 Zahlen)
+MOV X0, #0        // Fib(0) = 0
+MOV X1, #1        // Fib(1) = 1
+MOV X2, #0        // Ergebnis
+MOV X3, #8        // Berechne F(2) bis F(9)
+
+next:
+ADD X2, X0, X1    // F(n) = F(n-2) + F(n-1)
+MOV X0, X1        // Verschiebe Werte
+MOV X1, X2
+SUB X3, X3, #1
+CBNZ X3, next     // Noch Zahlen übrig?
+// X2 enthält jetzt F(9) = 34`,
+
+        function: `// Unterprogramm mit Stack-Frame, BL und RET
+MOV X0, #5
+STP X29, X30, [SP, #-16]!  // FP und LR sichern
+MOV X29, SP
+BL square                  // X0 = X0 * X0
+LDP X29, X30, [SP], #16    // FP und LR wiederherstellen
+B done
+
+square:
+MUL X0, X0, X0
+RET                        // Zurück zum Aufrufer (LR)
+
+done:
+// X0 sollte jetzt 25 sein`,
+
+        memory: `// Array im Speicher: Werte ablegen und summieren
+MOV X1, #0x1000   // Basisadresse des Arrays
+MOV X2, #1        // Erster Wert
+MOV X3, #5        // Anzahl Elemente
+
+store:
+STR X2, [X1], #8  // Speichern, dann X1 += 8 (Post-Index)
+ADD X2, X2, #1
+SUB X3, X3, #1
+CBNZ X3, store
+
+MOV X1, #0x1000
+MOV X4, #0        // Index
+MOV X0, #0        // Summe
+sum:
+LDR X5, [X1, X4, LSL #3]  // X5 = array[X4]
+ADD X0, X0, X5
+ADD X4, X4, #1
+CMP X4, #5
+B.LT sum
+// X0 sollte jetzt 15 sein`,
+
+        wregister: `// 32-bit W-Register
+MOV X0, #-1       // X0 = 0xFFFFFFFFFFFFFFFF
+MOV W0, #1        // Schreiben in W0 löscht die oberen 32 Bit von X0
+
+MOV W1, #0x7FFFFFFF
+ADDS W2, W1, #1   // 32-bit Überlauf: W2 = 0x80000000, N = 1, V = 1
+
+MOV W3, #0
+SUBS W4, W3, #1   // W4 = 0xFFFFFFFF (X4 = 0x00000000FFFFFFFF)
+LSL W5, W4, #4    // Ergebnis bleibt 32 Bit breit
+
+MOV X6, #0x1000
+STR W4, [X6]      // 4-Byte Zugriff
+LDRSW X7, [X6]    // Vorzeichenerweitert: X7 = -1`,
+
+        bitwise: `// Bitweise Operationen
+MOV X0, #0xFF
+MOV X1, #0x0F
+AND X2, X0, X1    // X2 = 0x0F
+ORR X3, X0, X1    // X3 = 0xFF
+EOR X4, X0, X1    // X4 = 0xF0
+LSL X5, X1, #4    // X5 = 0xF0`,
+
+        comparison: `// Vergleichsoperationen
+MOV X0, #100
+MOV X1, #50
+CMP X0, X1        // 100 vs 50
+SUB X2, X0, X1    // X2 = 50
+
+MOV X3, #25
+MOV X4, #25
+CMP X3, X4        // 25 vs 25 (gleich)`,
+
+        multiply: `// Multiplikation und komplexe Berechnungen
+MOV X0, #7
+MOV X1, #6
+MUL X2, X0, X1    // X2 = 42
+
+MOV X3, #3
+MUL X4, X2, X3    // X4 = 126
+
+MOV X5, #2
+LSL X6, X5, #4    // X6 = 32`,
+
+        syscall: `// Hello World mit Systemaufrufen (macOS)
+.global _main
+.align 2
+
+_main:
+    MOV X0, #1          // stdout
+    ADR X1, msg         // Adresse der Zeichenkette
+    MOV X2, #13         // Länge
+    MOV X16, #4         // write
+    SVC #0x80
+
+    MOV X0, #0          // Exit-Code 0
+    MOV X16, #1         // exit
+    SVC #0x80
+
+msg: .ascii "Hello World!\\n"`
+    }
+};
+
+Simulator.register(ARM64Simulator);
@@ -0,0 +1,471 @@
+/**
+ * Code editor
+ * Turns the program textarea into an assembly editor for the selected
+ * architecture: syntax highlighting of mnemonics, registers, immediates,
+ * labels, directives, strings and comments, autocompletion of mnemonics,
+ * registers and the labels of the program, a short description of an
+ * instruction when hovering its mnemonic and indentation in the usual
+ * assembly columns (labels, instructions, comments). The textarea remains the
+ * input element, so selection, clipboard and undo work as usual; the
+ * highlighted copy of the text is drawn behind its transparent text.
+ */
+
+class CodeEditor {
+    // textarea: program text; highlight: layer behind the text; completion:
+    // list of suggestions; tooltip: instruction help
+    constructor(textarea, { highlight, completion, tooltip }) {
+        this.textarea = textarea;
+        this.highlight = highlight;
+        this.completion = completion;
+        this.tooltip = tooltip;
+        this.simulator = null;
+        this.labels = new Set();
+        this.macros = new Set();
+        
+        // Open completion: suggestions, selected entry and the word they replace
+        this.suggestions = [];
+        this.selected = 0;
+        this.word = null;
+        this.inserting = false;
+        this.hoverTimer = null;
+        
+        textarea.addEventListener('input', (e) => this.handleInput(e));
+        textarea.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        textarea.addEventListener('scroll', () => {
+            this.alignHighlight();
+            this.closeCompletion();
+            this.hideTooltip();
+        });
+        textarea.addEventListener('blur', () => this.closeCompletion());
+        textarea.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        textarea.addEventListener('mouseleave', () => this.hideTooltip());
+        
+        // mousedown instead of click keeps the focus in the textarea
+        completion.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const item = e.target.closest('li');
+            if (item) {
+                this.selected = parseInt(item.dataset.index);
+                this.acceptCompletion();
+            }
+        });
+    }
+
+    // Use the syntax, instruction set and registers of a simulator
+    setSimulator(simulator) {
+        this.simulator = simulator;
+        const { mnemonics, registerNames } = this.architecture();
+        this.mnemonics = new Set(mnemonics.map(mnemonic => mnemonic.toUpperCase()));
+        this.registers = new Set(registerNames.map(register => register.toUpperCase()));
+        this.refresh();
+    }
+
+    // Descriptor of the current architecture (see Simulator.register)
+    architecture() {
+        return this.simulator.constructor.ARCHITECTURE;
+    }
+
+    // Replace the whole text (loading an example, switching the architecture)
+    setValue(text) {
+        this.textarea.value = text;
+        this.closeCompletion();
+        this.refresh();
+    }
+
+    // Collect the labels and macros of the program and redraw the highlighting
+    refresh() {
+        const lines = this.textarea.value.split('\n');
+        this.labels = new Set();
+        this.macros = new Set();
+        for (const line of lines) {
+            const code = this.simulator.stripComment(line).trim();
+            const label = this.simulator.matchLabel(code);
+            const macro = code.match(/^\.macro\s+([A-Za-z_.$][\w.$]*)/i);
+            if (label) {
+                this.labels.add(label[1]);
+            } else if (macro) {
+                this.macros.add(macro[1].toUpperCase());
+            }
+        }
+        this.highlight.innerHTML = lines.map(line => this.highlightLine(line)).join('\n') + '\n';
+        this.alignHighlight();
+    }
+
+    // HTML of a highlighted line. The first word of a statement (after a label)
+    // is its mnemonic, macro or directive; later words are registers, labels
+    // or other symbols.
+    highlightLine(line) {
+        const code = this.simulator.stripComment(line);
+        const label = this.simulator.matchLabel(code.trim()) || code.trim().match(/^(\d+):\s*(.*)$/);
+        const pattern = /\s+|"(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?|[A-Za-z_.$\\][\w.$@\\]*|#?\d\w*|[^]/gy;
+        let html = '';
+        let statement = true;
+        let labelDefined = false;
+        for (const [token] of code.matchAll(pattern)) {
+            let type = null;
+            if (/^\s/.test(token)) {
+                type = null;
+            } else if (label && !labelDefined && token === label[1]) {
+                type = 'label';
+                labelDefined = true;
+            } else if (/^["']/.test(token)) {
+                type = 'string';
+            } else if (/^\d+[bf]$/.test(token)) {
+                type = 'label';
+            } else if (/^#?\d/.test(token)) {
+                type = 'number';
+            } else if (/^[A-Za-z_.$]/.test(token) && statement) {
+                statement = false;
+                if (this.simulator.isDirective(token)) {
+                    type = 'directive';
+                } else if (this.mnemonics.has(token.toUpperCase()) || this.macros.has(token.toUpperCase())) {
+                    type = 'mnemonic';
+                }
+            } else if (/^[A-Za-z_.$]/.test(token)) {
+                if (this.registers.has(token.toUpperCase())) {
+                    type = 'register';
+                } else if (this.labels.has(token)) {
+                    type = 'label';
+                }
+            }
+            html += type ? `<span class="tok-${type}">${CodeEditor.escape(token)}</span>` : CodeEditor.escape(token);
+        }
+        const comment = line.slice(code.length);
+        return comment ? `${html}<span class="tok-comment">${CodeEditor.escape(comment)}</span>` : html;
+    }
+
+    // Move the highlighting along with the scrolled text
+    alignHighlight() {
+        this.highlight.style.transform = `translate(${-this.textarea.scrollLeft}px, ${-this.textarea.scrollTop}px)`;
+    }
+
+    // Typing a word suggests completions; other edits close the list
+    handleInput(e) {
+        this.refresh();
+        this.hideTooltip();
+        const typing = e.inputType === 'insertText' || (this.word !== null && e.inputType === 'deleteContentBackward');
+        if (typing && !this.inserting) {
+            this.openCompletion(false);
+        } else {
+            this.closeCompletion();
+        }
+    }
+
+    // Keys of the completion list, Ctrl+Space (complete), Tab/Shift+Tab
+    // (indent), Enter (new line with the indentation of the current one)
+    handleKeyDown(e) {
+        if (this.word !== null) {
+            switch (e.key) {
+                case 'ArrowDown':
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.selected = (this.selected + (e.key === 'ArrowDown' ? 1 : -1) + this.suggestions.length) % this.suggestions.length;
+                    this.renderCompletion();
+                    return;
+                case 'Enter':
+                case 'Tab':
+                    e.preventDefault();
+                    this.acceptCompletion();
+                    return;
+                case 'Escape':
+                    e.preventDefault();
+                    this.closeCompletion();
+                    return;
+            }
+        }
+        
+        if (e.key === ' ' && e.ctrlKey) {
+            e.preventDefault();
+            this.openCompletion(true);
+        } else if (e.key === 'Tab' && !e.ctrlKey && !e.altKey && !e.metaKey) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.shiftLines(-1);
+            } else {
+                this.indent();
+            }
+        } else if (e.key === 'Enter' && !e.ctrlKey && !e.altKey && !e.metaKey && !e.shiftKey) {
+            e.preventDefault();
+            this.newLine();
+        }
+    }
+
+    // Replace the selection with text; execCommand keeps the undo history of
+    // the textarea (setRangeText is the fallback without it)
+    insert(text) {
+        this.inserting = true;
+        try {
+            if (!document.execCommand('insertText', false, text)) {
+                this.textarea.setRangeText(text, this.textarea.selectionStart, this.textarea.selectionEnd, 'end');
+                this.textarea.dispatchEvent(new Event('input'));
+            }
+        } finally {
+            this.inserting = false;
+        }
+    }
+
+    // Start of the line that contains a text position
+    lineStart(position) {
+        return this.textarea.value.lastIndexOf('\n', position - 1) + 1;
+    }
+
+    // Column of the end of a line prefix on screen (tabs expanded)
+    visualColumn(text) {
+        let column = 0;
+        for (const ch of text) {
+            column = ch === '\t' ? (Math.floor(column / CodeEditor.TAB_SIZE) + 1) * CodeEditor.TAB_SIZE : column + 1;
+        }
+        return column;
+    }
+
+    // Tab: indent a line to the instruction column or, behind an instruction,
+    // to the comment column (further tabs go to the next multiple of the
+    // indent width); with several selected lines all of them are indented
+    indent() {
+        const { value, selectionStart: start, selectionEnd: end } = this.textarea;
+        if (value.slice(start, end).includes('\n')) {
+            this.shiftLines(1);
+            return;
+        }
+        const before = value.slice(this.lineStart(start), start);
+        const column = this.visualColumn(before);
+        const code = this.simulator.stripComment(before).trim();
+        const label = this.simulator.matchLabel(code);
+        const stop = (label ? label[2] : code) ? CodeEditor.COMMENT_COLUMN : CodeEditor.INSTRUCTION_COLUMN;
+        const target = column < stop ? stop : (Math.floor(column / CodeEditor.INDENT_WIDTH) + 1) * CodeEditor.INDENT_WIDTH;
+        this.insert(' '.repeat(target - column));
+    }
+
+    // Indent (direction 1) or outdent (-1) all lines touched by the selection
+    // by the indent width
+    shiftLines(direction) {
+        const { value, selectionStart: start, selectionEnd: end } = this.textarea;
+        const blockStart = this.lineStart(start);
+        const lastLine = end > start && value[end - 1] === '\n' ? end - 1 : end;
+        const blockEnd = value.indexOf('\n', lastLine) === -1 ? value.length : value.indexOf('\n', lastLine);
+        const indentation = ' '.repeat(CodeEditor.INDENT_WIDTH);
+        const lines = value.slice(blockStart, blockEnd).split('\n').map(line => {
+            if (direction > 0) {
+                return line ? indentation + line : line;
+            }
+            return line.replace(new RegExp(`^(\\t| {1,${CodeEditor.INDENT_WIDTH}})`), '');
+        });
+        const block = lines.join('\n');
+        this.textarea.setSelectionRange(blockStart, blockEnd);
+        this.insert(block);
+        this.textarea.setSelectionRange(blockStart, blockStart + block.length);
+    }
+
+    // Enter: the new line keeps the indentation; below a label it starts in
+    // the instruction column
+    newLine() {
+        const { value, selectionStart: start } = this.textarea;
+        const before = value.slice(this.lineStart(start), start);
+        const code = this.simulator.stripComment(before).trim();
+        const label = code && this.simulator.matchLabel(code);
+        const indentation = label && !label[2] ? ' '.repeat(CodeEditor.INSTRUCTION_COLUMN) : before.match(/^[ \t]*/)[0];
+        this.insert('\n' + indentation);
+    }
+
+    // Suggestions for the word in front of the cursor: mnemonics and macros as
+    // the first word of a statement, registers and labels as operands. Typed
+    // lowercase words get lowercase suggestions (and uppercase ones uppercase).
+    // explicit (Ctrl+Space) also lists everything for an empty word.
+    openCompletion(explicit) {
+        const { value, selectionStart: start, selectionEnd: end } = this.textarea;
+        const before = value.slice(this.lineStart(start), start);
+        const match = before.match(/[A-Za-z_.$][\w.$]*$/);
+        const word = match ? match[0] : '';
+        const inComment = this.simulator.stripComment(before).length < before.length;
+        if (start !== end || inComment || (!word && !explicit)) {
+            this.closeCompletion();
+            return;
+        }
+        
+        const prefix = before.slice(0, before.length - word.length).trim();
+        const label = this.simulator.matchLabel(prefix) || prefix.match(/^(\d+):\s*(.*)$/);
+        const statement = prefix === '' || (label && label[2] === '');
+        const adjustCase = name => /[a-z]/.test(word) && !/[A-Z]/.test(word) ? name.toLowerCase() :
+            /[A-Z]/.test(word) && !/[a-z]/.test(word) ? name.toUpperCase() : name;
+        const { mnemonics, registerNames } = this.architecture();
+        const candidates = statement
+            ? [...mnemonics.map(name => ({ text: adjustCase(name), kind: 'mnemonic' })),
+               ...[...this.macros].map(name => ({ text: adjustCase(name), kind: 'macro' }))]
+            : [...registerNames.map(name => ({ text: adjustCase(name), kind: 'register' })),
+               ...[...this.labels].filter(name => name !== word).map(name => ({ text: name, kind: 'label' }))];
+        const suggestions = candidates
+            .filter(candidate => candidate.text.toUpperCase().startsWith(word.toUpperCase()))
+            .sort((a, b) => a.text.length - b.text.length)
+            .slice(0, CodeEditor.MAX_SUGGESTIONS);
+        if (suggestions.length === 0 || (suggestions.length === 1 && suggestions[0].text === word)) {
+            this.closeCompletion();
+            return;
+        }
+        
+        this.suggestions = suggestions;
+        this.selected = 0;
+        this.word = word;
+        this.renderCompletion();
+        const position = this.coordinates(start - word.length);
+        this.completion.style.left = `${position.left}px`;
+        this.completion.style.top = `${position.bottom}px`;
+        this.completion.hidden = false;
+    }
+
+    // Draw the suggestion list with the selected entry
+    renderCompletion() {
+        this.completion.innerHTML = this.suggestions.map((suggestion, index) =>
+            `<li class="${index === this.selected ? 'selected' : ''}" data-index="${index}">` +
+            `<span class="tok-${suggestion.kind === 'macro' ? 'mnemonic' : suggestion.kind}">${CodeEditor.escape(suggestion.text)}</span>` +
+            `<span class="completion-kind">${CodeEditor.KIND_NAMES[suggestion.kind]}</span></li>`
+        ).join('');
+    }
+
+    // Replace the word in front of the cursor by the selected suggestion
+    acceptCompletion() {
+        const suggestion = this.suggestions[this.selected];
+        const start = this.textarea.selectionStart;
+        this.textarea.setSelectionRange(start - this.word.length, start);
+        this.closeCompletion();
+        this.insert(suggestion.text);
+    }
+
+    // Hide the suggestion list
+    closeCompletion() {
+        this.word = null;
+        this.suggestions = [];
+        this.completion.hidden = true;
+    }
+
+    // Show the help of an instruction after the mouse rests on its mnemonic
+    handleMouseMove(e) {
+        clearTimeout(this.hoverTimer);
+        const target = this.mnemonicAt(e.clientX, e.clientY);
+        if (!target) {
+            this.hideTooltip();
+            return;
+        }
+        if (!this.tooltip.hidden && this.tooltip.dataset.position === String(target.position)) {
+            return;
+        }
+        this.hideTooltip();
+        this.hoverTimer = setTimeout(() => this.showTooltip(target), CodeEditor.HOVER_DELAY);
+    }
+
+    // Mnemonic with help under a point of the window: { position, help } or null
+    mnemonicAt(clientX, clientY) {
+        const style = getComputedStyle(this.textarea);
+        const rect = this.textarea.getBoundingClientRect();
+        const lineHeight = parseFloat(style.lineHeight);
+        const row = Math.floor((clientY - rect.top - parseFloat(style.paddingTop) + this.textarea.scrollTop) / lineHeight);
+        const column = Math.floor((clientX - rect.left - parseFloat(style.paddingLeft) + this.textarea.scrollLeft) / this.charWidth());
+        const lines = this.textarea.value.split('\n');
+        if (row < 0 || row >= lines.length || column < 0) {
+            return null;
+        }
+        
+        // Character under the pointer (tabs span several columns)
+        const line = lines[row];
+        let index = 0;
+        while (index < line.length && this.visualColumn(line.slice(0, index + 1)) <= column) {
+            index++;
+        }
+        const code = this.simulator.stripComment(line);
+        if (index >= code.length || !/[\w.$]/.test(code[index])) {
+            return null;
+        }
+        let start = index;
+        while (start > 0 && /[\w.$]/.test(code[start - 1])) {
+            start--;
+        }
+        const word = code.slice(start).match(/^[\w.$]+/)[0];
+        
+        // Only the first word of a statement is a mnemonic
+        const prefix = code.slice(0, start).trim();
+        const label = this.simulator.matchLabel(prefix) || prefix.match(/^(\d+):\s*(.*)$/);
+        const help = this.architecture().instructionHelp[word.toUpperCase()];
+        if (!help || !(prefix === '' || (label && label[2] === ''))) {
+            return null;
+        }
+        const lineStart = lines.slice(0, row).reduce((sum, text) => sum + text.length + 1, 0);
+        return { position: lineStart + start, help };
+    }
+
+    // Tooltip below a mnemonic: syntax, description and (on architectures
+    // with condition flags) the flags it reads or sets
+    showTooltip({ position, help }) {
+        const [syntax, description, flags] = help;
+        let html = `<div class="tooltip-syntax">${CodeEditor.escape(syntax)}</div>` +
+            `<div>${CodeEditor.escape(description)}</div>`;
+        if (Object.keys(this.architecture().flags).length > 0) {
+            html += `<div class="tooltip-flags">Flags: ${CodeEditor.escape(flags || 'keine')}</div>`;
+        }
+        const coordinates = this.coordinates(position);
+        this.tooltip.innerHTML = html;
+        this.tooltip.dataset.position = String(position);
+        this.tooltip.style.left = `${coordinates.left}px`;
+        this.tooltip.style.top = `${coordinates.bottom}px`;
+        this.tooltip.hidden = false;
+    }
+
+    // Hide the instruction help
+    hideTooltip() {
+        clearTimeout(this.hoverTimer);
+        this.tooltip.hidden = true;
+    }
+
+    // Window coordinates of a text position: { left, top, bottom } of its line
+    coordinates(position) {
+        const { value } = this.textarea;
+        const start = this.lineStart(position);
+        const row = value.slice(0, start).split('\n').length - 1;
+        const style = getComputedStyle(this.textarea);
+        const rect = this.textarea.getBoundingClientRect();
+        const lineHeight = parseFloat(style.lineHeight);
+        const top = rect.top + parseFloat(style.paddingTop) + row * lineHeight - this.textarea.scrollTop;
+        return {
+            left: rect.left + parseFloat(style.paddingLeft) + this.visualColumn(value.slice(start, position)) * this.charWidth() - this.textarea.scrollLeft,
+            top,
+            bottom: top + lineHeight
+        };
+    }
+
+    // Width of a character of the (monospaced) editor font
+    charWidth() {
+        const style = getComputedStyle(this.textarea);
+        const font = `${style.fontSize} ${style.fontFamily}`;
+        if (this.measuredFont !== font) {
+            const context = document.createElement('canvas').getContext('2d');
+            context.font = font;
+            this.measuredFont = font;
+            this.measuredWidth = context.measureText('M').width;
+        }
+        return this.measuredWidth;
+    }
+
+    // Escape text for HTML
+    static escape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
+
+// Assembly columns: instructions start at INSTRUCTION_COLUMN (labels at 0),
+// comments behind an instruction at COMMENT_COLUMN; Tab beyond them and
+// Shift+Tab move by INDENT_WIDTH (TAB_SIZE is the width of a tab character
+// as in the CSS of the editor)
+CodeEditor.INSTRUCTION_COLUMN = 4;
+CodeEditor.COMMENT_COLUMN = 24;
+CodeEditor.INDENT_WIDTH = 4;
+CodeEditor.TAB_SIZE = 4;
+
+// Completion list length and the pause before the instruction help appears (ms)
+CodeEditor.MAX_SUGGESTIONS = 12;
+CodeEditor.HOVER_DELAY = 400;
+
+// Kinds of suggestions as shown in the completion list
+CodeEditor.KIND_NAMES = {
+    mnemonic: 'Instruktion',
+    macro: 'Makro',
+    register: 'Register',
+    label: 'Label'
+};
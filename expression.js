@@ -0,0 +1,191 @@
+/**
+ * Expression evaluator
+ * Integer expressions shared by the preprocessor (e.g. `.equ SIZE, 4 * 8` or
+ * `.if COUNT > 2`) and the simulators (immediates such as `#(1 << 12) | 3`,
+ * data values and label arithmetic such as `msg_end - msg`). Numbers are
+ * decimal, hexadecimal (0x), binary (0b), octal (0o) or character literals
+ * ('A', '\n'); operators and precedence are those of C, values are BigInts
+ * of arbitrary size.
+ */
+
+class ExpressionParser {
+    // lookup(name) returns the value of a symbol or undefined if it is unknown
+    constructor(text, lookup) {
+        this.text = text;
+        this.lookup = lookup;
+        this.tokens = this.tokenize(text);
+        this.position = 0;
+    }
+
+    // Split the expression into numbers, characters, symbols, operators and
+    // parentheses
+    tokenize(text) {
+        const pattern = /\s*(\d[\w]*|'(?:[^'\\]|\\.)*'?|[A-Za-z_.$][\w.$]*|<<|>>|<=|>=|==|!=|&&|\|\||[-+*\/%&|^~!()<>])\s*/y;
+        const tokens = [];
+        pattern.lastIndex = 0;
+        while (pattern.lastIndex < text.length) {
+            const start = pattern.lastIndex;
+            const match = pattern.exec(text);
+            if (!match) {
+                throw this.error(`unerwartetes Zeichen '${text.slice(start).trim()[0]}'`);
+            }
+            tokens.push(match[1]);
+        }
+        return tokens;
+    }
+
+    // Error with the expression text
+    error(message) {
+        return new Error(`Ungültiger Ausdruck '${this.text.trim()}': ${message}`);
+    }
+
+    // Evaluate the whole expression
+    parse() {
+        if (this.tokens.length === 0) {
+            throw this.error('Ausdruck fehlt');
+        }
+        const value = this.parseBinary(0);
+        if (this.position < this.tokens.length) {
+            throw this.error(`unerwartetes '${this.tokens[this.position]}'`);
+        }
+        return value;
+    }
+
+    // Binary operators of the given precedence level and above
+    parseBinary(level) {
+        if (level === ExpressionParser.BINARY_OPERATORS.length) {
+            return this.parseUnary();
+        }
+        let value = this.parseBinary(level + 1);
+        while (ExpressionParser.BINARY_OPERATORS[level].includes(this.tokens[this.position])) {
+            const operator = this.tokens[this.position++];
+            const right = this.parseBinary(level + 1);
+            value = this.apply(operator, value, right);
+        }
+        return value;
+    }
+
+    // Unary minus, plus, bitwise and logical not
+    parseUnary() {
+        const token = this.tokens[this.position];
+        if (['-', '+', '~', '!'].includes(token)) {
+            this.position++;
+            const value = this.parseUnary();
+            switch (token) {
+                case '-': return -value;
+                case '+': return value;
+                case '~': return ~value;
+                default: return value === 0n ? 1n : 0n;
+            }
+        }
+        return this.parsePrimary();
+    }
+
+    // Number, symbol or parenthesized expression
+    parsePrimary() {
+        const token = this.tokens[this.position++];
+        if (token === undefined) {
+            throw this.error('Operand fehlt');
+        }
+        if (token === '(') {
+            const value = this.parseBinary(0);
+            if (this.tokens[this.position++] !== ')') {
+                throw this.error("')' fehlt");
+            }
+            return value;
+        }
+        if (/^\d/.test(token)) {
+            if (!/^(0x[0-9a-f]+|0b[01]+|0o[0-7]+|\d+)$/i.test(token)) {
+                throw this.error(`ungültige Zahl '${token}'`);
+            }
+            return BigInt(token.replace(/^0([XBO])/, (prefix, base) => '0' + base.toLowerCase()));
+        }
+        if (token.startsWith("'")) {
+            return this.character(token);
+        }
+        if (/^[A-Za-z_.$]/.test(token)) {
+            const value = this.lookup(token);
+            if (value === undefined) {
+                throw new Error(`Unbekanntes Symbol in Ausdruck: ${token}`);
+            }
+            return BigInt(value);
+        }
+        throw this.error(`unerwartetes '${token}'`);
+    }
+
+    // Value of a character literal ('A', '\n', '\x41', '\0')
+    character(token) {
+        const match = token.match(/^'(\\x[0-9a-f]{1,2}|\\[0-7]{1,3}|\\.|[^'\\])'$/i);
+        if (!match) {
+            throw this.error(`ungültiges Zeichenliteral ${token} (genau ein Zeichen in '…' erwartet)`);
+        }
+        const literal = match[1];
+        if (!literal.startsWith('\\')) {
+            return BigInt(literal.codePointAt(0));
+        }
+        if (/^\\x/i.test(literal)) {
+            return BigInt(parseInt(literal.slice(2), 16));
+        }
+        if (/^\\[0-7]/.test(literal)) {
+            return BigInt(parseInt(literal.slice(1), 8) & 0xFF);
+        }
+        const escapes = { n: 10, t: 9, r: 13, a: 7, b: 8, f: 12, v: 11, e: 27 };
+        return BigInt(escapes.hasOwnProperty(literal[1]) ? escapes[literal[1]] : literal.charCodeAt(1));
+    }
+
+    // Result of a binary operator (comparisons and logical operators give 0 or 1)
+    apply(operator, a, b) {
+        switch (operator) {
+            case '*': return a * b;
+            case '/':
+            case '%':
+                if (b === 0n) {
+                    throw this.error('Division durch 0');
+                }
+                return operator === '/' ? a / b : a % b;
+            case '+': return a + b;
+            case '-': return a - b;
+            case '<<':
+            case '>>':
+                if (b < 0n || b > 64n) {
+                    throw this.error(`Shift-Anzahl außerhalb des Bereichs (0-64): ${b}`);
+                }
+                return operator === '<<' ? a << b : a >> b;
+            case '<': return a < b ? 1n : 0n;
+            case '<=': return a <= b ? 1n : 0n;
+            case '>': return a > b ? 1n : 0n;
+            case '>=': return a >= b ? 1n : 0n;
+            case '==': return a === b ? 1n : 0n;
+            case '!=': return a !== b ? 1n : 0n;
+            case '&': return a & b;
+            case '^': return a ^ b;
+            case '|': return a | b;
+            case '&&': return a !== 0n && b !== 0n ? 1n : 0n;
+            default: return a !== 0n || b !== 0n ? 1n : 0n;
+        }
+    }
+}
+
+// Binary operators by precedence, lowest first (as in C)
+ExpressionParser.BINARY_OPERATORS = [
+    ['||'],
+    ['&&'],
+    ['|'],
+    ['^'],
+    ['&'],
+    ['==', '!='],
+    ['<', '<=', '>', '>='],
+    ['<<', '>>'],
+    ['+', '-'],
+    ['*', '/', '%']
+];
+
+/**
+ * Evaluate an integer expression
+ * @param {string} text - expression, e.g. "(SIZE + 1) * 8" or "msg_end - msg"
+ * @param {function(string): (bigint|undefined)} lookup - value of a symbol
+ * @returns {bigint} value of the expression
+ */
+function evaluateExpression(text, lookup) {
+    return new ExpressionParser(text, lookup).parse();
+}
@@ -0,0 +1,476 @@
+/**
+ * Assembler preprocessor
+ * Runs before a simulator parses the program and handles, in GNU assembler
+ * syntax for all architectures: constants (.equ, .set, name = value), macros
+ * (.macro/.endm), repetitions (.rept, .irp, .irpc), conditional assembly
+ * (.if, .ifdef, .ifndef, .ifb, .ifnb, .ifc, .ifnc, .elseif, .else, .endif)
+ * and numeric local labels (1: ... b 1b).
+ *
+ * Every resulting line keeps the editor line it belongs to. Lines from a macro
+ * body keep the line of the macro call and list the body lines they come from
+ * in origin, so errors can point to both.
+ */
+
+class Preprocessor {
+    // The simulator provides the comment and label syntax; its current line is
+    // updated while expanding so errors refer to the right source line
+    constructor(simulator) {
+        this.simulator = simulator;
+    }
+
+    // Expand a program into [{ line, text, origin }]: text without comments,
+    // origin lists the macro frames ({ name, line }) of a line from a macro body
+    // (outermost first) or is null for lines written directly. Afterwards
+    // constants maps every constant to its value or, if it depends on labels,
+    // its expression.
+    process(code) {
+        this.constants = new Map();
+        this.macros = new Map();
+        this.symbols = new Set();
+        this.expansions = 0;
+        this.locations = 0;
+        this.processed = 0;
+        this.aborted = false;
+        this.result = [];
+        
+        const lines = code.split('\n').map((text, i) => ({ line: i + 1, text, origin: null }));
+        this.processLines(lines, 0);
+        this.resolveLocalLabels();
+        return this.result;
+    }
+
+    // Make a line the current line for error messages
+    enter(source) {
+        this.simulator.currentLine = source.line;
+        this.simulator.currentOrigin = source.origin;
+    }
+
+    // Editor line a source line is written on (inside a macro: the body line)
+    sourceLine(source) {
+        return source.origin ? source.origin[source.origin.length - 1].line : source.line;
+    }
+
+    // Process a block of lines (program, macro body or repetition); returns true
+    // if .exitm ends the enclosing macro. While the simulator validates the
+    // program, an error only skips its line (see Simulator.report).
+    processLines(lines, depth) {
+        if (depth > Preprocessor.MAX_DEPTH) {
+            throw this.abort(`Makros zu tief verschachtelt (höchstens ${Preprocessor.MAX_DEPTH} Ebenen, Rekursion ohne Abbruch?)`);
+        }
+        
+        const conditions = [];
+        for (let i = 0; i < lines.length; i++) {
+            const source = lines[i];
+            this.enter(source);
+            if (++this.processed > Preprocessor.MAX_LINES) {
+                throw this.abort(`Programm zu groß nach der Makroexpansion (höchstens ${Preprocessor.MAX_LINES} Zeilen)`);
+            }
+            
+            try {
+                const text = this.simulator.stripComment(source.text).trim();
+                const [, name, args] = text.match(/^(\S*)\s*(.*)$/);
+                const directive = name.toLowerCase();
+                
+                // Conditions are tracked in skipped blocks too, to find the matching .endif
+                if (Preprocessor.CONDITIONALS.includes(directive)) {
+                    this.conditional(conditions, directive, args, source);
+                    continue;
+                }
+                if (!conditions.every(condition => condition.active)) {
+                    continue;
+                }
+                
+                switch (directive) {
+                    case '.macro': {
+                        const end = this.blockEnd(lines, i, ['.macro'], '.endm');
+                        this.defineMacro(args, lines.slice(i + 1, end));
+                        i = end;
+                        break;
+                    }
+                    case '.rept':
+                    case '.irp':
+                    case '.irpc': {
+                        const end = this.blockEnd(lines, i, ['.rept', '.irp', '.irpc'], '.endr');
+                        const body = this.repeat(directive, args, lines.slice(i + 1, end));
+                        if (this.processLines(body, depth + 1)) {
+                            return true;
+                        }
+                        i = end;
+                        break;
+                    }
+                    case '.equ':
+                    case '.set': {
+                        const [symbol, ...value] = args.split(',');
+                        if (value.length === 0) {
+                            throw new Error(`${directive} benötigt Name und Wert (${directive} NAME, WERT)`);
+                        }
+                        this.defineConstant(symbol.trim(), value.join(','), source);
+                        break;
+                    }
+                    case '.exitm':
+                        if (depth === 0) {
+                            throw new Error('.exitm außerhalb eines Makros');
+                        }
+                        return true;
+                    case '.endm':
+                        throw new Error('.endm ohne .macro');
+                    case '.endr':
+                        throw new Error('.endr ohne .rept/.irp');
+                    case '.error':
+                    case '.err':
+                        throw new Error(args ? this.message(args) : `${directive} im Programm`);
+                    default: {
+                        const assignment = text.match(/^([A-Za-z_.$][\w.$]*)\s*=\s*(.+)$/) ||
+                            text.match(/^([A-Za-z_.$][\w.$]*)\s+equ\s+(.+)$/i);
+                        if (assignment) {
+                            this.defineConstant(assignment[1], assignment[2], source);
+                        } else if (text) {
+                            this.emit(source, text, depth);
+                        }
+                    }
+                }
+            } catch (error) {
+                if (this.aborted) {
+                    throw error;
+                }
+                this.simulator.report(error);
+            }
+        }
+        
+        if (conditions.length > 0) {
+            this.enter(conditions[conditions.length - 1].source);
+            this.simulator.report(new Error('.if ohne .endif'));
+        }
+        return false;
+    }
+
+    // Error that ends the preprocessor even while validating (endless recursion
+    // or expansion would report the same error over and over)
+    abort(message) {
+        this.aborted = true;
+        return new Error(message);
+    }
+
+    // Index of the line that closes the block starting at lines[start]
+    blockEnd(lines, start, openers, closer) {
+        let nesting = 0;
+        for (let i = start + 1; i < lines.length; i++) {
+            const directive = this.simulator.stripComment(lines[i].text).trim().split(/\s/)[0].toLowerCase();
+            if (openers.includes(directive)) {
+                nesting++;
+            } else if (directive === closer && nesting-- === 0) {
+                return i;
+            }
+        }
+        throw new Error(`${openers[0] === '.macro' ? '.macro' : '.rept/.irp'} ohne ${closer}`);
+    }
+
+    // Conditional assembly directives; a condition is only evaluated if the
+    // enclosing block is assembled
+    conditional(conditions, directive, args, source) {
+        const top = conditions[conditions.length - 1];
+        switch (directive) {
+            case '.else':
+            case '.elseif': {
+                if (!top || top.final) {
+                    throw new Error(`${directive} ohne passendes .if`);
+                }
+                const holds = top.enclosing && !top.taken && (directive === '.else' || this.evaluate(args) !== 0n);
+                top.active = holds;
+                top.taken = top.taken || holds;
+                top.final = directive === '.else';
+                return;
+            }
+            case '.endif':
+                if (!top) {
+                    throw new Error('.endif ohne .if');
+                }
+                conditions.pop();
+                return;
+            default: {
+                // A condition that cannot be evaluated still opens a block (as
+                // false), so the matching .endif is found
+                const enclosing = conditions.every(condition => condition.active);
+                let holds = false;
+                try {
+                    holds = enclosing && this.condition(directive, args);
+                } finally {
+                    conditions.push({ source, enclosing, active: holds, taken: holds, final: false });
+                }
+            }
+        }
+    }
+
+    // Whether the condition of an .if directive holds
+    condition(directive, args) {
+        switch (directive) {
+            case '.if':
+                return this.evaluate(args) !== 0n;
+            case '.ifdef':
+            case '.ifndef': {
+                if (!/^[A-Za-z_.$][\w.$]*$/.test(args)) {
+                    throw new Error(`${directive} benötigt einen Symbolnamen`);
+                }
+                const defined = this.constants.has(args) || this.symbols.has(args);
+                return directive === '.ifdef' ? defined : !defined;
+            }
+            case '.ifb':
+                return args === '';
+            case '.ifnb':
+                return args !== '';
+            default: {
+                const parts = this.splitArguments(args);
+                if (parts.length !== 2) {
+                    throw new Error(`${directive} benötigt zwei durch Komma getrennte Zeichenketten`);
+                }
+                const [a, b] = parts.map(part => part.replace(/^'(.*)'$|^"(.*)"$/, '$1$2'));
+                return directive === '.ifc' ? a === b : a !== b;
+            }
+        }
+    }
+
+    // Value of an expression over the constants defined so far
+    evaluate(text) {
+        return evaluateExpression(text, name => {
+            const value = this.constants.get(name);
+            if (typeof value === 'string') {
+                throw new Error(`${name} hängt von Labels ab und ist hier nicht erlaubt: ${text}`);
+            }
+            return value;
+        });
+    }
+
+    // Text of an .error directive (quoted or plain)
+    message(args) {
+        return /^"[\s\S]*"$/.test(args) ? new TextDecoder().decode(new Uint8Array(this.simulator.parseString(args))) : args;
+    }
+
+    // Constant defined with .equ, .set, = or equ (may be redefined; lines use the
+    // value defined before them). An expression with labels (e.g. len = . - msg)
+    // is kept as text; the simulator evaluates it where the constant is used.
+    defineConstant(name, expression, source) {
+        if (!/^[A-Za-z_.$][\w.$]*$/.test(name)) {
+            throw new Error(`Ungültiger Konstantenname: ${name}`);
+        }
+        let symbolic = false;
+        const value = evaluateExpression(expression, symbol => {
+            const constant = this.constants.get(symbol);
+            if (typeof constant === 'bigint') {
+                return constant;
+            }
+            symbolic = true;
+            return 1n;
+        });
+        if (!symbolic) {
+            this.constants.set(name, value);
+            return;
+        }
+        
+        // The location counter (. or $) becomes a label at the current position
+        let location = null;
+        const text = this.replaceSymbols(expression, /(?<![\w.$])[.$](?![\w.$])/g, () => {
+            location = location || `.Lloc$${this.locations++}`;
+            return location;
+        });
+        if (location) {
+            this.result.push({ line: source.line, text: `${location}:`, origin: source.origin });
+        }
+        this.constants.set(name, text.trim());
+    }
+
+    // Macro definition: .macro name [param[=default][:req|:vararg], ...]
+    defineMacro(args, body) {
+        const match = args.match(/^([A-Za-z_.$][\w.$]*)\s*,?\s*(.*)$/);
+        if (!match) {
+            throw new Error('.macro benötigt einen Namen');
+        }
+        const list = match[2].includes(',') ? match[2].split(',') : match[2].split(/\s+/);
+        const params = list.map(param => param.trim()).filter(param => param).map(param => {
+            const parsed = param.match(/^([A-Za-z_]\w*)(?::(req|vararg))?(?:\s*=\s*(.*))?$/);
+            if (!parsed) {
+                throw new Error(`Ungültiger Makroparameter: ${param}`);
+            }
+            return { name: parsed[1], required: parsed[2] === 'req', vararg: parsed[2] === 'vararg', value: parsed[3] || '' };
+        });
+        this.macros.set(match[1].toLowerCase(), { name: match[1], params, body });
+    }
+
+    // Assemble a line: expand a macro call or pass the line on with the
+    // constants substituted
+    emit(source, text, depth) {
+        const label = this.simulator.matchLabel(text) || text.match(/^(\d+):\s*(.*)$/);
+        if (label) {
+            this.symbols.add(label[1]);
+        }
+        const [, name, args] = (label ? label[2] : text).match(/^(\S*)\s*(.*)$/);
+        const macro = this.macros.get(name.toLowerCase());
+        if (!macro) {
+            this.result.push({ line: source.line, text: this.substituteConstants(text), origin: source.origin });
+            return;
+        }
+        
+        if (label) {
+            this.result.push({ line: source.line, text: `${label[1]}:`, origin: source.origin });
+        }
+        const values = this.macroArguments(macro, args);
+        values.set('@', String(this.expansions++));
+        const frame = { name: `Makro '${macro.name}'` };
+        const body = macro.body.map(line => ({
+            line: source.line,
+            text: this.substituteArguments(line.text, values),
+            origin: [...(source.origin || []), { ...frame, line: this.sourceLine(line) }]
+        }));
+        this.processLines(body, depth + 1);
+    }
+
+    // Values of the macro parameters for the arguments of a call (positional or
+    // name=value; missing arguments use the default value)
+    macroArguments(macro, args) {
+        const values = new Map(macro.params.map(param => [param.name, param.value]));
+        const items = args ? this.splitArguments(args) : [];
+        let position = 0;
+        for (let i = 0; i < items.length; i++) {
+            const keyword = items[i].match(/^([A-Za-z_]\w*)\s*=\s*(.*)$/);
+            if (keyword && macro.params.some(param => param.name === keyword[1])) {
+                values.set(keyword[1], keyword[2]);
+                continue;
+            }
+            const param = macro.params[position++];
+            if (!param) {
+                throw new Error(`Zu viele Argumente für Makro '${macro.name}' (erwartet ${macro.params.length})`);
+            }
+            if (param.vararg) {
+                values.set(param.name, items.slice(i).join(', '));
+                break;
+            }
+            values.set(param.name, items[i]);
+        }
+        
+        for (const param of macro.params) {
+            if (param.required && !values.get(param.name)) {
+                throw new Error(`Makro '${macro.name}': Argument '${param.name}' fehlt`);
+            }
+        }
+        return values;
+    }
+
+    // Replace \name by the parameter values, \@ by the expansion counter and
+    // remove \() (separates a parameter from following text)
+    substituteArguments(text, values) {
+        return text.replace(/\\(\(\)|@|[A-Za-z_]\w*)/g, (match, name) => {
+            if (name === '()') {
+                return '';
+            }
+            return values.has(name) ? values.get(name) : match;
+        });
+    }
+
+    // Body lines of a repetition: .rept count, .irp param, values... or
+    // .irpc param, characters
+    repeat(directive, args, body) {
+        if (directive === '.rept') {
+            const count = this.evaluate(args);
+            if (count < 0n || count > BigInt(Preprocessor.MAX_LINES)) {
+                throw new Error(`.rept: Anzahl außerhalb des Bereichs (0-${Preprocessor.MAX_LINES}): ${count}`);
+            }
+            return Array.from({ length: Number(count) }, () => body).flat();
+        }
+        
+        const match = args.match(/^([A-Za-z_]\w*)\s*(?:,\s*(.*))?$/);
+        if (!match) {
+            throw new Error(`${directive} benötigt einen Parameternamen (${directive} NAME, WERTE)`);
+        }
+        const list = match[2] || '';
+        const values = directive === '.irp' ? (list ? this.splitArguments(list) : ['']) : [...list.replace(/\s/g, '')];
+        return values.flatMap(value => body.map(line => ({
+            ...line,
+            text: this.substituteArguments(line.text, new Map([[match[1], value]]))
+        })));
+    }
+
+    // Split macro arguments at commas outside of quotes and brackets
+    splitArguments(args) {
+        const items = [];
+        let nesting = 0;
+        let quote = null;
+        let current = '';
+        for (let i = 0; i < args.length; i++) {
+            const ch = args[i];
+            if (quote) {
+                if (ch === '\\' && i + 1 < args.length) {
+                    current += ch + args[++i];
+                    continue;
+                }
+                if (ch === quote) {
+                    quote = null;
+                }
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if ('([{'.includes(ch)) {
+                nesting++;
+            } else if (')]}'.includes(ch)) {
+                nesting--;
+            } else if (ch === ',' && nesting === 0) {
+                items.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += ch;
+        }
+        items.push(current.trim());
+        return items;
+    }
+
+    // Replace symbols outside of string and character literals
+    replaceSymbols(text, pattern, replace) {
+        return text.split(/("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`(?:[^`\\]|\\.)*`)/)
+            .map((part, i) => i % 2 === 1 ? part : part.replace(pattern, replace))
+            .join('');
+    }
+
+    // Replace the names of numeric constants by their values
+    substituteConstants(text) {
+        if (this.constants.size === 0) {
+            return text;
+        }
+        return this.replaceSymbols(text, /(?<![\w.$])[A-Za-z_.$][\w.$]*/g,
+            name => typeof this.constants.get(name) === 'bigint' ? this.constants.get(name).toString() : name);
+    }
+
+    // Numeric local labels (1:) may be defined many times, e.g. in macros. They
+    // get unique names; 1b refers to the last definition before the reference,
+    // 1f to the next one after it.
+    resolveLocalLabels() {
+        const definitions = new Map();
+        this.result.forEach((source, index) => {
+            const match = source.text.match(/^(\d+):\s*(.*)$/);
+            if (match) {
+                const list = definitions.get(match[1]) || [];
+                source.text = `.L${match[1]}$${list.length}: ${match[2]}`.trim();
+                list.push(index);
+                definitions.set(match[1], list);
+            }
+        });
+        this.result.forEach((source, index) => {
+            source.text = this.replaceSymbols(source.text, /(?<![\w.$])(\d+)([bf])(?![\w.$])/g, (reference, number, direction) => {
+                const list = definitions.get(number) || [];
+                const target = direction === 'b' ?
+                    list.filter(position => position <= index).length - 1 :
+                    list.findIndex(position => position > index);
+                if (target < 0) {
+                    this.enter(source);
+                    this.simulator.report(new Error(`Lokales Label nicht gefunden: ${reference}`));
+                    return reference;
+                }
+                return `.L${number}$${target}`;
+            });
+        });
+    }
+}
+
+// Directives of conditional assembly
+Preprocessor.CONDITIONALS = ['.if', '.ifdef', '.ifndef', '.ifb', '.ifnb', '.ifc', '.ifnc', '.elseif', '.else', '.endif'];
+
+// Limits against endless macro recursion and repetition
+Preprocessor.MAX_DEPTH = 100;
+Preprocessor.MAX_LINES = 1000000;
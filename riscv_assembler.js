@@ -0,0 +1,1141 @@
+/**
+ * RISC-V Assembler Simulator
+ * Simulates the RV64IM instruction set (base integer instructions and the M
+ * extension for multiplication and division) with Linux system calls
+ */
+
+class RISCVSimulator extends Simulator {
+    constructor() {
+        super();
+        
+        // Base address of the code segment (GNU ld default for RISC-V Linux)
+        this.textBase = 0x10000n;
+        
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        
+        // Registers x1-x31 under their ABI names (x0/zero is always 0)
+        this.registers = {};
+        for (const name of RISCVSimulator.REGISTER_NAMES.slice(1)) {
+            this.registers[name] = 0n;
+        }
+        
+        // Program Counter (index into this.program)
+        this.pc = 0;
+        this.nextPc = 0;
+        
+        // Stack Pointer
+        this.registers['sp'] = 0x7FFFFFF0n;
+        
+        // RISC-V has no condition flags: branches compare registers directly
+        this.flags = {};
+    }
+
+    // Parse immediate value (e.g., 42, 0x2A, 'A', (1 << 12) | 3, %hi(label), %lo(label))
+    parseImmediate(value) {
+        if (typeof value === 'string') {
+            // Upper 20 bits (rounded for the following signed 12-bit part) and
+            // lower 12 bits of a label address
+            const reloc = value.trim().match(/^%(hi|lo)\((.+)\)$/i);
+            if (reloc) {
+                const address = super.parseImmediate(reloc[2]);
+                return reloc[1].toLowerCase() === 'hi'
+                    ? ((address + 0x800n) >> 12n) & 0xFFFFFn
+                    : BigInt.asIntN(12, address);
+            }
+        }
+        return super.parseImmediate(value);
+    }
+
+    // Resolve a register name to its ABI name (x10 → a0, fp → s0)
+    normalizeRegister(reg) {
+        const name = reg.trim().toLowerCase();
+        const numbered = name.match(/^x(\d+)$/);
+        if (numbered && Number(numbered[1]) < 32) {
+            return RISCVSimulator.REGISTER_NAMES[Number(numbered[1])];
+        }
+        if (name === 'fp') {
+            return 's0';
+        }
+        if (!RISCVSimulator.REGISTER_NAMES.includes(name)) {
+            throw new Error(`Unbekanntes Register: ${reg}`);
+        }
+        return name;
+    }
+
+    // Register number in an instruction encoding
+    registerNumber(reg) {
+        return RISCVSimulator.REGISTER_NAMES.indexOf(this.normalizeRegister(reg));
+    }
+
+    // Get register value
+    getRegister(reg) {
+        reg = this.normalizeRegister(reg);
+        return reg === 'zero' ? 0n : this.registers[reg];
+    }
+
+    // Set register value (truncated to 64 bits; writes to zero are ignored)
+    setRegister(reg, value) {
+        reg = this.normalizeRegister(reg);
+        if (reg === 'zero') {
+            return;
+        }
+        this.logRegister(reg);
+        this.registers[reg] = BigInt(value) & RISCVSimulator.MASK64;
+        this.modifiedRegisters.add(reg);
+    }
+
+    // Check the number of operands of an instruction
+    checkOperands(parts, count) {
+        if (parts.length - 1 !== count) {
+            const op = parts[0].toUpperCase();
+            throw new Error(count === 0 ? `${op} hat keine Operanden` : `${op} erwartet ${count} Operanden`);
+        }
+    }
+
+    // Immediate operand within the given range
+    immediate(text, min, max) {
+        const value = this.parseImmediate(text);
+        if (value < BigInt(min) || value > BigInt(max)) {
+            throw new Error(`Immediate außerhalb des Bereichs (${min}..${max}): ${text}`);
+        }
+        return value;
+    }
+
+    // Immediate operand of an ALU instruction: shift amount or signed 12-bit value
+    aluImmediate(op, text) {
+        const { shift, word } = RISCVSimulator.REGISTER_OPS[RISCVSimulator.IMMEDIATE_OPS[op]];
+        return shift ? this.immediate(text, 0, word ? 31 : 63) : this.immediate(text, -2048, 2047);
+    }
+
+    // Memory operand offset(base) with a signed 12-bit offset (e.g. 8(sp), (a0), %lo(msg)(a1))
+    parseAddress(operand) {
+        const match = operand.match(/^(.*?)\s*\(\s*([^()]+?)\s*\)$/);
+        if (!match) {
+            throw new Error(`Speicheroperand der Form offset(Register) erwartet: ${operand}`);
+        }
+        return {
+            offset: match[1] ? this.immediate(match[1], -2048, 2047) : 0n,
+            base: this.normalizeRegister(match[2])
+        };
+    }
+
+    // Operands of JAL: label | rd, label (rd = ra if omitted)
+    parseJAL(parts) {
+        if (parts.length === 2) {
+            return { rd: 'ra', label: parts[1] };
+        }
+        this.checkOperands(parts, 2);
+        return { rd: parts[1], label: parts[2] };
+    }
+
+    // Operands of JALR: rs | rd, offset(rs) | rd, rs, offset (rd = ra if omitted)
+    parseJALR(parts) {
+        if (parts.length === 2) {
+            return { rd: 'ra', base: this.normalizeRegister(parts[1]), offset: 0n };
+        }
+        if (parts.length === 3) {
+            return { rd: this.normalizeRegister(parts[1]), ...this.parseAddress(parts[2]) };
+        }
+        this.checkOperands(parts, 3);
+        return {
+            rd: this.normalizeRegister(parts[1]),
+            base: this.normalizeRegister(parts[2]),
+            offset: this.immediate(parts[3], -2048, 2047)
+        };
+    }
+
+    // Replace a pseudo-instruction that stands for a single base instruction
+    // (mv, not, beqz, j, ret, ...) by that instruction: [mnemonic, ...operands]
+    baseInstruction(op, parts) {
+        const alias = RISCVSimulator.ALIASES[op];
+        if (!alias) {
+            return [op, ...parts.slice(1)];
+        }
+        const [base, ...operands] = alias;
+        this.checkOperands(parts, operands.filter(operand => typeof operand === 'number').length);
+        return [base, ...operands.map(operand => typeof operand === 'number' ? parts[operand + 1] : operand)];
+    }
+
+    // Result of a register-register operation on 64-bit values (W operations
+    // compute 32 bits and sign-extend the result)
+    aluResult(op, a, b) {
+        const { compute, word } = RISCVSimulator.REGISTER_OPS[op];
+        const result = compute(a, b);
+        return BigInt.asUintN(64, word ? BigInt.asIntN(32, result) : result);
+    }
+
+    // Execute a single instruction (mnemonic in upper case)
+    executeOperation(op, parts) {
+        const base = this.baseInstruction(op, parts);
+        const name = base[0];
+        
+        if (RISCVSimulator.REGISTER_OPS.hasOwnProperty(name)) {
+            return this.executeRegisterOp(base, op);
+        }
+        if (RISCVSimulator.IMMEDIATE_OPS.hasOwnProperty(name)) {
+            return this.executeImmediateOp(base, op);
+        }
+        if (RISCVSimulator.LOADS.hasOwnProperty(name)) {
+            return this.executeLoad(base);
+        }
+        if (RISCVSimulator.STORES.hasOwnProperty(name)) {
+            return this.executeStore(base);
+        }
+        if (RISCVSimulator.BRANCHES.hasOwnProperty(name)) {
+            return this.executeBranch(base, op);
+        }
+        
+        switch (name) {
+            case 'LUI':
+            case 'AUIPC':
+                return this.executeUpperImmediate(base);
+            case 'LI':
+                return this.executeLI(base);
+            case 'LA':
+                return this.executeLA(base);
+            case 'JAL':
+                return this.executeJAL(base, op);
+            case 'CALL':
+                return this.executeCALL(base);
+            case 'JALR':
+                return this.executeJALR(base, op);
+            case 'ECALL':
+                return this.executeECALL(base);
+            default:
+                throw new Error(`Unbekannte Instruktion: ${op}`);
+        }
+    }
+
+    // Register-register operation: ADD rd, rs1, rs2
+    executeRegisterOp(parts, op) {
+        this.checkOperands(parts, 3);
+        const value = this.aluResult(parts[0], this.getRegister(parts[2]), this.getRegister(parts[3]));
+        this.setRegister(parts[1], value);
+        this.output.push(`${op} ${parts[1]} ← ${BigInt.asIntN(64, value)} (0x${value.toString(16)})`);
+    }
+
+    // Register-immediate operation: ADDI rd, rs1, imm
+    executeImmediateOp(parts, op) {
+        this.checkOperands(parts, 3);
+        const imm = this.aluImmediate(parts[0], parts[3]);
+        const value = this.aluResult(RISCVSimulator.IMMEDIATE_OPS[parts[0]], this.getRegister(parts[2]), BigInt.asUintN(64, imm));
+        this.setRegister(parts[1], value);
+        this.output.push(`${op} ${parts[1]} ← ${BigInt.asIntN(64, value)} (0x${value.toString(16)})`);
+    }
+
+    // LB/LH/LW/LD rd, offset(rs1) (sign-extended) and LBU/LHU/LWU (zero-extended)
+    executeLoad(parts) {
+        this.checkOperands(parts, 2);
+        const { size, signed } = RISCVSimulator.LOADS[parts[0]];
+        const { offset, base } = this.parseAddress(parts[2]);
+        const address = (this.getRegister(base) + offset) & RISCVSimulator.MASK64;
+        
+        let value = this.readMemory(address, size);
+        if (signed) {
+            value = BigInt.asUintN(64, BigInt.asIntN(size * 8, value));
+        }
+        this.setRegister(parts[1], value);
+        this.output.push(`${parts[0]} ${parts[1]} ← [0x${address.toString(16)}] = ${BigInt.asIntN(64, value)}`);
+    }
+
+    // SB/SH/SW/SD rs2, offset(rs1): store the low bytes of rs2
+    executeStore(parts) {
+        this.checkOperands(parts, 2);
+        const { size } = RISCVSimulator.STORES[parts[0]];
+        const { offset, base } = this.parseAddress(parts[2]);
+        const address = (this.getRegister(base) + offset) & RISCVSimulator.MASK64;
+        const value = this.getRegister(parts[1]) & ((1n << BigInt(size * 8)) - 1n);
+        
+        this.writeMemory(address, value, size);
+        this.output.push(`${parts[0]} [0x${address.toString(16)}] ← ${parts[1]} (${value})`);
+    }
+
+    // Conditional branch: BEQ rs1, rs2, label
+    executeBranch(parts, op) {
+        this.checkOperands(parts, 3);
+        const a = this.getRegister(parts[1]);
+        const b = this.getRegister(parts[2]);
+        const label = parts[3];
+        const target = this.resolveLabel(label);
+        const operands = `${parts[1]}(${BigInt.asIntN(64, a)}), ${parts[2]}(${BigInt.asIntN(64, b)})`;
+        
+        if (RISCVSimulator.BRANCHES[parts[0]].holds(a, b)) {
+            this.nextPc = target;
+            this.output.push(`${op} ${operands} → ${label} (Sprung genommen)`);
+        } else {
+            this.output.push(`${op} ${operands} → ${label} (nicht genommen)`);
+        }
+    }
+
+    // LUI rd, imm20 (imm20 << 12) / AUIPC rd, imm20 (PC + (imm20 << 12)); the
+    // 32-bit result is sign-extended
+    executeUpperImmediate(parts) {
+        this.checkOperands(parts, 2);
+        const upper = BigInt.asIntN(32, this.immediate(parts[2], 0, 0xFFFFF) << 12n);
+        const value = parts[0] === 'AUIPC' ? this.addressOf(this.pc) + upper : upper;
+        this.setRegister(parts[1], value);
+        this.output.push(`${parts[0]} ${parts[1]} ← 0x${BigInt.asUintN(64, value).toString(16)}`);
+    }
+
+    // LI rd, imm: load a 64-bit constant (assembled as LUI/ADDI(W)/SLLI sequence)
+    executeLI(parts) {
+        this.checkOperands(parts, 2);
+        const value = this.loadValue(parts[2]);
+        this.setRegister(parts[1], value);
+        this.output.push(`LI ${parts[1]} ← ${BigInt.asIntN(64, value)} (0x${BigInt.asUintN(64, value).toString(16)})`);
+    }
+
+    // LA rd, label: address of a label (assembled as AUIPC + ADDI)
+    executeLA(parts) {
+        this.checkOperands(parts, 2);
+        const value = this.addressOperand(parts[2]);
+        this.setRegister(parts[1], value);
+        this.output.push(`LA ${parts[1]} ← ${parts[2]} = 0x${value.toString(16)}`);
+    }
+
+    // JAL rd, label (rd = ra if omitted): jump and store the return address in rd
+    executeJAL(parts, op) {
+        const { rd, label } = this.parseJAL(parts);
+        const target = this.resolveLabel(label);
+        const returnAddress = this.nextAddress(this.pc);
+        
+        this.setRegister(rd, returnAddress);
+        this.nextPc = target;
+        this.output.push(this.normalizeRegister(rd) === 'zero'
+            ? `${op} → ${label}`
+            : `${op} → ${label} (${rd} ← 0x${returnAddress.toString(16)})`);
+    }
+
+    // CALL label: call a subroutine, the return address is stored in ra
+    // (assembled as AUIPC + JALR)
+    executeCALL(parts) {
+        this.checkOperands(parts, 1);
+        const target = this.resolveLabel(parts[1]);
+        const returnAddress = this.nextAddress(this.pc);
+        
+        this.setRegister('ra', returnAddress);
+        this.nextPc = target;
+        this.output.push(`CALL → ${parts[1]} (ra ← 0x${returnAddress.toString(16)})`);
+    }
+
+    // JALR rd, offset(rs1): jump to rs1 + offset and store the return address in
+    // rd. Jumping to address 0 (RET without a caller) ends the program.
+    executeJALR(parts, op) {
+        const { rd, base, offset } = this.parseJALR(parts);
+        const address = (this.getRegister(base) + offset) & RISCVSimulator.MASK64 & ~1n;
+        if (address === 0n) {
+            this.output.push(`Programm beendet (${op})`);
+            return 'halt';
+        }
+        
+        const returnAddress = this.nextAddress(this.pc);
+        this.nextPc = this.indexOfAddress(address);
+        this.setRegister(rd, returnAddress);
+        this.output.push(rd === 'zero'
+            ? `${op} → 0x${address.toString(16)}`
+            : `${op} → 0x${address.toString(16)} (${rd} ← 0x${returnAddress.toString(16)})`);
+    }
+
+    // ECALL: Linux system call with the number in a7 and the arguments in
+    // a0-a2; the result (or -errno) is returned in a0
+    executeECALL(parts) {
+        this.checkOperands(parts, 0);
+        const number = this.getRegister('a7');
+        const name = RISCVSimulator.SYSCALLS[number];
+        if (!name) {
+            throw new Error(`Unbekannter Systemaufruf: a7 = ${number}`);
+        }
+        const [arg0, arg1, arg2] = ['a0', 'a1', 'a2'].map(reg => this.getRegister(reg));
+        if (name === 'read' && this.needsInput(arg0)) {
+            return 'input';
+        }
+        
+        if (name === 'exit' || name === 'exit_group') {
+            this.exitCode = Number(arg0 & 0xFFn);
+            this.output.push(`ECALL: ${name}(${this.exitCode})`);
+            return 'halt';
+        }
+        
+        const { value, error } = name === 'write'
+            ? this.sysWrite(arg0, arg1, arg2)
+            : this.sysRead(arg0, arg1, arg2);
+        this.setRegister('a0', error === undefined ? value : -BigInt(error));
+        
+        const result = error === undefined ? `${value}` : `-${error}`;
+        this.output.push(`ECALL: ${name}(${arg0}, 0x${arg1.toString(16)}, ${arg2}) = ${result}`);
+    }
+
+    // Constant of LI (any 64-bit value, signed or unsigned)
+    loadValue(text) {
+        const value = this.parseImmediate(text);
+        if (value < -(1n << 63n) || value > RISCVSimulator.MASK64) {
+            throw new Error(`Wert passt nicht in 64 Bit: ${text}`);
+        }
+        return BigInt.asIntN(64, value);
+    }
+
+    // Instructions that load a constant, as the LLVM assembler expands LI:
+    // LUI and ADDI(W) for 32-bit values, larger values are built from their
+    // upper bits with SLLI and ADDI. Positive values with leading zeros may be
+    // shorter as a constant shifted to the top and a final SRLI. Returns
+    // [mnemonic, immediate] pairs.
+    immediateSequence(value) {
+        let sequence = this.shiftedSequence(value);
+        if (value > 0n && sequence.length > 2) {
+            const zeros = BigInt(64 - value.toString(2).length);
+            const shifted = BigInt.asUintN(64, value << zeros);
+            // The bits shifted out are filled with ones (e.g. -1 >> 32) or zeros
+            for (const candidate of [shifted | ((1n << zeros) - 1n), shifted]) {
+                const alternative = [...this.shiftedSequence(BigInt.asIntN(64, candidate)), ['SRLI', zeros]];
+                if (alternative.length < sequence.length) {
+                    sequence = alternative;
+                }
+            }
+        }
+        return sequence;
+    }
+
+    // LUI/ADDI(W)/SLLI/ADDI sequence of immediateSequence()
+    shiftedSequence(value) {
+        if (value >= -(1n << 31n) && value < 1n << 31n) {
+            const hi20 = ((value + 0x800n) >> 12n) & 0xFFFFFn;
+            const lo12 = BigInt.asIntN(12, value);
+            const sequence = hi20 ? [['LUI', hi20]] : [];
+            if (lo12 || !hi20) {
+                sequence.push([hi20 ? 'ADDIW' : 'ADDI', lo12]);
+            }
+            return sequence;
+        }
+        
+        const lo12 = BigInt.asIntN(12, value);
+        let upper = BigInt.asUintN(64, value + 0x800n) >> 12n;
+        let shift = 12n;
+        while ((upper & 1n) === 0n) {
+            upper >>= 1n;
+            shift++;
+        }
+        upper = BigInt.asIntN(64 - Number(shift), upper);
+        // Upper bits that do not fit 12 bits but LUI can load with zeros below
+        if (shift > 12n && (upper < -2048n || upper > 2047n) && BigInt.asIntN(32, upper << 12n) === upper << 12n) {
+            shift -= 12n;
+            upper <<= 12n;
+        }
+        const sequence = this.shiftedSequence(upper);
+        sequence.push(['SLLI', shift]);
+        if (lo12) {
+            sequence.push(['ADDI', lo12]);
+        }
+        return sequence;
+    }
+
+    // Give every instruction its address in the machine code: LA and CALL take
+    // two instructions, LI as many as its constant needs, all others one
+    layoutCode(layout) {
+        this.setCodeAddresses(this.program.map(instruction => this.instructionSize(instruction.text)));
+    }
+
+    // Size of an instruction in bytes (an invalid LI keeps 4 bytes, so it still
+    // has an address; execution and assemble() report the error)
+    instructionSize(text) {
+        const parts = this.splitOperands(text);
+        const op = parts[0].toUpperCase();
+        if (op === 'LA' || op === 'CALL') {
+            return 8;
+        }
+        if (op === 'LI' && parts.length === 3) {
+            try {
+                return 4 * this.immediateSequence(this.loadValue(parts[2])).length;
+            } catch (error) {
+                return 4;
+            }
+        }
+        return 4;
+    }
+
+    // Encode a single instruction as 32-bit words (same syntax as
+    // executeInstruction; LI, LA and CALL expand to several instructions)
+    encodeInstruction(instruction) {
+        const parts = this.splitOperands(instruction.trim());
+        const op = parts[0].toUpperCase();
+        const base = this.baseInstruction(op, parts);
+        const name = base[0];
+        
+        if (RISCVSimulator.REGISTER_OPS.hasOwnProperty(name)) {
+            this.checkOperands(base, 3);
+            const { funct3, funct7, word } = RISCVSimulator.REGISTER_OPS[name];
+            const [rd, rs1, rs2] = base.slice(1).map(reg => this.registerNumber(reg));
+            return [this.rType(word ? 0x3B : 0x33, rd, funct3, rs1, rs2, funct7)];
+        }
+        if (RISCVSimulator.IMMEDIATE_OPS.hasOwnProperty(name)) {
+            this.checkOperands(base, 3);
+            const imm = this.aluImmediate(name, base[3]);
+            return [this.encodeImmediateOp(name, this.registerNumber(base[1]), this.registerNumber(base[2]), imm)];
+        }
+        if (RISCVSimulator.LOADS.hasOwnProperty(name)) {
+            this.checkOperands(base, 2);
+            const { offset, base: reg } = this.parseAddress(base[2]);
+            return [this.iType(0x03, this.registerNumber(base[1]), RISCVSimulator.LOADS[name].funct3, this.registerNumber(reg), offset)];
+        }
+        if (RISCVSimulator.STORES.hasOwnProperty(name)) {
+            this.checkOperands(base, 2);
+            const { offset, base: reg } = this.parseAddress(base[2]);
+            return [this.sType(RISCVSimulator.STORES[name].funct3, this.registerNumber(reg), this.registerNumber(base[1]), offset)];
+        }
+        if (RISCVSimulator.BRANCHES.hasOwnProperty(name)) {
+            this.checkOperands(base, 3);
+            const offset = this.branchOffset(base[3], 13);
+            return [this.bType(RISCVSimulator.BRANCHES[name].funct3, this.registerNumber(base[1]), this.registerNumber(base[2]), offset)];
+        }
+        
+        switch (name) {
+            case 'LUI':
+            case 'AUIPC':
+                this.checkOperands(base, 2);
+                return [this.uType(name === 'LUI' ? 0x37 : 0x17, this.registerNumber(base[1]), this.immediate(base[2], 0, 0xFFFFF))];
+            case 'LI':
+                return this.encodeLI(base);
+            case 'LA':
+                return this.encodeLA(base);
+            case 'JAL': {
+                const { rd, label } = this.parseJAL(base);
+                return [this.jType(this.registerNumber(rd), this.branchOffset(label, 21))];
+            }
+            case 'CALL':
+                return this.encodeCALL(base);
+            case 'JALR': {
+                const { rd, base: reg, offset } = this.parseJALR(base);
+                return [this.iType(0x67, this.registerNumber(rd), 0, this.registerNumber(reg), offset)];
+            }
+            case 'ECALL':
+                this.checkOperands(base, 0);
+                return [0x00000073];
+            default:
+                throw new Error(`Unbekannte Instruktion: ${op}`);
+        }
+    }
+
+    // R-type: funct7 | rs2 | rs1 | funct3 | rd | opcode
+    rType(opcode, rd, funct3, rs1, rs2, funct7) {
+        return (funct7 << 25 | rs2 << 20 | rs1 << 15 | funct3 << 12 | rd << 7 | opcode) >>> 0;
+    }
+
+    // I-type: imm[11:0] | rs1 | funct3 | rd | opcode
+    iType(opcode, rd, funct3, rs1, imm) {
+        return ((Number(imm) & 0xFFF) << 20 | rs1 << 15 | funct3 << 12 | rd << 7 | opcode) >>> 0;
+    }
+
+    // S-type: imm[11:5] | rs2 | rs1 | funct3 | imm[4:0] | opcode
+    sType(funct3, rs1, rs2, imm) {
+        const value = Number(imm) & 0xFFF;
+        return ((value >> 5) << 25 | rs2 << 20 | rs1 << 15 | funct3 << 12 | (value & 0x1F) << 7 | 0x23) >>> 0;
+    }
+
+    // B-type: imm[12|10:5] | rs2 | rs1 | funct3 | imm[4:1|11] | opcode
+    bType(funct3, rs1, rs2, offset) {
+        return ((offset >> 12 & 1) << 31 | (offset >> 5 & 0x3F) << 25 | rs2 << 20 | rs1 << 15 |
+            funct3 << 12 | (offset >> 1 & 0xF) << 8 | (offset >> 11 & 1) << 7 | 0x63) >>> 0;
+    }
+
+    // U-type: imm[31:12] | rd | opcode
+    uType(opcode, rd, imm20) {
+        return ((Number(imm20) & 0xFFFFF) << 12 | rd << 7 | opcode) >>> 0;
+    }
+
+    // J-type: imm[20|10:1|11|19:12] | rd | opcode
+    jType(rd, offset) {
+        return ((offset >> 20 & 1) << 31 | (offset >> 1 & 0x3FF) << 21 | (offset >> 11 & 1) << 20 |
+            (offset >> 12 & 0xFF) << 12 | rd << 7 | 0x6F) >>> 0;
+    }
+
+    // Register-immediate operation (shifts keep funct7 above the shift amount)
+    encodeImmediateOp(op, rd, rs1, imm) {
+        const { funct3, funct7, shift, word } = RISCVSimulator.REGISTER_OPS[RISCVSimulator.IMMEDIATE_OPS[op]];
+        const field = shift ? funct7 << 5 | Number(imm) : imm;
+        return this.iType(word ? 0x1B : 0x13, rd, funct3, rs1, field);
+    }
+
+    // Byte offset from the current instruction to a label in a branch field of
+    // the given width (B-type: 13 bits, ±4 KB; JAL: 21 bits, ±1 MB)
+    branchOffset(label, bits) {
+        const offset = Number(this.branchAddress(label) - this.addressOf(this.pc));
+        const range = 2 ** (bits - 1);
+        if (offset < -range || offset >= range) {
+            throw new Error(`Sprungziel '${label}' ist außerhalb der Reichweite (±${range} Bytes)`);
+        }
+        return offset;
+    }
+
+    // PC-relative offset of a label for AUIPC and the following 12-bit
+    // instruction: [upper 20 bits, signed lower 12 bits]
+    pcRelative(address) {
+        const offset = address - this.addressOf(this.pc);
+        if (offset < -(1n << 31n) || offset >= 1n << 31n) {
+            throw new Error(`Adresse außerhalb der Reichweite (±2 GB): 0x${address.toString(16)}`);
+        }
+        const lo12 = BigInt.asIntN(12, offset);
+        return [((offset - lo12) >> 12n) & 0xFFFFFn, lo12];
+    }
+
+    // LI rd, imm: LUI/ADDI(W)/SLLI/ADDI sequence of immediateSequence()
+    encodeLI(parts) {
+        this.checkOperands(parts, 2);
+        const rd = this.registerNumber(parts[1]);
+        return this.immediateSequence(this.loadValue(parts[2])).map(([op, imm], i) => op === 'LUI'
+            ? this.uType(0x37, rd, imm)
+            : this.encodeImmediateOp(op, rd, i === 0 ? 0 : rd, imm));
+    }
+
+    // LA rd, label: AUIPC rd, %pcrel_hi(label) + ADDI rd, rd, %pcrel_lo(label)
+    encodeLA(parts) {
+        this.checkOperands(parts, 2);
+        const rd = this.registerNumber(parts[1]);
+        const [hi20, lo12] = this.pcRelative(this.addressOperand(parts[2]));
+        return [this.uType(0x17, rd, hi20), this.encodeImmediateOp('ADDI', rd, rd, lo12)];
+    }
+
+    // CALL label: AUIPC ra, %pcrel_hi(label) + JALR ra, %pcrel_lo(label)(ra)
+    encodeCALL(parts) {
+        this.checkOperands(parts, 1);
+        const [hi20, lo12] = this.pcRelative(this.branchAddress(parts[1]));
+        return [this.uType(0x17, 1, hi20), this.iType(0x67, 1, 0, 1, lo12)];
+    }
+
+    // Decode a 32-bit instruction word into the syntax of executeInstruction
+    // (common pseudo-instructions such as li, mv, j and ret like objdump),
+    // null if the simulator does not support the instruction
+    decodeWord(word, address, label) {
+        const opcode = word & 0x7F;
+        const funct3 = (word >>> 12) & 7;
+        const funct7 = word >>> 25;
+        const [rd, rs1, rs2] = [word >>> 7, word >>> 15, word >>> 20].map(n => RISCVSimulator.REGISTER_NAMES[n & 31]);
+        const imm = word >> 20;
+        const find = (table, match) => Object.keys(table).find(name => match(table[name]));
+        
+        switch (opcode) {
+            case 0x33:
+            case 0x3B: {
+                const name = find(RISCVSimulator.REGISTER_OPS, op =>
+                    !op.word === (opcode === 0x33) && op.funct3 === funct3 && op.funct7 === funct7);
+                if (!name) return null;
+                if ((name === 'SUB' || name === 'SUBW') && rs1 === 'zero') return `${name === 'SUB' ? 'neg' : 'negw'} ${rd}, ${rs2}`;
+                if (name === 'SLTU' && rs1 === 'zero') return `snez ${rd}, ${rs2}`;
+                if (name === 'SLT' && rs2 === 'zero') return `sltz ${rd}, ${rs1}`;
+                if (name === 'SLT' && rs1 === 'zero') return `sgtz ${rd}, ${rs2}`;
+                return `${name.toLowerCase()} ${rd}, ${rs1}, ${rs2}`;
+            }
+            case 0x13:
+            case 0x1B: {
+                const name = find(RISCVSimulator.IMMEDIATE_OPS, base => {
+                    const op = RISCVSimulator.REGISTER_OPS[base];
+                    if (!op.word !== (opcode === 0x13) || op.funct3 !== funct3 || (op.funct7 & 1)) return false;
+                    // Shifts: funct7 above the shift amount (6 bits for RV64, 5 bits for W)
+                    return !op.shift || (op.word ? funct7 : funct7 >> 1) === (op.word ? op.funct7 : op.funct7 >> 1);
+                });
+                if (!name) return null;
+                const { shift, word: isWord } = RISCVSimulator.REGISTER_OPS[RISCVSimulator.IMMEDIATE_OPS[name]];
+                const value = shift ? (word >>> 20) & (isWord ? 31 : 63) : imm;
+                if (name === 'ADDI' && rd === 'zero' && rs1 === 'zero' && value === 0) return 'nop';
+                if (name === 'ADDI' && rs1 === 'zero') return `li ${rd}, ${value}`;
+                if (name === 'ADDI' && value === 0) return `mv ${rd}, ${rs1}`;
+                if (name === 'ADDIW' && value === 0) return `sext.w ${rd}, ${rs1}`;
+                if (name === 'XORI' && value === -1) return `not ${rd}, ${rs1}`;
+                if (name === 'SLTIU' && value === 1) return `seqz ${rd}, ${rs1}`;
+                return `${name.toLowerCase()} ${rd}, ${rs1}, ${value}`;
+            }
+            case 0x03: {
+                const name = find(RISCVSimulator.LOADS, op => op.funct3 === funct3);
+                return name ? `${name.toLowerCase()} ${rd}, ${imm}(${rs1})` : null;
+            }
+            case 0x23: {
+                const name = find(RISCVSimulator.STORES, op => op.funct3 === funct3);
+                const offset = (word >> 25) << 5 | (word >>> 7) & 0x1F;
+                return name ? `${name.toLowerCase()} ${rs2}, ${offset}(${rs1})` : null;
+            }
+            case 0x63: {
+                const name = find(RISCVSimulator.BRANCHES, op => op.funct3 === funct3);
+                if (!name) return null;
+                const offset = (word >> 31) << 12 | ((word >>> 7) & 1) << 11 | ((word >>> 25) & 0x3F) << 5 | ((word >>> 8) & 0xF) << 1;
+                const target = label(address + BigInt(offset));
+                const zeroAlias = { BEQ: 'beqz', BNE: 'bnez', BGE: 'bgez', BLT: 'bltz' }[name];
+                if (zeroAlias && rs2 === 'zero') return `${zeroAlias} ${rs1}, ${target}`;
+                if (name === 'BGE' && rs1 === 'zero') return `blez ${rs2}, ${target}`;
+                if (name === 'BLT' && rs1 === 'zero') return `bgtz ${rs2}, ${target}`;
+                return `${name.toLowerCase()} ${rs1}, ${rs2}, ${target}`;
+            }
+            case 0x37:
+            case 0x17:
+                return `${opcode === 0x37 ? 'lui' : 'auipc'} ${rd}, 0x${(word >>> 12).toString(16)}`;
+            case 0x6F: {
+                const offset = (word >> 31) << 20 | ((word >>> 12) & 0xFF) << 12 | ((word >>> 20) & 1) << 11 | ((word >>> 21) & 0x3FF) << 1;
+                const target = label(address + BigInt(offset));
+                if (rd === 'zero') return `j ${target}`;
+                return rd === 'ra' ? `jal ${target}` : `jal ${rd}, ${target}`;
+            }
+            case 0x67:
+                if (funct3 !== 0) return null;
+                if (imm === 0 && rd === 'zero') return rs1 === 'ra' ? 'ret' : `jr ${rs1}`;
+                if (imm === 0 && rd === 'ra') return `jalr ${rs1}`;
+                return `jalr ${rd}, ${imm}(${rs1})`;
+            case 0x73:
+                return word === 0x00000073 ? 'ecall' : null;
+            default:
+                return null;
+        }
+    }
+
+    // Whether an instruction calls a subroutine (CALL, or JAL/JALR that store
+    // the return address)
+    isCall(text) {
+        const parts = this.splitOperands(text.trim());
+        const op = parts[0].toUpperCase();
+        if (op === 'CALL') {
+            return true;
+        }
+        return (op === 'JAL' || op === 'JALR') && (parts.length === 2 || !/^(zero|x0)$/i.test(parts[1]));
+    }
+
+    // Jump targets of an instruction and whether it can continue with the
+    // next one (see Simulator.validate); JAL/JALR with rd = zero do not return
+    controlFlow(text) {
+        const parts = this.splitOperands(text.trim());
+        const base = this.baseInstruction(parts[0].toUpperCase(), parts);
+        if (RISCVSimulator.BRANCHES.hasOwnProperty(base[0])) {
+            return { targets: [base[3]], next: true };
+        }
+        
+        switch (base[0]) {
+            case 'JAL': {
+                const { rd, label } = this.parseJAL(base);
+                return { targets: [label], next: this.normalizeRegister(rd) !== 'zero' };
+            }
+            case 'CALL':
+                return { targets: [base[1]], next: true };
+            case 'JALR':
+                return { targets: [], next: this.parseJALR(base).rd !== 'zero' };
+            default:
+                return super.controlFlow(text);
+        }
+    }
+}
+
+// Execution state fields restored by reverse execution
+RISCVSimulator.HISTORY_FIELDS = ['pc', 'currentLine', 'steps', 'halted', 'error', 'stdout', 'stdinPos', 'exitCode'];
+
+// ABI names of the registers x0-x31
+RISCVSimulator.REGISTER_NAMES = [
+    'zero', 'ra', 'sp', 'gp', 'tp', 't0', 't1', 't2',
+    's0', 's1', 'a0', 'a1', 'a2', 'a3', 'a4', 'a5',
+    'a6', 'a7', 's2', 's3', 's4', 's5', 's6', 's7',
+    's8', 's9', 's10', 's11', 't3', 't4', 't5', 't6'
+];
+
+// Register-register operations (RV64I and M extension): encoding and result
+// for unsigned 64-bit operands. W operations work on the low 32 bits and
+// sign-extend the result; division by zero does not trap (quotient -1, remainder
+// = dividend).
+RISCVSimulator.REGISTER_OPS = {
+    ADD:    { funct3: 0, funct7: 0x00, compute: (a, b) => a + b },
+    SUB:    { funct3: 0, funct7: 0x20, compute: (a, b) => a - b },
+    SLL:    { funct3: 1, funct7: 0x00, shift: true, compute: (a, b) => a << (b & 63n) },
+    SLT:    { funct3: 2, funct7: 0x00, compute: (a, b) => BigInt.asIntN(64, a) < BigInt.asIntN(64, b) ? 1n : 0n },
+    SLTU:   { funct3: 3, funct7: 0x00, compute: (a, b) => a < b ? 1n : 0n },
+    XOR:    { funct3: 4, funct7: 0x00, compute: (a, b) => a ^ b },
+    SRL:    { funct3: 5, funct7: 0x00, shift: true, compute: (a, b) => a >> (b & 63n) },
+    SRA:    { funct3: 5, funct7: 0x20, shift: true, compute: (a, b) => BigInt.asIntN(64, a) >> (b & 63n) },
+    OR:     { funct3: 6, funct7: 0x00, compute: (a, b) => a | b },
+    AND:    { funct3: 7, funct7: 0x00, compute: (a, b) => a & b },
+    MUL:    { funct3: 0, funct7: 0x01, compute: (a, b) => a * b },
+    MULH:   { funct3: 1, funct7: 0x01, compute: (a, b) => (BigInt.asIntN(64, a) * BigInt.asIntN(64, b)) >> 64n },
+    MULHSU: { funct3: 2, funct7: 0x01, compute: (a, b) => (BigInt.asIntN(64, a) * b) >> 64n },
+    MULHU:  { funct3: 3, funct7: 0x01, compute: (a, b) => (a * b) >> 64n },
+    DIV:    { funct3: 4, funct7: 0x01, compute: (a, b) => b === 0n ? -1n : BigInt.asIntN(64, a) / BigInt.asIntN(64, b) },
+    DIVU:   { funct3: 5, funct7: 0x01, compute: (a, b) => b === 0n ? -1n : a / b },
+    REM:    { funct3: 6, funct7: 0x01, compute: (a, b) => b === 0n ? a : BigInt.asIntN(64, a) % BigInt.asIntN(64, b) },
+    REMU:   { funct3: 7, funct7: 0x01, compute: (a, b) => b === 0n ? a : a % b },
+    ADDW:   { funct3: 0, funct7: 0x00, word: true, compute: (a, b) => a + b },
+    SUBW:   { funct3: 0, funct7: 0x20, word: true, compute: (a, b) => a - b },
+    SLLW:   { funct3: 1, funct7: 0x00, word: true, shift: true, compute: (a, b) => a << (b & 31n) },
+    SRLW:   { funct3: 5, funct7: 0x00, word: true, shift: true, compute: (a, b) => BigInt.asUintN(32, a) >> (b & 31n) },
+    SRAW:   { funct3: 5, funct7: 0x20, word: true, shift: true, compute: (a, b) => BigInt.asIntN(32, a) >> (b & 31n) },
+    MULW:   { funct3: 0, funct7: 0x01, word: true, compute: (a, b) => a * b },
+    DIVW:   { funct3: 4, funct7: 0x01, word: true, compute: (a, b) => BigInt.asIntN(32, b) === 0n ? -1n : BigInt.asIntN(32, a) / BigInt.asIntN(32, b) },
+    DIVUW:  { funct3: 5, funct7: 0x01, word: true, compute: (a, b) => BigInt.asUintN(32, b) === 0n ? -1n : BigInt.asUintN(32, a) / BigInt.asUintN(32, b) },
+    REMW:   { funct3: 6, funct7: 0x01, word: true, compute: (a, b) => BigInt.asIntN(32, b) === 0n ? a : BigInt.asIntN(32, a) % BigInt.asIntN(32, b) },
+    REMUW:  { funct3: 7, funct7: 0x01, word: true, compute: (a, b) => BigInt.asUintN(32, b) === 0n ? a : BigInt.asUintN(32, a) % BigInt.asUintN(32, b) }
+};
+
+// Register-immediate operations and the register operation they compute
+RISCVSimulator.IMMEDIATE_OPS = {
+    ADDI: 'ADD', SLTI: 'SLT', SLTIU: 'SLTU', XORI: 'XOR', ORI: 'OR', ANDI: 'AND',
+    SLLI: 'SLL', SRLI: 'SRL', SRAI: 'SRA',
+    ADDIW: 'ADDW', SLLIW: 'SLLW', SRLIW: 'SRLW', SRAIW: 'SRAW'
+};
+
+// Loads: access size in bytes and sign extension
+RISCVSimulator.LOADS = {
+    LB:  { funct3: 0, size: 1, signed: true },
+    LH:  { funct3: 1, size: 2, signed: true },
+    LW:  { funct3: 2, size: 4, signed: true },
+    LD:  { funct3: 3, size: 8 },
+    LBU: { funct3: 4, size: 1 },
+    LHU: { funct3: 5, size: 2 },
+    LWU: { funct3: 6, size: 4 }
+};
+
+// Stores: access size in bytes
+RISCVSimulator.STORES = {
+    SB: { funct3: 0, size: 1 },
+    SH: { funct3: 1, size: 2 },
+    SW: { funct3: 2, size: 4 },
+    SD: { funct3: 3, size: 8 }
+};
+
+// Conditional branches: condition on the unsigned 64-bit register values
+RISCVSimulator.BRANCHES = {
+    BEQ:  { funct3: 0, holds: (a, b) => a === b },
+    BNE:  { funct3: 1, holds: (a, b) => a !== b },
+    BLT:  { funct3: 4, holds: (a, b) => BigInt.asIntN(64, a) < BigInt.asIntN(64, b) },
+    BGE:  { funct3: 5, holds: (a, b) => BigInt.asIntN(64, a) >= BigInt.asIntN(64, b) },
+    BLTU: { funct3: 6, holds: (a, b) => a < b },
+    BGEU: { funct3: 7, holds: (a, b) => a >= b }
+};
+
+// Pseudo-instructions for a single base instruction: mnemonic and operands,
+// numbers refer to the operands of the pseudo-instruction
+RISCVSimulator.ALIASES = {
+    NOP:      ['ADDI', 'zero', 'zero', '0'],
+    MV:       ['ADDI', 0, 1, '0'],
+    NOT:      ['XORI', 0, 1, '-1'],
+    NEG:      ['SUB', 0, 'zero', 1],
+    NEGW:     ['SUBW', 0, 'zero', 1],
+    'SEXT.W': ['ADDIW', 0, 1, '0'],
+    SEQZ:     ['SLTIU', 0, 1, '1'],
+    SNEZ:     ['SLTU', 0, 'zero', 1],
+    SLTZ:     ['SLT', 0, 1, 'zero'],
+    SGTZ:     ['SLT', 0, 'zero', 1],
+    BEQZ:     ['BEQ', 0, 'zero', 1],
+    BNEZ:     ['BNE', 0, 'zero', 1],
+    BLEZ:     ['BGE', 'zero', 0, 1],
+    BGEZ:     ['BGE', 0, 'zero', 1],
+    BLTZ:     ['BLT', 0, 'zero', 1],
+    BGTZ:     ['BLT', 'zero', 0, 1],
+    BGT:      ['BLT', 1, 0, 2],
+    BLE:      ['BGE', 1, 0, 2],
+    BGTU:     ['BLTU', 1, 0, 2],
+    BLEU:     ['BGEU', 1, 0, 2],
+    J:        ['JAL', 'zero', 0],
+    JR:       ['JALR', 'zero', 0, '0'],
+    RET:      ['JALR', 'zero', 'ra', '0']
+};
+
+// Data directives and their value sizes in bytes
+RISCVSimulator.DATA_DIRECTIVES = {
+    '.byte': 1,
+    '.half': 2, '.hword': 2, '.short': 2, '.2byte': 2,
+    '.word': 4, '.long': 4, '.int': 4, '.4byte': 4,
+    '.dword': 8, '.quad': 8, '.8byte': 8
+};
+
+// Alignment of the data sections (4 KB pages)
+RISCVSimulator.SEGMENT_ALIGN = 0x1000n;
+
+// Linux system call numbers (a7) supported by ECALL
+RISCVSimulator.SYSCALLS = {
+    63: 'read',
+    64: 'write',
+    93: 'exit',
+    94: 'exit_group'
+};
+
+// Error numbers returned by system calls (as -errno in a0)
+RISCVSimulator.ERRNO = {
+    EBADF: 9
+};
+
+// Mask for 64-bit register values
+RISCVSimulator.MASK64 = (1n << 64n) - 1n;
+
+// Editor help for each mnemonic: [syntax, description, flags] (RISC-V has no
+// condition flags; branches compare registers directly)
+RISCVSimulator.INSTRUCTION_HELP = {
+    ADD:     ['add rd, rs1, rs2', 'Addition: rd = rs1 + rs2', ''],
+    SUB:     ['sub rd, rs1, rs2', 'Subtraktion: rd = rs1 - rs2', ''],
+    SLL:     ['sll rd, rs1, rs2', 'Logische Verschiebung nach links um rs2 (0-63)', ''],
+    SLT:     ['slt rd, rs1, rs2', 'rd = 1, wenn rs1 < rs2 (vorzeichenbehaftet), sonst 0', ''],
+    SLTU:    ['sltu rd, rs1, rs2', 'rd = 1, wenn rs1 < rs2 (vorzeichenlos), sonst 0', ''],
+    XOR:     ['xor rd, rs1, rs2', 'Bitweises exklusives ODER', ''],
+    SRL:     ['srl rd, rs1, rs2', 'Logische Verschiebung nach rechts (mit Nullen aufgefüllt)', ''],
+    SRA:     ['sra rd, rs1, rs2', 'Arithmetische Verschiebung nach rechts (mit dem Vorzeichen aufgefüllt)', ''],
+    OR:      ['or rd, rs1, rs2', 'Bitweises ODER', ''],
+    AND:     ['and rd, rs1, rs2', 'Bitweises UND', ''],
+    MUL:     ['mul rd, rs1, rs2', 'Multiplikation, untere 64 Bit des Produkts', ''],
+    MULH:    ['mulh rd, rs1, rs2', 'Multiplikation, obere 64 Bit (beide vorzeichenbehaftet)', ''],
+    MULHSU:  ['mulhsu rd, rs1, rs2', 'Multiplikation, obere 64 Bit (rs1 vorzeichenbehaftet, rs2 vorzeichenlos)', ''],
+    MULHU:   ['mulhu rd, rs1, rs2', 'Multiplikation, obere 64 Bit (beide vorzeichenlos)', ''],
+    DIV:     ['div rd, rs1, rs2', 'Division (vorzeichenbehaftet, Division durch 0 ergibt -1)', ''],
+    DIVU:    ['divu rd, rs1, rs2', 'Division (vorzeichenlos)', ''],
+    REM:     ['rem rd, rs1, rs2', 'Divisionsrest (vorzeichenbehaftet)', ''],
+    REMU:    ['remu rd, rs1, rs2', 'Divisionsrest (vorzeichenlos)', ''],
+    ADDW:    ['addw rd, rs1, rs2', '32-Bit-Addition, Ergebnis vorzeichenerweitert', ''],
+    SUBW:    ['subw rd, rs1, rs2', '32-Bit-Subtraktion, Ergebnis vorzeichenerweitert', ''],
+    SLLW:    ['sllw rd, rs1, rs2', '32-Bit-Verschiebung nach links, Ergebnis vorzeichenerweitert', ''],
+    SRLW:    ['srlw rd, rs1, rs2', '32-Bit-Verschiebung nach rechts (logisch), Ergebnis vorzeichenerweitert', ''],
+    SRAW:    ['sraw rd, rs1, rs2', '32-Bit-Verschiebung nach rechts (arithmetisch), Ergebnis vorzeichenerweitert', ''],
+    MULW:    ['mulw rd, rs1, rs2', '32-Bit-Multiplikation, Ergebnis vorzeichenerweitert', ''],
+    DIVW:    ['divw rd, rs1, rs2', '32-Bit-Division (vorzeichenbehaftet)', ''],
+    DIVUW:   ['divuw rd, rs1, rs2', '32-Bit-Division (vorzeichenlos)', ''],
+    REMW:    ['remw rd, rs1, rs2', '32-Bit-Divisionsrest (vorzeichenbehaftet)', ''],
+    REMUW:   ['remuw rd, rs1, rs2', '32-Bit-Divisionsrest (vorzeichenlos)', ''],
+    ADDI:    ['addi rd, rs1, imm', 'Addition mit einem 12-Bit-Wert (-2048..2047)', ''],
+    SLTI:    ['slti rd, rs1, imm', 'rd = 1, wenn rs1 < imm (vorzeichenbehaftet), sonst 0', ''],
+    SLTIU:   ['sltiu rd, rs1, imm', 'rd = 1, wenn rs1 < imm (vorzeichenlos), sonst 0', ''],
+    XORI:    ['xori rd, rs1, imm', 'Bitweises exklusives ODER mit einem 12-Bit-Wert', ''],
+    ORI:     ['ori rd, rs1, imm', 'Bitweises ODER mit einem 12-Bit-Wert', ''],
+    ANDI:    ['andi rd, rs1, imm', 'Bitweises UND mit einem 12-Bit-Wert', ''],
+    SLLI:    ['slli rd, rs1, shamt', 'Logische Verschiebung nach links (0-63)', ''],
+    SRLI:    ['srli rd, rs1, shamt', 'Logische Verschiebung nach rechts (0-63)', ''],
+    SRAI:    ['srai rd, rs1, shamt', 'Arithmetische Verschiebung nach rechts (0-63)', ''],
+    ADDIW:   ['addiw rd, rs1, imm', '32-Bit-Addition mit einem 12-Bit-Wert, Ergebnis vorzeichenerweitert', ''],
+    SLLIW:   ['slliw rd, rs1, shamt', '32-Bit-Verschiebung nach links (0-31)', ''],
+    SRLIW:   ['srliw rd, rs1, shamt', '32-Bit-Verschiebung nach rechts, logisch (0-31)', ''],
+    SRAIW:   ['sraiw rd, rs1, shamt', '32-Bit-Verschiebung nach rechts, arithmetisch (0-31)', ''],
+    LB:      ['lb rd, offset(rs1)', 'Lädt 1 Byte mit Vorzeichenerweiterung', ''],
+    LH:      ['lh rd, offset(rs1)', 'Lädt 2 Byte mit Vorzeichenerweiterung', ''],
+    LW:      ['lw rd, offset(rs1)', 'Lädt 4 Byte mit Vorzeichenerweiterung', ''],
+    LD:      ['ld rd, offset(rs1)', 'Lädt 8 Byte', ''],
+    LBU:     ['lbu rd, offset(rs1)', 'Lädt 1 Byte, die oberen Bits werden 0', ''],
+    LHU:     ['lhu rd, offset(rs1)', 'Lädt 2 Byte, die oberen Bits werden 0', ''],
+    LWU:     ['lwu rd, offset(rs1)', 'Lädt 4 Byte, die oberen Bits werden 0', ''],
+    SB:      ['sb rs2, offset(rs1)', 'Speichert das unterste Byte', ''],
+    SH:      ['sh rs2, offset(rs1)', 'Speichert die unteren 2 Byte', ''],
+    SW:      ['sw rs2, offset(rs1)', 'Speichert die unteren 4 Byte', ''],
+    SD:      ['sd rs2, offset(rs1)', 'Speichert 8 Byte', ''],
+    BEQ:     ['beq rs1, rs2, label', 'Springt, wenn rs1 = rs2', ''],
+    BNE:     ['bne rs1, rs2, label', 'Springt, wenn rs1 ≠ rs2', ''],
+    BLT:     ['blt rs1, rs2, label', 'Springt, wenn rs1 < rs2 (vorzeichenbehaftet)', ''],
+    BGE:     ['bge rs1, rs2, label', 'Springt, wenn rs1 ≥ rs2 (vorzeichenbehaftet)', ''],
+    BLTU:    ['bltu rs1, rs2, label', 'Springt, wenn rs1 < rs2 (vorzeichenlos)', ''],
+    BGEU:    ['bgeu rs1, rs2, label', 'Springt, wenn rs1 ≥ rs2 (vorzeichenlos)', ''],
+    LUI:     ['lui rd, imm20', 'Lädt einen 20-Bit-Wert in die oberen Bits: rd = imm20 << 12', ''],
+    AUIPC:   ['auipc rd, imm20', 'Addiert einen 20-Bit-Wert zum PC: rd = PC + (imm20 << 12)', ''],
+    JAL:     ['jal {rd,} label', 'Springt zum Label und speichert die Rücksprungadresse in rd (Standard: ra)', ''],
+    JALR:    ['jalr rd, offset(rs1)', 'Springt zur Adresse in rs1 + offset und speichert die Rücksprungadresse in rd', ''],
+    ECALL:   ['ecall', 'Systemaufruf: Nummer in a7, Argumente in a0-a2, Ergebnis in a0', ''],
+    LI:      ['li rd, imm', 'Pseudo-Instruktion: lädt einen beliebigen 64-Bit-Wert', ''],
+    LA:      ['la rd, label', 'Pseudo-Instruktion: lädt die Adresse eines Labels', ''],
+    CALL:    ['call label', 'Pseudo-Instruktion: ruft ein Unterprogramm auf, die Rücksprungadresse steht in ra', ''],
+    NOP:     ['nop', 'Keine Operation (addi zero, zero, 0)', ''],
+    MV:      ['mv rd, rs', 'Kopiert ein Register (addi rd, rs, 0)', ''],
+    NOT:     ['not rd, rs', 'Bitweises NICHT (xori rd, rs, -1)', ''],
+    NEG:     ['neg rd, rs', 'Negation (sub rd, zero, rs)', ''],
+    NEGW:    ['negw rd, rs', '32-Bit-Negation (subw rd, zero, rs)', ''],
+    'SEXT.W':['sext.w rd, rs', 'Vorzeichenerweiterung der unteren 32 Bit (addiw rd, rs, 0)', ''],
+    SEQZ:    ['seqz rd, rs', 'rd = 1, wenn rs = 0 (sltiu rd, rs, 1)', ''],
+    SNEZ:    ['snez rd, rs', 'rd = 1, wenn rs ≠ 0 (sltu rd, zero, rs)', ''],
+    SLTZ:    ['sltz rd, rs', 'rd = 1, wenn rs < 0 (slt rd, rs, zero)', ''],
+    SGTZ:    ['sgtz rd, rs', 'rd = 1, wenn rs > 0 (slt rd, zero, rs)', ''],
+    BEQZ:    ['beqz rs, label', 'Springt, wenn rs = 0', ''],
+    BNEZ:    ['bnez rs, label', 'Springt, wenn rs ≠ 0', ''],
+    BLEZ:    ['blez rs, label', 'Springt, wenn rs ≤ 0', ''],
+    BGEZ:    ['bgez rs, label', 'Springt, wenn rs ≥ 0', ''],
+    BLTZ:    ['bltz rs, label', 'Springt, wenn rs < 0', ''],
+    BGTZ:    ['bgtz rs, label', 'Springt, wenn rs > 0', ''],
+    BGT:     ['bgt rs1, rs2, label', 'Springt, wenn rs1 > rs2 (vorzeichenbehaftet)', ''],
+    BLE:     ['ble rs1, rs2, label', 'Springt, wenn rs1 ≤ rs2 (vorzeichenbehaftet)', ''],
+    BGTU:    ['bgtu rs1, rs2, label', 'Springt, wenn rs1 > rs2 (vorzeichenlos)', ''],
+    BLEU:    ['bleu rs1, rs2, label', 'Springt, wenn rs1 ≤ rs2 (vorzeichenlos)', ''],
+    J:       ['j label', 'Springt zum Label (jal zero, label)', ''],
+    JR:      ['jr rs', 'Springt zur Adresse in rs (jalr zero, 0(rs))', ''],
+    RET:     ['ret', 'Rücksprung aus einem Unterprogramm zur Adresse in ra', '']
+};
+
+// Architecture descriptor: selector name, register grid, comment syntax,
+// instruction set and example programs
+RISCVSimulator.ARCHITECTURE = {
+    id: 'riscv',
+    name: 'RISC-V (RV64IM)',
+    subtitle: 'RISC-V (RV64IM) Assembler im Browser',
+    // Comment markers (the first one is used in generated code)
+    comments: ['#'],
+    // Registers of the register grid and the stack view
+    registers: RISCVSimulator.REGISTER_NAMES.slice(1),
+    // Field of the program counter (index into the program)
+    programCounter: 'pc',
+    stackPointer: 'sp',
+    framePointer: 's0',
+    flags: {},
+    // Fixed instruction width in bytes (hex words of this width are read as
+    // little-endian instructions) and the directive for undecodable words
+    instructionWidth: 4,
+    dataDirective: '.word',
+    mnemonics: [
+        ...Object.keys(RISCVSimulator.REGISTER_OPS), ...Object.keys(RISCVSimulator.IMMEDIATE_OPS),
+        ...Object.keys(RISCVSimulator.LOADS), ...Object.keys(RISCVSimulator.STORES),
+        ...Object.keys(RISCVSimulator.BRANCHES), 'LUI', 'AUIPC', 'JAL', 'JALR', 'ECALL',
+        'LI', 'LA', 'CALL', ...Object.keys(RISCVSimulator.ALIASES)
+    ].map(mnemonic => mnemonic.toLowerCase()),
+    // Editor: all register names and the help shown when hovering a mnemonic
+    registerNames: [
+        ...RISCVSimulator.REGISTER_NAMES, ...RISCVSimulator.REGISTER_NAMES.map((name, i) => `x${i}`), 'fp'
+    ],
+    instructionHelp: RISCVSimulator.INSTRUCTION_HELP,
+    // Overview at the bottom of the page: groups of mnemonics, described by instructionHelp
+    instructionGroups: {
+        'Datenverarbeitung': ['ADD', 'ADDI', 'SUB', 'MUL', 'DIV', 'REM', 'LI', 'MV'],
+        'Logische Operationen': ['AND', 'OR', 'XOR', 'SLL', 'SRL', 'SRA'],
+        'Vergleich & Verzweigung': ['SLT', 'BEQ', 'BNE', 'BLT', 'BGE', 'J', 'CALL', 'RET'],
+        'Speicher & System': ['LD', 'LW', 'LB', 'SD', 'SW', 'SB', 'LA', 'ECALL']
+    },
+    placeholder: `# Schreiben Sie hier Ihren RISC-V Assembly Code...
+# Beispiel:
+li a0, 42
+li a1, 8
+add a2, a0, a1`,
+    examples: {
+        basic: `# Einfaches Beispiel: Addition
+li a0, 42
+li a1, 8
+add a2, a0, a1
+# a2 sollte jetzt 50 enthalten`,
+        
+        helloworld: `# Hello World mit Systemaufrufen (Linux)
+.data
+msg:    .string "Hello World!\\n"
+
+.text
+.globl _start
+_start:
+    li a0, 1            # stdout
+    la a1, msg          # Adresse der Zeichenkette
+    li a2, 13           # Länge
+    li a7, 64           # write
+    ecall
+
+    li a0, 0            # Exit-Code 0
+    li a7, 93           # exit
+    ecall`,
+        
+        forloop: `# For-Schleife: Zähle von 0 bis 10
+li t0, 0            # Zähler = 0
+li t1, 10           # Max = 10
+
+loop:
+addi t0, t0, 1      # Zähler erhöhen
+blt t0, t1, loop    # Weiter, solange t0 < t1
+# t0 sollte jetzt 10 sein`,
+        
+        fibonacci: `# Fibonacci Sequenz (erste 10 Zahlen)
+li a0, 0            # Fib(0) = 0
+li a1, 1            # Fib(1) = 1
+li a2, 0            # Ergebnis
+li t0, 8            # Berechne F(2) bis F(9)
+
+next:
+add a2, a0, a1      # F(n) = F(n-2) + F(n-1)
+mv a0, a1           # Verschiebe Werte
+mv a1, a2
+addi t0, t0, -1
+bnez t0, next       # Noch Zahlen übrig?
+# a2 enthält jetzt F(9) = 34`,
+        
+        function: `# Unterprogramm mit Stack-Frame, CALL und RET
+li a0, 5
+call square         # a0 = a0 * a0
+j done
+
+square:
+addi sp, sp, -16    # Stack-Frame anlegen
+sd ra, 8(sp)        # Rücksprungadresse sichern
+sd s0, 0(sp)
+addi s0, sp, 16
+mul a0, a0, a0
+ld s0, 0(sp)
+ld ra, 8(sp)        # Rücksprungadresse wiederherstellen
+addi sp, sp, 16
+ret                 # Zurück zum Aufrufer (ra)
+
+done:
+# a0 sollte jetzt 25 sein`,
+        
+        memory: `# Array im Speicher: Werte summieren
+.data
+array:  .dword 1, 2, 3, 4, 5
+
+.text
+la t0, array        # Basisadresse des Arrays
+li t1, 5            # Anzahl Elemente
+li a0, 0            # Summe
+
+sum:
+ld t2, 0(t0)        # t2 = *t0
+add a0, a0, t2
+addi t0, t0, 8      # nächstes Element
+addi t1, t1, -1
+bnez t1, sum
+# a0 sollte jetzt 15 sein`,
+        
+        muldiv: `# Multiplikation und Division (M-Erweiterung)
+li a0, 7
+li a1, 6
+mul a2, a0, a1      # a2 = 42
+
+li a3, 100
+li a4, 7
+div a5, a3, a4      # a5 = 14
+rem a6, a3, a4      # a6 = 2
+
+li t0, -1
+mulhu t1, t0, t0    # obere 64 Bit von (2^64-1)^2: t1 = 0xFFFFFFFFFFFFFFFE
+div t2, a3, zero    # Division durch 0: t2 = -1 (keine Ausnahme)`,
+        
+        wordops: `# 32-Bit-Operationen (W-Befehle)
+li a0, 0x7FFFFFFF
+addiw a1, a0, 1     # 32-Bit-Überlauf: a1 = -2147483648 (vorzeichenerweitert)
+addi a2, a0, 1      # 64 Bit: a2 = 2147483648
+
+li a3, -8
+srliw a4, a3, 1     # logisch auf 32 Bit: a4 = 0x7FFFFFFC
+sraiw a5, a3, 1     # arithmetisch: a5 = -4
+sext.w a6, a2       # untere 32 Bit vorzeichenerweitert: a6 = -2147483648`,
+        
+        bitwise: `# Bitweise Operationen
+li a0, 0xFF
+li a1, 0x0F
+and a2, a0, a1      # a2 = 0x0F
+or a3, a0, a1       # a3 = 0xFF
+xor a4, a0, a1      # a4 = 0xF0
+slli a5, a1, 4      # a5 = 0xF0
+not a6, a0          # a6 = ~0xFF`,
+        
+        echo: `# Echo: Eingabe (stdin) wieder ausgeben
+.bss
+buffer: .zero 64
+
+.text
+loop:
+    li a0, 0            # stdin
+    la a1, buffer
+    li a2, 64
+    li a7, 63           # read
+    ecall
+    beqz a0, exit       # 0 = Ende der Eingabe
+
+    mv a2, a0           # gelesene Bytes ausgeben
+    li a0, 1            # stdout
+    la a1, buffer
+    li a7, 64           # write
+    ecall
+    j loop
+
+exit:
+    li a0, 0
+    li a7, 93           # exit
+    ecall`
+    }
+};
+
+Simulator.register(RISCVSimulator);
@@ -0,0 +1,1445 @@
+/**
+ * Simulator base class
+ * Program parsing, data sections, memory, system call I/O, execution control and
+ * reverse execution shared by all architectures. An architecture extends the
+ * class, implements the register file and executeOperation() and registers a
+ * descriptor with Simulator.register().
+ */
+
+class Simulator {
+    constructor() {
+        // Upper bound for executed instructions (protects against endless loops)
+        this.maxSteps = 100000;
+        
+        // Record a history delta and the log line of every step (step back,
+        // timeline, trace). Off by default: a plain run needs no memory per step.
+        this.recordHistory = false;
+        
+        // Errors collected by validate() (null: the first error ends parsing)
+        this.diagnostics = null;
+    }
+
+    // Reset the state shared by all architectures (subclasses add registers,
+    // program counter and flags)
+    reset() {
+        // Parsed program, label table and constants of the preprocessor
+        this.program = [];
+        this.labels = new Map();
+        this.dataLabels = new Map();
+        this.globals = new Set();
+        this.constants = new Map();
+        this.textItems = [];
+        this.dataItems = [];
+        this.currentLine = 0;
+        this.currentOrigin = null;
+        
+        // Instruction addresses in the machine code (see layoutCode())
+        this.setCodeAddresses([]);
+        
+        // Memory (simple implementation)
+        this.memory = new Map();
+        
+        // Output buffer
+        this.output = [];
+        
+        // Modified registers tracking
+        this.modifiedRegisters = new Set();
+        
+        // Execution state for step-by-step debugging
+        this.steps = 0;
+        this.halted = false;
+        this.error = null;
+        
+        // Program I/O for system calls: output, input bytes and exit code
+        this.stdout = '';
+        this.stdin = [];
+        this.stdinPos = 0;
+        this.exitCode = null;
+        
+        // Interactive input: read() waits for input instead of returning end of file
+        this.interactive = false;
+        this.inputClosed = false;
+        this.waitingForInput = false;
+        
+        // Execution history for reverse execution (one state delta per step)
+        this.history = [];
+        this.position = 0;
+        this.registerLog = null;
+        this.memoryLog = null;
+    }
+
+    // Register an architecture; its class provides the descriptor in ARCHITECTURE
+    static register(SimulatorClass) {
+        Simulator.architectures.set(SimulatorClass.ARCHITECTURE.id, SimulatorClass);
+    }
+
+    // Parse immediate value: an expression such as 42, 0x2A, 0b1010, 'A',
+    // (1 << 12) | 3 or msg_end - msg (see expression.js)
+    parseImmediate(value) {
+        if (typeof value === 'string') {
+            return this.evaluateOperand(value).value;
+        }
+        return BigInt(value);
+    }
+
+    // Value of an expression whose symbols are labels and constants; symbolic
+    // is set if it refers to a label (its value then depends on the layout).
+    // Constants defined from labels (len = . - msg) are evaluated on use.
+    evaluateOperand(text, evaluating = []) {
+        let symbolic = false;
+        const value = evaluateExpression(text, name => {
+            if (this.labels.has(name) || this.dataLabels.has(name)) {
+                symbolic = true;
+                return this.labelAddress(name);
+            }
+            const constant = this.constants.get(name);
+            if (typeof constant !== 'string') {
+                return constant;
+            }
+            if (evaluating.includes(name)) {
+                throw new Error(`Konstante ${name} ist über sich selbst definiert`);
+            }
+            const result = this.evaluateOperand(constant, [...evaluating, name]);
+            symbolic = symbolic || result.symbolic;
+            return result.value;
+        });
+        return { value, symbolic };
+    }
+
+    // Execute single instruction
+    executeInstruction(instruction) {
+        instruction = this.stripComment(instruction).trim();
+        
+        // Parse instruction
+        const parts = this.splitOperands(instruction);
+        if (parts.length === 0) return;
+        
+        try {
+            return this.executeOperation(parts[0].toUpperCase(), parts);
+        } catch (error) {
+            throw new Error(`Fehler bei '${instruction}': ${error.message}`);
+        }
+    }
+
+    // Remember a register's value before its first change in the current step
+    logRegister(reg) {
+        if (this.registerLog && !this.registerLog.has(reg)) {
+            this.registerLog.set(reg, this.registers[reg]);
+        }
+    }
+
+    // Address operand of ADR, la and the like: a label, an expression with
+    // labels (msg+1, msg_end - 4) or a number
+    addressOperand(text) {
+        const operand = text.trim();
+        if (/^[A-Za-z_.$][\w.$]*$/.test(operand) && !this.constants.has(operand)) {
+            return this.labelAddress(operand);
+        }
+        return BigInt.asUintN(64, this.evaluateOperand(operand).value);
+    }
+
+    // Read a little-endian value of the given size (in bytes) from memory
+    readMemory(address, size) {
+        let value = 0n;
+        for (let i = size - 1; i >= 0; i--) {
+            value = (value << 8n) | BigInt(this.memory.get(address + BigInt(i)) || 0);
+        }
+        return value;
+    }
+
+    // Write a little-endian value of the given size (in bytes) to memory
+    writeMemory(address, value, size) {
+        value = BigInt(value);
+        for (let i = 0; i < size; i++) {
+            const byteAddress = address + BigInt(i);
+            if (this.memoryLog && !this.memoryLog.has(byteAddress)) {
+                this.memoryLog.set(byteAddress, this.memory.get(byteAddress));
+            }
+            this.memory.set(byteAddress, Number((value >> BigInt(i * 8)) & 0xFFn));
+        }
+    }
+
+    // Split an instruction into mnemonic and operands (commas inside [...],
+    // (...) and character literals are kept)
+    splitOperands(instruction) {
+        const match = instruction.match(/^(\S+)\s*(.*)$/);
+        if (!match) return [];
+        
+        const parts = [match[1]];
+        let depth = 0;
+        let quote = false;
+        let current = '';
+        for (let i = 0; i < match[2].length; i++) {
+            const ch = match[2][i];
+            if (quote) {
+                current += ch;
+                if (ch === '\\' && i + 1 < match[2].length) {
+                    current += match[2][++i];
+                } else if (ch === "'") {
+                    quote = false;
+                }
+                continue;
+            }
+            if (ch === "'") quote = true;
+            if (ch === '[' || ch === '(') depth++;
+            if (ch === ']' || ch === ')') depth--;
+            if (ch === ',' && depth === 0) {
+                parts.push(current.trim());
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        if (current.trim()) {
+            parts.push(current.trim());
+        }
+        return parts;
+    }
+
+    // Numeric address in place of a label (0x100004000), as the disassembler
+    // writes targets outside the decoded code; null for a label
+    numericAddress(text) {
+        return /^(0x[0-9a-f]+|\d+)$/i.test(text) ? BigInt(text) : null;
+    }
+
+    // Resolve a label (or the address of an instruction) to its instruction index
+    resolveLabel(label) {
+        const address = this.numericAddress(label);
+        if (address !== null) {
+            return this.indexOfAddress(address);
+        }
+        if (this.isTextDataLabel(label)) {
+            throw new Error(`Label '${label}' steht vor Daten im Abschnitt .text und ist kein Sprungziel`);
+        }
+        if (this.dataLabels.has(label)) {
+            throw new Error(`Label '${label}' liegt nicht im Abschnitt .text und ist kein Sprungziel`);
+        }
+        if (!this.labels.has(label)) {
+            throw new Error(`Unbekanntes Label: ${label}`);
+        }
+        return this.labels.get(label);
+    }
+
+    // Address of a code or data label (or a numeric address)
+    labelAddress(label) {
+        const address = this.numericAddress(label);
+        if (address !== null) {
+            return address;
+        }
+        if (this.labels.has(label)) {
+            return this.addressOf(this.labels.get(label));
+        }
+        if (this.dataLabels.has(label)) {
+            return this.dataLabels.get(label);
+        }
+        throw new Error(`Unbekanntes Label: ${label}`);
+    }
+
+    // Whether a label stands in front of data in .text
+    isTextDataLabel(label) {
+        return this.textItems.some(item => item.labels.includes(label));
+    }
+
+    // Address of a branch target for the encoder: a code label or a numeric
+    // address, which may lie outside the program (e.g. a call into code that
+    // was not disassembled). Data in .text can be a target as well (e.g. an
+    // instruction the disassembler kept as data); running into it fails.
+    branchAddress(label) {
+        const address = this.numericAddress(label);
+        if (address !== null) {
+            return address;
+        }
+        return this.isTextDataLabel(label) ? this.dataLabels.get(label) : this.addressOf(this.resolveLabel(label));
+    }
+
+    // write(fd, buf, count): stdout and stderr go to the program output
+    sysWrite(fd, buf, count) {
+        if (fd !== 1n && fd !== 2n) {
+            return { error: this.constructor.ERRNO.EBADF };
+        }
+        if (count > 0x100000n) {
+            throw new Error(`write: zu viele Bytes (höchstens 1 MB): ${count}`);
+        }
+        const bytes = new Uint8Array(Number(count));
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = Number(this.readMemory(buf + BigInt(i), 1));
+        }
+        this.stdout += new TextDecoder().decode(bytes);
+        return { value: count };
+    }
+
+    // Whether a read from fd has to wait for interactive input
+    needsInput(fd) {
+        return fd === 0n && this.interactive && !this.inputClosed && this.stdinPos >= this.stdin.length;
+    }
+
+    // Append input for read() (e.g. a line typed by the user)
+    provideInput(text) {
+        this.stdin.push(...new TextEncoder().encode(text));
+        this.waitingForInput = false;
+    }
+
+    // End the input: read() returns 0 once the remaining bytes are consumed
+    closeInput() {
+        this.inputClosed = true;
+        this.waitingForInput = false;
+    }
+
+    // read(fd, buf, count): reads from the program input (0 = end of input)
+    sysRead(fd, buf, count) {
+        if (fd !== 0n) {
+            return { error: this.constructor.ERRNO.EBADF };
+        }
+        const available = BigInt(this.stdin.length - this.stdinPos);
+        const length = count < available ? count : available;
+        for (let i = 0n; i < length; i++) {
+            this.writeMemory(buf + i, this.stdin[this.stdinPos++], 1);
+        }
+        return { value: length };
+    }
+
+    // Label definition at the start of a line: [label, rest of the line] or null
+    matchLabel(text) {
+        return text.match(/^([A-Za-z_.$][\w.$]*):\s*(.*)$/);
+    }
+
+    // Whether a line is an assembler directive
+    isDirective(text) {
+        return text.startsWith('.');
+    }
+
+    // Parse the program into instructions, labels and data after the
+    // preprocessor expanded macros and constants. Data in .text stays between
+    // the instructions, data sections are placed behind the code once its size
+    // is known. While validating, an error only ends its own line (see report()).
+    loadProgram(code) {
+        this.program = [];
+        this.labels = new Map();
+        this.dataLabels = new Map();
+        this.globals = new Set();
+        
+        // Labels in .text belong to the next instruction or, if data follows
+        // (e.g. a string behind the code), to that data
+        const layout = {
+            section: 'text',
+            pendingLabels: [],
+            text: { items: [], size: 0, labels: new Map() },
+            data: { items: [], size: 0, labels: new Map() },
+            bss: { items: [], size: 0, labels: new Map() }
+        };
+        
+        const preprocessor = new Preprocessor(this);
+        let lines = [];
+        try {
+            lines = preprocessor.process(code);
+        } catch (error) {
+            this.report(error);
+        }
+        this.constants = preprocessor.constants;
+        for (const source of lines) {
+            this.currentLine = source.line;
+            this.currentOrigin = source.origin;
+            try {
+                this.parseLine(source, layout);
+            } catch (error) {
+                this.report(error);
+            }
+        }
+        
+        for (const label of layout.pendingLabels) {
+            this.labels.set(label, this.program.length);
+        }
+        this.textItems = layout.text.items;
+        this.layoutCode(layout);
+        this.layoutData(layout);
+    }
+
+    // Parse a preprocessed line: label definition, optionally followed by an
+    // instruction or directive
+    parseLine(source, layout) {
+        let text = source.text;
+        const labelMatch = this.matchLabel(text);
+        if (labelMatch) {
+            this.defineLabel(labelMatch[1], layout);
+            text = labelMatch[2];
+        }
+        
+        if (this.isDirective(text)) {
+            this.parseDirective(text, layout);
+        } else if (text) {
+            if (layout.section !== 'text') {
+                throw new Error(`Instruktionen sind nur im Abschnitt .text erlaubt: ${text}`);
+            }
+            for (const label of layout.pendingLabels.splice(0)) {
+                this.labels.set(label, this.program.length);
+            }
+            this.program.push({ line: source.line, text, origin: source.origin });
+        }
+    }
+
+    // Record the error of the current line while validating (parsing goes on
+    // with the next line) or throw it
+    report(error) {
+        if (!this.diagnostics) {
+            throw error;
+        }
+        this.diagnostics.push({ line: this.currentLine, origin: this.currentOrigin, message: error.message });
+    }
+
+    // Remove a trailing comment outside of string and character literals
+    // (comment markers of the architecture descriptor, e.g. // and ;)
+    stripComment(line) {
+        const markers = this.constructor.ARCHITECTURE.comments;
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quote) {
+                if (ch === '\\') {
+                    i++;
+                } else if (ch === quote) {
+                    quote = null;
+                }
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (markers.some(marker => line.startsWith(marker, i))) {
+                return line.slice(0, i);
+            }
+        }
+        return line;
+    }
+
+    // Define a label in the current section
+    defineLabel(label, layout) {
+        const defined = this.labels.has(label) || layout.pendingLabels.includes(label) ||
+            ['text', 'data', 'bss'].some(section => layout[section].labels.has(label));
+        if (defined) {
+            throw new Error(`Label '${label}' ist bereits definiert`);
+        }
+        if (layout.section === 'text') {
+            layout.pendingLabels.push(label);
+        } else {
+            const section = layout[layout.section];
+            section.labels.set(label, section.size);
+        }
+    }
+
+    // Handle an assembler directive (sections, data, alignment, symbols)
+    parseDirective(text, layout) {
+        const [, name, args] = text.match(/^(\S+)\s*(.*)$/);
+        const directive = name.toLowerCase();
+        
+        if (this.constructor.DATA_DIRECTIVES.hasOwnProperty(directive)) {
+            const size = this.constructor.DATA_DIRECTIVES[directive];
+            for (const value of this.splitDataList(args, name)) {
+                this.emitData(layout, { size, value });
+            }
+            return;
+        }
+        
+        switch (directive) {
+            case '.text':
+            case '.data':
+            case '.bss':
+                layout.section = directive.slice(1);
+                return;
+            case '.section':
+                layout.section = this.sectionType(args, name);
+                return;
+            case '.global':
+            case '.globl':
+                this.globals.add(this.parseSymbolName(args, name));
+                return;
+            case '.ascii':
+            case '.asciz':
+            case '.string':
+                for (const string of this.splitDataList(args, name)) {
+                    const bytes = this.parseString(string);
+                    if (directive !== '.ascii') {
+                        bytes.push(0);
+                    }
+                    this.emitData(layout, { bytes });
+                }
+                return;
+            case '.space':
+            case '.skip':
+            case '.zero': {
+                const [count, fill = '0', ...rest] = this.splitDataList(args, name);
+                if (rest.length > 0 || (directive === '.zero' && fill !== '0')) {
+                    throw new Error(`Zu viele Werte für ${name}`);
+                }
+                this.emitData(layout, { count: this.parseCount(count, name), fill: Number(this.parseDataValue(fill, 1)) });
+                return;
+            }
+            case '.align':
+            case '.p2align': {
+                // Power-of-two alignment as in the GNU assembler for AArch64: .align 3 = 8 bytes
+                const exponent = this.parseCount(args, name);
+                if (exponent > 12) {
+                    throw new Error(`Ausrichtung zu groß (höchstens 2^12): ${args}`);
+                }
+                this.alignSection(layout, 2 ** exponent);
+                return;
+            }
+            case '.balign':
+                this.alignSection(layout, this.parseAlignment(args, name));
+                return;
+            default:
+                throw new Error(`Unbekannte Direktive: ${name}`);
+        }
+    }
+
+    // Section type of a .section name (ELF: .data, .rodata, ...; Mach-O: __DATA,__data, ...)
+    sectionType(args, directive) {
+        const parts = args.split(',').map(part => part.trim().toLowerCase());
+        const name = parts[0].startsWith('__') ? parts[1] : parts[0];
+        if (!name) {
+            throw new Error(`${directive} benötigt einen Abschnittsnamen`);
+        }
+        if (name.includes('bss')) return 'bss';
+        if (name === '.text' || name === '__text') return 'text';
+        return 'data';
+    }
+
+    // Alignment in bytes (a power of two up to 4096)
+    parseAlignment(args, name) {
+        const alignment = this.parseCount(args, name);
+        if (alignment === 0 || alignment > 4096 || (alignment & (alignment - 1)) !== 0) {
+            throw new Error(`Ausrichtung muss eine Zweierpotenz bis 4096 sein: ${args}`);
+        }
+        return alignment;
+    }
+
+    // Symbol name argument of a directive
+    parseSymbolName(args, name) {
+        if (!/^[A-Za-z_.$][\w.$]*$/.test(args)) {
+            throw new Error(`${name} benötigt einen Symbolnamen`);
+        }
+        return args;
+    }
+
+    // Non-negative count argument of a directive, a constant expression (sizes
+    // are limited to 1 MB)
+    parseCount(text, name) {
+        const constant = name => typeof this.constants.get(name) === 'bigint' ? this.constants.get(name) : undefined;
+        const value = text.trim() ? evaluateExpression(text, constant) : -1n;
+        if (value < 0n) {
+            throw new Error(`${name} benötigt eine nicht-negative Zahl: ${text}`);
+        }
+        const count = Number(value);
+        if (count > 0x100000) {
+            throw new Error(`${name}: Wert zu groß (höchstens 1 MB): ${text}`);
+        }
+        return count;
+    }
+
+    // Split a comma-separated data list (commas inside quotes do not count)
+    splitDataList(args, name) {
+        const items = [];
+        let quote = null;
+        let current = '';
+        for (let i = 0; i < args.length; i++) {
+            const ch = args[i];
+            if (quote) {
+                current += ch;
+                if (ch === '\\' && i + 1 < args.length) {
+                    current += args[++i];
+                } else if (ch === quote) {
+                    quote = null;
+                }
+            } else if (ch === ',') {
+                items.push(current.trim());
+                current = '';
+            } else {
+                if (ch === '"' || ch === "'" || ch === '`') quote = ch;
+                current += ch;
+            }
+        }
+        items.push(current.trim());
+        
+        if (items.some(item => !item)) {
+            throw new Error(`${name} benötigt durch Kommas getrennte Werte`);
+        }
+        return items;
+    }
+
+    // Bytes of a quoted string (UTF-8 encoded); C escape sequences are processed
+    // for GNU strings and NASM `backquoted` strings
+    parseString(text, escaped = true) {
+        const match = text.match(/^(["'`])([\s\S]*)\1$/);
+        if (match && !escaped) {
+            return [...new TextEncoder().encode(match[2])];
+        }
+        const tokens = match ? match[2].match(/\\(x[0-9a-fA-F]{1,2}|[0-7]{1,3}|[\s\S])|[^\\]+/g) || [] : null;
+        if (!match || tokens.join('') !== match[2]) {
+            throw new Error(`Ungültige Zeichenkette: ${text}`);
+        }
+        
+        const escapes = { n: 10, t: 9, r: 13, a: 7, b: 8, f: 12, v: 11, e: 27 };
+        const bytes = [];
+        for (const token of tokens) {
+            if (!token.startsWith('\\')) {
+                bytes.push(...new TextEncoder().encode(token));
+            } else if (/^\\x/i.test(token)) {
+                bytes.push(parseInt(token.slice(2), 16));
+            } else if (/^\\[0-7]/.test(token)) {
+                bytes.push(parseInt(token.slice(1), 8) & 0xFF);
+            } else {
+                const ch = token[1];
+                bytes.push(escapes.hasOwnProperty(ch) ? escapes[ch] : ch.charCodeAt(0) & 0xFF);
+            }
+        }
+        return bytes;
+    }
+
+    // Value of a data item: expression of numbers, characters and labels
+    // (e.g. 'A', msg+4 or msg_end - msg)
+    parseDataValue(text, size) {
+        const value = this.parseImmediate(text);
+        const bits = BigInt(size * 8);
+        if (value < -(1n << (bits - 1n)) || value >= (1n << bits)) {
+            throw new Error(`Wert ${text} passt nicht in ${size} Byte`);
+        }
+        return BigInt.asUintN(size * 8, value);
+    }
+
+    // Append data to the current section. Data in .text stays in front of the
+    // next instruction (index) and takes the pending labels.
+    emitData(layout, item) {
+        if (layout.section === 'bss' && (item.count === undefined || item.fill !== 0)) {
+            throw new Error('Im Abschnitt .bss kann nur Speicher reserviert werden (.space/.zero)');
+        }
+        const section = layout[layout.section];
+        const entry = { ...item, section: layout.section, line: this.currentLine, origin: this.currentOrigin, offset: section.size };
+        if (layout.section === 'text') {
+            entry.index = this.program.length;
+            entry.labels = item.padding ? [] : layout.pendingLabels.splice(0);
+            entry.labels.forEach(label => section.labels.set(label, section.size));
+        }
+        section.items.push(entry);
+        section.size += this.dataSize(item);
+    }
+
+    // Size of a data item in bytes
+    dataSize(item) {
+        return item.size || (item.bytes ? item.bytes.length : item.count);
+    }
+
+    // Pad the current section to a multiple of the alignment
+    alignSection(layout, alignment) {
+        const padding = (alignment - layout[layout.section].size % alignment) % alignment;
+        if (padding > 0) {
+            this.emitData(layout, { count: padding, fill: 0, padding: true });
+        }
+    }
+
+    // Place .data and .bss on their own pages behind the code (the data of .text
+    // got its address with the instructions), resolve the data labels and write
+    // the initial data
+    layoutData(layout) {
+        this.textEnd = this.addressOf(this.program.length);
+        this.dataBase = this.alignSegment(this.textEnd);
+        this.bssBase = this.alignSegment(this.dataBase + BigInt(layout.data.size));
+        this.bssEnd = this.bssBase + BigInt(layout.bss.size);
+        
+        this.dataItems = layout.data.items;
+        
+        const bases = { data: this.dataBase, bss: this.bssBase };
+        for (const section of ['data', 'bss']) {
+            for (const [label, offset] of layout[section].labels) {
+                this.dataLabels.set(label, bases[section] + BigInt(offset));
+            }
+        }
+        
+        // Values can refer to labels, so they are evaluated after the layout
+        for (const item of [...this.textItems, ...this.dataItems]) {
+            this.currentLine = item.line;
+            this.currentOrigin = item.origin;
+            const address = item.section === 'text' ? item.address : this.dataBase + BigInt(item.offset);
+            try {
+                this.writeData(address, item);
+            } catch (error) {
+                this.report(error);
+            }
+        }
+    }
+
+    // Write the initial value of a data item
+    writeData(address, item) {
+        if (item.bytes) {
+            item.bytes.forEach((byte, i) => this.writeMemory(address + BigInt(i), byte, 1));
+        } else if (item.count !== undefined) {
+            for (let i = 0; i < item.count; i++) {
+                this.writeMemory(address + BigInt(i), item.fill, 1);
+            }
+        } else {
+            this.writeMemory(address, this.parseDataValue(item.value, item.size), item.size);
+        }
+    }
+
+    // Assign the instruction addresses once the program is parsed. Fixed-width
+    // instruction sets give every instruction ARCHITECTURE.instructionWidth
+    // bytes; others override this with their encoding sizes.
+    layoutCode(layout) {
+        this.setCodeAddresses(this.program.map(() => this.constructor.ARCHITECTURE.instructionWidth));
+    }
+
+    // Set the instruction addresses from the instruction sizes in bytes. Data in
+    // .text lies in front of the instruction it was written before (or in front
+    // of the end of the code), so its labels get their address here as well.
+    setCodeAddresses(sizes) {
+        this.codeSizes = sizes;
+        const starts = [this.textBase];
+        for (const size of sizes) {
+            starts.push(starts[starts.length - 1] + BigInt(size));
+        }
+        // The offset of a data item counts all data of .text in front of it
+        for (const item of this.textItems) {
+            item.address = starts[item.index] + BigInt(item.offset);
+            item.labels.forEach(label => this.dataLabels.set(label, item.address));
+        }
+        const gaps = starts.map(() => 0);
+        this.textItems.forEach(item => gaps[item.index] += this.dataSize(item));
+        let data = 0;
+        this.codeAddresses = starts.map((start, index) => start + BigInt(data += gaps[index]));
+        this.addressIndex = new Map(this.codeAddresses.map((address, index) => [address, index]));
+    }
+
+    // Address of the instruction with the given index (its position in the machine code)
+    addressOf(index) {
+        return this.codeAddresses[index];
+    }
+
+    // Address right behind the instruction with the given index (a return
+    // address); data in .text may lie between it and the next instruction
+    nextAddress(index) {
+        return this.addressOf(index) + BigInt(this.codeSizes[index]);
+    }
+
+    // Instruction index for a code address
+    indexOfAddress(address) {
+        const index = this.addressIndex.get(BigInt(address));
+        if (index === undefined) {
+            throw new Error(`Ungültige Sprungadresse: 0x${BigInt(address).toString(16)}`);
+        }
+        return index;
+    }
+
+    // Round an address up to the next segment boundary
+    alignSegment(address) {
+        const align = this.constructor.SEGMENT_ALIGN;
+        return (address + align - 1n) / align * align;
+    }
+
+    // Assemble a program into machine code. Returns one listing row per
+    // instruction and per data item in .text, in memory order ({ line, origin,
+    // text, address, bytes, hex, error }; origin and text describe lines from
+    // macros), and the bytes of the text section.
+    assemble(code) {
+        this.reset();
+        try {
+            this.loadProgram(code);
+        } catch (error) {
+            return { success: false, listing: [], bytes: new Uint8Array(0), error: `${this.sourceLocation()}: ${error.message}` };
+        }
+        
+        const programCounter = this.constructor.ARCHITECTURE.programCounter;
+        const bytes = new Uint8Array(Number(this.textEnd - this.textBase));
+        const listing = this.program.map((instruction, index) => {
+            const row = { line: instruction.line, origin: instruction.origin, text: instruction.text, address: this.addressOf(index), bytes: [] };
+            try {
+                this[programCounter] = index;
+                Object.assign(row, this.machineCode(instruction.text));
+                bytes.set(row.bytes, Number(row.address - this.textBase));
+            } catch (error) {
+                row.error = error.message;
+            }
+            return row;
+        });
+        this[programCounter] = 0;
+        
+        for (const item of this.textItems) {
+            const data = Array.from({ length: this.dataSize(item) }, (_, i) => this.memory.get(item.address + BigInt(i)) || 0);
+            bytes.set(data, Number(item.address - this.textBase));
+            if (!item.padding) {
+                listing.push({ line: item.line, origin: item.origin, address: item.address, bytes: data, data: true });
+            }
+        }
+        // Data in .text lies between the instructions
+        listing.sort((a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : 0));
+        
+        const failed = listing.find(row => row.error);
+        if (failed) {
+            return { success: false, listing, bytes, error: `${this.sourceLocation(failed.line, failed.origin)}: ${failed.error}` };
+        }
+        return { success: true, listing, bytes };
+    }
+
+    // Bytes and hex text of an encoded instruction for assemble(). The default
+    // suits fixed-width instruction sets whose encodeInstruction() returns one
+    // 32-bit word or several (stored little-endian).
+    machineCode(text) {
+        const words = [].concat(this.encodeInstruction(text));
+        return {
+            bytes: words.flatMap(word => [0, 8, 16, 24].map(shift => (word >>> shift) & 0xFF)),
+            hex: words.map(word => word.toString(16).padStart(8, '0')).join(' ')
+        };
+    }
+
+    // Disassemble machine code starting at the given address. Returns one row per
+    // 32-bit word ({ address, bytes, hex, text, label, data }) in the syntax of the
+    // simulator. Branch targets inside the code get a label (loc_<address>; a target
+    // right after the code adds a row without bytes), words that are no supported
+    // instruction or that the assembler would encode differently become .word
+    // (data: true). This suits fixed-width instruction sets that implement
+    // decodeWord(); others override it.
+    disassemble(bytes, address = this.textBase) {
+        address = BigInt(address);
+        const rows = [];
+        for (let offset = 0; offset < bytes.length; offset += 4) {
+            const chunk = [...bytes.slice(offset, offset + 4)];
+            const word = chunk.length === 4 ? (chunk[0] | chunk[1] << 8 | chunk[2] << 16 | chunk[3] << 24) >>> 0 : null;
+            const hex = word === null ? chunk.map(byte => byte.toString(16).padStart(2, '0')).join(' ') : word.toString(16).padStart(8, '0');
+            rows.push({ address: address + BigInt(offset), bytes: chunk, word, hex });
+        }
+        
+        // First pass collects the targets, the second one names them. The end of
+        // the code is a target as well (e.g. a done label after the last instruction).
+        const end = address + BigInt(bytes.length);
+        const starts = new Set([...rows.map(row => row.address), end]);
+        const labels = new Map();
+        this.disassembleRows(rows, (target) => {
+            if (starts.has(target)) labels.set(target, `loc_${target.toString(16)}`);
+            return '';
+        });
+        this.disassembleRows(rows, (target) => labels.get(target) || `0x${target.toString(16)}`);
+        const comment = this.constructor.ARCHITECTURE.comments[0];
+        for (const row of rows) {
+            row.label = labels.get(row.address) || null;
+            const text = row.data ? null : this.decodeWord(row.word, row.address, (target) => `0x${target.toString(16)}`);
+            if (text !== null && !this.reassembles(text, row.address, row.bytes)) {
+                row.text = `.word 0x${row.hex} ${comment} ${row.text} (abweichende Kodierung)`;
+                row.data = true;
+            }
+            delete row.word;
+        }
+        if (labels.has(end)) {
+            rows.push({ address: end, bytes: [], hex: '', text: '', label: labels.get(end), data: false });
+        }
+        return rows;
+    }
+
+    // Whether a disassembled instruction (with numeric targets) assembles to the
+    // given bytes at its address. Another encoding of the same operation (a long
+    // form, padding) would move everything after it, so the disassemblers keep
+    // such instructions as data.
+    reassembles(text, address, bytes) {
+        const encoder = new this.constructor();
+        encoder.textBase = address;
+        encoder.setCodeAddresses([bytes.length]);
+        encoder[this.constructor.ARCHITECTURE.programCounter] = 0;
+        try {
+            return encoder.machineCode(text).bytes.join() === bytes.join();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Decode the words of disassemble(); label(target) names a code address
+    disassembleRows(rows, label) {
+        for (const row of rows) {
+            const text = row.word === null ? null : this.decodeWord(row.word, row.address, label);
+            row.data = text === null;
+            row.text = text !== null ? text
+                : row.word !== null ? `.word 0x${row.hex}`
+                : `.byte ${row.bytes.map(byte => `0x${byte.toString(16).padStart(2, '0')}`).join(', ')}`;
+        }
+    }
+
+    // Decode a 32-bit instruction word into the syntax of executeInstruction
+    // (null if the simulator does not support it); label(target) names a code
+    // address. Implemented by fixed-width instruction sets.
+    decodeWord(word, address, label) {
+        return null;
+    }
+
+    // Check the whole program without running it and return every problem:
+    // [{ line, endLine, column, endColumn, severity, message, location }] with
+    // 1-based columns of the first line (endColumn exclusive). Besides the
+    // errors of the assembler (unknown instructions, operands, ranges, labels),
+    // code that is never executed is reported as a warning. Lines expanded from
+    // a macro count as the line of the call.
+    validate(code) {
+        const errors = this.diagnostics = [];
+        try {
+            const { listing } = this.assemble(code);
+            for (const row of listing.filter(row => row.error)) {
+                errors.push({ line: row.line, origin: row.origin, message: row.error });
+            }
+        } finally {
+            this.diagnostics = null;
+        }
+        
+        // One error per line: later errors usually follow from the first one
+        const lines = code.split('\n');
+        const problems = [];
+        const seen = new Set();
+        for (const error of errors) {
+            const location = this.sourceLocation(error.line, error.origin);
+            if (seen.has(location)) {
+                continue;
+            }
+            seen.add(location);
+            problems.push({
+                line: error.line,
+                endLine: error.line,
+                ...this.locateProblem(lines[error.line - 1] || '', error.message),
+                severity: 'error',
+                message: error.message,
+                location
+            });
+        }
+        problems.push(...this.unreachableCode(lines));
+        return problems.sort((a, b) => a.line - b.line || a.column - b.column);
+    }
+
+    // Columns of the part of an editor line an error refers to: a name quoted
+    // in the message or the value after its last colon (label, register,
+    // mnemonic), an operand the message names, otherwise the whole statement
+    locateProblem(text, message) {
+        const code = this.stripComment(text).trimEnd();
+        const start = code.search(/\S/);
+        if (start < 0) {
+            return { column: 1, endColumn: text.length + 1 };
+        }
+        
+        const tail = message.match(/:\s*([^:]+)$/);
+        const quoted = [...message.matchAll(/'([^']+)'/g)].map(match => match[1]);
+        for (const fragment of [...(tail ? [tail[1].trim()] : []), ...quoted]) {
+            const escaped = fragment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const match = new RegExp(`(?<![\\w.$])${escaped}(?![\\w.$])`, 'i').exec(code.slice(start));
+            if (fragment && match) {
+                return { column: start + match.index + 1, endColumn: start + match.index + fragment.length + 1 };
+            }
+        }
+        
+        // An operand the message mentions, e.g. "Immediate #5000 ist nicht kodierbar"
+        const operand = this.splitOperands(code.trim()).slice(1)
+            .filter(operand => operand && message.toLowerCase().includes(operand.toLowerCase()))
+            .sort((a, b) => b.length - a.length)[0];
+        if (operand) {
+            const index = code.lastIndexOf(operand);
+            return { column: index + 1, endColumn: index + operand.length + 1 };
+        }
+        return { column: start + 1, endColumn: code.length + 1 };
+    }
+
+    // Warnings for runs of instructions that no path from the program start
+    // reaches. Global symbols and labels used as values (e.g. adr, .quad or
+    // constants) count as entry points, since they may be jumped to indirectly.
+    unreachableCode(lines) {
+        const flows = this.program.map(instruction => {
+            try {
+                return this.controlFlow(instruction.text);
+            } catch (error) {
+                return { targets: [], next: true };
+            }
+        });
+        
+        const entries = [0];
+        const addReferences = text => {
+            for (const name of text.match(/[A-Za-z_.$][\w.$]*/g) || []) {
+                if (this.labels.has(name)) {
+                    entries.push(this.labels.get(name));
+                }
+            }
+        };
+        this.globals.forEach(addReferences);
+        this.program.forEach((instruction, index) => {
+            this.splitOperands(instruction.text.trim()).slice(1)
+                .filter(operand => !flows[index].targets.includes(operand))
+                .forEach(addReferences);
+        });
+        [...this.textItems, ...this.dataItems]
+            .filter(item => typeof item.value === 'string')
+            .forEach(item => addReferences(item.value));
+        [...this.constants.values()]
+            .filter(value => typeof value === 'string')
+            .forEach(addReferences);
+        
+        const reached = new Set();
+        while (entries.length > 0) {
+            const index = entries.pop();
+            if (index >= this.program.length || reached.has(index)) {
+                continue;
+            }
+            reached.add(index);
+            if (flows[index].next) {
+                entries.push(index + 1);
+            }
+            for (const target of flows[index].targets.filter(target => this.labels.has(target))) {
+                entries.push(this.labels.get(target));
+            }
+        }
+        
+        const warnings = [];
+        for (let index = 0; index < this.program.length; index++) {
+            if (reached.has(index)) {
+                continue;
+            }
+            let end = index;
+            while (end + 1 < this.program.length && !reached.has(end + 1)) {
+                end++;
+            }
+            const first = this.program[index];
+            const count = end - index + 1;
+            warnings.push({
+                line: first.line,
+                endLine: this.program[end].line,
+                ...this.locateProblem(lines[first.line - 1] || '', ''),
+                severity: 'warning',
+                message: count === 1
+                    ? 'Unerreichbarer Code: diese Instruktion wird nie ausgeführt'
+                    : `Unerreichbarer Code: ${count} Instruktionen werden nie ausgeführt`,
+                location: this.sourceLocation(first.line, first.origin)
+            });
+            index = end;
+        }
+        return warnings;
+    }
+
+    // Control flow of an instruction for validate(): the labels it may jump to
+    // and whether execution can go on with the next instruction (architectures
+    // override this for their branches)
+    controlFlow(text) {
+        return { targets: [], next: true };
+    }
+
+    // Load a program for step-by-step execution (resets the simulator)
+    load(code, input = '', interactive = false) {
+        this.reset();
+        this.stdin = [...new TextEncoder().encode(input)];
+        this.interactive = interactive;
+        
+        this.output.push('=== Programm Start ===\n');
+        
+        try {
+            this.loadProgram(code);
+        } catch (error) {
+            return this.fail(error);
+        }
+        
+        if (this.program.length === 0) {
+            return this.finish();
+        }
+        return this.getStatus();
+    }
+
+    // Execute the next instruction and update the execution state. The program
+    // counter (the field named by ARCHITECTURE.programCounter) is an index into
+    // this.program; instructions set nextPc to jump (null continues behind them).
+    executeNext() {
+        const programCounter = this.constructor.ARCHITECTURE.programCounter;
+        try {
+            // Checked before counting, so steps never exceeds maxSteps
+            if (this.steps >= this.maxSteps) {
+                throw new Error(`Maximale Anzahl von ${this.maxSteps} Schritten überschritten (Endlosschleife?)`);
+            }
+            this.steps++;
+            
+            const instruction = this.program[this[programCounter]];
+            this.currentLine = instruction.line;
+            this.currentOrigin = instruction.origin;
+            this.nextPc = null;
+            
+            const result = this.executeInstruction(instruction.text);
+            if (result === 'halt') {
+                return this.finish();
+            }
+            if (result === 'input') {
+                this.steps--;
+                this.waitingForInput = true;
+                return this.getStatus();
+            }
+            if (this.nextPc === null) {
+                // Data in .text behind the instruction (data behind the last one ends the program)
+                const next = this[programCounter] + 1;
+                if (next < this.program.length && this.nextAddress(this[programCounter]) !== this.addressOf(next)) {
+                    throw new Error(`Daten im Abschnitt .text können nicht ausgeführt werden (0x${this.nextAddress(this[programCounter]).toString(16)})`);
+                }
+                this.nextPc = next;
+            }
+            this[programCounter] = this.nextPc;
+        } catch (error) {
+            return this.fail(error);
+        }
+        
+        if (this[programCounter] >= this.program.length) {
+            return this.finish();
+        }
+        return this.getStatus();
+    }
+
+    // Execute the instruction at the program counter without resetting the
+    // modified-register tracking; returns the execution status. Steps that were
+    // undone with stepBack() are replayed from the history.
+    executeStep() {
+        if (this.halted) {
+            return this.getStatus();
+        }
+        if (!this.recordHistory) {
+            return this.executeUnrecorded();
+        }
+        if (this.position < this.history.length) {
+            return this.replayStep();
+        }
+        
+        const before = this.captureState();
+        this.registerLog = new Map();
+        this.memoryLog = new Map();
+        this.executeNext();
+        if (this.waitingForInput) {
+            // The instruction did not execute and is retried once input is provided
+            this.registerLog = null;
+            this.memoryLog = null;
+            return this.getStatus();
+        }
+        this.history.push(this.recordDelta(before));
+        this.registerLog = null;
+        this.memoryLog = null;
+        this.position++;
+        return this.getStatus();
+    }
+
+    // executeStep() without history: the log line of the instruction is dropped
+    // as well (the messages of the last step remain). Recorded steps no longer
+    // lead to the current state and are discarded.
+    executeUnrecorded() {
+        if (this.history.length > 0) {
+            this.history = [];
+            this.position = 0;
+        }
+        const outputLength = this.output.length;
+        this.executeNext();
+        if (!this.halted) {
+            this.output.length = outputLength;
+        }
+        return this.getStatus();
+    }
+
+    // Snapshot of the state a single step can change
+    captureState() {
+        return {
+            flags: { ...this.flags },
+            fields: this.historyFields(),
+            outputLength: this.output.length
+        };
+    }
+
+    // Execution state fields restored by reverse execution (HISTORY_FIELDS)
+    // keyed by name
+    historyFields() {
+        return Object.fromEntries(this.constructor.HISTORY_FIELDS.map(field => [field, this[field]]));
+    }
+
+    // State delta between a snapshot and the current state: [before, after]
+    // pairs for registers, flags, execution fields and written memory bytes
+    recordDelta(before) {
+        const registers = {};
+        for (const [reg, old] of this.registerLog) {
+            if (this.registers[reg] !== old) {
+                registers[reg] = [old, this.registers[reg]];
+            }
+        }
+        
+        const memory = [];
+        for (const [address, old] of this.memoryLog) {
+            memory.push([address, old, this.memory.get(address)]);
+        }
+        
+        return {
+            line: this.currentLine,
+            registers,
+            flags: [before.flags, { ...this.flags }],
+            fields: [before.fields, this.historyFields()],
+            memory,
+            outputLength: before.outputLength,
+            output: this.output.slice(before.outputLength)
+        };
+    }
+
+    // Apply a recorded step forwards (redo) or backwards (undo)
+    applyDelta(delta, forward) {
+        const side = forward ? 1 : 0;
+        
+        for (const [reg, values] of Object.entries(delta.registers)) {
+            this.registers[reg] = values[side];
+            this.modifiedRegisters.add(reg);
+        }
+        this.flags = { ...delta.flags[side] };
+        Object.assign(this, delta.fields[side]);
+        
+        for (const [address, old, value] of delta.memory) {
+            const byte = forward ? value : old;
+            if (byte === undefined) {
+                this.memory.delete(address);
+            } else {
+                this.memory.set(address, byte);
+            }
+        }
+        
+        this.output.length = delta.outputLength;
+        if (forward) {
+            this.output.push(...delta.output);
+        }
+    }
+
+    // Redo the next step from the history
+    replayStep() {
+        this.applyDelta(this.history[this.position], true);
+        this.position++;
+        return this.getStatus();
+    }
+
+    // Undo the last executed instruction
+    stepBack() {
+        this.modifiedRegisters.clear();
+        this.waitingForInput = false;
+        if (this.position > 0) {
+            this.position--;
+            this.applyDelta(this.history[this.position], false);
+        }
+        return this.getStatus();
+    }
+
+    // Jump to a point in the execution history (number of executed steps)
+    goTo(position) {
+        const target = Math.max(0, Math.min(position, this.history.length));
+        this.modifiedRegisters.clear();
+        this.waitingForInput = false;
+        while (this.position > target) {
+            this.position--;
+            this.applyDelta(this.history[this.position], false);
+        }
+        while (this.position < target) {
+            this.replayStep();
+        }
+        return this.getStatus();
+    }
+
+    // Addresses of the memory bytes written by the last executed instruction
+    getLastWrites() {
+        const delta = this.history[this.position - 1];
+        return new Set(delta ? delta.memory.map(([address]) => address) : []);
+    }
+
+    // Change memory between steps; recorded steps after the current position
+    // can no longer be replayed and are discarded
+    editMemory(address, value, size) {
+        this.history.length = this.position;
+        this.writeMemory(address, value, size);
+    }
+
+    // Split an instruction into its mnemonic and operands (comments removed)
+    decodeInstruction(text) {
+        const instruction = this.stripComment(text).trim();
+        const [mnemonic = '', ...operands] = this.splitOperands(instruction);
+        return { mnemonic: mnemonic.toUpperCase(), operands };
+    }
+
+    // Structured trace of the executed instructions: one record per step with
+    // source, decoded operands, register and flag diffs and memory writes
+    getTrace() {
+        const hex = (value, digits) => '0x' + value.toString(16).padStart(digits, '0').toUpperCase();
+        
+        return this.history.slice(0, this.position).map((delta, step) => {
+            const index = delta.fields[0][this.constructor.ARCHITECTURE.programCounter];
+            const source = this.program[index].text.trim();
+            
+            const registers = {};
+            for (const [reg, [before, after]] of Object.entries(delta.registers)) {
+                registers[reg] = { before: hex(before, 16), after: hex(after, 16) };
+            }
+            
+            const flags = {};
+            const [flagsBefore, flagsAfter] = delta.flags;
+            for (const flag of Object.keys(flagsBefore)) {
+                if (flagsBefore[flag] !== flagsAfter[flag]) {
+                    flags[flag] = { before: flagsBefore[flag], after: flagsAfter[flag] };
+                }
+            }
+            
+            // Combine the written bytes into contiguous little-endian writes
+            const memory = [];
+            const bytes = [...delta.memory].sort((a, b) => (a[0] < b[0] ? -1 : 1));
+            for (const [address, before = 0, after] of bytes) {
+                const last = memory[memory.length - 1];
+                if (last && last.address + BigInt(last.size) === address) {
+                    last.before |= BigInt(before) << BigInt(last.size * 8);
+                    last.after |= BigInt(after) << BigInt(last.size * 8);
+                    last.size++;
+                } else {
+                    memory.push({ address, size: 1, before: BigInt(before), after: BigInt(after) });
+                }
+            }
+            
+            return {
+                step: step + 1,
+                line: delta.line,
+                address: hex(this.addressOf(index), 8),
+                source,
+                ...this.decodeInstruction(source),
+                registers,
+                flags,
+                memory: memory.map(write => ({
+                    address: hex(write.address, 8),
+                    size: write.size,
+                    before: hex(write.before, write.size * 2),
+                    after: hex(write.after, write.size * 2)
+                })),
+                error: delta.fields[1].error
+            };
+        });
+    }
+
+    // Execute a single instruction (only its register changes are marked as modified)
+    step() {
+        this.modifiedRegisters.clear();
+        return this.executeStep();
+    }
+
+    // Run until the program ends or the next instruction is on a breakpoint line
+    run(breakpoints = new Set()) {
+        let status = this.executeStep();
+        while (!status.done && !status.waitingForInput && !breakpoints.has(status.line)) {
+            status = this.executeStep();
+        }
+        return status;
+    }
+
+    // Execute a single instruction, running a called subroutine to its return
+    // (the instruction after the call with the stack pointer back at its level)
+    stepOver(breakpoints = new Set()) {
+        const target = this.stepOverTarget();
+        if (!target) {
+            return this.step();
+        }
+        this.modifiedRegisters.clear();
+        
+        let status = this.executeStep();
+        while (!status.done && !status.waitingForInput && !breakpoints.has(status.line) && !this.reachedStepOverTarget(target)) {
+            status = this.executeStep();
+        }
+        return status;
+    }
+
+    // Where stepping over the next instruction ends: { index, stack } of the
+    // instruction after the call and the stack pointer before it (a recursive
+    // call returns to the same index with a lower stack pointer); null if the
+    // next instruction is no call
+    stepOverTarget() {
+        const { programCounter, stackPointer } = this.constructor.ARCHITECTURE;
+        const instruction = this.program[this[programCounter]];
+        if (this.halted || !instruction || !this.isCall(instruction.text)) {
+            return null;
+        }
+        return { index: this[programCounter] + 1, stack: this.getRegister(stackPointer) };
+    }
+
+    // Whether execution has returned to a target of stepOverTarget()
+    reachedStepOverTarget(target) {
+        const { programCounter, stackPointer } = this.constructor.ARCHITECTURE;
+        return this[programCounter] === target.index && this.getRegister(stackPointer) >= target.stack;
+    }
+
+    // Whether an instruction calls a subroutine (see stepOver())
+    isCall(text) {
+        return false;
+    }
+
+    // Current execution status
+    getStatus() {
+        return {
+            done: this.halted,
+            success: this.error === null,
+            error: this.error,
+            line: this.getCurrentLine(),
+            exitCode: this.exitCode,
+            waitingForInput: this.waitingForInput,
+            position: this.position,
+            historyLength: this.history.length
+        };
+    }
+
+    // Source line of the next instruction (null when the program has ended)
+    getCurrentLine() {
+        const instruction = this.halted ? null : this.program[this[this.constructor.ARCHITECTURE.programCounter]];
+        return instruction ? instruction.line : null;
+    }
+
+    // End execution successfully
+    finish() {
+        this.halted = true;
+        if (this.exitCode !== null) {
+            this.output.push(`\n=== Programm beendet mit Exit-Code ${this.exitCode} ===`);
+        } else {
+            this.output.push('\n=== Programm erfolgreich beendet ===');
+        }
+        return this.getStatus();
+    }
+
+    // End execution with an error
+    fail(error) {
+        this.halted = true;
+        this.error = error.message;
+        this.output.push(`\n❌ FEHLER in ${this.sourceLocation()}: ${error.message}`);
+        return this.getStatus();
+    }
+
+    // Source line for messages; lines from a macro also name the body lines,
+    // e.g. "Zeile 12 (Makro 'print', Zeile 4)" (deep recursion is shortened)
+    sourceLocation(line = this.currentLine, origin = this.currentOrigin) {
+        if (!origin) {
+            return `Zeile ${line}`;
+        }
+        const frames = origin.map(frame => `${frame.name}, Zeile ${frame.line}`);
+        if (frames.length > 4) {
+            frames.splice(1, frames.length - 3, '…');
+        }
+        return `Zeile ${line} (${frames.join(' → ')})`;
+    }
+
+    // Execute program (input is read by the read system call)
+    execute(code, input = '') {
+        let status = this.load(code, input);
+        if (!status.done) {
+            status = this.run();
+        }
+        
+        const result = { output: this.output.join('\n'), stdout: this.stdout, exitCode: this.exitCode };
+        if (status.success) {
+            return { success: true, ...result };
+        }
+        return { success: false, ...result, error: status.error };
+    }
+
+    // Get register state
+    getRegisterState() {
+        const state = {};
+        for (const [reg, value] of Object.entries(this.registers)) {
+            state[reg] = {
+                value: value.toString(),
+                hex: '0x' + value.toString(16).padStart(16, '0').toUpperCase(),
+                modified: this.modifiedRegisters.has(reg)
+            };
+        }
+        return state;
+    }
+
+    // Get flags state
+    getFlagsState() {
+        return { ...this.flags };
+    }
+}
+
+// Registered simulator classes by architecture id (in registration order)
+Simulator.architectures = new Map();
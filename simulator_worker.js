@@ -0,0 +1,116 @@
+/**
+ * Simulator Web Worker
+ * Runs loaded programs off the main thread so endless loops do not freeze the page.
+ * Without worker support (e.g. index.html opened via file://) app.js calls
+ * runSimulation() on the page itself.
+ */
+
+// Execution time between two checks for a stop request or the time limit (ms)
+const RUN_SLICE_MS = 20;
+
+// Interval between register and flag snapshots sent to the page (ms)
+const SNAPSHOT_INTERVAL_MS = 200;
+
+/**
+ * Run a loaded simulator until the program ends, reaches a breakpoint, waits
+ * for input, is stopped or exceeds the time limit. Executes in short slices so
+ * stop requests are handled while the program runs. With returnTo the run also
+ * ends when a stepped-over call returns (see Simulator.stepOverTarget()).
+ * The run records no history, which would take memory per step up to the time
+ * limit; recordHistory is restored when it ends.
+ * @param {Simulator} simulator - simulator with a loaded program
+ * @param {{breakpoints: Set<number>, timeLimit: number, returnTo: ?{index: number, stack: bigint}}} options -
+ *     breakpoint lines, time limit in ms, return target of a step over
+ * @param {function(object)} post - receives the progress and result messages
+ * @returns {{stop: function()}} handle to stop the run before the next instruction
+ */
+function runSimulation(simulator, options, post) {
+    const deadline = Date.now() + options.timeLimit;
+    let nextSnapshot = Date.now() + SNAPSHOT_INTERVAL_MS;
+    let stopRequested = false;
+    const recordHistory = simulator.recordHistory;
+    simulator.recordHistory = false;
+
+    const finish = (status) => {
+        simulator.recordHistory = recordHistory;
+        post({ type: 'result', status });
+    };
+
+    const runSlice = () => {
+        let status = simulator.getStatus();
+        if (stopRequested) {
+            finish({ ...status, stopped: true });
+            return;
+        }
+
+        const sliceEnd = Date.now() + RUN_SLICE_MS;
+        do {
+            status = simulator.executeStep();
+            if (status.done || status.waitingForInput || options.breakpoints.has(status.line) ||
+                (options.returnTo && simulator.reachedStepOverTarget(options.returnTo))) {
+                finish(status);
+                return;
+            }
+        } while (Date.now() < sliceEnd);
+
+        if (Date.now() >= deadline) {
+            const seconds = options.timeLimit / 1000;
+            status = simulator.fail(new Error(`Zeitlimit von ${seconds} s überschritten (Endlosschleife?)`));
+            finish(status);
+            return;
+        }
+        if (Date.now() >= nextSnapshot) {
+            post({ type: 'progress', snapshot: takeSnapshot(simulator) });
+            nextSnapshot = Date.now() + SNAPSHOT_INTERVAL_MS;
+        }
+        setTimeout(runSlice, 0);
+    };
+
+    setTimeout(runSlice, 0);
+    return { stop: () => { stopRequested = true; } };
+}
+
+/**
+ * Registers, flags and output of a running simulator for the progress display
+ */
+function takeSnapshot(simulator) {
+    return {
+        registers: { ...simulator.registers },
+        flags: { ...simulator.flags },
+        modifiedRegisters: new Set(simulator.modifiedRegisters),
+        stdout: simulator.stdout,
+        steps: simulator.steps,
+        line: simulator.currentLine
+    };
+}
+
+// Worker entry point: the page sends the simulator state, the worker returns it
+// after the run
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    importScripts('expression.js', 'preprocessor.js', 'simulator.js', 'assembler.js', 'x86_assembler.js', 'riscv_assembler.js');
+
+    let activeRun = null;
+
+    self.onmessage = (e) => {
+        const message = e.data;
+        if (message.type === 'stop') {
+            if (activeRun) {
+                activeRun.stop();
+            }
+            return;
+        }
+
+        const SimulatorClass = Simulator.architectures.get(message.arch);
+        const simulator = new SimulatorClass();
+        Object.assign(simulator, message.state);
+        const options = { breakpoints: new Set(message.breakpoints), timeLimit: message.timeLimit, returnTo: message.returnTo };
+
+        activeRun = runSimulation(simulator, options, (reply) => {
+            if (reply.type === 'result') {
+                reply.state = { ...simulator };
+                activeRun = null;
+            }
+            self.postMessage(reply);
+        });
+    };
+}
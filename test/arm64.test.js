@@ -0,0 +1,65 @@
+/**
+ * ARM64: the simulator executes only what the encoder accepts, so a program
+ * that runs also assembles (and validate() reports what does not run)
+ *
+ *     node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Loads the engine scripts (Simulator and the architectures) as globals
+require('../asm-console.js');
+
+const ARM64 = Simulator.architectures.get('arm64');
+
+/**
+ * Run one instruction after X1 = 3, X2 = 5 and exit
+ * @returns {{result: object, simulator: Simulator}} execute() result and the simulator
+ */
+function runLine(line) {
+    const simulator = new ARM64();
+    const result = simulator.execute(`    MOV X1, #3\n    MOV X2, #5\n    ${line}\n    MOV X16, #1\n    SVC #0\n`);
+    return { result, simulator };
+}
+
+test('nicht kodierbare Operanden sind auch bei der Ausführung ein Fehler', () => {
+    const cases = [
+        ['ADD X0, X1, X2, LSL #2', /verschobene oder erweiterte Operanden \(LSL #2\)/],
+        ['MOVZ X3, #1, LSL #16', /verschobene oder erweiterte Operanden \(LSL #16\)/],
+        ['CMP X1, X2, LSL #1', /verschobene oder erweiterte Operanden \(LSL #1\)/],
+        ['ADD X0, X1, X2, X3', /ADD erwartet 3 Operanden/],
+        ['ADD X4, X1, #5000', /#5000 ist nicht kodierbar/],
+        ['MOV X0, #0x12345', /#0x12345 ist nicht in einer Instruktion kodierbar/],
+        ['MUL X0, X1, #3', /MUL mit Immediate-Wert ist nicht kodierbar/],
+        ['AND X0, X1, #5', /#5 ist nicht als Bitmaske kodierbar/]
+    ];
+    for (const [line, message] of cases) {
+        const { result } = runLine(line);
+        assert.strictEqual(result.success, false, line);
+        assert.match(result.error, message, line);
+        assert.match(result.error, new RegExp(`Fehler bei '${line.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}'`));
+        
+        const problems = new ARM64().validate(`    ${line}\n`);
+        assert.strictEqual(problems.length, 1, line);
+        assert.match(problems[0].message, message, line);
+    }
+});
+
+test('kodierbare Immediates laufen weiter', () => {
+    const cases = [
+        ['ADD X0, X1, #4095', 4098n],
+        ['ADD X0, X1, #0x1000', 0x1003n],
+        ['SUB X0, X1, #-2', 5n],
+        ['MOV X0, #0x10000', 0x10000n],
+        ['MOVZ X0, #0x10000', 0x10000n],
+        ['MOV X0, #-1', 0xFFFFFFFFFFFFFFFFn],
+        ['MOV X0, #0xFF00FF00FF00FF00', 0xFF00FF00FF00FF00n],
+        ['ORR X0, X1, #0xF0', 0xF3n]
+    ];
+    for (const [line, expected] of cases) {
+        const { result, simulator } = runLine(line);
+        assert.strictEqual(result.success, true, `${line}: ${result.error}`);
+        assert.strictEqual(simulator.getRegister('X0'), expected, line);
+    }
+});
@@ -0,0 +1,95 @@
+/**
+ * Command-line runner: instruction limit, JSON output and exit status
+ *
+ *     node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { runProgram } = require('../asm-console.js');
+
+const SCRIPT = path.join(__dirname, '..', 'asm-console.js');
+
+/**
+ * Run asm-console.js on a program
+ * @param {string} code - assembly source
+ * @param {string[]} args - options after the file
+ * @param {string[]} nodeOptions - options for node itself (e.g. a heap limit)
+ * @returns {{status: number, stdout: string, stderr: string}} exit status and output
+ */
+function runCommand(code, args, nodeOptions = []) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'asm-console-'));
+    const file = path.join(directory, 'prog.s');
+    try {
+        fs.writeFileSync(file, code);
+        return runScript(['run', file, ...args], nodeOptions);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Run asm-console.js with the given arguments
+ * @returns {{status: number, stdout: string, stderr: string}} exit status and output
+ */
+function runScript(args, nodeOptions = []) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [...nodeOptions, SCRIPT, ...args], { encoding: 'utf8', timeout: 120000 });
+    return { status, stdout, stderr };
+}
+
+test('--max-steps: Abbruch meldet höchstens die erlaubte Anzahl Schritte', () => {
+    const { status, stdout, stderr } = runCommand('loop:\n    B loop\n', ['--arch', 'arm64', '--max-steps', '1000', '--json']);
+    assert.strictEqual(status, 1);
+    const result = JSON.parse(stdout);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.steps, 1000);
+    assert.match(result.error, /Maximale Anzahl von 1000 Schritten/);
+    assert.match(stderr, /FEHLER in Zeile 2/);
+});
+
+test('--max-steps: ein Programm mit genau so vielen Schritten läuft durch', () => {
+    const code = '    MOV X0, #7\n    MOV X16, #1\n    SVC #0\n';
+    const result = runProgram(code, { arch: 'arm64', maxSteps: 3 });
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(result.steps, 3);
+    assert.strictEqual(result.exitCode, 7);
+    
+    const { status, stdout } = runCommand(code, ['--max-steps', '2']);
+    assert.strictEqual(status, 1);
+    assert.match(stdout, /Ausgeführte Instruktionen: 2\n/);
+});
+
+test('Endlosschleife mit großem --max-steps endet mit dem Limit statt ohne Speicher', () => {
+    // 3 million steps stay far below a 256 MB heap: a run records no history
+    const { status, stdout } = runCommand('loop:\n    B loop\n', ['--max-steps', '3000000', '--json'], ['--max-old-space-size=256']);
+    assert.strictEqual(status, 1);
+    const result = JSON.parse(stdout);
+    assert.strictEqual(result.steps, 3000000);
+    assert.match(result.error, /Maximale Anzahl von 3000000 Schritten überschritten/);
+});
+
+test('Exit-Status: 0 ohne Fehler, 1 bei Fehler im Programm oder nicht lesbarer Datei, 2 bei ungültigen Argumenten', () => {
+    const ok = runCommand('    li a0, 3\n    li a7, 93\n    ecall\n', ['--arch', 'riscv']);
+    assert.strictEqual(ok.status, 0, ok.stderr);
+    assert.match(ok.stdout, /Programm beendet mit Exit-Code 3/);
+    
+    const failed = runCommand('    FOO X0\n', []);
+    assert.strictEqual(failed.status, 1);
+    assert.match(failed.stderr, /FEHLER in Zeile 1/);
+    
+    const missing = runScript(['run', path.join(os.tmpdir(), 'asm-console-fehlt.s')]);
+    assert.strictEqual(missing.status, 1);
+    assert.match(missing.stderr, /Datei nicht lesbar/);
+    
+    for (const args of [[], ['start', 'prog.s'], ['run'], ['run', 'prog.s', '--arch', 'mips'], ['run', 'prog.s', '--max-steps', '0'], ['run', 'prog.s', '--foo']]) {
+        const { status, stderr } = runScript(args);
+        assert.strictEqual(status, 2, args.join(' '));
+        assert.match(stderr, /Aufruf: asm-console run/);
+    }
+    assert.strictEqual(runScript(['--help']).status, 0);
+});
@@ -0,0 +1,93 @@
+/**
+ * Round trip of the disassembler: disassembled code put into the editor
+ * (→ Editor) must assemble to the same bytes, also when jumps and data
+ * references point outside the disassembled bytes.
+ *
+ *     node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Loads the engine scripts (Simulator and the architectures) as globals
+require('../asm-console.js');
+
+/**
+ * Program text of disassembled rows, as sendDisassemblyToEditor() builds it
+ * @param {Array} rows - rows of disassemble()
+ * @returns {string} assembly source
+ */
+function editorText(rows) {
+    return rows.flatMap(row => [...(row.label ? [`${row.label}:`] : []), ...(row.text ? [`    ${row.text}`] : [])]).join('\n');
+}
+
+/**
+ * Disassemble bytes at the start of .text and assemble the result again
+ * @returns {{text: string, result: object}} disassembled source and assemble() result
+ */
+function roundTrip(SimulatorClass, bytes) {
+    const text = editorText(new SimulatorClass().disassemble(bytes));
+    return { text, result: new SimulatorClass().assemble(text) };
+}
+
+for (const [id, SimulatorClass] of Simulator.architectures) {
+    for (const [name, code] of Object.entries(SimulatorClass.ARCHITECTURE.examples)) {
+        test(`${id} ${name}: disassemble → assemble ergibt dieselben Bytes`, () => {
+            const { bytes, listing } = new SimulatorClass().assemble(code);
+            
+            // The second half on its own: earlier jump targets and the data lie outside
+            const rows = listing.filter(row => row.bytes.length > 0);
+            const half = Number(rows[Math.floor(rows.length / 2)].address - new SimulatorClass().textBase);
+            for (const part of [bytes, bytes.slice(0, half), bytes.slice(half)]) {
+                const { text, result } = roundTrip(SimulatorClass, part);
+                assert.ok(result.success, `${result.error}\n${text}`);
+                assert.deepStrictEqual([...result.bytes], [...part], text);
+            }
+        });
+    }
+}
+
+test('Ziele außerhalb des Codes bleiben als Adresse stehen', () => {
+    const cases = [
+        ['arm64', [0x00, 0x00, 0x00, 0xb0, 0x00, 0x01, 0x00, 0x94], ['ADRP X0, 0x100001000', 'BL 0x100000404']],
+        ['riscv', [0x17, 0x15, 0x00, 0x00, 0x13, 0x05, 0x15, 0x00, 0xef, 0x00, 0x00, 0x10], ['auipc a0, 0x1', 'jal 0x10108']],
+        ['x86', [0xe8, 0xfb, 0x00, 0x00, 0x00], ['CALL 0x401100']]
+    ];
+    for (const [id, bytes, expected] of cases) {
+        const SimulatorClass = Simulator.architectures.get(id);
+        const { text, result } = roundTrip(SimulatorClass, bytes);
+        for (const line of expected) {
+            assert.match(text, new RegExp(line.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i'));
+        }
+        assert.deepStrictEqual([...result.bytes], bytes, text);
+    }
+});
+
+test('Abweichend kodierte Instruktionen bleiben als Daten an ihrer Stelle', () => {
+    const SimulatorClass = Simulator.architectures.get('x86');
+    const variants = [
+        [0xf3, 0x0f, 0x1e, 0xfa],                   // ENDBR64
+        [0x66, 0x90],                               // NOP mit Präfix
+        [0x0f, 0x1f, 0x40, 0x00],                   // NOP mit ModRM
+        [0x0f, 0x1f, 0x44, 0x00, 0x00],
+        [0x66, 0x0f, 0x1f, 0x44, 0x00, 0x00],
+        [0xf3, 0xc3],                               // REP RET
+        [0x48, 0x05, 0x01, 0x00, 0x00, 0x00],       // ADD RAX, 1 mit imm32
+        [0x48, 0x81, 0xc0, 0x01, 0x00, 0x00, 0x00]
+    ];
+    // A call across all variants and one onto the last of them: later addresses matter
+    const bytes = [0xe8, 0x24, 0x00, 0x00, 0x00, ...variants.flat(), 0xe8, 0xf4, 0xff, 0xff, 0xff, 0xc3];
+    const rows = new SimulatorClass().disassemble(bytes);
+    for (const variant of variants) {
+        const row = rows.find(row => row.hex === variant.map(byte => byte.toString(16).padStart(2, '0')).join(' '));
+        assert.ok(row && row.data, row && row.text);
+        assert.match(row.text, /^db .* \(abweichende Kodierung\)$/);
+    }
+    
+    const { text, result } = roundTrip(SimulatorClass, bytes);
+    assert.ok(result.success, `${result.error}\n${text}`);
+    assert.deepStrictEqual([...result.bytes], bytes, text);
+    
+    // The data is not executed: the call onto it fails
+    assert.match(new SimulatorClass().execute(text, '').error, /loc_401022' steht vor Daten/);
+});
@@ -3,12 +3,22 @@
  * Simulates basic x86-64 assembly instructions
  */
 
-class X86Simulator {
+class X86Simulator extends Simulator {
     constructor() {
+        super();
+        
+        // Base address of the code segment (Linux ELF default)
+        this.textBase = 0x401000n;
+        
+        // Initial stack pointer (top of the stack)
+        this.stackTop = 0x7FFFFFF0n;
+        
         this.reset();
     }
 
     reset() {
+        super.reset();
+        
         // Initialize general purpose registers
         this.registers = {
             'RAX': 0n,
@@ -18,7 +28,7 @@ class X86Simulator {
             'RSI': 0n,
             'RDI': 0n,
             'RBP': 0n,
-            'RSP': 0x7FFFFFF0n,
+            'RSP': this.stackTop,
             'R8': 0n,
             'R9': 0n,
             'R10': 0n,
@@ -29,65 +39,73 @@ class X86Simulator {
             'R15': 0n
         };
         
-        // Program Counter
+        // Program Counter (index into this.program) and the instruction executed
+        // after the current one
         this.rip = 0;
+        this.nextPc = 0;
+        
+        // Jumps that need a 32-bit displacement
+        this.longJumps = new Set();
         
         // EFLAGS register bits
         this.flags = {
             CF: false, // Carry
             PF: false, // Parity
+            AF: false, // Auxiliary Carry
             ZF: false, // Zero
             SF: false, // Sign
             OF: false  // Overflow
         };
         
-        // Memory (simple implementation)
-        this.memory = new Map();
-        
-        // Output buffer
-        this.output = [];
-        
-        // Modified registers tracking
-        this.modifiedRegisters = new Set();
+        // Program break of the brk system call (end of the heap)
+        this.initialBreak = 0n;
+        this.programBreak = 0n;
     }
 
-    // Parse immediate value (e.g., 42, 0x2A)
-    parseImmediate(value) {
-        if (typeof value === 'string') {
-            value = value.trim();
-            if (value.startsWith('0x') || value.startsWith('0X')) {
-                return BigInt(parseInt(value, 16));
-            }
-            return BigInt(parseInt(value, 10));
+    // Look up a register or sub-register (e.g. RAX, EAX, AX, AL, AH, R8D)
+    registerAlias(reg) {
+        const alias = X86Simulator.REGISTER_ALIASES[reg.trim().toUpperCase()];
+        if (!alias) {
+            throw new Error(`Unbekanntes Register: ${reg.trim().toUpperCase()}`);
         }
-        return BigInt(value);
+        return alias;
     }
 
-    // Get register value
+    // Get register value (sub-registers return only their bits)
     getRegister(reg) {
-        reg = reg.trim().toUpperCase();
-        if (this.registers.hasOwnProperty(reg)) {
-            return this.registers[reg];
-        }
-        throw new Error(`Unbekanntes Register: ${reg}`);
+        const alias = this.registerAlias(reg);
+        const mask = (1n << BigInt(alias.size * 8)) - 1n;
+        return (this.registers[alias.reg] >> alias.shift) & mask;
     }
 
-    // Set register value
+    // Set register value: 32-bit writes zero-extend into the full register,
+    // 8/16-bit writes keep the remaining bits
     setRegister(reg, value) {
-        reg = reg.trim().toUpperCase();
-        if (this.registers.hasOwnProperty(reg)) {
-            this.registers[reg] = BigInt(value);
-            this.modifiedRegisters.add(reg);
+        const alias = this.registerAlias(reg);
+        const mask = (1n << BigInt(alias.size * 8)) - 1n;
+        value = BigInt(value) & mask;
+        
+        this.logRegister(alias.reg);
+        if (alias.size >= 4) {
+            this.registers[alias.reg] = value;
         } else {
-            throw new Error(`Unbekanntes Register: ${reg}`);
+            const old = this.registers[alias.reg] & ~(mask << alias.shift);
+            this.registers[alias.reg] = (old | (value << alias.shift)) & X86Simulator.MASK64;
         }
+        this.modifiedRegisters.add(alias.reg);
     }
 
-    // Update flags based on result
-    updateFlags(result, operand1 = null, operand2 = null) {
-        result = BigInt(result);
+    // Sign-extend a value of the given size (in bytes)
+    signExtend(value, size) {
+        const sign = 1n << BigInt(size * 8 - 1);
+        return (value & sign) ? value - (sign << 1n) : value;
+    }
+
+    // Set SF, ZF and PF from a result of the given size (in bytes)
+    setResultFlags(result, size) {
+        const bits = BigInt(size * 8);
+        this.flags.SF = ((result >> (bits - 1n)) & 1n) === 1n;
         this.flags.ZF = result === 0n;
-        this.flags.SF = result < 0n;
         
         // Parity flag (count of 1s in lower 8 bits is even)
         let lower8 = Number(result & 0xFFn);
@@ -96,378 +114,2149 @@ class X86Simulator {
             if (lower8 & (1 << i)) ones++;
         }
         this.flags.PF = (ones % 2) === 0;
+    }
+
+    // a + b + carry at the given size; sets CF (unless keepCarry), OF, SF, ZF, PF and AF
+    addWithFlags(a, b, carry, size, keepCarry = false) {
+        const mask = (1n << BigInt(size * 8)) - 1n;
+        const sign = 1n << BigInt(size * 8 - 1);
+        a &= mask;
+        b &= mask;
         
-        // Carry and overflow for operations
-        if (operand1 !== null && operand2 !== null) {
-            operand1 = BigInt(operand1);
-            operand2 = BigInt(operand2);
-            const mask64 = (1n << 64n) - 1n;
-            this.flags.CF = (operand1 + operand2) > mask64;
-            
-            const sign1 = operand1 < 0n;
-            const sign2 = operand2 < 0n;
-            const signR = result < 0n;
-            this.flags.OF = (sign1 === sign2) && (sign1 !== signR);
-        }
+        const full = a + b + carry;
+        const result = full & mask;
+        
+        if (!keepCarry) this.flags.CF = full > mask;
+        this.flags.OF = (~(a ^ b) & (a ^ result) & sign) !== 0n;
+        this.flags.AF = ((a ^ b ^ result) & 0x10n) !== 0n;
+        this.setResultFlags(result, size);
+        return result;
     }
 
-    // Execute single instruction
-    executeInstruction(instruction) {
-        instruction = instruction.trim();
+    // a - b - borrow at the given size; sets CF (unless keepCarry), OF, SF, ZF, PF and AF
+    subWithFlags(a, b, borrow, size, keepCarry = false) {
+        const mask = (1n << BigInt(size * 8)) - 1n;
+        const sign = 1n << BigInt(size * 8 - 1);
+        a &= mask;
+        b &= mask;
+        
+        const full = a - b - borrow;
+        const result = full & mask;
         
-        // Skip empty lines and comments
-        if (!instruction || instruction.startsWith(';') || instruction.startsWith('//')) {
+        if (!keepCarry) this.flags.CF = full < 0n;
+        this.flags.OF = ((a ^ b) & (a ^ result) & sign) !== 0n;
+        this.flags.AF = ((a ^ b ^ result) & 0x10n) !== 0n;
+        this.setResultFlags(result, size);
+        return result;
+    }
+
+    // Flags of logical operations: CF, OF and AF are cleared
+    setLogicFlags(result, size) {
+        this.flags.CF = false;
+        this.flags.OF = false;
+        this.flags.AF = false;
+        this.setResultFlags(result, size);
+    }
+
+    // Execute an instruction given as mnemonic and operands
+    executeOperation(op, parts) {
+        // Conditional jumps: JE, JNE, JL, JGE, JA, JB, ...
+        if (X86Simulator.JUMP_CONDITIONS.hasOwnProperty(op)) {
+            this.executeJcc(parts, op);
             return;
         }
+        
+        switch (op) {
+            case 'MOV':
+                this.executeMOV(parts);
+                break;
+                
+            case 'ADD':
+                this.executeADD(parts);
+                break;
+                
+            case 'SUB':
+                this.executeSUB(parts);
+                break;
+                
+            case 'MUL':
+                this.executeMUL(parts);
+                break;
+                
+            case 'IMUL':
+                this.executeIMUL(parts);
+                break;
+                
+            case 'AND':
+                this.executeAND(parts);
+                break;
+                
+            case 'OR':
+                this.executeOR(parts);
+                break;
+                
+            case 'XOR':
+                this.executeXOR(parts);
+                break;
+                
+            case 'SHL':
+                this.executeSHL(parts);
+                break;
+                
+            case 'SHR':
+                this.executeSHR(parts);
+                break;
+                
+            case 'CMP':
+                this.executeCMP(parts);
+                break;
+                
+            case 'LEA':
+                this.executeLEA(parts);
+                break;
+                
+            case 'PUSH':
+                this.executePUSH(parts);
+                break;
+                
+            case 'POP':
+                this.executePOP(parts);
+                break;
+                
+            case 'INC':
+                this.executeINC(parts);
+                break;
+                
+            case 'DEC':
+                this.executeDEC(parts);
+                break;
+                
+            case 'JMP':
+                this.executeJMP(parts);
+                break;
+                
+            case 'JCXZ':
+            case 'JECXZ':
+            case 'JRCXZ':
+                this.executeJRCXZ(parts, op);
+                break;
+                
+            case 'LOOP':
+            case 'LOOPE':
+            case 'LOOPZ':
+            case 'LOOPNE':
+            case 'LOOPNZ':
+                this.executeLOOP(parts, op);
+                break;
+                
+            case 'CALL':
+                this.executeCALL(parts);
+                break;
+                
+            case 'SYSCALL':
+                return this.executeSYSCALL(parts);
+                
+            case 'NOP':
+                // No operation
+                break;
+                
+            case 'RET':
+                return this.executeRET(parts);
+                
+            default:
+                throw new Error(`Unbekannte Instruktion: ${op}`);
+        }
+    }
 
-        // Remove inline comments
-        instruction = instruction.split(';')[0].split('//')[0].trim();
+    // Parse an operand: register, immediate or memory reference
+    // (e.g. RAX, 42, [RBP-8], QWORD PTR [RBX + RCX*8 + 16])
+    parseOperand(text) {
+        text = text.trim();
+        
+        const memMatch = text.match(/^(?:(BYTE|WORD|DWORD|QWORD)\s+(?:PTR\s+)?)?\[(.*)\]$/i);
+        if (memMatch) {
+            const memory = this.decodeAddress(memMatch[2]);
+            return {
+                type: 'mem',
+                text,
+                size: memMatch[1] ? X86Simulator.OPERAND_SIZES[memMatch[1].toUpperCase()] : null,
+                memory,
+                address: this.effectiveAddress(memory)
+            };
+        }
+        
+        const reg = text.toUpperCase();
+        if (X86Simulator.REGISTER_ALIASES.hasOwnProperty(reg)) {
+            return { type: 'reg', text, name: reg, size: X86Simulator.REGISTER_ALIASES[reg].size };
+        }
+        
+        // Immediate: expression of numbers, characters and labels; a label
+        // stands for its address (NASM: mov rsi, msg / MASM: OFFSET msg)
+        const { value, symbolic } = this.evaluateOperand(text.replace(/^OFFSET\s+/i, ''));
+        return { type: 'imm', text, value, size: null, symbol: symbolic };
+    }
 
-        // Parse instruction
-        const parts = instruction.split(/[\s,]+/).filter(p => p);
-        if (parts.length === 0) return;
+    // Terms of an address with their sign, split at + and - outside of
+    // parentheses and character literals ("rbx + (2+3)*8 - 1" → "rbx",
+    // "+ (2+3)*8", "- 1"; a sign after an operator belongs to the number)
+    splitAddressTerms(expression) {
+        const terms = [];
+        let current = '';
+        let depth = 0;
+        let quote = false;
+        for (let i = 0; i < expression.length; i++) {
+            const ch = expression[i];
+            if (quote) {
+                current += ch;
+                if (ch === '\\' && i + 1 < expression.length) {
+                    current += expression[++i];
+                } else if (ch === "'") {
+                    quote = false;
+                }
+                continue;
+            }
+            if (ch === "'") quote = true;
+            if (ch === '(') depth++;
+            if (ch === ')') depth--;
+            const operand = current.replace(/^[-+]/, '').trim();
+            if ((ch === '+' || ch === '-') && depth === 0 && operand && !/[-+*\/%<>&|^~!(]$/.test(operand)) {
+                terms.push(current.trim());
+                current = '';
+            }
+            current += ch;
+        }
+        if (current.trim()) {
+            terms.push(current.trim());
+        }
+        return terms;
+    }
 
-        const op = parts[0].toUpperCase();
+    // Decode [base + index*scale + disp] into its parts; symbol is set when the
+    // displacement contains a label, rel for RIP-relative addressing ([rel label])
+    decodeAddress(expression) {
+        // [rel label]: RIP-relative addressing of a label
+        const relMatch = expression.trim().match(/^rel\s+(.*)$/i);
+        if (relMatch) {
+            expression = relMatch[1];
+        }
         
-        try {
-            switch (op) {
-                case 'MOV':
-                    this.executeMOV(parts);
-                    break;
-                    
-                case 'ADD':
-                    this.executeADD(parts);
-                    break;
-                    
-                case 'SUB':
-                    this.executeSUB(parts);
-                    break;
-                    
-                case 'IMUL':
-                case 'MUL':
-                    this.executeMUL(parts);
-                    break;
-                    
-                case 'AND':
-                    this.executeAND(parts);
-                    break;
-                    
-                case 'OR':
-                    this.executeOR(parts);
-                    break;
-                    
-                case 'XOR':
-                    this.executeXOR(parts);
-                    break;
-                    
-                case 'SHL':
-                    this.executeSHL(parts);
-                    break;
-                    
-                case 'SHR':
-                    this.executeSHR(parts);
-                    break;
-                    
-                case 'CMP':
-                    this.executeCMP(parts);
-                    break;
-                    
-                case 'INC':
-                    this.executeINC(parts);
-                    break;
-                    
-                case 'DEC':
-                    this.executeDEC(parts);
-                    break;
-                    
-                case 'NOP':
-                    // No operation
-                    break;
-                    
-                case 'RET':
-                    this.output.push('Programm beendet (RET)');
-                    return 'halt';
-                    
-                default:
-                    throw new Error(`Unbekannte Instruktion: ${op}`);
+        const terms = this.splitAddressTerms(expression);
+        if (terms.length === 0) {
+            throw new Error('Leere Speicheradresse');
+        }
+        
+        let base = null;
+        let index = null;
+        let scale = 1n;
+        let disp = 0n;
+        let symbol = false;
+        
+        for (const term of terms) {
+            const negative = term.startsWith('-');
+            const body = term.replace(/^[-+]/, '').trim();
+            const factors = body.toUpperCase().replace(/\s+/g, '').split('*');
+            
+            if (factors.length === 2 && factors.some(factor => this.registers.hasOwnProperty(factor))) {
+                // index*scale or scale*index
+                const [reg, factor] = this.registers.hasOwnProperty(factors[0]) ? factors : [factors[1], factors[0]];
+                if (!this.registers.hasOwnProperty(reg) || negative || index !== null) {
+                    throw new Error(`Ungültiger Index in Adresse: ${term}`);
+                }
+                scale = this.parseImmediate(factor);
+                if (![1n, 2n, 4n, 8n].includes(scale)) {
+                    throw new Error(`Skalierungsfaktor muss 1, 2, 4 oder 8 sein: ${factor}`);
+                }
+                index = reg;
+            } else if (factors.length === 1 && this.registers.hasOwnProperty(factors[0])) {
+                if (negative) {
+                    throw new Error(`Register kann nicht subtrahiert werden: ${body}`);
+                }
+                if (base === null) {
+                    base = factors[0];
+                } else if (index === null) {
+                    index = factors[0];
+                } else {
+                    throw new Error(`Zu viele Register in Adresse: ${expression}`);
+                }
+            } else if (X86Simulator.REGISTER_ALIASES.hasOwnProperty(factors[0])) {
+                throw new Error(`Ungültiger Ausdruck in Adresse: ${term}`);
+            } else {
+                // Displacement: expression of numbers and labels (e.g. msg + 4)
+                const { value, symbolic } = this.evaluateOperand(body);
+                disp += negative ? -value : value;
+                symbol = symbol || symbolic;
             }
-        } catch (error) {
-            throw new Error(`Fehler bei '${instruction}': ${error.message}`);
         }
+        
+        if (relMatch && (base !== null || index !== null)) {
+            throw new Error(`RIP-relative Adresse darf keine Register enthalten: ${expression}`);
+        }
+        
+        // RSP cannot be used as index register
+        if (index === 'RSP') {
+            if (base === null || scale !== 1n || base === 'RSP') {
+                throw new Error('RSP kann nicht als Indexregister verwendet werden');
+            }
+            [base, index] = [index, base];
+        }
+        return { base, index, scale, disp, symbol, rel: relMatch !== null };
     }
 
-    executeMOV(parts) {
-        if (parts.length < 3) {
-            throw new Error('MOV benötigt Ziel und Quelle');
+    // Effective address of a decoded memory operand
+    effectiveAddress(memory) {
+        let address = memory.disp;
+        if (memory.base !== null) address += this.getRegister(memory.base);
+        if (memory.index !== null) address += this.getRegister(memory.index) * memory.scale;
+        return address & X86Simulator.MASK64;
+    }
+
+    // Compute the effective address of [base + index*scale + disp]
+    computeAddress(expression) {
+        return this.effectiveAddress(this.decodeAddress(expression));
+    }
+
+    // Parse the operands of an instruction and check count, kinds and sizes
+    // (imm64 allows a full 64-bit immediate, as in MOV r64, imm64)
+    getOperands(parts, count, message, imm64 = false) {
+        if (parts.length - 1 !== count) {
+            throw new Error(message);
         }
-        const dest = parts[1];
-        const src = parts[2];
+        const operands = parts.slice(1).map(p => this.parseOperand(p));
         
-        let value;
-        try {
-            value = this.getRegister(src);
-        } catch {
-            value = this.parseImmediate(src);
+        if (count === 2) {
+            const [dest, src] = operands;
+            if (dest.type === 'mem' && src.type === 'mem') {
+                throw new Error('Zwei Speicheroperanden sind nicht erlaubt');
+            }
+            if (dest.size === null && src.size === null) {
+                throw new Error(`Operandengröße unbekannt für ${dest.text} (BYTE/WORD/DWORD/QWORD PTR angeben)`);
+            }
+            if (dest.size !== null && src.size !== null && dest.size !== src.size) {
+                throw new Error(`Operandengrößen passen nicht zusammen: ${dest.text}, ${src.text}`);
+            }
+            if (dest.size === null && dest.type === 'mem') dest.size = src.size;
+            if (src.size === null && src.type === 'mem') src.size = dest.size;
+        } else if (operands[0].type === 'mem' && operands[0].size === null) {
+            throw new Error(`Operandengröße unbekannt für ${operands[0].text} (BYTE/WORD/DWORD/QWORD PTR angeben)`);
         }
         
-        this.setRegister(dest, value);
-        this.output.push(`MOV ${dest} ← ${value} (0x${value.toString(16)})`);
+        if (operands[0].type === 'imm') {
+            throw new Error(`Ziel darf kein Immediate sein: ${operands[0].text}`);
+        }
+        if (count === 2 && operands[1].type === 'imm') {
+            this.checkImmediate(operands[1], operands[0].size, imm64 && operands[0].type === 'reg');
+        }
+        return operands;
     }
 
-    executeADD(parts) {
-        if (parts.length < 3) {
-            throw new Error('ADD benötigt mindestens Ziel und Quelle');
+    // Check that an immediate fits the operand size and truncate it to that size
+    // (64-bit operations take a sign-extended 32-bit immediate)
+    checkImmediate(operand, size, imm64 = false) {
+        const bits = BigInt(size === 8 && !imm64 ? 32 : size * 8);
+        const min = -(1n << (bits - 1n));
+        const max = size === 8 && !imm64 ? (1n << (bits - 1n)) - 1n : (1n << bits) - 1n;
+        
+        if (operand.value < min || operand.value > max) {
+            throw new Error(`Immediate ${operand.text} passt nicht in ${bits} Bit`);
+        }
+        operand.value &= (1n << BigInt(size * 8)) - 1n;
+        operand.size = size;
+    }
+
+    // Shift count: immediate (imm8) or CL, masked to 5 bits (6 bits for 64-bit operands)
+    getShiftCount(text, size) {
+        const operand = this.parseOperand(text);
+        let count;
+        if (operand.type === 'imm') {
+            if (operand.value < 0n || operand.value > 255n) {
+                throw new Error(`Shift-Anzahl außerhalb des Bereichs (0-255): ${operand.text}`);
+            }
+            count = operand.value;
+        } else if (operand.type === 'reg' && operand.name === 'CL') {
+            count = this.getRegister('CL');
+        } else {
+            throw new Error(`Shift-Anzahl muss ein Immediate oder CL sein: ${operand.text}`);
+        }
+        return Number(count & (size === 8 ? 63n : 31n));
+    }
+
+    // Read the value of an operand
+    readOperand(operand) {
+        switch (operand.type) {
+            case 'reg': return this.getRegister(operand.name);
+            case 'mem': return this.readMemory(operand.address, operand.size);
+            default: return operand.value;
+        }
+    }
+
+    // Write a value to a register or memory operand
+    writeOperand(operand, value) {
+        if (operand.type === 'reg') {
+            this.setRegister(operand.name, value);
+        } else if (operand.type === 'mem') {
+            this.writeMemory(operand.address, value, operand.size);
+        } else {
+            throw new Error(`Ziel darf kein Immediate sein: ${operand.text}`);
         }
-        const dest = parts[1];
-        const src = parts.length > 3 ? parts[3] : parts[2];
+    }
+
+    executeMOV(parts) {
+        const [dest, src] = this.getOperands(parts, 2, 'MOV benötigt Ziel und Quelle', true);
+        const value = this.readOperand(src);
         
-        const val1 = this.getRegister(dest);
-        let val2;
-        try {
-            val2 = this.getRegister(src);
-        } catch {
-            val2 = this.parseImmediate(src);
+        this.writeOperand(dest, value);
+        this.output.push(`MOV ${dest.text} ← ${value} (0x${value.toString(16)})`);
+    }
+
+    executeLEA(parts) {
+        if (parts.length !== 3) {
+            throw new Error('LEA benötigt Zielregister und Speicheroperand');
+        }
+        const dest = this.parseOperand(parts[1]);
+        const src = this.parseOperand(parts[2]);
+        if (dest.type !== 'reg' || src.type !== 'mem') {
+            throw new Error('LEA benötigt Zielregister und Speicheroperand');
         }
         
-        const result = val1 + val2;
-        this.setRegister(dest, result);
-        this.updateFlags(result, val1, val2);
-        this.output.push(`ADD ${dest} ← ${val1} + ${val2} = ${result} (0x${result.toString(16)})`);
+        this.setRegister(dest.name, src.address);
+        this.output.push(`LEA ${dest.text} ← ${src.text} = 0x${src.address.toString(16)}`);
     }
 
-    executeSUB(parts) {
-        if (parts.length < 3) {
-            throw new Error('SUB benötigt mindestens Ziel und Quelle');
+    executePUSH(parts) {
+        if (parts.length !== 2) {
+            throw new Error('PUSH benötigt einen Operanden');
+        }
+        const src = this.parseOperand(parts[1]);
+        if (src.type === 'imm') {
+            this.checkImmediate(src, 8);
+        } else {
+            src.size = src.size || 8;
+            if (src.size !== 8) {
+                throw new Error(`PUSH benötigt einen 64-bit Operanden: ${src.text}`);
+            }
         }
-        const dest = parts[1];
-        const src = parts.length > 3 ? parts[3] : parts[2];
+        const value = this.readOperand(src);
         
-        const val1 = this.getRegister(dest);
-        let val2;
-        try {
-            val2 = this.getRegister(src);
-        } catch {
-            val2 = this.parseImmediate(src);
+        this.pushValue(value);
+        this.output.push(`PUSH ${src.text} → [0x${this.getRegister('RSP').toString(16)}] = ${value}`);
+    }
+
+    executePOP(parts) {
+        if (parts.length !== 2) {
+            throw new Error('POP benötigt einen Operanden');
+        }
+        const dest = this.parseOperand(parts[1]);
+        if (dest.type === 'imm') {
+            throw new Error(`Ziel darf kein Immediate sein: ${dest.text}`);
         }
+        dest.size = dest.size || 8;
+        if (dest.size !== 8) {
+            throw new Error(`POP benötigt einen 64-bit Operanden: ${dest.text}`);
+        }
+        const address = this.getRegister('RSP');
+        const value = this.popValue();
         
-        const result = val1 - val2;
-        this.setRegister(dest, result);
-        this.updateFlags(result, val1, -val2);
-        this.output.push(`SUB ${dest} ← ${val1} - ${val2} = ${result} (0x${result.toString(16)})`);
+        this.writeOperand(dest, value);
+        this.output.push(`POP ${dest.text} ← [0x${address.toString(16)}] = ${value}`);
+    }
+
+    executeADD(parts) {
+        const [dest, src] = this.getOperands(parts, 2, 'ADD benötigt Ziel und Quelle');
+        const val1 = this.readOperand(dest);
+        const val2 = this.readOperand(src);
+        
+        const result = this.addWithFlags(val1, val2, 0n, dest.size);
+        this.writeOperand(dest, result);
+        this.output.push(`ADD ${dest.text} ← ${val1} + ${val2} = ${result} (0x${result.toString(16)})`);
+    }
+
+    executeSUB(parts) {
+        const [dest, src] = this.getOperands(parts, 2, 'SUB benötigt Ziel und Quelle');
+        const val1 = this.readOperand(dest);
+        const val2 = this.readOperand(src);
+        
+        const result = this.subWithFlags(val1, val2, 0n, dest.size);
+        this.writeOperand(dest, result);
+        this.output.push(`SUB ${dest.text} ← ${val1} - ${val2} = ${result} (0x${result.toString(16)})`);
     }
 
     executeMUL(parts) {
-        if (parts.length < 3) {
-            throw new Error('MUL benötigt mindestens Ziel und Quelle');
+        if (parts.length !== 2) {
+            throw new Error('MUL hat genau einen Operanden (RDX:RAX ← RAX × src); für zwei Operanden IMUL verwenden');
+        }
+        this.executeWideMultiply(parts, false);
+    }
+
+    executeIMUL(parts) {
+        if (parts.length === 2) {
+            this.executeWideMultiply(parts, true);
+            return;
         }
-        const dest = parts[1];
-        const src = parts.length > 3 ? parts[3] : parts[2];
         
-        const val1 = this.getRegister(dest);
-        let val2;
-        try {
-            val2 = this.getRegister(src);
-        } catch {
-            val2 = this.parseImmediate(src);
+        // IMUL dest, src and IMUL dest, src, imm (truncated signed product)
+        const imm = parts.length === 4 ? this.parseOperand(parts[3]) : null;
+        const [dest, src] = this.getOperands(parts.slice(0, 3), 2, 'IMUL benötigt Ziel und Quelle');
+        if (dest.type !== 'reg' || dest.size === 1) {
+            throw new Error(`IMUL benötigt ein 16/32/64-bit Zielregister: ${dest.text}`);
+        }
+        if (imm) {
+            if (imm.type !== 'imm') {
+                throw new Error(`Dritter Operand muss ein Immediate sein: ${imm.text}`);
+            }
+            this.checkImmediate(imm, dest.size);
         }
+        const val1 = this.readOperand(imm ? src : dest);
+        const val2 = imm ? imm.value : this.readOperand(src);
         
-        const result = val1 * val2;
-        this.setRegister(dest, result);
-        this.output.push(`MUL ${dest} ← ${val1} × ${val2} = ${result} (0x${result.toString(16)})`);
+        const product = this.signExtend(val1, dest.size) * this.signExtend(val2, dest.size);
+        const result = product & ((1n << BigInt(dest.size * 8)) - 1n);
+        
+        // CF and OF are set when the signed product does not fit the destination
+        this.flags.CF = this.flags.OF = this.signExtend(result, dest.size) !== product;
+        this.writeOperand(dest, result);
+        this.output.push(`IMUL ${dest.text} ← ${this.signExtend(val1, dest.size)} × ${this.signExtend(val2, dest.size)} = ${result} (0x${result.toString(16)})`);
     }
 
-    executeAND(parts) {
-        if (parts.length < 3) {
-            throw new Error('AND benötigt mindestens Ziel und Quelle');
+    // One-operand MUL/IMUL: RDX:RAX (EDX:EAX, DX:AX, AX) ← accumulator × src
+    executeWideMultiply(parts, signed) {
+        const op = signed ? 'IMUL' : 'MUL';
+        const [src] = this.getOperands(parts, 1, `${op} benötigt einen Operanden`);
+        const size = src.size;
+        const bits = BigInt(size * 8);
+        const [low, high] = X86Simulator.ACCUMULATORS[size];
+        
+        let val1 = this.getRegister(low);
+        let val2 = this.readOperand(src);
+        if (signed) {
+            val1 = this.signExtend(val1, size);
+            val2 = this.signExtend(val2, size);
         }
-        const dest = parts[1];
-        const src = parts.length > 3 ? parts[3] : parts[2];
+        const product = val1 * val2;
+        const full = product & ((1n << (bits * 2n)) - 1n);
+        const lowPart = full & ((1n << bits) - 1n);
+        const highPart = full >> bits;
         
-        const val1 = this.getRegister(dest);
-        let val2;
-        try {
-            val2 = this.getRegister(src);
-        } catch {
-            val2 = this.parseImmediate(src);
+        if (size === 1) {
+            this.setRegister('AX', full);
+        } else {
+            this.setRegister(low, lowPart);
+            this.setRegister(high, highPart);
         }
         
+        // CF and OF signal that the upper half is needed
+        this.flags.CF = this.flags.OF = signed ? this.signExtend(lowPart, size) !== product : highPart !== 0n;
+        this.output.push(`${op} ${size === 1 ? 'AX' : `${high}:${low}`} ← ${val1} × ${val2} = ${product} (0x${full.toString(16)})`);
+    }
+
+    executeAND(parts) {
+        const [dest, src] = this.getOperands(parts, 2, 'AND benötigt Ziel und Quelle');
+        const val1 = this.readOperand(dest);
+        const val2 = this.readOperand(src);
+        
         const result = val1 & val2;
-        this.setRegister(dest, result);
-        this.updateFlags(result);
-        this.output.push(`AND ${dest} ← ${val1} & ${val2} = ${result} (0x${result.toString(16)})`);
+        this.writeOperand(dest, result);
+        this.setLogicFlags(result, dest.size);
+        this.output.push(`AND ${dest.text} ← ${val1} & ${val2} = ${result} (0x${result.toString(16)})`);
     }
 
     executeOR(parts) {
-        if (parts.length < 3) {
-            throw new Error('OR benötigt mindestens Ziel und Quelle');
-        }
-        const dest = parts[1];
-        const src = parts.length > 3 ? parts[3] : parts[2];
-        
-        const val1 = this.getRegister(dest);
-        let val2;
-        try {
-            val2 = this.getRegister(src);
-        } catch {
-            val2 = this.parseImmediate(src);
-        }
+        const [dest, src] = this.getOperands(parts, 2, 'OR benötigt Ziel und Quelle');
+        const val1 = this.readOperand(dest);
+        const val2 = this.readOperand(src);
         
         const result = val1 | val2;
-        this.setRegister(dest, result);
-        this.updateFlags(result);
-        this.output.push(`OR ${dest} ← ${val1} | ${val2} = ${result} (0x${result.toString(16)})`);
+        this.writeOperand(dest, result);
+        this.setLogicFlags(result, dest.size);
+        this.output.push(`OR ${dest.text} ← ${val1} | ${val2} = ${result} (0x${result.toString(16)})`);
     }
 
     executeXOR(parts) {
-        if (parts.length < 3) {
-            throw new Error('XOR benötigt mindestens Ziel und Quelle');
-        }
-        const dest = parts[1];
-        const src = parts.length > 3 ? parts[3] : parts[2];
-        
-        const val1 = this.getRegister(dest);
-        let val2;
-        try {
-            val2 = this.getRegister(src);
-        } catch {
-            val2 = this.parseImmediate(src);
-        }
+        const [dest, src] = this.getOperands(parts, 2, 'XOR benötigt Ziel und Quelle');
+        const val1 = this.readOperand(dest);
+        const val2 = this.readOperand(src);
         
         const result = val1 ^ val2;
-        this.setRegister(dest, result);
-        this.updateFlags(result);
-        this.output.push(`XOR ${dest} ← ${val1} ⊕ ${val2} = ${result} (0x${result.toString(16)})`);
+        this.writeOperand(dest, result);
+        this.setLogicFlags(result, dest.size);
+        this.output.push(`XOR ${dest.text} ← ${val1} ⊕ ${val2} = ${result} (0x${result.toString(16)})`);
     }
 
     executeSHL(parts) {
-        if (parts.length < 3) {
+        if (parts.length !== 3) {
             throw new Error('SHL benötigt Ziel und Shift-Wert');
         }
-        const dest = parts[1];
-        const src = parts.length > 3 ? parts[3] : parts[2];
+        const [dest] = this.getOperands(parts.slice(0, 2), 1, 'SHL benötigt Ziel und Shift-Wert');
+        const val1 = this.readOperand(dest);
+        const shift = this.getShiftCount(parts[2], dest.size);
+        const bits = dest.size * 8;
         
-        const val1 = this.getRegister(dest);
-        let shift;
-        try {
-            shift = Number(this.getRegister(src));
-        } catch {
-            shift = Number(this.parseImmediate(src));
-        }
+        const result = (val1 << BigInt(shift)) & ((1n << BigInt(bits)) - 1n);
+        this.writeOperand(dest, result);
         
-        const result = val1 << BigInt(shift);
-        this.setRegister(dest, result);
-        this.output.push(`SHL ${dest} ← ${val1} << ${shift} = ${result} (0x${result.toString(16)})`);
+        // A shift count of 0 leaves all flags unchanged
+        if (shift > 0) {
+            this.flags.CF = shift <= bits && ((val1 >> BigInt(bits - shift)) & 1n) === 1n;
+            this.setResultFlags(result, dest.size);
+            this.flags.OF = this.flags.SF !== this.flags.CF;
+        }
+        this.output.push(`SHL ${dest.text} ← ${val1} << ${shift} = ${result} (0x${result.toString(16)})`);
     }
 
     executeSHR(parts) {
-        if (parts.length < 3) {
+        if (parts.length !== 3) {
             throw new Error('SHR benötigt Ziel und Shift-Wert');
         }
-        const dest = parts[1];
-        const src = parts.length > 3 ? parts[3] : parts[2];
-        
-        const val1 = this.getRegister(dest);
-        let shift;
-        try {
-            shift = Number(this.getRegister(src));
-        } catch {
-            shift = Number(this.parseImmediate(src));
-        }
+        const [dest] = this.getOperands(parts.slice(0, 2), 1, 'SHR benötigt Ziel und Shift-Wert');
+        const val1 = this.readOperand(dest);
+        const shift = this.getShiftCount(parts[2], dest.size);
+        const bits = dest.size * 8;
         
         const result = val1 >> BigInt(shift);
-        this.setRegister(dest, result);
-        this.output.push(`SHR ${dest} ← ${val1} >> ${shift} = ${result} (0x${result.toString(16)})`);
+        this.writeOperand(dest, result);
+        
+        // A shift count of 0 leaves all flags unchanged
+        if (shift > 0) {
+            this.flags.CF = ((val1 >> BigInt(shift - 1)) & 1n) === 1n;
+            this.flags.OF = ((val1 >> BigInt(bits - 1)) & 1n) === 1n;
+            this.setResultFlags(result, dest.size);
+        }
+        this.output.push(`SHR ${dest.text} ← ${val1} >> ${shift} = ${result} (0x${result.toString(16)})`);
     }
 
     executeCMP(parts) {
-        if (parts.length < 3) {
-            throw new Error('CMP benötigt zwei Operanden');
-        }
-        const src1 = parts[1];
-        const src2 = parts[2];
+        const [src1, src2] = this.getOperands(parts, 2, 'CMP benötigt zwei Operanden');
+        const val1 = this.readOperand(src1);
+        const val2 = this.readOperand(src2);
         
-        const val1 = this.getRegister(src1);
-        let val2;
-        try {
-            val2 = this.getRegister(src2);
-        } catch {
-            val2 = this.parseImmediate(src2);
-        }
-        
-        const result = val1 - val2;
-        this.updateFlags(result, val1, -val2);
+        this.subWithFlags(val1, val2, 0n, src1.size);
         
+        // Signed comparison for the trace; CF covers the unsigned view
+        const signed1 = this.signExtend(val1, src1.size);
+        const signed2 = this.signExtend(val2, src1.size);
         let comparison = '';
-        if (result === 0n) comparison = 'gleich (==)';
-        else if (result > 0n) comparison = 'größer (>)';
+        if (signed1 === signed2) comparison = 'gleich (==)';
+        else if (signed1 > signed2) comparison = 'größer (>)';
         else comparison = 'kleiner (<)';
         
-        this.output.push(`CMP ${src1}(${val1}) vs ${src2}(${val2}): ${comparison}`);
+        this.output.push(`CMP ${src1.text}(${val1}) vs ${src2.text}(${val2}): ${comparison}`);
     }
 
     executeINC(parts) {
+        const [dest] = this.getOperands(parts, 1, 'INC benötigt einen Operanden');
+        const val = this.readOperand(dest);
+        
+        // INC leaves CF unchanged
+        const result = this.addWithFlags(val, 1n, 0n, dest.size, true);
+        this.writeOperand(dest, result);
+        this.output.push(`INC ${dest.text} ← ${val} + 1 = ${result} (0x${result.toString(16)})`);
+    }
+
+    executeDEC(parts) {
+        const [dest] = this.getOperands(parts, 1, 'DEC benötigt einen Operanden');
+        const val = this.readOperand(dest);
+        
+        // DEC leaves CF unchanged
+        const result = this.subWithFlags(val, 1n, 0n, dest.size, true);
+        this.writeOperand(dest, result);
+        this.output.push(`DEC ${dest.text} ← ${val} - 1 = ${result} (0x${result.toString(16)})`);
+    }
+
+    // Push a 64-bit value onto the stack
+    pushValue(value) {
+        const rsp = this.getRegister('RSP') - 8n;
+        this.setRegister('RSP', rsp);
+        this.writeMemory(rsp, value, 8);
+    }
+
+    // Pop a 64-bit value from the stack
+    popValue() {
+        const rsp = this.getRegister('RSP');
+        const value = this.readMemory(rsp, 8);
+        this.setRegister('RSP', rsp + 8n);
+        return value;
+    }
+
+    executeJMP(parts) {
         if (parts.length < 2) {
-            throw new Error('INC benötigt ein Register');
+            throw new Error('JMP benötigt ein Sprungziel');
         }
-        const dest = parts[1];
-        const val = this.getRegister(dest);
-        const result = val + 1n;
-        this.setRegister(dest, result);
-        this.updateFlags(result);
-        this.output.push(`INC ${dest} ← ${val} + 1 = ${result} (0x${result.toString(16)})`);
+        const label = parts[1];
+        this.nextPc = this.resolveLabel(label);
+        this.output.push(`JMP → ${label}`);
     }
 
-    executeDEC(parts) {
+    executeJcc(parts, op) {
         if (parts.length < 2) {
-            throw new Error('DEC benötigt ein Register');
+            throw new Error(`${op} benötigt ein Sprungziel`);
+        }
+        const label = parts[1];
+        const target = this.resolveLabel(label);
+        
+        if (X86Simulator.JUMP_CONDITIONS[op](this.flags)) {
+            this.nextPc = target;
+            this.output.push(`${op} → ${label} (Sprung genommen)`);
+        } else {
+            this.output.push(`${op} → ${label} (nicht genommen)`);
         }
-        const dest = parts[1];
-        const val = this.getRegister(dest);
-        const result = val - 1n;
-        this.setRegister(dest, result);
-        this.updateFlags(result);
-        this.output.push(`DEC ${dest} ← ${val} - 1 = ${result} (0x${result.toString(16)})`);
     }
 
-    // Execute program
-    execute(code) {
-        this.reset();
+    executeJRCXZ(parts, op) {
+        if (parts.length < 2) {
+            throw new Error(`${op} benötigt ein Sprungziel`);
+        }
+        const label = parts[1];
+        const target = this.resolveLabel(label);
+        const rcx = this.getRegister(op === 'JCXZ' ? 'CX' : op === 'JECXZ' ? 'ECX' : 'RCX');
+        
+        if (rcx === 0n) {
+            this.nextPc = target;
+            this.output.push(`${op} → ${label} (Sprung genommen)`);
+        } else {
+            this.output.push(`${op} → ${label} (nicht genommen, RCX = ${rcx})`);
+        }
+    }
+
+    executeLOOP(parts, op) {
+        if (parts.length < 2) {
+            throw new Error(`${op} benötigt ein Sprungziel`);
+        }
+        const label = parts[1];
+        const target = this.resolveLabel(label);
+        
+        // LOOP decrements RCX without touching the flags
+        this.setRegister('RCX', this.getRegister('RCX') - 1n);
+        const rcx = this.getRegister('RCX');
         
-        const lines = code.split('\n');
+        let taken = rcx !== 0n;
+        if (op === 'LOOPE' || op === 'LOOPZ') taken = taken && this.flags.ZF;
+        if (op === 'LOOPNE' || op === 'LOOPNZ') taken = taken && !this.flags.ZF;
         
-        this.output.push('=== Programm Start ===\n');
+        if (taken) {
+            this.nextPc = target;
+            this.output.push(`${op} → ${label} (RCX = ${rcx}, Sprung genommen)`);
+        } else {
+            this.output.push(`${op} → ${label} (RCX = ${rcx}, nicht genommen)`);
+        }
+    }
+
+    executeCALL(parts) {
+        if (parts.length < 2) {
+            throw new Error('CALL benötigt ein Sprungziel');
+        }
+        const label = parts[1];
+        const target = this.resolveLabel(label);
+        const returnAddress = this.nextAddress(this.rip);
+        
+        this.pushValue(returnAddress);
+        this.nextPc = target;
+        this.output.push(`CALL → ${label} (push 0x${returnAddress.toString(16)}, RSP = 0x${this.getRegister('RSP').toString(16)})`);
+    }
+
+    executeRET(parts) {
+        // Returning with an empty stack (no caller) ends the program
+        if (this.getRegister('RSP') >= this.stackTop) {
+            this.output.push('Programm beendet (RET)');
+            return 'halt';
+        }
+        
+        const address = this.popValue();
+        if (parts.length > 1) {
+            // RET imm16 releases additional stack bytes
+            this.setRegister('RSP', this.getRegister('RSP') + this.parseImmediate(parts[1]));
+        }
+        
+        this.nextPc = this.indexOfAddress(address);
+        this.output.push(`RET → 0x${address.toString(16)}`);
+    }
+
+    // SYSCALL: Linux system call with the number in RAX and the arguments in
+    // RDI, RSI, RDX; the result (or -errno) is returned in RAX. Like the CPU,
+    // SYSCALL stores the return address in RCX and RFLAGS in R11.
+    executeSYSCALL(parts) {
+        if (parts.length !== 1) {
+            throw new Error('SYSCALL hat keine Operanden (Nummer in RAX)');
+        }
+        const number = this.getRegister('RAX');
+        const name = X86Simulator.SYSCALLS[number];
+        if (!name) {
+            throw new Error(`Unbekannter Systemaufruf: RAX = ${number}`);
+        }
+        const [arg0, arg1, arg2] = ['RDI', 'RSI', 'RDX'].map(reg => this.getRegister(reg));
+        if (name === 'read' && this.needsInput(arg0)) {
+            return 'input';
+        }
+        
+        this.setRegister('RCX', this.nextAddress(this.rip));
+        this.setRegister('R11', this.getRFLAGS());
+        
+        if (name === 'exit' || name === 'exit_group') {
+            this.exitCode = Number(arg0 & 0xFFn);
+            this.output.push(`SYSCALL: ${name}(${this.exitCode})`);
+            return 'halt';
+        }
         
+        let result;
+        let args;
+        if (name === 'brk') {
+            result = { value: this.sysBrk(arg0) };
+            args = `0x${arg0.toString(16)}`;
+        } else {
+            result = name === 'write' ? this.sysWrite(arg0, arg1, arg2) : this.sysRead(arg0, arg1, arg2);
+            args = `${arg0}, 0x${arg1.toString(16)}, ${arg2}`;
+        }
+        const { value, error } = result;
+        this.setRegister('RAX', error === undefined ? value : -BigInt(error));
+        
+        const text = error === undefined ? (name === 'brk' ? `0x${value.toString(16)}` : `${value}`) : `-${error}`;
+        this.output.push(`SYSCALL: ${name}(${args}) = ${text}`);
+    }
+
+    // brk(addr): moves the program break (end of the heap behind .bss) and
+    // returns the new break; invalid requests return the current break
+    sysBrk(address) {
+        const limit = this.initialBreak + X86Simulator.HEAP_LIMIT;
+        if (address >= this.initialBreak && address <= limit) {
+            this.programBreak = address;
+        }
+        return this.programBreak;
+    }
+
+    // RFLAGS value of the flags (bit 1 is always set, IF = bit 9 in user mode)
+    getRFLAGS() {
+        const bits = { CF: 0n, PF: 2n, AF: 4n, ZF: 6n, SF: 7n, OF: 11n };
+        let value = 0x202n;
+        for (const [flag, bit] of Object.entries(bits)) {
+            if (this.flags[flag]) value |= 1n << bit;
+        }
+        return value;
+    }
+
+    // Give every instruction its address in the machine code. Like the assembler,
+    // jumps start out short (rel8) and are widened to rel32 until every
+    // displacement fits. Data labels are not placed yet; the encoding size does
+    // not depend on their address, so 0 stands in for it.
+    layoutCode(layout) {
+        for (const section of ['text', 'data', 'bss']) {
+            for (const label of layout[section].labels.keys()) {
+                this.dataLabels.set(label, 0n);
+            }
+        }
+        
+        let sizes = this.program.map(() => 0);
+        for (;;) {
+            this.setCodeAddresses(sizes);
+            const next = this.program.map((instruction, index) => this.instructionSize(index));
+            if (next.every((size, i) => size === sizes[i])) {
+                return;
+            }
+            sizes = next;
+        }
+    }
+
+    // Size of an instruction in bytes (instructions that cannot be encoded keep
+    // one byte, so they still have an address; assemble() reports the error)
+    instructionSize(index) {
+        this.rip = index;
         try {
-            for (let i = 0; i < lines.length; i++) {
-                this.rip = i;
-                const result = this.executeInstruction(lines[i]);
-                if (result === 'halt') {
-                    break;
+            return this.encodeInstruction(this.program[index].text).length;
+        } catch (error) {
+            return 1;
+        } finally {
+            this.rip = 0;
+        }
+    }
+
+    // Whether a line is a directive (GNU .directive or NASM keyword)
+    isDirective(text) {
+        return text.startsWith('.') ||
+            /^(section|segment|global|align|db|dw|dd|dq|resb|resw|resd|resq)\b/i.test(text);
+    }
+
+    // Label definition at the start of a line (NASM data labels may omit the
+    // colon: msg db "Hi", 0)
+    matchLabel(text) {
+        return super.matchLabel(text) ||
+            text.match(/^([A-Za-z_.$][\w.$]*)\s+((?:db|dw|dd|dq|resb|resw|resd|resq)\b.*)$/i);
+    }
+
+    // Handle the NASM directives and the x86 meaning of .align; the GNU
+    // directives are handled by the base class
+    parseDirective(text, layout) {
+        const [, name, args] = text.match(/^(\S+)\s*(.*)$/);
+        const directive = name.toLowerCase();
+        
+        if (X86Simulator.DATA_DIRECTIVES.hasOwnProperty(directive) && !directive.startsWith('.')) {
+            const size = X86Simulator.DATA_DIRECTIVES[directive];
+            for (const value of this.splitDataList(args, name)) {
+                if (/^["'`]/.test(value)) {
+                    // NASM strings are stored as bytes, padded to the unit size
+                    const bytes = this.parseString(value, value.startsWith('`'));
+                    while (bytes.length % size !== 0) {
+                        bytes.push(0);
+                    }
+                    this.emitData(layout, { bytes });
+                } else {
+                    this.emitData(layout, { size, value });
                 }
             }
-            this.output.push('\n=== Programm erfolgreich beendet ===');
-            return { success: true, output: this.output.join('\n') };
-        } catch (error) {
-            this.output.push(`\n❌ FEHLER in Zeile ${this.rip + 1}: ${error.message}`);
-            return { success: false, output: this.output.join('\n'), error: error.message };
+            return;
+        }
+        if (X86Simulator.RESERVE_DIRECTIVES.hasOwnProperty(directive)) {
+            const count = this.parseCount(args, name) * X86Simulator.RESERVE_DIRECTIVES[directive];
+            this.emitData(layout, { count, fill: 0 });
+            return;
+        }
+        
+        switch (directive) {
+            case 'section':
+            case 'segment':
+                layout.section = this.sectionType(args, name);
+                return;
+            case 'global':
+                this.globals.add(this.parseSymbolName(args, name));
+                return;
+            case '.align':
+            case 'align':
+                // Alignment in bytes as in the x86 assemblers: .align 8 = 8 bytes
+                this.alignSection(layout, this.parseAlignment(args, name));
+                return;
+            default:
+                super.parseDirective(text, layout);
+        }
+    }
+
+    // Place the data sections; the heap of brk starts on the page behind .bss
+    layoutData(layout) {
+        super.layoutData(layout);
+        this.initialBreak = this.alignSegment(this.bssEnd);
+        this.programBreak = this.initialBreak;
+    }
+
+    // Bytes and hex text of an encoded instruction for assemble()
+    machineCode(text) {
+        const bytes = this.encodeInstruction(text);
+        return { bytes, hex: bytes.map(byte => byte.toString(16).padStart(2, '0')).join(' ') };
+    }
+
+    // Encode a single instruction into its bytes (same syntax as executeInstruction)
+    encodeInstruction(instruction) {
+        const parts = this.splitOperands(instruction.trim());
+        const op = parts[0].toUpperCase();
+        
+        if (X86Simulator.JUMP_CONDITIONS.hasOwnProperty(op)) {
+            const cc = X86Simulator.CONDITION_CODES[op];
+            return this.encodeJump(parts, [0x70 + cc], [0x0F, 0x80 + cc]);
+        }
+        
+        switch (op) {
+            case 'MOV':
+                return this.encodeMOV(parts);
+            case 'ADD':
+            case 'OR':
+            case 'AND':
+            case 'SUB':
+            case 'XOR':
+            case 'CMP':
+                return this.encodeArithmetic(parts, op);
+            case 'MUL':
+                if (parts.length !== 2) {
+                    throw new Error('MUL hat genau einen Operanden (RDX:RAX ← RAX × src); für zwei Operanden IMUL verwenden');
+                }
+                return this.encodeUnary(parts, [0xF6, 0xF7], 4);
+            case 'IMUL':
+                return this.encodeIMUL(parts);
+            case 'SHL':
+            case 'SHR':
+                return this.encodeShift(parts, op);
+            case 'LEA':
+                return this.encodeLEA(parts);
+            case 'PUSH':
+            case 'POP':
+                return this.encodeStack(parts, op);
+            case 'INC':
+            case 'DEC':
+                return this.encodeUnary(parts, [0xFE, 0xFF], op === 'INC' ? 0 : 1);
+            case 'JMP':
+                return this.encodeJump(parts, [0xEB], [0xE9]);
+            case 'JCXZ':
+                throw new Error('JCXZ ist im 64-Bit-Modus nicht kodierbar (JECXZ oder JRCXZ verwenden)');
+            case 'JECXZ':
+                return this.encodeJump(parts, [0x67, 0xE3], null);
+            case 'JRCXZ':
+                return this.encodeJump(parts, [0xE3], null);
+            case 'LOOP':
+                return this.encodeJump(parts, [0xE2], null);
+            case 'LOOPE':
+            case 'LOOPZ':
+                return this.encodeJump(parts, [0xE1], null);
+            case 'LOOPNE':
+            case 'LOOPNZ':
+                return this.encodeJump(parts, [0xE0], null);
+            case 'CALL': {
+                if (parts.length !== 2) {
+                    throw new Error('CALL benötigt ein Sprungziel');
+                }
+                const target = this.branchAddress(parts[1]);
+                return [0xE8, ...this.littleEndian(target - this.addressOf(this.rip) - 5n, 4)];
+            }
+            case 'SYSCALL':
+                return [0x0F, 0x05];
+            case 'NOP':
+                return [0x90];
+            case 'RET': {
+                if (parts.length === 1) {
+                    return [0xC3];
+                }
+                const bytes = this.parseImmediate(parts[1]);
+                if (parts.length > 2 || bytes < 0n || bytes > 0xFFFFn) {
+                    throw new Error(`RET erwartet höchstens einen 16-Bit-Wert: ${parts.slice(1).join(', ')}`);
+                }
+                return [0xC2, ...this.littleEndian(bytes, 2)];
+            }
+            default:
+                throw new Error(`Unbekannte Instruktion: ${op}`);
+        }
+    }
+
+    // Little-endian bytes of a value
+    littleEndian(value, count) {
+        value = BigInt.asUintN(count * 8, BigInt(value));
+        return Array.from({ length: count }, (_, i) => Number((value >> BigInt(i * 8)) & 0xFFn));
+    }
+
+    // Whether a value fits a signed field of the given number of bits
+    fitsSigned(value, bits) {
+        const limit = 1n << BigInt(bits - 1);
+        return value >= -limit && value < limit;
+    }
+
+    // Register number in an encoding (0-15) and whether the register requires
+    // a REX prefix (SPL, BPL, SIL, DIL) or cannot be used with one (AH, BH, CH, DH)
+    registerCode(name) {
+        const alias = this.registerAlias(name);
+        const code = X86Simulator.REGISTER_CODES[alias.reg] + (alias.shift !== 0n ? 4 : 0);
+        return {
+            code,
+            rex: alias.size === 1 && alias.shift === 0n && code >= 4 && code < 8,
+            high: alias.shift !== 0n
+        };
+    }
+
+    // Operand-size prefix (66 for 16 bit) and REX prefix (0100WRXB) in front of the opcode
+    prefixBytes(size, rex, required, highRegister) {
+        const bytes = size === 2 ? [0x66] : [];
+        if (rex !== 0 || required) {
+            if (highRegister) {
+                throw new Error(`${highRegister} kann nicht mit einem REX-Präfix kodiert werden (64-Bit-Operanden, R8-R15, SPL/BPL/SIL/DIL)`);
+            }
+            bytes.push(0x40 | rex);
+        }
+        return bytes;
+    }
+
+    // Instruction with a ModRM operand: [66] [REX] opcode ModRM [SIB] [disp] [imm].
+    // reg is a register operand or the opcode extension (/digit), rm a register or
+    // memory operand. 64-bit operations get REX.W unless the opcode defaults to 64 bit.
+    encodeModRM(opcode, size, reg, rm, immediate = [], default64 = false) {
+        let rex = size === 8 && !default64 ? 0x08 : 0;
+        let required = false;
+        let highRegister = null;
+        const useRegister = (operand) => {
+            const info = this.registerCode(operand.name);
+            required = required || info.rex;
+            highRegister = info.high ? operand.name : highRegister;
+            return info.code;
+        };
+        
+        let regField = reg;
+        if (typeof reg === 'object') {
+            regField = useRegister(reg);
+            if (regField >= 8) rex |= 0x04;
+        }
+        
+        let address;
+        let relative = null;
+        if (rm.type === 'reg') {
+            const code = useRegister(rm);
+            if (code >= 8) rex |= 0x01;
+            address = [0xC0 | (regField & 7) << 3 | code & 7];
+        } else {
+            const memory = rm.memory;
+            const base = memory.base === null ? null : X86Simulator.REGISTER_CODES[memory.base];
+            const index = memory.index === null ? null : X86Simulator.REGISTER_CODES[memory.index];
+            const scale = { 1: 0, 2: 1, 4: 2, 8: 3 }[memory.scale];
+            if (base >= 8) rex |= 0x01;
+            if (index >= 8) rex |= 0x02;
+            const modrm = (mod, rmField) => mod << 6 | (regField & 7) << 3 | rmField;
+            const sib = (indexField, baseField) => scale << 6 | (indexField & 7) << 3 | baseField & 7;
+            
+            if (memory.rel) {
+                // RIP-relative: disp32 from the end of the instruction (filled in below)
+                address = [modrm(0, 5), 0, 0, 0, 0];
+                relative = memory.disp;
+            } else if (base === null) {
+                // No base register: SIB with base 101 and a 32-bit displacement
+                if (!this.fitsSigned(memory.disp, 32)) {
+                    throw new Error(`Adresse passt nicht in 32 Bit: 0x${memory.disp.toString(16)}`);
+                }
+                address = [modrm(0, 4), sib(index === null ? 4 : index, 5), ...this.littleEndian(memory.disp, 4)];
+            } else {
+                // RBP/R13 as base always need a displacement (mod 00 with rm 101 means RIP/disp32)
+                let mod = 2;
+                if (memory.disp === 0n && !memory.symbol && (base & 7) !== 5) {
+                    mod = 0;
+                } else if (!memory.symbol && this.fitsSigned(memory.disp, 8)) {
+                    mod = 1;
+                } else if (!this.fitsSigned(memory.disp, 32)) {
+                    throw new Error(`Displacement passt nicht in 32 Bit: ${memory.disp}`);
+                }
+                const disp = mod === 0 ? [] : this.littleEndian(memory.disp, mod === 1 ? 1 : 4);
+                // RSP/R12 as base (rm 100) and any index register need a SIB byte
+                address = index !== null || (base & 7) === 4
+                    ? [modrm(mod, 4), sib(index === null ? 4 : index, base), ...disp]
+                    : [modrm(mod, base & 7), ...disp];
+            }
+        }
+        
+        const bytes = [...this.prefixBytes(size, rex, required, highRegister), ...opcode, ...address, ...immediate];
+        if (relative !== null) {
+            const displacement = relative - (this.addressOf(this.rip) + BigInt(bytes.length));
+            if (!this.fitsSigned(displacement, 32)) {
+                throw new Error(`RIP-relative Adresse außerhalb der Reichweite (±2 GB): ${rm.text}`);
+            }
+            bytes.splice(bytes.length - immediate.length - 4, 4, ...this.littleEndian(displacement, 4));
         }
+        return bytes;
     }
 
-    // Get register state
-    getRegisterState() {
-        const state = {};
-        for (const [reg, value] of Object.entries(this.registers)) {
-            state[reg] = {
-                value: value.toString(),
-                hex: '0x' + value.toString(16).padStart(16, '0').toUpperCase(),
-                modified: this.modifiedRegisters.has(reg)
+    // Instruction without ModRM: [66] [REX] opcode [imm], with an optional
+    // register added to the last opcode byte (e.g. B8+r, 50+r)
+    encodeShort(opcode, size, reg, immediate = [], default64 = false) {
+        let rex = size === 8 && !default64 ? 0x08 : 0;
+        let code = 0;
+        let required = false;
+        let highRegister = null;
+        if (reg) {
+            const info = this.registerCode(reg.name);
+            code = info.code;
+            required = info.rex;
+            highRegister = info.high ? reg.name : null;
+            if (code >= 8) rex |= 0x01;
+        }
+        const last = opcode[opcode.length - 1] + (code & 7);
+        return [...this.prefixBytes(size, rex, required, highRegister), ...opcode.slice(0, -1), last, ...immediate];
+    }
+
+    // Immediate bytes of an operand (at most 4; 64-bit operations sign-extend imm32)
+    immediateBytes(operand, size) {
+        return this.littleEndian(operand.value, Math.min(size, 4));
+    }
+
+    // Whether an immediate fits the sign-extended imm8 form (labels always take 32 bits)
+    isShortImmediate(operand, size) {
+        return !operand.symbol && this.fitsSigned(this.signExtend(operand.value, size), 8);
+    }
+
+    // MOV r, imm uses B8+r (imm64 only when the value needs it, as MOVABS);
+    // for 64-bit registers a sign-extended imm32 (C7 /0) is preferred
+    encodeMOV(parts) {
+        const [dest, src] = this.getOperands(parts, 2, 'MOV benötigt Ziel und Quelle', true);
+        const size = dest.size;
+        const byteOp = size === 1 ? 0 : 1;
+        
+        if (src.type === 'imm') {
+            if (dest.type === 'reg' && size === 8) {
+                if (src.symbol || this.fitsSigned(this.signExtend(src.value, 8), 32)) {
+                    return this.encodeModRM([0xC7], 8, 0, dest, this.littleEndian(src.value, 4));
+                }
+                return this.encodeShort([0xB8], 8, dest, this.littleEndian(src.value, 8));
+            }
+            if (dest.type === 'reg') {
+                return this.encodeShort([0xB0 + byteOp * 8], size, dest, this.littleEndian(src.value, size));
+            }
+            return this.encodeModRM([0xC6 + byteOp], size, 0, dest, this.immediateBytes(src, size));
+        }
+        if (src.type === 'mem') {
+            return this.encodeModRM([0x8A + byteOp], size, dest, src);
+        }
+        return this.encodeModRM([0x88 + byteOp], size, src, dest);
+    }
+
+    // ADD/OR/AND/SUB/XOR/CMP: r/m, reg (00+8n), reg, mem (02+8n), AL/AX/EAX/RAX, imm
+    // (04+8n) and r/m, imm (80/81 /n, 83 /n with a sign-extended imm8)
+    encodeArithmetic(parts, op) {
+        const [dest, src] = this.getOperands(parts, 2, `${op} benötigt ${op === 'CMP' ? 'zwei Operanden' : 'Ziel und Quelle'}`);
+        const size = dest.size;
+        const byteOp = size === 1 ? 0 : 1;
+        const ext = X86Simulator.ARITHMETIC_EXTENSIONS[op];
+        
+        if (src.type === 'imm') {
+            if (size !== 1 && this.isShortImmediate(src, size)) {
+                return this.encodeModRM([0x83], size, ext, dest, this.littleEndian(src.value, 1));
+            }
+            if (dest.type === 'reg' && this.registerCode(dest.name).code === 0) {
+                return this.encodeShort([ext * 8 + 4 + byteOp], size, null, this.immediateBytes(src, size));
+            }
+            return this.encodeModRM([0x80 + byteOp], size, ext, dest, this.immediateBytes(src, size));
+        }
+        if (src.type === 'mem') {
+            return this.encodeModRM([ext * 8 + 2 + byteOp], size, dest, src);
+        }
+        return this.encodeModRM([ext * 8 + byteOp], size, src, dest);
+    }
+
+    // Instructions with a single r/m operand and an opcode extension (INC, DEC, MUL, IMUL)
+    encodeUnary(parts, opcodes, ext) {
+        const op = parts[0].toUpperCase();
+        const [dest] = this.getOperands(parts, 1, `${op} benötigt einen Operanden`);
+        return this.encodeModRM([opcodes[dest.size === 1 ? 0 : 1]], dest.size, ext, dest);
+    }
+
+    // IMUL r/m (F7 /5), IMUL r, r/m (0F AF) and IMUL r, r/m, imm (6B ib / 69 iw/id)
+    encodeIMUL(parts) {
+        if (parts.length === 2) {
+            return this.encodeUnary(parts, [0xF6, 0xF7], 5);
+        }
+        const imm = parts.length === 4 ? this.parseOperand(parts[3]) : null;
+        const [dest, src] = this.getOperands(parts.slice(0, 3), 2, 'IMUL benötigt Ziel und Quelle');
+        if (dest.type !== 'reg' || dest.size === 1) {
+            throw new Error(`IMUL benötigt ein 16/32/64-bit Zielregister: ${dest.text}`);
+        }
+        
+        // IMUL r, imm is IMUL r, r, imm
+        const factor = imm || (src.type === 'imm' ? src : null);
+        if (!factor) {
+            return this.encodeModRM([0x0F, 0xAF], dest.size, dest, src);
+        }
+        if (factor.type !== 'imm') {
+            throw new Error(`Dritter Operand muss ein Immediate sein: ${factor.text}`);
+        }
+        this.checkImmediate(factor, dest.size);
+        const rm = imm ? src : dest;
+        if (this.isShortImmediate(factor, dest.size)) {
+            return this.encodeModRM([0x6B], dest.size, dest, rm, this.littleEndian(factor.value, 1));
+        }
+        return this.encodeModRM([0x69], dest.size, dest, rm, this.immediateBytes(factor, dest.size));
+    }
+
+    // SHL/SHR by 1 (D0/D1), by imm8 (C0/C1) or by CL (D2/D3)
+    encodeShift(parts, op) {
+        if (parts.length !== 3) {
+            throw new Error(`${op} benötigt Ziel und Shift-Wert`);
+        }
+        const [dest] = this.getOperands(parts.slice(0, 2), 1, `${op} benötigt Ziel und Shift-Wert`);
+        const count = this.parseOperand(parts[2]);
+        const byteOp = dest.size === 1 ? 0 : 1;
+        const ext = op === 'SHL' ? 4 : 5;
+        
+        if (count.type === 'reg' && count.name === 'CL') {
+            return this.encodeModRM([0xD2 + byteOp], dest.size, ext, dest);
+        }
+        if (count.type !== 'imm') {
+            throw new Error(`Shift-Anzahl muss ein Immediate oder CL sein: ${count.text}`);
+        }
+        if (count.value < 0n || count.value > 255n) {
+            throw new Error(`Shift-Anzahl außerhalb des Bereichs (0-255): ${count.text}`);
+        }
+        if (count.value === 1n) {
+            return this.encodeModRM([0xD0 + byteOp], dest.size, ext, dest);
+        }
+        return this.encodeModRM([0xC0 + byteOp], dest.size, ext, dest, [Number(count.value)]);
+    }
+
+    encodeLEA(parts) {
+        if (parts.length !== 3) {
+            throw new Error('LEA benötigt Zielregister und Speicheroperand');
+        }
+        const dest = this.parseOperand(parts[1]);
+        const src = this.parseOperand(parts[2]);
+        if (dest.type !== 'reg' || src.type !== 'mem') {
+            throw new Error('LEA benötigt Zielregister und Speicheroperand');
+        }
+        if (dest.size === 1) {
+            throw new Error(`LEA benötigt ein 16/32/64-bit Zielregister: ${dest.text}`);
+        }
+        return this.encodeModRM([0x8D], dest.size, dest, src);
+    }
+
+    // PUSH/POP always move 64 bits: 50+r/58+r, FF /6 / 8F /0 and PUSH imm (6A ib / 68 id)
+    encodeStack(parts, op) {
+        if (parts.length !== 2) {
+            throw new Error(`${op} benötigt einen Operanden`);
+        }
+        const operand = this.parseOperand(parts[1]);
+        if (operand.type === 'imm') {
+            if (op === 'POP') {
+                throw new Error(`Ziel darf kein Immediate sein: ${operand.text}`);
+            }
+            this.checkImmediate(operand, 8);
+            return this.isShortImmediate(operand, 8)
+                ? [0x6A, ...this.littleEndian(operand.value, 1)]
+                : [0x68, ...this.littleEndian(operand.value, 4)];
+        }
+        if ((operand.size || 8) !== 8) {
+            throw new Error(`${op} benötigt einen 64-bit Operanden: ${operand.text}`);
+        }
+        if (operand.type === 'reg') {
+            return this.encodeShort([op === 'PUSH' ? 0x50 : 0x58], 8, operand, [], true);
+        }
+        return op === 'PUSH'
+            ? this.encodeModRM([0xFF], 8, 6, operand, [], true)
+            : this.encodeModRM([0x8F], 8, 0, operand, [], true);
+    }
+
+    // Jumps to a label: rel8 while the target is in reach, otherwise rel32
+    // (LOOP and JECXZ/JRCXZ only have the rel8 form)
+    encodeJump(parts, shortOpcode, nearOpcode) {
+        const op = parts[0].toUpperCase();
+        if (parts.length !== 2) {
+            throw new Error(`${op} benötigt ein Sprungziel`);
+        }
+        const target = this.branchAddress(parts[1]);
+        const address = this.addressOf(this.rip);
+        
+        const shortDisplacement = target - (address + BigInt(shortOpcode.length + 1));
+        if (!this.longJumps.has(this.rip) && this.fitsSigned(shortDisplacement, 8)) {
+            return [...shortOpcode, ...this.littleEndian(shortDisplacement, 1)];
+        }
+        if (!nearOpcode) {
+            throw new Error(`${op}: Sprungziel '${parts[1]}' ist außerhalb der Reichweite (-128..127 Bytes)`);
+        }
+        this.longJumps.add(this.rip);
+        return [...nearOpcode, ...this.littleEndian(target - (address + BigInt(nearOpcode.length + 4)), 4)];
+    }
+
+    // Disassemble machine code starting at the given address. Returns one row per
+    // instruction ({ address, bytes, hex, text, label, data }) in the syntax of the
+    // simulator. Jump targets inside the code get a label (loc_<address>; a target
+    // right after the code adds a row without bytes). Unsupported instructions,
+    // unknown bytes and instructions the assembler would encode differently
+    // (ENDBR64, multi-byte NOPs, long immediates) become db (data: true).
+    disassemble(bytes, address = this.textBase) {
+        address = BigInt(address);
+        bytes = [...bytes];
+        
+        // The first pass finds the instruction boundaries and targets, the second one names them
+        const targets = new Set();
+        const rows = [];
+        for (let offset = 0; offset < bytes.length;) {
+            const rowAddress = address + BigInt(offset);
+            const decoded = this.decodeBytes(bytes, offset, rowAddress, (target) => {
+                targets.add(target);
+                return '';
+            });
+            const length = decoded ? decoded.length : 1;
+            rows.push({ address: rowAddress, bytes: bytes.slice(offset, offset + length), data: !decoded || decoded.text === null });
+            offset += length;
+        }
+        
+        // The end of the code is a target as well (e.g. a done label after the last instruction)
+        const end = address + BigInt(bytes.length);
+        const labels = new Map([...rows.map(row => row.address), end].filter(start => targets.has(start))
+            .map(start => [start, `loc_${start.toString(16)}`]));
+        for (const row of rows) {
+            row.hex = row.bytes.map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+            row.label = labels.get(row.address) || null;
+            const decoded = this.decodeBytes(row.bytes, 0, row.address, (target) => labels.get(target) || `0x${target.toString(16)}`);
+            const numeric = row.data ? null : this.decodeBytes(row.bytes, 0, row.address, (target) => `0x${target.toString(16)}`);
+            if (numeric && !this.reassembles(numeric.text, row.address, row.bytes)) {
+                // The mnemonic (or the name in the comment, e.g. ENDBR64) as a comment
+                row.text = `db ${row.bytes.map(byte => `0x${byte.toString(16).padStart(2, '0')}`).join(', ')} ; ${decoded.text.split(' ; ').pop()} (abweichende Kodierung)`;
+                row.data = true;
+            } else if (!row.data) {
+                row.text = decoded.text;
+            } else {
+                row.text = `db ${row.bytes.map(byte => `0x${byte.toString(16).padStart(2, '0')}`).join(', ')}`;
+                if (decoded) row.text += ` ; ${decoded.unsupported} (nicht unterstützt)`;
+            }
+        }
+        if (labels.has(end)) {
+            rows.push({ address: end, bytes: [], hex: '', text: '', label: labels.get(end), data: false });
+        }
+        return rows;
+    }
+
+    // Name of the register with the given number and size (without a REX prefix,
+    // numbers 4-7 of byte registers are AH, CH, DH and BH)
+    registerName(code, size, rex) {
+        const high = size === 1 && !rex && code >= 4 && code < 8;
+        const reg = Object.keys(X86Simulator.REGISTER_CODES).find(name => X86Simulator.REGISTER_CODES[name] === (high ? code - 4 : code));
+        return Object.keys(X86Simulator.REGISTER_ALIASES).find(name => {
+            const alias = X86Simulator.REGISTER_ALIASES[name];
+            return alias.reg === reg && alias.size === size && alias.shift === (high ? 8n : 0n);
+        });
+    }
+
+    // Number operand: hex for large values, decimal otherwise (also for negative
+    // values)
+    formatNumber(value) {
+        return value >= 4096n ? `0x${value.toString(16)}` : `${value}`;
+    }
+
+    // Decode the instruction at bytes[offset] into the syntax of executeInstruction.
+    // Returns { length, text }, { length, unsupported: mnemonic } for instructions the
+    // simulator does not support or null for unknown bytes; label(target) names a code address.
+    decodeBytes(bytes, offset, address, label) {
+        let pos = offset;
+        const next = () => {
+            if (pos >= bytes.length) throw new RangeError('Instruktion unvollständig');
+            return bytes[pos++];
+        };
+        // Little-endian immediate or displacement, sign-extended if signed
+        const value = (count, signed) => {
+            let result = 0n;
+            for (let i = 0; i < count; i++) {
+                result |= BigInt(next()) << BigInt(i * 8);
+            }
+            return signed ? BigInt.asIntN(count * 8, result) : result;
+        };
+        
+        try {
+            // Prefixes: operand size, address size, REP (only PAUSE, REP RET, ENDBR64) and
+            // segment overrides (CS/DS, which have no effect in 64-bit mode)
+            let operandSize = false;
+            let addressSize = false;
+            let repeat = false;
+            for (;;) {
+                const prefix = bytes[pos];
+                if (prefix === 0x66) operandSize = true;
+                else if (prefix === 0x67) addressSize = true;
+                else if (prefix === 0xF3) repeat = true;
+                else if (prefix !== 0x2E && prefix !== 0x3E) break;
+                pos++;
+            }
+            const rex = (bytes[pos] & 0xF0) === 0x40 ? next() : 0;
+            const size = rex & 8 ? 8 : operandSize ? 2 : 4;
+            const op = next();
+            
+            const reg = (code, regSize) => ({ type: 'reg', code, size: regSize });
+            const imm = (immValue) => ({ type: 'imm', value: immValue });
+            const target = (displacement) => ({ type: 'target', displacement });
+            // Immediate of an operation: sign-extended for imm8 forms and 64-bit operations
+            const immediate = (count, opSize, signExtended = false) => imm(value(count, signExtended || opSize === 8));
+            // ModRM (+ SIB and displacement): reg field and r/m operand
+            const modrm = (rmSize, ptr = false) => {
+                const byte = next();
+                const mod = byte >> 6;
+                const field = (byte >> 3) & 7 | (rex & 4 ? 8 : 0);
+                const rm = byte & 7;
+                if (mod === 3) {
+                    return { field, ext: (byte >> 3) & 7, rm: reg(rm | (rex & 1 ? 8 : 0), rmSize) };
+                }
+                const memory = { type: 'mem', size: rmSize, ptr, base: null, index: null, scale: 1, disp: 0n, rel: false };
+                if (rm === 4) {
+                    const sib = next();
+                    const index = (sib >> 3) & 7 | (rex & 2 ? 8 : 0);
+                    memory.scale = 1 << (sib >> 6);
+                    memory.index = index === 4 ? null : index;
+                    if ((sib & 7) === 5 && mod === 0) {
+                        memory.disp = value(4, true);
+                    } else {
+                        memory.base = sib & 7 | (rex & 1 ? 8 : 0);
+                    }
+                } else if (rm === 5 && mod === 0) {
+                    memory.rel = true;
+                    memory.disp = value(4, true);
+                } else {
+                    memory.base = rm | (rex & 1 ? 8 : 0);
+                }
+                if (mod === 1) memory.disp = value(1, true);
+                if (mod === 2) memory.disp = value(4, true);
+                return { field, ext: (byte >> 3) & 7, rm: memory };
+            };
+            
+            const peek = () => bytes[pos];
+            const operands = this.decodeOperation(op, { next, peek, value, reg, imm, target, immediate, modrm, size, rex, operandSize, repeat });
+            if (!operands || (addressSize && operands.name !== 'JRCXZ') || (repeat && !operands.repeat)) {
+                return null;
+            }
+            if (operands.unsupported) {
+                return { length: pos - offset, text: null, unsupported: operands.name };
+            }
+            
+            // Operands are formatted at the end: RIP-relative addresses and jumps
+            // are relative to the next instruction
+            const end = address + BigInt(pos - offset);
+            const format = (operand) => {
+                switch (operand.type) {
+                    case 'reg':
+                        return this.registerName(operand.code, operand.size, rex !== 0);
+                    case 'imm':
+                        return this.formatNumber(operand.value);
+                    case 'target':
+                        return label(end + operand.displacement);
+                    default: {
+                        const sizeName = Object.keys(X86Simulator.OPERAND_SIZES).find(name => X86Simulator.OPERAND_SIZES[name] === operand.size);
+                        const prefix = operand.ptr ? `${sizeName} PTR ` : '';
+                        if (operand.rel) {
+                            return `${prefix}[rel ${label(end + operand.disp)}]`;
+                        }
+                        const terms = [];
+                        if (operand.base !== null) terms.push(this.registerName(operand.base, 8, true));
+                        if (operand.index !== null) terms.push(`${this.registerName(operand.index, 8, true)}*${operand.scale}`);
+                        let expression = terms.join('+');
+                        if (operand.disp < 0n && terms.length > 0) {
+                            expression += `${operand.disp}`;
+                        } else if (operand.disp !== 0n || terms.length === 0) {
+                            expression += `${terms.length > 0 ? '+' : ''}${this.formatNumber(operand.disp)}`;
+                        }
+                        return `${prefix}[${expression}]`;
+                    }
+                }
             };
+            
+            const name = operands.name === 'JRCXZ' && addressSize ? 'JECXZ' : operands.name;
+            const text = operands.list.length > 0 ? `${name} ${operands.list.map(format).join(', ')}` : name;
+            return { length: pos - offset, text: operands.comment ? `${text} ; ${operands.comment}` : text };
+        } catch (error) {
+            if (error instanceof RangeError) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Mnemonic and operands of an opcode (helpers from decodeBytes). Instructions
+    // the simulator does not support are only decoded as far as needed for their
+    // length ({ name, unsupported: true }); null for unknown opcodes.
+    decodeOperation(op, d) {
+        const { reg, imm, target, immediate, modrm, size, rex } = d;
+        const result = (name, ...list) => ({ name, list });
+        const unsupported = (name) => ({ name, list: [], unsupported: true, repeat: true });
+        const arithmetic = ['ADD', 'OR', 'ADC', 'SBB', 'AND', 'SUB', 'XOR', 'CMP'];
+        const conditionName = (cc) => Object.keys(X86Simulator.CONDITION_CODES).find(name => X86Simulator.CONDITION_CODES[name] === cc);
+        const byteOp = (op & 1) === 0;
+        const opSize = byteOp ? 1 : size;
+        
+        // ADD/OR/AND/SUB/XOR/CMP: r/m, reg / reg, r/m / AL|eAX, imm
+        if (op < 0x40 && (op & 7) < 6) {
+            const name = arithmetic[op >> 3];
+            let operands;
+            if ((op & 7) >= 4) {
+                operands = result(name, reg(0, opSize), immediate(Math.min(opSize, 4), opSize));
+            } else {
+                const { field, rm } = modrm(opSize);
+                operands = (op & 2) ? result(name, reg(field, opSize), rm) : result(name, rm, reg(field, opSize));
+            }
+            return name === 'ADC' || name === 'SBB' ? unsupported(name) : operands;
+        }
+        if (op >= 0x50 && op <= 0x5F) {
+            if (d.operandSize) return null;
+            return result(op < 0x58 ? 'PUSH' : 'POP', reg(op & 7 | (rex & 1 ? 8 : 0), 8));
+        }
+        if (op >= 0x70 && op <= 0x7F) {
+            return result(conditionName(op & 0xF), target(d.value(1, true)));
+        }
+        if (op >= 0x91 && op <= 0x97) {
+            return unsupported('XCHG');
+        }
+        if (op >= 0xB0 && op <= 0xBF) {
+            const movSize = op < 0xB8 ? 1 : size;
+            return result('MOV', reg(op & 7 | (rex & 1 ? 8 : 0), movSize), imm(d.value(movSize, false)));
+        }
+        
+        switch (op) {
+            case 0x63:
+                modrm(4);
+                return unsupported('MOVSXD');
+            case 0x68:
+            case 0x6A:
+                if (d.operandSize) return null;
+                return result('PUSH', imm(d.value(op === 0x68 ? 4 : 1, true)));
+            case 0x69:
+            case 0x6B: {
+                const { field, rm } = modrm(size);
+                const factor = op === 0x6B ? immediate(1, size, true) : immediate(Math.min(size, 4), size);
+                return result('IMUL', reg(field, size), rm, factor);
+            }
+            case 0x80:
+            case 0x81:
+            case 0x83: {
+                const { ext, rm } = modrm(op === 0x80 ? 1 : size, true);
+                const value = op === 0x81 ? immediate(Math.min(size, 4), size) : immediate(1, op === 0x80 ? 1 : size, op === 0x83);
+                const name = arithmetic[ext];
+                return name === 'ADC' || name === 'SBB' ? unsupported(name) : result(name, rm, value);
+            }
+            case 0x84:
+            case 0x85:
+            case 0x86:
+            case 0x87:
+                modrm(opSize);
+                return unsupported(op < 0x86 ? 'TEST' : 'XCHG');
+            case 0x88:
+            case 0x89:
+            case 0x8A:
+            case 0x8B: {
+                const { field, rm } = modrm(opSize);
+                return (op & 2) ? result('MOV', reg(field, opSize), rm) : result('MOV', rm, reg(field, opSize));
+            }
+            case 0x8D: {
+                const { field, rm } = modrm(size);
+                return rm.type === 'mem' ? result('LEA', reg(field, size), rm) : null;
+            }
+            case 0x8F: {
+                const { ext, rm } = modrm(8, true);
+                return ext === 0 && !d.operandSize ? result('POP', rm) : null;
+            }
+            case 0x90:
+                // 41 90 is XCHG R8, RAX, F3 90 PAUSE
+                return rex & 1 ? unsupported('XCHG') : { name: 'NOP', list: [], repeat: true };
+            case 0x98:
+                return unsupported(size === 8 ? 'CDQE' : 'CWDE');
+            case 0x99:
+                return unsupported(size === 8 ? 'CQO' : 'CDQ');
+            case 0xA4:
+            case 0xA5:
+                return unsupported('MOVS');
+            case 0xA8:
+            case 0xA9:
+                immediate(Math.min(opSize, 4), opSize);
+                return unsupported('TEST');
+            case 0xAA:
+            case 0xAB:
+                return unsupported('STOS');
+            case 0xC0:
+            case 0xC1:
+            case 0xD0:
+            case 0xD1:
+            case 0xD2:
+            case 0xD3: {
+                const { ext, rm } = modrm(opSize, true);
+                const count = op < 0xD0 ? imm(d.value(1, false)) : op < 0xD2 ? imm(1n) : reg(1, 1);
+                const name = ['ROL', 'ROR', 'RCL', 'RCR', 'SHL', 'SHR', 'SAL', 'SAR'][ext];
+                return ext === 4 || ext === 5 ? result(name, rm, count) : unsupported(name);
+            }
+            case 0xC2:
+                return result('RET', imm(d.value(2, false)));
+            case 0xC3:
+                return { name: 'RET', list: [], repeat: true };
+            case 0xC6:
+            case 0xC7: {
+                const { ext, rm } = modrm(opSize, true);
+                return ext === 0 ? result('MOV', rm, immediate(Math.min(opSize, 4), opSize)) : null;
+            }
+            case 0xC9:
+                return unsupported('LEAVE');
+            case 0xCC:
+                return unsupported('INT3');
+            case 0xE0:
+            case 0xE1:
+            case 0xE2:
+            case 0xE3:
+                return result(['LOOPNE', 'LOOPE', 'LOOP', 'JRCXZ'][op & 3], target(d.value(1, true)));
+            case 0xE8:
+                return result('CALL', target(d.value(4, true)));
+            case 0xE9:
+            case 0xEB:
+                return result('JMP', target(d.value(op === 0xE9 ? 4 : 1, true)));
+            case 0xF4:
+                return unsupported('HLT');
+            case 0xF6:
+            case 0xF7: {
+                const { ext, rm } = modrm(opSize, true);
+                const name = ['TEST', 'TEST', 'NOT', 'NEG', 'MUL', 'IMUL', 'DIV', 'IDIV'][ext];
+                if (ext < 2) {
+                    immediate(Math.min(opSize, 4), opSize);
+                }
+                return ext === 4 || ext === 5 ? result(name, rm) : unsupported(name);
+            }
+            case 0xFE:
+            case 0xFF: {
+                // PUSH r/m (FF /6) always moves 64 bits
+                const ext = (d.peek() >> 3) & 7;
+                const { rm } = modrm(!byteOp && ext === 6 ? 8 : opSize, true);
+                if (ext === 0 || ext === 1) {
+                    return result(ext === 0 ? 'INC' : 'DEC', rm);
+                }
+                if (!byteOp && ext === 6 && !d.operandSize) {
+                    return result('PUSH', rm);
+                }
+                // FF /2 and /4: indirect CALL and JMP
+                return !byteOp && (ext === 2 || ext === 4) ? unsupported(ext === 2 ? 'CALL' : 'JMP') : null;
+            }
+            case 0x0F:
+                return this.decodeTwoByteOperation(d.next(), d);
+            default:
+                return null;
+        }
+    }
+
+    // Operations with the 0F escape byte
+    decodeTwoByteOperation(op, d) {
+        const { target, modrm, size } = d;
+        const conditionName = (cc) => Object.keys(X86Simulator.CONDITION_CODES).find(name => X86Simulator.CONDITION_CODES[name] === cc);
+        const unsupported = (name) => ({ name, list: [], unsupported: true });
+        
+        if (op >= 0x80 && op <= 0x8F) {
+            return { name: conditionName(op & 0xF), list: [target(d.value(4, true))] };
+        }
+        if (op >= 0x40 && op <= 0x4F) {
+            modrm(size);
+            return unsupported(conditionName(op & 0xF).replace('J', 'CMOV'));
+        }
+        if (op >= 0x90 && op <= 0x9F) {
+            modrm(1);
+            return unsupported(conditionName(op & 0xF).replace('J', 'SET'));
+        }
+        switch (op) {
+            case 0x05:
+                return { name: 'SYSCALL', list: [] };
+            case 0x0B:
+                return unsupported('UD2');
+            case 0x1E:
+                // F3 0F 1E FA (ENDBR64) marks targets of indirect jumps and acts like NOP
+                return d.repeat && d.next() === 0xFA ? { name: 'NOP', list: [], repeat: true, comment: 'ENDBR64' } : null;
+            case 0x1F: {
+                // Multi-byte NOP (0F 1F /0), used as padding by compilers
+                const { ext } = modrm(size);
+                return ext === 0 ? { name: 'NOP', list: [] } : null;
+            }
+            case 0xAF: {
+                const { field, rm } = modrm(size);
+                return { name: 'IMUL', list: [d.reg(field, size), rm] };
+            }
+            case 0xB6:
+            case 0xB7:
+            case 0xBE:
+            case 0xBF:
+                modrm(op & 1 ? 2 : 1);
+                return unsupported(op < 0xBE ? 'MOVZX' : 'MOVSX');
+            case 0xBC:
+            case 0xBD:
+                modrm(size);
+                return unsupported(op === 0xBC ? 'BSF' : 'BSR');
+            default:
+                return null;
+        }
+    }
+
+    // Whether an instruction calls a subroutine
+    isCall(text) {
+        const op = text.trim().split(/\s+/)[0].toUpperCase();
+        return op === 'CALL';
+    }
+
+    // Jump targets of an instruction and whether it can continue with the
+    // next one (see Simulator.validate)
+    controlFlow(text) {
+        const parts = this.splitOperands(text.trim());
+        const op = parts[0].toUpperCase();
+        if (X86Simulator.JUMP_CONDITIONS.hasOwnProperty(op)) {
+            return { targets: [parts[1]], next: true };
+        }
+        
+        switch (op) {
+            case 'JMP':
+                return { targets: [parts[1]], next: false };
+            case 'JCXZ':
+            case 'JECXZ':
+            case 'JRCXZ':
+            case 'LOOP':
+            case 'LOOPE':
+            case 'LOOPZ':
+            case 'LOOPNE':
+            case 'LOOPNZ':
+            case 'CALL':
+                return { targets: [parts[1]], next: true };
+            case 'RET':
+                return { targets: [], next: false };
+            default:
+                return super.controlFlow(text);
         }
-        return state;
     }
+}
+
+// Jcc mnemonics and their conditions (including all aliases)
+X86Simulator.JUMP_CONDITIONS = {
+    JO: f => f.OF,
+    JNO: f => !f.OF,
+    JB: f => f.CF, JC: f => f.CF, JNAE: f => f.CF,
+    JAE: f => !f.CF, JNB: f => !f.CF, JNC: f => !f.CF,
+    JE: f => f.ZF, JZ: f => f.ZF,
+    JNE: f => !f.ZF, JNZ: f => !f.ZF,
+    JBE: f => f.CF || f.ZF, JNA: f => f.CF || f.ZF,
+    JA: f => !f.CF && !f.ZF, JNBE: f => !f.CF && !f.ZF,
+    JS: f => f.SF,
+    JNS: f => !f.SF,
+    JP: f => f.PF, JPE: f => f.PF,
+    JNP: f => !f.PF, JPO: f => !f.PF,
+    JL: f => f.SF !== f.OF, JNGE: f => f.SF !== f.OF,
+    JGE: f => f.SF === f.OF, JNL: f => f.SF === f.OF,
+    JLE: f => f.ZF || f.SF !== f.OF, JNG: f => f.ZF || f.SF !== f.OF,
+    JG: f => !f.ZF && f.SF === f.OF, JNLE: f => !f.ZF && f.SF === f.OF
+};
+
+// Condition codes (cc) of the conditional jumps: 70+cc (rel8) and 0F 80+cc (rel32)
+X86Simulator.CONDITION_CODES = {
+    JO: 0x0, JNO: 0x1,
+    JB: 0x2, JC: 0x2, JNAE: 0x2,
+    JAE: 0x3, JNB: 0x3, JNC: 0x3,
+    JE: 0x4, JZ: 0x4,
+    JNE: 0x5, JNZ: 0x5,
+    JBE: 0x6, JNA: 0x6,
+    JA: 0x7, JNBE: 0x7,
+    JS: 0x8, JNS: 0x9,
+    JP: 0xA, JPE: 0xA,
+    JNP: 0xB, JPO: 0xB,
+    JL: 0xC, JNGE: 0xC,
+    JGE: 0xD, JNL: 0xD,
+    JLE: 0xE, JNG: 0xE,
+    JG: 0xF, JNLE: 0xF
+};
+
+// Opcode extension (/n) of the arithmetic instructions with an immediate
+X86Simulator.ARITHMETIC_EXTENSIONS = {
+    ADD: 0, OR: 1, AND: 4, SUB: 5, XOR: 6, CMP: 7
+};
+
+// Register numbers in ModRM, SIB and REX (R8-R15 set the REX extension bit)
+X86Simulator.REGISTER_CODES = {
+    RAX: 0, RCX: 1, RDX: 2, RBX: 3, RSP: 4, RBP: 5, RSI: 6, RDI: 7,
+    R8: 8, R9: 9, R10: 10, R11: 11, R12: 12, R13: 13, R14: 14, R15: 15
+};
+
+// Size qualifiers for memory operands (in bytes)
+X86Simulator.OPERAND_SIZES = {
+    BYTE: 1,
+    WORD: 2,
+    DWORD: 4,
+    QWORD: 8
+};
+
+// Execution state fields restored by reverse execution
+X86Simulator.HISTORY_FIELDS = ['rip', 'currentLine', 'steps', 'halted', 'error', 'stdout', 'stdinPos', 'exitCode', 'programBreak'];
+
+// Data directives (GNU and NASM) and their value sizes in bytes
+X86Simulator.DATA_DIRECTIVES = {
+    '.byte': 1, 'db': 1,
+    '.short': 2, '.hword': 2, '.word': 2, '.value': 2, 'dw': 2,
+    '.long': 4, '.int': 4, 'dd': 4,
+    '.quad': 8, 'dq': 8
+};
 
-    // Get flags state
-    getFlagsState() {
-        return { ...this.flags };
+// NASM reservation directives and their unit sizes in bytes
+X86Simulator.RESERVE_DIRECTIVES = {
+    'resb': 1, 'resw': 2, 'resd': 4, 'resq': 8
+};
+
+// Alignment of the data sections (4 KB pages)
+X86Simulator.SEGMENT_ALIGN = 0x1000n;
+
+// Linux system call numbers (RAX) supported by SYSCALL
+X86Simulator.SYSCALLS = {
+    0: 'read',
+    1: 'write',
+    12: 'brk',
+    60: 'exit',
+    231: 'exit_group'
+};
+
+// Error numbers returned by system calls (as -errno in RAX)
+X86Simulator.ERRNO = {
+    EBADF: 9
+};
+
+// Maximum heap size that brk can allocate
+X86Simulator.HEAP_LIMIT = 0x1000000n;
+
+// Mask for 64-bit register values
+X86Simulator.MASK64 = (1n << 64n) - 1n;
+
+// Register names with their 64-bit register, size in bytes and bit offset
+// (RAX/EAX/AX/AL/AH, ..., R8/R8D/R8W/R8B)
+X86Simulator.REGISTER_ALIASES = (() => {
+    const aliases = {};
+    const legacy = [
+        ['RAX', 'EAX', 'AX', 'AL', 'AH'],
+        ['RBX', 'EBX', 'BX', 'BL', 'BH'],
+        ['RCX', 'ECX', 'CX', 'CL', 'CH'],
+        ['RDX', 'EDX', 'DX', 'DL', 'DH'],
+        ['RSI', 'ESI', 'SI', 'SIL'],
+        ['RDI', 'EDI', 'DI', 'DIL'],
+        ['RBP', 'EBP', 'BP', 'BPL'],
+        ['RSP', 'ESP', 'SP', 'SPL']
+    ];
+    for (const [r64, r32, r16, r8, r8h] of legacy) {
+        aliases[r64] = { reg: r64, size: 8, shift: 0n };
+        aliases[r32] = { reg: r64, size: 4, shift: 0n };
+        aliases[r16] = { reg: r64, size: 2, shift: 0n };
+        aliases[r8] = { reg: r64, size: 1, shift: 0n };
+        if (r8h) {
+            aliases[r8h] = { reg: r64, size: 1, shift: 8n };
+        }
     }
+    for (let i = 8; i < 16; i++) {
+        const r64 = `R${i}`;
+        aliases[r64] = { reg: r64, size: 8, shift: 0n };
+        aliases[`${r64}D`] = { reg: r64, size: 4, shift: 0n };
+        aliases[`${r64}W`] = { reg: r64, size: 2, shift: 0n };
+        aliases[`${r64}B`] = { reg: r64, size: 1, shift: 0n };
+    }
+    return aliases;
+})();
+
+// Implicit registers of one-operand MUL/IMUL per operand size: [low, high]
+X86Simulator.ACCUMULATORS = {
+    1: ['AL', 'AH'],
+    2: ['AX', 'DX'],
+    4: ['EAX', 'EDX'],
+    8: ['RAX', 'RDX']
+};
+
+// Editor help for each mnemonic: [syntax, description, flags read or written]
+X86Simulator.INSTRUCTION_HELP = {
+    MOV:     ['MOV ziel, quelle', 'Kopiert ein Register, einen Speicherwert oder einen Wert', ''],
+    ADD:     ['ADD ziel, quelle', 'Addition: ziel = ziel + quelle', 'setzt CF, PF, AF, ZF, SF, OF'],
+    SUB:     ['SUB ziel, quelle', 'Subtraktion: ziel = ziel - quelle', 'setzt CF, PF, AF, ZF, SF, OF'],
+    MUL:     ['MUL quelle', 'Vorzeichenlose Multiplikation mit dem Akkumulator: RDX:RAX = RAX × quelle', 'setzt CF, OF'],
+    IMUL:    ['IMUL ziel, quelle{, wert}', 'Vorzeichenbehaftete Multiplikation (ein, zwei oder drei Operanden)', 'setzt CF, OF'],
+    AND:     ['AND ziel, quelle', 'Bitweises UND', 'setzt PF, ZF, SF (CF, OF und AF werden 0)'],
+    OR:      ['OR ziel, quelle', 'Bitweises ODER', 'setzt PF, ZF, SF (CF, OF und AF werden 0)'],
+    XOR:     ['XOR ziel, quelle', 'Bitweises exklusives ODER (XOR reg, reg setzt das Register auf 0)', 'setzt PF, ZF, SF (CF, OF und AF werden 0)'],
+    SHL:     ['SHL ziel, anzahl|CL', 'Logische Verschiebung nach links', 'setzt CF, OF, PF, ZF, SF'],
+    SHR:     ['SHR ziel, anzahl|CL', 'Logische Verschiebung nach rechts (mit Nullen aufgefüllt)', 'setzt CF, OF, PF, ZF, SF'],
+    CMP:     ['CMP a, b', 'Vergleich: berechnet a - b und verwirft das Ergebnis', 'setzt CF, PF, AF, ZF, SF, OF'],
+    LEA:     ['LEA ziel, [adresse]', 'Berechnet eine Adresse, ohne auf den Speicher zuzugreifen', ''],
+    PUSH:    ['PUSH quelle', 'Legt einen 64-Bit-Wert auf den Stack (RSP -= 8)', ''],
+    POP:     ['POP ziel', 'Holt einen 64-Bit-Wert vom Stack (RSP += 8)', ''],
+    INC:     ['INC ziel', 'Erhöht um 1', 'setzt PF, AF, ZF, SF, OF (CF bleibt unverändert)'],
+    DEC:     ['DEC ziel', 'Verringert um 1', 'setzt PF, AF, ZF, SF, OF (CF bleibt unverändert)'],
+    JMP:     ['JMP label', 'Springt zum Label', ''],
+    JCXZ:    ['JCXZ label', 'Springt, wenn CX = 0', ''],
+    JECXZ:   ['JECXZ label', 'Springt, wenn ECX = 0', ''],
+    JRCXZ:   ['JRCXZ label', 'Springt, wenn RCX = 0', ''],
+    LOOP:    ['LOOP label', 'Verringert RCX und springt, solange RCX ≠ 0', ''],
+    LOOPE:   ['LOOPE label', 'Verringert RCX und springt, solange RCX ≠ 0 und ZF = 1', 'liest ZF'],
+    LOOPZ:   ['LOOPZ label', 'Verringert RCX und springt, solange RCX ≠ 0 und ZF = 1', 'liest ZF'],
+    LOOPNE:  ['LOOPNE label', 'Verringert RCX und springt, solange RCX ≠ 0 und ZF = 0', 'liest ZF'],
+    LOOPNZ:  ['LOOPNZ label', 'Verringert RCX und springt, solange RCX ≠ 0 und ZF = 0', 'liest ZF'],
+    CALL:    ['CALL label', 'Ruft ein Unterprogramm auf, die Rücksprungadresse wird auf den Stack gelegt', ''],
+    SYSCALL: ['SYSCALL', 'Systemaufruf: Nummer in RAX, Argumente in RDI, RSI, RDX, Ergebnis in RAX (überschreibt RCX und R11)', ''],
+    NOP:     ['NOP', 'Keine Operation', ''],
+    RET:     ['RET', 'Rücksprung aus einem Unterprogramm zur Adresse auf dem Stack', '']
+};
+
+// Conditions of the Jcc jumps by condition code (see CONDITION_CODES) for the
+// editor help: when the jump is taken and which flags it reads
+X86Simulator.CONDITION_HELP = [
+    ['bei Überlauf (OF = 1)', 'OF'],
+    ['ohne Überlauf (OF = 0)', 'OF'],
+    ['vorzeichenlos < (CF = 1)', 'CF'],
+    ['vorzeichenlos ≥ (CF = 0)', 'CF'],
+    ['bei Gleichheit (ZF = 1)', 'ZF'],
+    ['bei Ungleichheit (ZF = 0)', 'ZF'],
+    ['vorzeichenlos ≤ (CF = 1 oder ZF = 1)', 'CF, ZF'],
+    ['vorzeichenlos > (CF = 0 und ZF = 0)', 'CF, ZF'],
+    ['bei negativem Ergebnis (SF = 1)', 'SF'],
+    ['bei positivem Ergebnis oder 0 (SF = 0)', 'SF'],
+    ['bei gerader Parität (PF = 1)', 'PF'],
+    ['bei ungerader Parität (PF = 0)', 'PF'],
+    ['vorzeichenbehaftet < (SF ≠ OF)', 'SF, OF'],
+    ['vorzeichenbehaftet ≥ (SF = OF)', 'SF, OF'],
+    ['vorzeichenbehaftet ≤ (ZF = 1 oder SF ≠ OF)', 'ZF, SF, OF'],
+    ['vorzeichenbehaftet > (ZF = 0 und SF = OF)', 'ZF, SF, OF']
+];
+for (const [op, cc] of Object.entries(X86Simulator.CONDITION_CODES)) {
+    const [when, flags] = X86Simulator.CONDITION_HELP[cc];
+    X86Simulator.INSTRUCTION_HELP[op] = [`${op} label`, `Springt ${when}`, `liest ${flags}`];
 }
+
+// Architecture descriptor: selector name, register grid, flags, comment syntax,
+// instruction set and example programs
+X86Simulator.ARCHITECTURE = {
+    id: 'x86',
+    name: 'x86-64 (Intel/AMD)',
+    subtitle: 'x86-64 (Intel/AMD) Assembler im Browser',
+    // Comment markers (the first one is used in generated code)
+    comments: [';', '//'],
+    // Registers of the register grid and the stack view
+    registers: ['RAX', 'RBX', 'RCX', 'RDX', 'RSI', 'RDI', 'RBP', 'RSP',
+                'R8', 'R9', 'R10', 'R11', 'R12', 'R13', 'R14', 'R15'],
+    // Field of the program counter (index into the program)
+    programCounter: 'rip',
+    stackPointer: 'RSP',
+    framePointer: 'RBP',
+    flags: {
+        CF: 'Carry',
+        PF: 'Parity',
+        AF: 'Auxiliary Carry',
+        ZF: 'Zero',
+        SF: 'Sign',
+        OF: 'Overflow'
+    },
+    // Variable-length encoding (hex input is read byte by byte) and the
+    // directive for undecodable bytes
+    instructionWidth: null,
+    dataDirective: 'db',
+    mnemonics: [
+        'MOV', 'ADD', 'SUB', 'MUL', 'IMUL', 'AND', 'OR', 'XOR', 'SHL', 'SHR', 'CMP', 'LEA',
+        'PUSH', 'POP', 'INC', 'DEC', 'JMP', ...Object.keys(X86Simulator.JUMP_CONDITIONS),
+        'JCXZ', 'JECXZ', 'JRCXZ', 'LOOP', 'LOOPE', 'LOOPZ', 'LOOPNE', 'LOOPNZ',
+        'CALL', 'SYSCALL', 'NOP', 'RET'
+    ],
+    // Editor: all register names and the help shown when hovering a mnemonic
+    registerNames: [...Object.keys(X86Simulator.REGISTER_ALIASES), 'RIP'],
+    instructionHelp: X86Simulator.INSTRUCTION_HELP,
+    // Overview at the bottom of the page: groups of mnemonics, described by instructionHelp
+    instructionGroups: {
+        'Datenverarbeitung': ['MOV', 'ADD', 'SUB', 'INC', 'DEC', 'MUL', 'IMUL'],
+        'Logische Operationen': ['AND', 'OR', 'XOR', 'SHL', 'SHR'],
+        'Vergleich & Sprung': ['CMP', 'JMP', 'JE', 'JNE', 'JL', 'LOOP', 'CALL', 'RET'],
+        'Speicher & System': ['LEA', 'PUSH', 'POP', 'SYSCALL', 'NOP']
+    },
+    placeholder: `; Schreiben Sie hier Ihren x86-64 Assembly Code...
+; Beispiel:
+MOV RAX, 42
+MOV RBX, 8
+ADD RAX, RBX`,
+    examples: {
+        basic: `; Einfaches Beispiel: Addition
+MOV RAX, 42
+MOV RBX, 8
+ADD RAX, RBX
+; RAX sollte jetzt 50 enthalten`,
+
+        helloworld: `; Hello World: Zeichenkette im Datenabschnitt
+section .data
+msg db "Hello World", 0
+
+section .text
+LEA RSI, [rel msg]    ; Adresse der Zeichenkette
+MOV RCX, 0            ; Länge = 0
+
+next:
+MOV AL, BYTE PTR [RSI + RCX]
+CMP AL, 0             ; Nullbyte = Ende der Zeichenkette
+JE done
+INC RCX
+JMP next
+
+done:
+; RCX = 11 (Länge von "Hello World")`,
+
+        forloop: `; For-Schleife: Zähle von 0 bis 10
+MOV RAX, 0     ; Zähler = 0
+MOV RBX, 10    ; Max = 10
+
+loop:
+INC RAX        ; Zähler erhöhen
+CMP RAX, RBX
+JL loop        ; Weiter, solange RAX < RBX
+; RAX sollte jetzt 10 sein`,
+
+        fibonacci: `; Fibonacci Sequenz
+MOV RAX, 0        ; Fib(0) = 0
+MOV RBX, 1        ; Fib(1) = 1
+MOV RCX, 8        ; Berechne F(2) bis F(9)
+
+next:
+MOV RDX, RAX
+ADD RDX, RBX      ; F(n) = F(n-2) + F(n-1)
+MOV RAX, RBX
+MOV RBX, RDX
+LOOP next         ; RCX verringern, weiter solange RCX != 0
+; RBX enthält jetzt F(9) = 34`,
+
+        function: `; Unterprogramm mit CALL und RET
+MOV RAX, 5
+CALL square       ; RAX = RAX * RAX
+JMP done
+
+square:
+IMUL RAX, RAX
+RET               ; Rücksprungadresse vom Stack holen
+
+done:
+; RAX sollte jetzt 25 sein`,
+
+        memory: `; Stack-Frame und Array im Speicher
+PUSH RBP                  ; Stack-Frame anlegen
+MOV RBP, RSP
+SUB RSP, 16
+MOV QWORD PTR [RBP-8], 0  ; Lokale Variable: Summe
+
+MOV RBX, 0x1000           ; Basisadresse des Arrays
+MOV RCX, 0
+fill:
+LEA RAX, [RCX+1]          ; Wert = Index + 1
+MOV [RBX + RCX*8], RAX    ; array[RCX] = RAX
+INC RCX
+CMP RCX, 5
+JL fill
+
+MOV RCX, 0
+sum:
+MOV RAX, [RBX + RCX*8]
+ADD [RBP-8], RAX          ; Summe im Stack-Frame
+INC RCX
+CMP RCX, 5
+JL sum
+
+MOV RAX, [RBP-8]          ; RAX sollte jetzt 15 sein
+MOV RSP, RBP              ; Stack-Frame abbauen
+POP RBP`,
+
+        bitwise: `; Bitweise Operationen
+MOV RAX, 0xFF
+MOV RBX, 0x0F
+AND RAX, RBX     ; RAX = 0x0F
+MOV RAX, 0xFF
+OR RAX, RBX      ; RAX = 0xFF
+MOV RAX, 0xFF
+XOR RAX, RBX     ; RAX = 0xF0`,
+
+        comparison: `; Vergleichsoperationen
+MOV RAX, 100
+MOV RBX, 50
+CMP RAX, RBX     ; 100 vs 50
+SUB RAX, RBX     ; RAX = 50
+
+MOV RCX, 25
+MOV RDX, 25
+CMP RCX, RDX     ; 25 vs 25 (gleich)`,
+
+        multiply: `; Multiplikation
+MOV RAX, 7
+MOV RBX, 6
+IMUL RAX, RBX    ; RAX = 42
+
+MOV RCX, 3
+IMUL RAX, RCX    ; RAX = 126
+
+MOV RAX, -1
+MOV RBX, 2
+MUL RBX          ; RDX:RAX = 0xFFFFFFFFFFFFFFFF × 2 (RDX = 1, CF = OF = 1)`,
+
+        subregisters: `; Teilregister und Überlauf
+MOV RAX, -1      ; RAX = 0xFFFFFFFFFFFFFFFF
+MOV AL, 0x12     ; Nur das unterste Byte ändert sich
+MOV AH, 0x34     ; Bits 8-15
+MOV AX, 0xBEEF   ; Unterste 16 Bit
+MOV EAX, 1       ; 32-bit Schreibzugriff löscht die oberen 32 Bit
+
+MOV BL, 0x7F
+ADD BL, 1        ; 8-bit Überlauf: BL = 0x80, OF = 1, SF = 1
+MOV CL, 0xFF
+ADD CL, 1        ; Übertrag: CL = 0, CF = 1, ZF = 1`,
+
+        syscall: `; Hello World mit Systemaufrufen (Linux)
+section .data
+msg db "Hello, World!", 10
+
+section .text
+global _start
+
+_start:
+    MOV RAX, 1          ; write
+    MOV RDI, 1          ; stdout
+    LEA RSI, [rel msg]  ; Adresse der Zeichenkette
+    MOV RDX, 14         ; Länge
+    SYSCALL
+
+    MOV RAX, 60         ; exit
+    MOV RDI, 0          ; Exit-Code 0
+    SYSCALL`
+    }
+};
+
+Simulator.register(X86Simulator);